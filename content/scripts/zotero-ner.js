@@ -137,6 +137,10 @@ if (typeof Zotero === 'undefined') {
       publisherMenuItemId: 'zotero-name-normalizer-publisher',
       locationMenuItemId: 'zotero-name-normalizer-location',
       journalMenuItemId: 'zotero-name-normalizer-journal',
+      undoMenuItemId: 'zotero-name-normalizer-undo',
+      historyMenuItemId: 'zotero-name-normalizer-history',
+      itemContextMenuItemId: 'zotero-name-normalizer-item-context',
+      collectionContextMenuItemId: 'zotero-name-normalizer-collection-context',
 
       // Direct module references (already instantiated)
       nameParser: initializedModules.nameParser || null,
@@ -190,6 +194,11 @@ if (typeof Zotero === 'undefined') {
           }
         }
 
+        // Keep the persisted creator index in step with item edits, so re-analysis only reloads changed items
+        if (this.zoteroDBAnalyzer && this.zoteroDBAnalyzer.creatorIndex) {
+          this.zoteroDBAnalyzer.creatorIndex.registerObserver();
+        }
+
         this.initialized = true;
         this.log('Extension initialization complete, modules: ' +
           MODULE_CLASSES.map(m => m.toLowerCase() + ':' + (this[m.toLowerCase()] ? 'yes' : 'no')).join(', '));
@@ -235,6 +244,7 @@ if (typeof Zotero === 'undefined') {
         const addElements = () => {
           ensureMenuItem();
           ensureFieldMenuItems();
+          ensureContextMenuItems();
           const currentState = this.windowStates.get(win) || {};
           currentState.uiInitialized = true;
           this.windowStates.set(win, currentState);
@@ -347,6 +357,27 @@ if (typeof Zotero === 'undefined') {
               state.menuElement = menuItem;
               this.log('Found existing menu item');
             }
+
+            if (!doc.getElementById(this.undoMenuItemId) && typeof toolsPopup.appendChild === 'function') {
+              const undoItem = doc.createXULElement ? doc.createXULElement('menuitem') : doc.createElement('menuitem');
+              undoItem.id = this.undoMenuItemId;
+              undoItem.setAttribute('label', 'Undo Last Author Normalization');
+              undoItem.addEventListener('command', () => {
+                this.undoLastNormalizationRun();
+              });
+              toolsPopup.appendChild(undoItem);
+
+              const historyItem = doc.createXULElement ? doc.createXULElement('menuitem') : doc.createElement('menuitem');
+              historyItem.id = this.historyMenuItemId;
+              historyItem.setAttribute('label', 'Author Normalization History…');
+              historyItem.addEventListener('command', () => {
+                this.showNormalizationHistory();
+              });
+              toolsPopup.appendChild(historyItem);
+
+              state.historyElements = [undoItem, historyItem];
+              this.log('Added undo and history menu items');
+            }
           } catch (err) {
             this.log('Error adding menu item: ' + err.message);
           }
@@ -457,6 +488,54 @@ if (typeof Zotero === 'undefined') {
           }
         };
 
+        // Add scoped analysis entries to the item and collection context menus
+        const ensureContextMenuItems = () => {
+          try {
+            const contextMenus = [
+              {
+                popupId: 'zotero-itemmenu',
+                itemId: this.itemContextMenuItemId,
+                label: 'Normalize Author Names in Selected Items…',
+                getOptions: () => this.getPaneScopeOptions('selection')
+              },
+              {
+                popupId: 'zotero-collectionmenu',
+                itemId: this.collectionContextMenuItemId,
+                label: 'Normalize Author Names Here…',
+                getOptions: () => this.getPaneScopeOptions('collection')
+              }
+            ];
+
+            const added = [];
+            for (const menu of contextMenus) {
+              const popup = doc.getElementById(menu.popupId);
+              if (!popup || doc.getElementById(menu.itemId)) {
+                continue;
+              }
+              const menuItem = doc.createXULElement ? doc.createXULElement('menuitem') : doc.createElement('menuitem');
+              menuItem.id = menu.itemId;
+              menuItem.setAttribute('label', menu.label);
+              menuItem.addEventListener('command', () => {
+                const options = menu.getOptions();
+                if (options) {
+                  this.showDialogForFullLibrary(options);
+                }
+              });
+              popup.appendChild(menuItem);
+              added.push(menuItem);
+            }
+
+            if (added.length > 0) {
+              const currentState = this.windowStates.get(win) || {};
+              currentState.contextMenuElements = (currentState.contextMenuElements || []).concat(added);
+              this.windowStates.set(win, currentState);
+              this.log('Added ' + added.length + ' context menu item(s)');
+            }
+          } catch (err) {
+            this.log('Error adding context menu items: ' + err.message);
+          }
+        };
+
         // Add immediately
 
         // Retry after delays
@@ -494,6 +573,21 @@ if (typeof Zotero === 'undefined') {
           state.menuElement = null;
         }
 
+        const extraElements = [].concat(state.historyElements || [], state.contextMenuElements || []);
+        if (extraElements.length > 0) {
+          for (const element of extraElements) {
+            try {
+              if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+              }
+            } catch (err) {
+              this.log('Error removing history menu item: ' + err.message);
+            }
+          }
+          state.historyElements = null;
+          state.contextMenuElements = null;
+        }
+
         state.uiInitialized = false;
         this.windowStates.set(win, state);
       },
@@ -506,132 +600,315 @@ if (typeof Zotero === 'undefined') {
         }
 
         if (this.windowStates.size === 0) {
+          if (this.zoteroDBAnalyzer && this.zoteroDBAnalyzer.creatorIndex) {
+            this.zoteroDBAnalyzer.creatorIndex.unregisterObserver();
+          }
           this.initialized = false;
         }
       },
 
-      showDialogForFullLibrary: async function() {
+      /**
+       * Ask which library to analyze when the user can edit more than one
+       * @returns {Object|null} Chosen library ({ libraryID, name, type }) or null if cancelled
+       */
+      chooseLibrary: function() {
+        const mainWindow = Zotero.getMainWindow();
+        const bundle = mainWindow ? mainWindow.ZoteroNameNormalizer : null;
+        const analyzer = this.zoteroDBAnalyzer ||
+          (bundle && bundle.ZoteroDBAnalyzer ? new bundle.ZoteroDBAnalyzer() : null);
+        if (!analyzer || typeof analyzer.getAvailableLibraries !== 'function' || !Zotero.Libraries) {
+          // Without library information, let the analyzer fall back to the user library
+          return { libraryID: null, name: 'My Library', type: 'user' };
+        }
+
+        const libraries = analyzer.getAvailableLibraries();
+
+        // Offer the library selected in the Zotero pane first
+        try {
+          const pane = Zotero.getActiveZoteroPane();
+          const selectedLibraryID = pane && typeof pane.getSelectedLibraryID === 'function'
+            ? pane.getSelectedLibraryID()
+            : null;
+          const selectedIndex = libraries.findIndex(library => library.libraryID === selectedLibraryID);
+          if (selectedIndex > 0) {
+            libraries.unshift(libraries.splice(selectedIndex, 1)[0]);
+          } else if (selectedIndex === -1 && selectedLibraryID) {
+            const selectedLibrary = Zotero.Libraries.get(selectedLibraryID);
+            if (selectedLibrary && !selectedLibrary.editable && selectedLibrary.libraryType === 'group') {
+              Zotero.alert(null, 'Zotero Name Normalizer',
+                'The group library "' + selectedLibrary.name + '" is read-only and cannot be normalized. Choose a library you can edit.');
+            }
+          }
+        } catch (e) {
+          this.log('Could not determine selected library: ' + e.message);
+        }
+
+        if (libraries.length <= 1) {
+          return libraries[0] || null;
+        }
+
+        const selection = { value: 0 };
+        const accepted = Services.prompt.select(
+          mainWindow,
+          'Normalize Author Names',
+          'Choose the library to analyze:',
+          libraries.map(library => library.name),
+          selection
+        );
+        return accepted ? libraries[selection.value] : null;
+      },
+
+      /**
+       * Open the author normalization dialog and analyze a library or part of it
+       * @param {Object} analysisOptions - Optional { libraryID, scope }; when omitted the user is
+       *   asked for a library and offered the collection, saved search or selection active in the pane
+       */
+      showDialogForFullLibrary: async function(analysisOptions = null) {
         try {
           this.log('showDialogForFullLibrary called');
 
+          if (!analysisOptions) {
+            const library = this.chooseLibrary();
+            if (!library) {
+              this.log('Library selection cancelled');
+              return;
+            }
+            const scope = this.chooseScope(library);
+            if (!scope) {
+              this.log('Scope selection cancelled');
+              return;
+            }
+            analysisOptions = { libraryID: library.libraryID, scope };
+          }
+          this.log('Analyzing library ' + analysisOptions.libraryID + ' with scope ' + (analysisOptions.scope ? analysisOptions.scope.type : 'library'));
+
           // Open dialog immediately with loading state
           const dialogWindow = this.showDialog(null, { loading: true });
           this.currentDialogWindow = dialogWindow;
           this.log('Dialog opened, window reference stored');
 
           // Use setTimeout to let dialog initialize before starting analysis
-          const self = this;
-          setTimeout(async function() {
-            fileLog('setTimeout callback running');
-            console.log('Name Normalizer: setTimeout callback running');
-            try {
-              fileLog('Starting async analysis...');
-              self.log('Starting async analysis...');
-              console.log('Name Normalizer: Starting async analysis...');
-
-              // Get ZoteroNameNormalizer from the main window (where Zotero is available)
-              // Note: ZoteroNameNormalizer is set in main window scope via bootstrap.js
-              const mainWindow = typeof Zotero !== 'undefined' ? Zotero.getMainWindow() : null;
-              fileLog('mainWindow: ' + (mainWindow ? 'EXISTS' : 'NULL'));
-              console.log('Name Normalizer: mainWindow=' + (mainWindow ? 'EXISTS' : 'NULL'));
-              const mainWindowZoteroNameNormalizer = mainWindow ? mainWindow.ZoteroNameNormalizer : null;
-              fileLog('ZoteroNameNormalizer: ' + (mainWindowZoteroNameNormalizer ? 'EXISTS' : 'NULL'));
-              console.log('Name Normalizer: ZoteroNameNormalizer=' + (mainWindowZoteroNameNormalizer ? 'EXISTS' : 'NULL'));
-
-              if (mainWindowZoteroNameNormalizer && mainWindowZoteroNameNormalizer.ZoteroDBAnalyzer) {
-                const dbAnalyzer = new mainWindowZoteroNameNormalizer.ZoteroDBAnalyzer();
-                fileLog('ZoteroDBAnalyzer created');
-                console.log('Name Normalizer: ZoteroDBAnalyzer created');
-
-                // Create progress callback to update dialog
-                const progressCallback = (progress) => {
-                  // Use Zotero.debug which outputs to stderr in test mode
-                  Zotero.debug('Zotero Name Normalizer: Progress=' + progress.stage + ' ' + progress.percent + '%');
-
-                  const targetWindow = self.currentDialogWindow;
-                  if (targetWindow && targetWindow.ZoteroNERController) {
-                    targetWindow.ZoteroNERController.handleAnalysisProgress(progress);
-                    // Also send heartbeat on progress
-                    targetWindow.ZoteroNERController.receiveHeartbeat();
-                  } else {
-                    Zotero.debug('Zotero Name Normalizer: ERROR - targetWindow=' + (!!targetWindow) + ' ZoteroNERController=' + !!(targetWindow && targetWindow.ZoteroNERController));
-                  }
-                };
-
-                // Start heartbeat timer (independent of progress callbacks)
-                const heartbeatTimer = setInterval(() => {
-                  const targetWindow = self.currentDialogWindow;
-                  if (targetWindow && targetWindow.ZoteroNERController) {
-                    targetWindow.ZoteroNERController.receiveHeartbeat();
-                  }
-                }, 10000);  // Every 10 seconds
-
-                // Perform analysis asynchronously
-                fileLog('Calling analyzeFullLibrary...');
-                console.log('Name Normalizer: Calling analyzeFullLibrary...');
-                let analysisResults = null;
-                try {
-                  // Signal the dialog to start progress tracking
-                  // This sets up the timeout interval and shows the loading UI
-                  if (dialogWindow && dialogWindow.ZoteroNERController) {
-                    dialogWindow.ZoteroNERController.startProgressTracking();
-                    fileLog('startProgressTracking called');
-                    console.log('Name Normalizer: startProgressTracking called');
-                  }
-
-                  analysisResults = await dbAnalyzer.analyzeFullLibrary(progressCallback);
-                  fileLog('Analysis complete: suggestions=' + (analysisResults ? analysisResults.suggestions.length : 'NULL'));
-                  console.log('Name Normalizer: Analysis complete, suggestions=' + (analysisResults ? analysisResults.suggestions.length : 'NULL'));
-                  self.log('Analysis complete, updating dialog...');
-                  // Clear heartbeat timer
-                  clearInterval(heartbeatTimer);
-                } catch (analysisError) {
-                  // Clear heartbeat timer on error
-                  clearInterval(heartbeatTimer);
-                  throw analysisError;
-                }
+          setTimeout(() => this.runLibraryAnalysis(dialogWindow, analysisOptions), 100); // Give dialog 100ms to initialize
 
-                // Update dialog with results
-                if (dialogWindow && dialogWindow.ZoteroNERController) {
-                  fileLog('Calling updateAnalysisResults...');
-                  console.log('Name Normalizer: Calling updateAnalysisResults...');
-                  dialogWindow.ZoteroNERController.updateAnalysisResults(analysisResults);
-                  fileLog('updateAnalysisResults called');
-                  console.log('Name Normalizer: updateAnalysisResults called');
-                } else {
-                  fileLog('ERROR: dialogWindow or ZoteroNERController not available');
-                  self.log('Warning: Dialog window or controller not available for results update');
-                }
+        } catch (error) {
+          fileLog('Error in showDialogForFullLibrary: ' + error.message);
+          if (typeof Zotero !== 'undefined' && typeof Zotero.logError === 'function') {
+            Zotero.logError(error);
+          }
+
+          // Update dialog with error state
+          if (this.currentDialogWindow && this.currentDialogWindow.ZoteroNERController) {
+            this.currentDialogWindow.ZoteroNERController.showEmptyState('Analysis failed: ' + error.message);
+          }
+        }
+      },
+
+      /**
+       * Run an author analysis and stream progress and results into a dialog window
+       * (also called from the dialog to re-analyze with a different scope)
+       * @param {Window} dialogWindow - Dialog showing the analysis
+       * @param {Object} analysisOptions - { libraryID, scope } passed to analyzeFullLibrary
+       */
+      runLibraryAnalysis: async function(dialogWindow, analysisOptions = {}) {
+        const self = this;
+        this.currentDialogWindow = dialogWindow;
+        fileLog('runLibraryAnalysis running');
+        console.log('Name Normalizer: runLibraryAnalysis running');
+        try {
+          fileLog('Starting async analysis...');
+          self.log('Starting async analysis...');
+          console.log('Name Normalizer: Starting async analysis...');
+
+          // Get ZoteroNameNormalizer from the main window (where Zotero is available)
+          // Note: ZoteroNameNormalizer is set in main window scope via bootstrap.js
+          const mainWindow = typeof Zotero !== 'undefined' ? Zotero.getMainWindow() : null;
+          fileLog('mainWindow: ' + (mainWindow ? 'EXISTS' : 'NULL'));
+          console.log('Name Normalizer: mainWindow=' + (mainWindow ? 'EXISTS' : 'NULL'));
+          const mainWindowZoteroNameNormalizer = mainWindow ? mainWindow.ZoteroNameNormalizer : null;
+          fileLog('ZoteroNameNormalizer: ' + (mainWindowZoteroNameNormalizer ? 'EXISTS' : 'NULL'));
+          console.log('Name Normalizer: ZoteroNameNormalizer=' + (mainWindowZoteroNameNormalizer ? 'EXISTS' : 'NULL'));
+
+          if (mainWindowZoteroNameNormalizer && mainWindowZoteroNameNormalizer.ZoteroDBAnalyzer) {
+            const dbAnalyzer = new mainWindowZoteroNameNormalizer.ZoteroDBAnalyzer();
+            fileLog('ZoteroDBAnalyzer created');
+            console.log('Name Normalizer: ZoteroDBAnalyzer created');
+
+            // Create progress callback to update dialog
+            const progressCallback = (progress) => {
+              // Use Zotero.debug which outputs to stderr in test mode
+              Zotero.debug('Zotero Name Normalizer: Progress=' + progress.stage + ' ' + progress.percent + '%');
+
+              const targetWindow = self.currentDialogWindow;
+              if (targetWindow && targetWindow.ZoteroNERController) {
+                targetWindow.ZoteroNERController.handleAnalysisProgress(progress);
+                // Also send heartbeat on progress
+                targetWindow.ZoteroNERController.receiveHeartbeat();
               } else {
-                fileLog('ZoteroDBAnalyzer not available');
-                self.log('ZoteroDBAnalyzer not available');
-                if (dialogWindow && dialogWindow.ZoteroNERController) {
-                  dialogWindow.ZoteroNERController.showEmptyState('ZoteroDBAnalyzer not available');
-                }
+                Zotero.debug('Zotero Name Normalizer: ERROR - targetWindow=' + (!!targetWindow) + ' ZoteroNERController=' + !!(targetWindow && targetWindow.ZoteroNERController));
               }
-            } catch (asyncError) {
-              self.log('Error in async analysis: ' + asyncError.message);
-              fileLog('Async error: ' + asyncError.message);
-              if (typeof Zotero !== 'undefined' && typeof Zotero.logError === 'function') {
-                Zotero.logError(asyncError);
+            };
+
+            // Start heartbeat timer (independent of progress callbacks)
+            const heartbeatTimer = setInterval(() => {
+              const targetWindow = self.currentDialogWindow;
+              if (targetWindow && targetWindow.ZoteroNERController) {
+                targetWindow.ZoteroNERController.receiveHeartbeat();
               }
+            }, 10000);  // Every 10 seconds
+
+            // Perform analysis asynchronously
+            fileLog('Calling analyzeFullLibrary...');
+            console.log('Name Normalizer: Calling analyzeFullLibrary...');
+            let analysisResults = null;
+            try {
+              // Signal the dialog to start progress tracking
+              // This sets up the timeout interval and shows the loading UI
               if (dialogWindow && dialogWindow.ZoteroNERController) {
-                dialogWindow.ZoteroNERController.showEmptyState('Analysis failed: ' + asyncError.message);
+                dialogWindow.ZoteroNERController.startProgressTracking();
+                fileLog('startProgressTracking called');
+                console.log('Name Normalizer: startProgressTracking called');
               }
+
+              analysisResults = await dbAnalyzer.analyzeFullLibrary(progressCallback, null, analysisOptions);
+              fileLog('Analysis complete: suggestions=' + (analysisResults ? analysisResults.suggestions.length : 'NULL'));
+              console.log('Name Normalizer: Analysis complete, suggestions=' + (analysisResults ? analysisResults.suggestions.length : 'NULL'));
+              self.log('Analysis complete, updating dialog...');
+              // Clear heartbeat timer
+              clearInterval(heartbeatTimer);
+            } catch (analysisError) {
+              // Clear heartbeat timer on error
+              clearInterval(heartbeatTimer);
+              throw analysisError;
             }
-          }, 100); // Give dialog 100ms to initialize
 
-        } catch (error) {
-          fileLog('Error in showDialogForFullLibrary: ' + error.message);
+            // Update dialog with results
+            if (dialogWindow && dialogWindow.ZoteroNERController) {
+              fileLog('Calling updateAnalysisResults...');
+              console.log('Name Normalizer: Calling updateAnalysisResults...');
+              dialogWindow.ZoteroNERController.updateAnalysisResults(analysisResults);
+              fileLog('updateAnalysisResults called');
+              console.log('Name Normalizer: updateAnalysisResults called');
+            } else {
+              fileLog('ERROR: dialogWindow or ZoteroNERController not available');
+              self.log('Warning: Dialog window or controller not available for results update');
+            }
+          } else {
+            fileLog('ZoteroDBAnalyzer not available');
+            self.log('ZoteroDBAnalyzer not available');
+            if (dialogWindow && dialogWindow.ZoteroNERController) {
+              dialogWindow.ZoteroNERController.showEmptyState('ZoteroDBAnalyzer not available');
+            }
+          }
+        } catch (asyncError) {
+          self.log('Error in async analysis: ' + asyncError.message);
+          fileLog('Async error: ' + asyncError.message);
           if (typeof Zotero !== 'undefined' && typeof Zotero.logError === 'function') {
-            Zotero.logError(error);
+            Zotero.logError(asyncError);
           }
+          if (dialogWindow && dialogWindow.ZoteroNERController) {
+            dialogWindow.ZoteroNERController.showEmptyState('Analysis failed: ' + asyncError.message);
+          }
+        }
+      },
 
-          // Update dialog with error state
-          if (this.currentDialogWindow && this.currentDialogWindow.ZoteroNERController) {
-            this.currentDialogWindow.ZoteroNERController.showEmptyState('Analysis failed: ' + error.message);
+      /**
+       * Build analysis options from what is selected in the Zotero pane
+       * @param {string} kind - 'selection' for selected items, 'collection' for the selected collection or saved search
+       * @returns {Object|null} { libraryID, scope } or null if nothing suitable is selected
+       */
+      getPaneScopeOptions: function(kind) {
+        const pane = Zotero.getActiveZoteroPane();
+        if (!pane) {
+          return null;
+        }
+        const libraryID = pane.getSelectedLibraryID();
+
+        if (kind === 'selection') {
+          const items = pane.getSelectedItems() || [];
+          if (items.length === 0) {
+            Zotero.alert(null, 'Zotero Name Normalizer', 'Select one or more items first.');
+            return null;
           }
+          return { libraryID, scope: { type: 'selection', itemIds: items.map(item => item.id) } };
+        }
+
+        const collection = pane.getSelectedCollection();
+        if (collection) {
+          // Follow the "Show items from subcollections" preference, as the items pane does
+          const includeSubcollections = Boolean(Zotero.Prefs && Zotero.Prefs.get('recursiveCollections'));
+          return { libraryID, scope: { type: 'collection', collectionId: collection.id, includeSubcollections } };
         }
+
+        const savedSearch = pane.getSelectedSavedSearch();
+        if (savedSearch) {
+          return { libraryID, scope: { type: 'savedSearch', savedSearchId: savedSearch.id } };
+        }
+
+        return { libraryID, scope: { type: 'library' } };
+      },
+
+      /**
+       * Offer the collection, saved search or item selection active in the Zotero pane as analysis scope
+       * @param {Object} library - Library chosen by chooseLibrary
+       * @returns {Object|null} Scope for analyzeFullLibrary, or null if cancelled
+       */
+      chooseScope: function(library) {
+        const choices = [{ label: 'Whole library', scope: { type: 'library' } }];
+
+        try {
+          const pane = Zotero.getActiveZoteroPane();
+          const paneLibraryID = pane && typeof pane.getSelectedLibraryID === 'function'
+            ? pane.getSelectedLibraryID()
+            : null;
+
+          if (pane && (!library.libraryID || paneLibraryID === library.libraryID)) {
+            const collection = typeof pane.getSelectedCollection === 'function' ? pane.getSelectedCollection() : null;
+            if (collection) {
+              choices.push({
+                label: 'Collection "' + collection.name + '"',
+                scope: { type: 'collection', collectionId: collection.id, includeSubcollections: false }
+              });
+              if (collection.hasChildCollections && collection.hasChildCollections()) {
+                choices.push({
+                  label: 'Collection "' + collection.name + '" and subcollections',
+                  scope: { type: 'collection', collectionId: collection.id, includeSubcollections: true }
+                });
+              }
+            }
+
+            const savedSearch = typeof pane.getSelectedSavedSearch === 'function' ? pane.getSelectedSavedSearch() : null;
+            if (savedSearch) {
+              choices.push({
+                label: 'Saved search "' + savedSearch.name + '"',
+                scope: { type: 'savedSearch', savedSearchId: savedSearch.id }
+              });
+            }
+
+            const selectedItems = typeof pane.getSelectedItems === 'function' ? pane.getSelectedItems() : [];
+            if (selectedItems && selectedItems.length > 0) {
+              choices.push({
+                label: selectedItems.length + ' selected item(s)',
+                scope: { type: 'selection', itemIds: selectedItems.map(item => item.id) }
+              });
+            }
+          }
+        } catch (e) {
+          this.log('Could not read pane selection: ' + e.message);
+        }
+
+        if (choices.length === 1 || typeof Services === 'undefined') {
+          return choices[0].scope;
+        }
+
+        const selection = { value: 0 };
+        const accepted = Services.prompt.select(
+          Zotero.getMainWindow(),
+          'Normalize Author Names',
+          'Analyze author names in:',
+          choices.map(choice => choice.label),
+          selection
+        );
+        return accepted ? choices[selection.value].scope : null;
       },
 
       /**
@@ -781,11 +1058,210 @@ if (typeof Zotero === 'undefined') {
         return await this.menuIntegration.applyNormalizationSuggestions(suggestions, autoConfirm, options);
       },
 
+      /**
+       * Get the journal of applied normalization runs (called from dialog via window.opener)
+       * @returns {Array} Run summaries, newest first
+       */
+      getNormalizationHistory: function() {
+        if (!this.menuIntegration) {
+          throw new Error('Menu integration not initialized');
+        }
+        return this.menuIntegration.getNormalizationHistory();
+      },
+
+      /**
+       * Get the recorded given-name equivalences (called from dialog via window.opener)
+       * @returns {Array} Records of { name, equivalent, timestamp }
+       */
+      getGivenNameEquivalents: function() {
+        if (!this.menuIntegration) {
+          throw new Error('Menu integration not initialized');
+        }
+        return this.menuIntegration.getGivenNameEquivalents();
+      },
+
+      /**
+       * Remove a recorded given-name equivalence (called from dialog via window.opener)
+       * @param {string} name - Given name
+       * @param {string} equivalent - Given name it was linked to
+       * @returns {boolean} True if an equivalence was removed
+       */
+      removeGivenNameEquivalent: async function(name, equivalent) {
+        if (!this.menuIntegration) {
+          throw new Error('Menu integration not initialized');
+        }
+        return await this.menuIntegration.removeGivenNameEquivalent(name, equivalent);
+      },
+
+      /**
+       * Get the canonical-form strategy of a suggestion type (called from dialog via window.opener)
+       * @param {string} type - Suggestion type
+       * @returns {string|null} Strategy, or null for the built-in rule
+       */
+      getCanonicalFormStrategy: function(type) {
+        if (!this.menuIntegration) {
+          throw new Error('Menu integration not initialized');
+        }
+        return this.menuIntegration.getCanonicalFormStrategy(type);
+      },
+
+      /**
+       * Set the canonical-form strategy of a suggestion type (called from dialog via window.opener)
+       * @param {string} type - Suggestion type
+       * @param {string|null} strategy - Strategy, or null for the built-in rule
+       */
+      setCanonicalFormStrategy: async function(type, strategy) {
+        if (!this.menuIntegration) {
+          throw new Error('Menu integration not initialized');
+        }
+        await this.menuIntegration.setCanonicalFormStrategy(type, strategy);
+      },
+
+      /**
+       * Get the analysis settings the dialog can change (called from dialog via window.opener)
+       * @returns {Object} Setting name -> value
+       */
+      getAnalysisSettings: function() {
+        if (!this.menuIntegration) {
+          throw new Error('Menu integration not initialized');
+        }
+        return this.menuIntegration.getAnalysisSettings();
+      },
+
+      /**
+       * Change an analysis setting (called from dialog via window.opener)
+       * @param {string} name - Setting name
+       * @param {*} value - New value
+       */
+      setAnalysisSetting: async function(name, value) {
+        if (!this.menuIntegration) {
+          throw new Error('Menu integration not initialized');
+        }
+        await this.menuIntegration.setAnalysisSetting(name, value);
+      },
+
+      /**
+       * Recommended form of a suggestion under a strategy (called from dialog via window.opener)
+       * @param {Object} suggestion - Normalization suggestion
+       * @param {string|null} strategy - Strategy, or null for the built-in rule
+       * @returns {Object|null} { fields, canonicalRule }
+       */
+      getCanonicalRecommendation: function(suggestion, strategy) {
+        if (!this.menuIntegration) {
+          throw new Error('Menu integration not initialized');
+        }
+        return this.menuIntegration.getCanonicalRecommendation(suggestion, strategy);
+      },
+
+      /**
+       * Revert a normalization run (called from dialog via window.opener)
+       * @param {string} runId - Journal run identifier
+       * @param {Object} options - Revert options ({ force, progressCallback })
+       * @returns {Object} Revert results
+       */
+      revertNormalizationRun: async function(runId, options = {}) {
+        if (!this.menuIntegration) {
+          throw new Error('Menu integration not initialized');
+        }
+        return await this.menuIntegration.revertNormalizationRun(runId, options);
+      },
+
+      /**
+       * Build a human-readable summary of a revert outcome
+       * @param {Object} results - Results from revertNormalizationRun
+       * @returns {string} Summary text
+       */
+      formatRevertSummary: function(results) {
+        const lines = ['Items restored: ' + results.reverted + ' of ' + results.total];
+        if (results.conflicts.length > 0) {
+          lines.push('Skipped (creators edited after the run): ' + results.conflicts.length);
+        }
+        if (results.warnings.length > 0) {
+          lines.push('Restored despite later edits: ' + results.warnings.length);
+        }
+        if (results.missing.length > 0) {
+          lines.push('Missing or deleted items: ' + results.missing.length);
+        }
+        if (results.errors.length > 0) {
+          lines.push('Errors: ' + results.errors.length);
+        }
+        return lines.join('\n');
+      },
+
+      /**
+       * Revert the most recent normalization run, asking before overwriting later edits
+       */
+      undoLastNormalizationRun: async function() {
+        try {
+          if (!this.menuIntegration) {
+            throw new Error('Menu integration not initialized');
+          }
+          const mainWindow = Zotero.getMainWindow();
+          const lastRun = this.getNormalizationHistory().find(run => !run.revertedAt);
+          if (!lastRun) {
+            Zotero.alert(null, 'Zotero Name Normalizer', 'There is no normalization run to undo.');
+            return;
+          }
+
+          const runDate = new Date(lastRun.timestamp).toLocaleString();
+          const question = 'Undo the normalization run from ' + runDate + '?\n\n' +
+            'Creators of ' + lastRun.itemCount + ' item(s) will be restored.';
+          if (mainWindow && !mainWindow.confirm(question)) {
+            return;
+          }
+
+          let results = await this.menuIntegration.revertNormalizationRun(lastRun.id);
+
+          if (results.conflicts.length > 0 && mainWindow) {
+            const overwrite = mainWindow.confirm(
+              results.conflicts.length + ' item(s) had their creators edited after the normalization run and were not restored.\n\n' +
+              'Restore them anyway and discard those later edits?'
+            );
+            if (overwrite) {
+              results = await this.menuIntegration.revertNormalizationRun(lastRun.id, { force: true });
+            }
+          }
+
+          Zotero.alert(null, 'Zotero Name Normalizer', 'Undo complete.\n\n' + this.formatRevertSummary(results));
+        } catch (error) {
+          this.log('Error in undoLastNormalizationRun: ' + error.message);
+          if (typeof Zotero !== 'undefined' && typeof Zotero.logError === 'function') {
+            Zotero.logError(error);
+          }
+          Zotero.alert(null, 'Zotero Name Normalizer', 'Undo failed: ' + error.message);
+        }
+      },
+
+      /**
+       * Open the dialog in history mode, listing past normalization runs
+       */
+      showNormalizationHistory: function() {
+        try {
+          const mainWindow = Zotero.getMainWindow();
+          if (!mainWindow) {
+            Zotero.alert(null, 'Zotero Name Normalizer', 'Could not get main window');
+            return;
+          }
+
+          mainWindow.openDialog(
+            'chrome://zoteronamenormalizer/content/dialog.html',
+            'zotero-name-normalizer-history',
+            'chrome,centerscreen,resizable=yes,width=750,height=550',
+            { history: true }
+          );
+        } catch (error) {
+          this.log('Error in showNormalizationHistory: ' + error.message);
+          if (typeof Zotero !== 'undefined' && typeof Zotero.logError === 'function') {
+            Zotero.logError(error);
+          }
+        }
+      },
+
       /**
        * Open an item in Zotero by its key
        * @param {string} itemKey - The item key to open
        */
-      selectItem: async function(itemKey) {
+      selectItem: async function(itemKey, libraryID = null) {
         if (!itemKey) return;
         try {
           this.log('selectItem called with key: ' + itemKey);
@@ -793,8 +1269,7 @@ if (typeof Zotero === 'undefined') {
           // Method 1: Use ZoteroPane (internal API, most reliable)
           if (typeof ZoteroPane !== 'undefined' && ZoteroPane.selectItem) {
             if (typeof Zotero !== 'undefined' && Zotero.Items && Zotero.Items.getByLibraryAndKeyAsync) {
-              const libraryID = Zotero.Libraries.userLibraryID;
-              const item = await Zotero.Items.getByLibraryAndKeyAsync(libraryID, itemKey);
+              const item = await Zotero.Items.getByLibraryAndKeyAsync(libraryID || Zotero.Libraries.userLibraryID, itemKey);
               if (item && item.id) {
                 this.log('Using ZoteroPane.selectItem with id: ' + item.id);
                 await ZoteroPane.selectItem(item.id);
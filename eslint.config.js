@@ -16,6 +16,8 @@ export default [
         console: 'readonly',
         alert: 'readonly',
         setTimeout: 'readonly',
+        setInterval: 'readonly',
+        clearInterval: 'readonly',
         localStorage: 'readonly',
         // Node.js globals
         require: 'readonly',
@@ -28,6 +30,11 @@ export default [
         ZoteroNER: 'readonly',
         Services: 'readonly',
         Components: 'readonly',
+        IOUtils: 'readonly',
+        PathUtils: 'readonly',
+        // Worker globals
+        self: 'readonly',
+        ChromeWorker: 'readonly',
         // Test globals
         jest: 'readonly',
         describe: 'readonly',
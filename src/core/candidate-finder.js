@@ -94,10 +94,14 @@ class CandidateFinder {
    * @returns {Array} Array of creator objects
    */
   async fetchAllCreators(zoteroDB) {
-    // This is a placeholder implementation
-    // In actual Zotero context, this would access the creators table
     if (typeof Zotero !== 'undefined') {
-      // Real Zotero implementation would query the database
+      // Read the creators table directly when the database can be queried
+      const SQLCreatorSource = require('../zotero/sql-creator-source.js');
+      const creatorSource = new SQLCreatorSource(zoteroDB);
+      if (creatorSource.isAvailable()) {
+        return creatorSource.getAllCreators();
+      }
+
       const creators = [];
 
       // Get all items that have creators
@@ -483,44 +487,46 @@ class CandidateFinder {
 
   /**
    * Find potential name variants from a list of surnames (simple synchronous version)
-   * Used for testing and UI purposes
+   * Used for testing and UI purposes. Only pairs that share a block in the candidate index are
+   * compared, so names more than two edits apart are found only when they sound alike.
    * @param {Array} surnames - Array of surname strings to check for variants
    * @returns {Array} Array of potential variant pairs with similarity scores
    */
   findPotentialVariants(surnames) {
+    const { CandidateIndex } = require('../utils/candidate-index.js');
     const results = [];
     const threshold = CandidateFinder.FIRST_NAME_SIMILARITY_THRESHOLD;
+    const index = new CandidateIndex().addAll(surnames);
 
-    for (let i = 0; i < surnames.length; i++) {
-      for (let j = i + 1; j < surnames.length; j++) {
-        const name1 = surnames[i];
-        const name2 = surnames[j];
+    index.forEachCandidatePair((i, j, name1, name2) => {
+      // Skip if they're identical
+      if (name1.toLowerCase() === name2.toLowerCase()) return;
 
-        // Skip if they're identical
-        if (name1.toLowerCase() === name2.toLowerCase()) continue;
+      // Calculate similarity
+      const maxLen = Math.max(name1.length, name2.length);
+      if (maxLen === 0) return;
 
-        // Calculate similarity
-        const maxLen = Math.max(name1.length, name2.length);
-        if (maxLen === 0) continue;
+      const distance = this.calculateLevenshteinDistance(name1, name2);
+      const similarity = 1 - (distance / maxLen);
 
-        const distance = this.calculateLevenshteinDistance(name1, name2);
-        const similarity = 1 - (distance / maxLen);
-
-        if (similarity >= threshold) {
-          results.push({
+      if (similarity >= threshold) {
+        results.push({
+          i,
+          j,
+          variant: {
             name1: name1,
             name2: name2,
             similarity: similarity,
             isDiacriticOnlyVariant: this.isDiacriticOnlyVariant(name1, name2)
-          });
-        }
+          }
+        });
       }
-    }
+    });
 
-    // Sort by similarity (highest first)
-    results.sort((a, b) => b.similarity - a.similarity);
+    // Sort by similarity (highest first), keeping input order for ties
+    results.sort((a, b) => b.variant.similarity - a.variant.similarity || a.i - b.i || a.j - b.j);
 
-    return results;
+    return results.map(result => result.variant);
   }
 
   /**
@@ -29,6 +29,10 @@ class LearningEngine {
     this.settings = this.getDefaultSettings();
     this.distinctPairsKey = 'name_normalizer_distinct_pairs';
     this.distinctPairs = new Map();
+    this.personAliasesKey = 'name_normalizer_person_aliases';
+    this.personAliases = new Map();
+    this.givenNameEquivalentsKey = 'name_normalizer_given_name_equivalents';
+    this.givenNameEquivalents = new Map();
     this.skipStorageKey = 'name_normalizer_skipped_suggestions';
     this.skippedPairs = new Set();
 
@@ -53,6 +57,8 @@ class LearningEngine {
     this.loadMappings();
     this.loadSettings();
     this.loadDistinctPairs();
+    this.loadPersonAliases();
+    this.loadGivenNameEquivalents();
     this.loadSkippedPairs();
 
     // Scoped mappings initialization
@@ -219,6 +225,172 @@ class LearningEngine {
     return false;
   }
 
+  async loadPersonAliases() {
+    try {
+      const storage = this.getStorage();
+      const stored = storage.getItem(this.personAliasesKey);
+      if (stored) {
+        this.personAliases = new Map(JSON.parse(stored));
+      }
+    } catch (error) {
+      console.error('Error loading person aliases:', error);
+      this.personAliases = new Map();
+    }
+  }
+
+  async savePersonAliases() {
+    try {
+      const storage = this.getStorage();
+      const serialized = JSON.stringify([...this.personAliases.entries()]);
+      storage.setItem(this.personAliasesKey, serialized);
+    } catch (error) {
+      console.error('Error saving person aliases:', error);
+    }
+  }
+
+  /**
+   * Key of a link between two identities of one person, independent of their order
+   * @param {Object} identityA - { firstName, lastName }
+   * @param {Object} identityB - { firstName, lastName }
+   * @returns {string|null} Key, or null if either identity has no last name
+   */
+  createPersonAliasKey(identityA, identityB) {
+    const keys = [identityA, identityB].map(identity => (identity && identity.lastName
+      ? this.createCanonicalKey(`${identity.lastName}, ${identity.firstName || ''}`)
+      : ''));
+    if (!keys[0] || !keys[1] || keys[0] === keys[1]) {
+      return null;
+    }
+    return keys.sort().join('|');
+  }
+
+  /**
+   * Record that two creator identities are the same person (a married or maiden name, a name
+   * changed mid-career)
+   * @param {Object} alias - Identity the person also published under, { firstName, lastName }
+   * @param {Object} preferred - Identity to show the person under, { firstName, lastName }
+   * @param {Object} options - { mode: 'normalize' rewrites the alias to the preferred identity,
+   *   'annotate' only shows both identities together }
+   * @returns {Promise<boolean>} True if the link is new or changed
+   */
+  async recordPersonAlias(alias, preferred, options = {}) {
+    const key = this.createPersonAliasKey(alias, preferred);
+    if (!key) {
+      return false;
+    }
+
+    const identity = ({ firstName = '', lastName = '' }) => ({ firstName: firstName.trim(), lastName: lastName.trim() });
+    const record = {
+      alias: identity(alias),
+      preferred: identity(preferred),
+      mode: options.mode === 'annotate' ? 'annotate' : 'normalize',
+      timestamp: Date.now()
+    };
+    const existing = this.personAliases.get(key);
+    if (existing && JSON.stringify({ ...existing, timestamp: 0 }) === JSON.stringify({ ...record, timestamp: 0 })) {
+      return false;
+    }
+
+    this.personAliases.set(key, record);
+    await this.savePersonAliases();
+    return true;
+  }
+
+  /**
+   * All recorded person aliases
+   * @returns {Array} Records of { alias, preferred, mode, timestamp }
+   */
+  getPersonAliases() {
+    return [...this.personAliases.values()];
+  }
+
+  async removePersonAlias(identityA, identityB) {
+    const key = this.createPersonAliasKey(identityA, identityB);
+    if (key && this.personAliases.delete(key)) {
+      await this.savePersonAliases();
+      return true;
+    }
+    return false;
+  }
+
+  async loadGivenNameEquivalents() {
+    try {
+      const storage = this.getStorage();
+      const stored = storage.getItem(this.givenNameEquivalentsKey);
+      if (stored) {
+        this.givenNameEquivalents = new Map(JSON.parse(stored));
+      }
+    } catch (error) {
+      console.error('Error loading given-name equivalents:', error);
+      this.givenNameEquivalents = new Map();
+    }
+  }
+
+  async saveGivenNameEquivalents() {
+    try {
+      const storage = this.getStorage();
+      const serialized = JSON.stringify([...this.givenNameEquivalents.entries()]);
+      storage.setItem(this.givenNameEquivalentsKey, serialized);
+    } catch (error) {
+      console.error('Error saving given-name equivalents:', error);
+    }
+  }
+
+  /**
+   * Key of an equivalence between two given names, independent of their order
+   * @param {string} nameA - Given name
+   * @param {string} nameB - Given name
+   * @returns {string|null} Key, or null if a name is empty or both are the same
+   */
+  createGivenNameEquivalentKey(nameA, nameB) {
+    const keys = [nameA, nameB].map(name => (name || '').trim().toLowerCase());
+    if (!keys[0] || !keys[1] || keys[0] === keys[1]) {
+      return null;
+    }
+    return keys.sort().join('|');
+  }
+
+  /**
+   * Record that two given names are forms of one name ("Wojtek" / "Wojciech"), on top of the
+   * built-in equivalences (utils/given-name-equivalents)
+   * @param {string} name - Given name to treat as a form of the equivalent
+   * @param {string} equivalent - Preferred form
+   * @returns {Promise<boolean>} True if the equivalence is new or its preferred form changed
+   */
+  async recordGivenNameEquivalent(name, equivalent) {
+    const key = this.createGivenNameEquivalentKey(name, equivalent);
+    if (!key) {
+      return false;
+    }
+
+    const record = { name: name.trim(), equivalent: equivalent.trim(), timestamp: Date.now() };
+    const existing = this.givenNameEquivalents.get(key);
+    if (existing && existing.name === record.name && existing.equivalent === record.equivalent) {
+      return false;
+    }
+
+    this.givenNameEquivalents.set(key, record);
+    await this.saveGivenNameEquivalents();
+    return true;
+  }
+
+  /**
+   * All recorded given-name equivalences
+   * @returns {Array} Records of { name, equivalent, timestamp }
+   */
+  getGivenNameEquivalents() {
+    return [...this.givenNameEquivalents.values()];
+  }
+
+  async removeGivenNameEquivalent(nameA, nameB) {
+    const key = this.createGivenNameEquivalentKey(nameA, nameB);
+    if (key && this.givenNameEquivalents.delete(key)) {
+      await this.saveGivenNameEquivalents();
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Get default settings
    */
@@ -226,9 +398,43 @@ class LearningEngine {
     return {
       autoApplyLearned: true,
       confidenceThreshold: LearningEngine.CONFIDENCE_THRESHOLD,
+      // Compound surname forms of one author ("García Márquez" / "García-Márquez" / "Márquez")
       enableSpanishSurnameDetection: true,
       showSimilarityScore: true,
-      maxSuggestions: 5
+      maxSuggestions: 5,
+      // Fuzzy surname pass (typos and spelling variants such as Dennett / Dennet)
+      enableSpellingVariantDetection: true,
+      spellingVariantThreshold: 0.92,
+      spellingVariantMaxDistance: 2,
+      // Sound-alike surname pass (Wygotski / Vygotsky); off by default, always confirmed by hand.
+      // phoneticLanguage is a language code ('de', 'pl', ...) or 'auto' to pick per surname
+      enablePhoneticVariantDetection: false,
+      phoneticLanguage: 'auto',
+      // Cross-script grouping (Выготский / Vygotsky); groups recommend the 'latin' or 'native' form,
+      // and Latin forms that have to be generated use transliterationSystem
+      enableTransliterationGrouping: true,
+      transliterationPreferredScript: 'latin',
+      transliterationSystem: 'bgn',
+      // Institutional creators (World Health Organization / WHO) are grouped apart from persons
+      enableOrganizationDetection: true,
+      // Malformed creators from bad imports ("and Friston", "Smith, J. and Jones, K.")
+      enableCreatorHygiene: true,
+      // First and last name entered in each other's fields ("Fodor" / "Jerry")
+      enableSwapDetection: true,
+      // ALL-CAPS and all-lowercase names ("MCDONALD", "van der waals")
+      enableCaseNormalization: true,
+      // How surname particles are stored: 'lowercase' ("van der Waals"), 'capitalized'
+      // ("Van der Waals") or 'given-name' ("J. D. van der" / "Waals"); null keeps the most common form
+      particlePolicy: null,
+      // Where generational suffixes (Jr., III, Filho, Neto) are stored: 'given-name'
+      // ("Martin Luther, Jr." / "King", as CSL processors expect) or 'last-name' ("King Jr.")
+      suffixPosition: 'given-name',
+      // Rule that picks the recommended form, per suggestion type ('surname', 'given-name',
+      // 'organization', 'orcid'): 'frequency', 'fullest', 'diacritics', 'recent' or 'authority'.
+      // Types without an entry keep their built-in rule
+      canonicalFormStrategies: {},
+      // Names the 'authority' rule prefers ("Kowalski, Wojciech", "World Health Organization")
+      canonicalAuthorityNames: []
     };
   }
 
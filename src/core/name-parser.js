@@ -3,12 +3,52 @@
  */
 const { NAME_PREFIXES, NAME_SUFFIXES } = require('../config/name-constants');
 
+// Han ideographs, kana and Hangul
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af\u1100-\u11ff]/;
+const KANA_PATTERN = /[\u3040-\u30ff]/;
+const CJK_LOCALES = ['zh', 'ja', 'ko'];
+
+// Family names of two characters that are written without a space (Ouyang, Zhuge, Namgung)
+const CJK_COMPOUND_FAMILY_NAMES = [
+  '欧阳', '歐陽', '司马', '司馬', '诸葛', '諸葛', '上官', '东方', '東方', '皇甫', '尉迟', '尉遲',
+  '公孙', '公孫', '慕容', '令狐', '夏侯', '司徒', '长孙', '長孫', '宇文', '南宫', '南宮',
+  '남궁', '황보', '제갈', '선우', '독고', '사공', '서문'
+];
+
+// Common romanized Chinese (Pinyin, Wade-Giles, Cantonese), Korean and Japanese family names
+const ROMANIZED_CJK_FAMILY_NAMES = new Set([
+  'wang', 'li', 'zhang', 'liu', 'chen', 'yang', 'huang', 'zhao', 'wu', 'zhou', 'xu', 'sun', 'ma', 'zhu',
+  'hu', 'guo', 'he', 'gao', 'lin', 'luo', 'zheng', 'liang', 'xie', 'song', 'tang', 'han', 'feng', 'deng',
+  'cao', 'peng', 'zeng', 'xiao', 'tian', 'dong', 'yuan', 'pan', 'yu', 'jiang', 'cai', 'jia', 'ding', 'wei',
+  'xue', 'ye', 'yan', 'lu', 'du', 'dai', 'fu', 'fan', 'fang', 'shi', 'su', 'jin', 'qian', 'qiu', 'hou',
+  'shao', 'meng', 'long', 'duan', 'lei', 'tan', 'kong', 'cui', 'mao', 'qin', 'xiong', 'shen', 'lyu', 'gu',
+  'chang', 'cheung', 'chan', 'wong', 'leung', 'lau', 'ng', 'ho', 'tsai', 'hsu', 'kuo', 'liao', 'chiu',
+  'chow', 'yeung', 'tse', 'tsang', 'chu', 'kwok', 'hsieh', 'tsui', 'fung', 'cheng', 'chung',
+  'kim', 'lee', 'park', 'choi', 'jung', 'jeong', 'kang', 'cho', 'jo', 'yoon', 'yun', 'jang', 'lim', 'im',
+  'oh', 'seo', 'shin', 'kwon', 'hwang', 'ahn', 'jeon', 'hong', 'ko', 'moon', 'son', 'bae', 'baek', 'heo',
+  'nam', 'noh', 'ha', 'kwak', 'yoo', 'ryu', 'cha',
+  'sato', 'suzuki', 'takahashi', 'tanaka', 'watanabe', 'ito', 'yamamoto', 'nakamura', 'kobayashi',
+  'kato', 'yoshida', 'yamada', 'sasaki', 'yamaguchi', 'matsumoto', 'inoue', 'kimura', 'hayashi',
+  'shimizu', 'yamazaki', 'mori', 'abe', 'ikeda', 'hashimoto', 'ishikawa', 'ogawa', 'okada', 'goto',
+  'hasegawa', 'murakami', 'kondo', 'ishii', 'saito', 'sakamoto', 'endo', 'aoki', 'fujita', 'nishimura',
+  'fukuda', 'ota', 'miura', 'fujii', 'okamoto', 'matsuda', 'nakagawa', 'nakano', 'harada', 'ono',
+  'tamura', 'takeuchi', 'kaneko', 'wada', 'nakayama', 'ishida', 'ueda', 'morita', 'shibata', 'sakai',
+  'kudo', 'yokoyama', 'miyazaki', 'miyamoto', 'uchida', 'takagi', 'ando', 'taniguchi', 'maruyama',
+  'imai', 'fujiwara', 'murata', 'takeda', 'ueno', 'sugiyama', 'masuda', 'kikuchi', 'nomura', 'arai'
+]);
+
+// One syllable of a romanized Chinese (Pinyin / Wade-Giles), Korean or Japanese given name
+const CJK_SYLLABLE = '(?:(?:zh|ch|sh|ts|tz|hs|kw|ng|[bcdfghjklmnpqrstwxyz])?' +
+  '(?:iang|iong|uang|yeo|ang|eng|ing|ong|ung|ian|iao|uai|uan|yeon|eon|eun|ai|ao|an|ei|en|eo|eu|ae|oe|er|ia|ie|in|iu|ou|ua|uo|ui|un|ue|ya|ye|yo|yu|a|e|i|o|u|y)' +
+  '(?:ng|n|k|l|m|p|t)?)';
+const CJK_GIVEN_NAME_PATTERN = new RegExp('^' + CJK_SYLLABLE + '{1,3}(?:-' + CJK_SYLLABLE + '{1,3})?$', 'i');
+
 class NameParser {
   constructor() {
     this.prefixes = NAME_PREFIXES;
     this.suffixes = NAME_SUFFIXES;
-    this.initialPattern = /^[A-Z]\.?$/;
-    this.initialsPattern = /^[A-Z]\.[A-Z]\.?$/;
+    this.initialPattern = /^\p{Lu}\.?$/u;
+    this.initialsPattern = /^\p{Lu}\.\p{Lu}\.?$/u;
     // Performance optimization: cache parsed names
     this.parseCache = new Map();
     this.cacheMaxSize = 5000;
@@ -17,15 +57,23 @@ class NameParser {
   /**
    * Parse a name string with enhanced logic for specific cases
    * @param {string} rawName - Raw name string
-   * @returns {Object} Parsed name components
+   * @param {Object} options - { fieldMode, locale }
+   *   fieldMode is the Zotero creator field mode (1 = single-field name) and is kept on the result;
+   *   locale ('zh', 'ja', 'ko', ...) enables family-name-first parsing of romanized names
+   * @returns {Object} Parsed name components, plus fieldMode, nameOrder ('given-first' or
+   *   'family-first') and isCJK
    */
-  parse(rawName) {
+  parse(rawName, options = {}) {
+    const fieldMode = options && options.fieldMode ? options.fieldMode : 0;
+    const locale = options && options.locale ? String(options.locale).toLowerCase().slice(0, 2) : '';
+    const cacheKey = fieldMode || locale ? `${rawName}\u0000${fieldMode}\u0000${locale}` : rawName;
+
     // Check cache first
-    if (this.parseCache.has(rawName)) {
-      return this.parseCache.get(rawName);
+    if (this.parseCache.has(cacheKey)) {
+      return this.parseCache.get(cacheKey);
     }
 
-    const result = this._doParse(rawName);
+    const result = this._doParse(rawName, { fieldMode, locale });
 
     // Cache management: simple LRU via size limit
     if (this.parseCache.size >= this.cacheMaxSize) {
@@ -36,18 +84,40 @@ class NameParser {
       }
     }
 
-    this.parseCache.set(rawName, result);
+    this.parseCache.set(cacheKey, result);
     return result;
   }
 
   /**
    * Internal parse implementation
    * @param {string} rawName - Raw name string
+   * @param {Object} options - { fieldMode, locale } as normalized by parse()
    * @returns {Object} Parsed name components
    * @private
    */
-  _doParse(rawName) {
+  _doParse(rawName, options = {}) {
     const original = rawName || '';
+    const fieldMode = options.fieldMode || 0;
+
+    const familyFirst = this.parseFamilyNameFirst(original, options);
+    if (familyFirst) {
+      return Object.assign(familyFirst, { original, fieldMode });
+    }
+
+    const result = this._doParseWestern(original);
+    result.fieldMode = fieldMode;
+    result.nameOrder = 'given-first';
+    result.isCJK = this.isRomanizedCJKName(result.firstName, result.lastName);
+    return result;
+  }
+
+  /**
+   * Parse a name in Western "First Middle Last" order
+   * @param {string} original - Raw name string
+   * @returns {Object} Parsed name components
+   * @private
+   */
+  _doParseWestern(original) {
     let working = (original || '').trim();
     let isInvertedFormat = false;
 
@@ -165,6 +235,123 @@ class NameParser {
     return result;
   }
 
+  /**
+   * Parse names written family name first: CJK script ("王小明", "山田 太郎"), the uppercase
+   * family name convention ("WANG Xiaoming", for known CJK family names or an explicit CJK locale)
+   * and romanized family-first order ("Wang Xiaoming"), which is only assumed for single-field
+   * creators or an explicit CJK locale
+   * @param {string} original - Raw name string
+   * @param {Object} options - { fieldMode, locale }
+   * @returns {Object|null} Parsed name components, or null if the name is in Western order
+   */
+  parseFamilyNameFirst(original, options = {}) {
+    const working = (original || '').trim();
+    if (!working || working.includes(',')) {
+      return null;
+    }
+
+    const build = (familyName, givenName, isCJK) => ({
+      firstName: givenName,
+      middleName: '',
+      lastName: familyName,
+      prefix: '',
+      suffix: '',
+      nameOrder: 'family-first',
+      isCJK
+    });
+
+    if (CJK_PATTERN.test(working)) {
+      const [familyName, givenName] = this.splitCJKScriptName(working);
+      return build(familyName, givenName, true);
+    }
+
+    const tokens = working.split(/\s+/);
+    if (tokens.length < 2) {
+      return null;
+    }
+
+    const cjkContext = options.fieldMode === 1 || CJK_LOCALES.includes(options.locale);
+    const first = tokens[0];
+    const rest = tokens.slice(1);
+    const restHasLowercase = rest.some(token => /\p{Ll}/u.test(token));
+
+    // Uppercase family name in front: "WANG Xiaoming", "YAMADA Taro". Western names are also
+    // typed in capitals ("SMITH John", "LEE Smith"), so without a CJK locale the family name has
+    // to be a known CJK one and the given name has to read as romanized CJK syllables
+    const isUpperWord = token => token.length >= 2 && !token.includes('.') &&
+      /^\p{Lu}[\p{Lu}'-]*$/u.test(token);
+    const looksCJK = this.isRomanizedCJKFamilyName(first) && rest.every(token => CJK_GIVEN_NAME_PATTERN.test(token));
+    if (isUpperWord(first) && restHasLowercase && !rest.some(isUpperWord) &&
+        (CJK_LOCALES.includes(options.locale) || looksCJK)) {
+      return build(first, rest.join(' '), this.isRomanizedCJKFamilyName(first));
+    }
+
+    // Romanized family-first order: "Wang Xiaoming", "Kim Min-jun"
+    if (cjkContext && tokens.length <= 3 && this.isRomanizedCJKFamilyName(first) &&
+        rest.every(token => CJK_GIVEN_NAME_PATTERN.test(token))) {
+      return build(first, rest.join(' '), true);
+    }
+
+    return null;
+  }
+
+  /**
+   * Split a name written in CJK script into family and given name
+   * A space separates them when present ("山田 太郎"); otherwise the family name is the first
+   * character, two characters for known compound family names, Japanese names (kana in the given
+   * name) and names of four or more characters.
+   * @param {string} name - Name in CJK script
+   * @returns {Array<string>} [familyName, givenName]
+   */
+  splitCJKScriptName(name) {
+    const parts = name.split(/[\s\u3000]+/).filter(Boolean);
+    if (parts.length >= 2) {
+      return [parts[0], parts.slice(1).join('')];
+    }
+
+    const characters = Array.from(name);
+    if (characters.length <= 1) {
+      return [name, ''];
+    }
+
+    let familyLength = 1;
+    if (CJK_COMPOUND_FAMILY_NAMES.includes(characters.slice(0, 2).join(''))) {
+      familyLength = 2;
+    } else if (KANA_PATTERN.test(name)) {
+      // The family name is the run of kanji before the kana of the given name
+      familyLength = Math.max(1, characters.findIndex(character => KANA_PATTERN.test(character)));
+    } else if (characters.length >= 4) {
+      familyLength = 2;
+    }
+
+    return [characters.slice(0, familyLength).join(''), characters.slice(familyLength).join('')];
+  }
+
+  /**
+   * Check whether a word is a common romanized Chinese, Korean or Japanese family name
+   * @param {string} word - Word to check
+   * @returns {boolean} True for known family names
+   */
+  isRomanizedCJKFamilyName(word) {
+    return ROMANIZED_CJK_FAMILY_NAMES.has((word || '').toLowerCase());
+  }
+
+  /**
+   * Check whether a Western-order name looks like a romanized CJK name ("Wei Li", "Min-jun Kim"),
+   * whose short given names must not be mistaken for initials
+   * @param {string} firstName - Given name
+   * @param {string} lastName - Family name
+   * @returns {boolean} True if the family name is a known CJK family name and the given name is
+   *   made of romanized syllables
+   */
+  isRomanizedCJKName(firstName, lastName) {
+    if (!firstName || !this.isRomanizedCJKFamilyName(lastName)) {
+      return false;
+    }
+    const tokens = firstName.split(/\s+/).filter(Boolean);
+    return tokens.length > 0 && tokens.every(token => CJK_GIVEN_NAME_PATTERN.test(token));
+  }
+
   /**
    * Check if the next word should be considered part of the prefix
    * @param {string} currentPrefix - Current prefix word 
@@ -46,6 +46,10 @@ import CandidateFinder from './core/candidate-finder.js';
 import ItemProcessor from './zotero/item-processor.js';
 import MenuIntegration from './zotero/menu-integration.js';
 import ZoteroDBAnalyzer from './zotero/zotero-db-analyzer.js';
+import SQLCreatorSource from './zotero/sql-creator-source.js';
+
+// Worker modules
+import AnalysisWorkerClient from './worker/analysis-worker-client.js';
 
 // UI modules
 import NormalizerDialog from './ui/normalizer-dialog.js';
@@ -53,6 +57,8 @@ import BatchProcessor from './ui/batch-processor.js';
 
 // Storage modules
 import DataManager from './storage/data-manager.js';
+import NormalizationJournal from './storage/normalization-journal.js';
+import CreatorIndex from './storage/creator-index.js';
 
 // Create the ZoteroNameNormalizer namespace
 const ZoteroNameNormalizer = {
@@ -63,9 +69,13 @@ const ZoteroNameNormalizer = {
   ItemProcessor,
   MenuIntegration,
   ZoteroDBAnalyzer,
+  SQLCreatorSource,
+  AnalysisWorkerClient,
   NormalizerDialog,
   BatchProcessor,
   DataManager,
+  NormalizationJournal,
+  CreatorIndex,
 };
 
 // Export modules for use in other modules
@@ -77,9 +87,13 @@ export {
   ItemProcessor,
   MenuIntegration,
   ZoteroDBAnalyzer,
+  SQLCreatorSource,
+  AnalysisWorkerClient,
   NormalizerDialog,
   BatchProcessor,
   DataManager,
+  NormalizationJournal,
+  CreatorIndex,
 };
 
 export default ZoteroNameNormalizer;
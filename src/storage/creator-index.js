@@ -0,0 +1,281 @@
+/**
+ * Creator Index - Persists the creators of every analyzed item, keyed by item id and version
+ * Re-analysis reuses the stored entries of unchanged items and only loads items whose
+ * version changed or that a Zotero.Notifier event marked as modified. This saves reading
+ * items from the database; the variant grouping itself still runs over every creator.
+ * In Zotero the index is a file in the data directory, since large libraries exceed the
+ * localStorage quota; localStorage is only used outside Zotero.
+ */
+
+let sharedIndex = null;
+
+class CreatorIndex {
+  constructor() {
+    this.indexKey = 'name_normalizer_creator_index';
+    this.indexFileName = 'name-normalizer-creator-index.json';
+    this.formatVersion = 3;
+    this.entries = {};
+    this.dirtyItemIds = new Set();
+    this.observerId = null;
+    this.lastSaveError = null;
+    this.ready = this.loadIndex();
+  }
+
+  /**
+   * Get the index shared by all analyzers, so Notifier events reach every analysis
+   * @returns {CreatorIndex} Shared index
+   */
+  static getShared() {
+    if (!sharedIndex) {
+      sharedIndex = new CreatorIndex();
+    }
+    return sharedIndex;
+  }
+
+  /**
+   * Get appropriate storage mechanism based on environment
+   * @returns {Object} Storage object with getItem/setItem/removeItem
+   */
+  getStorage() {
+    if (typeof localStorage !== 'undefined') {
+      return localStorage;
+    } else if (typeof window !== 'undefined' && window.localStorage) {
+      return window.localStorage;
+    } else {
+      // For Node.js environment, use a simple in-memory store
+      const globalObj = typeof globalThis !== 'undefined' ? globalThis : (typeof global !== 'undefined' ? global : {});
+      if (!globalObj._nameNormalizerStorage) {
+        globalObj._nameNormalizerStorage = {};
+      }
+      return {
+        getItem: (key) => globalObj._nameNormalizerStorage[key] || null,
+        setItem: (key, value) => { globalObj._nameNormalizerStorage[key] = value; },
+        removeItem: (key) => { delete globalObj._nameNormalizerStorage[key]; }
+      };
+    }
+  }
+
+  /**
+   * Get the path of the index file in the Zotero data directory
+   * @returns {string|null} Path, or null outside Zotero
+   */
+  getIndexFilePath() {
+    if (typeof Zotero === 'undefined' || !Zotero.DataDirectory || !Zotero.DataDirectory.dir ||
+        typeof IOUtils === 'undefined' || typeof PathUtils === 'undefined') {
+      return null;
+    }
+    return PathUtils.join(Zotero.DataDirectory.dir, this.indexFileName);
+  }
+
+  /**
+   * Load index entries from storage, discarding indexes written in an older format
+   * @returns {Promise<void>} Resolves once the entries are loaded
+   */
+  async loadIndex() {
+    const path = this.getIndexFilePath();
+    try {
+      let stored = null;
+      if (path) {
+        // Indexes of earlier versions lived in localStorage; free that space
+        this.getStorage().removeItem(this.indexKey);
+        stored = await IOUtils.exists(path) ? await IOUtils.readUTF8(path) : null;
+      } else {
+        stored = this.getStorage().getItem(this.indexKey);
+      }
+      const parsed = stored ? JSON.parse(stored) : null;
+      this.entries = parsed && parsed.formatVersion === this.formatVersion && parsed.entries ? parsed.entries : {};
+    } catch (error) {
+      console.error('Error loading creator index:', error);
+      this.entries = {};
+    }
+  }
+
+  /**
+   * Save index entries to storage
+   * A failed save is kept as lastSaveError; the next analysis then reloads the items it could not reuse.
+   * @returns {Promise<boolean>} True if saved
+   */
+  async saveIndex() {
+    const path = this.getIndexFilePath();
+    try {
+      const data = JSON.stringify({
+        formatVersion: this.formatVersion,
+        entries: this.entries
+      });
+      if (path) {
+        await IOUtils.writeUTF8(path, data, { tmpPath: path + '.tmp' });
+      } else {
+        this.getStorage().setItem(this.indexKey, data);
+      }
+      this.lastSaveError = null;
+      return true;
+    } catch (error) {
+      console.error('Error saving creator index:', error);
+      this.lastSaveError = error;
+      return false;
+    }
+  }
+
+  /**
+   * Build the version stamp an entry is keyed by
+   * @param {number} version - Item sync version
+   * @param {string} modified - Client modification time
+   * @returns {string} Stamp
+   */
+  createStamp(version, modified) {
+    return (version || 0) + '|' + (modified || '');
+  }
+
+  /**
+   * Read the current version stamp of every item in a library with a single query
+   * @param {number} libraryID - Zotero library id
+   * @returns {Promise<Map|null>} Map of item id to stamp, or null when the database cannot be queried
+   */
+  async fetchItemStamps(libraryID) {
+    if (typeof Zotero === 'undefined' || !Zotero.DB || typeof Zotero.DB.queryAsync !== 'function') {
+      return null;
+    }
+
+    try {
+      const rows = await Zotero.DB.queryAsync(
+        'SELECT itemID, version, clientDateModified FROM items WHERE libraryID=?',
+        [libraryID]
+      );
+      const stamps = new Map();
+      for (const row of rows || []) {
+        stamps.set(row.itemID, this.createStamp(row.version, row.clientDateModified));
+      }
+      return stamps;
+    } catch (error) {
+      console.warn('Unable to read item versions for the creator index:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get an entry if it is still valid for the item's current stamp
+   * @param {number} itemId - Zotero item id
+   * @param {string} stamp - Current stamp of the item
+   * @returns {Object|null} Entry, or null if missing, outdated or marked dirty
+   */
+  getFreshEntry(itemId, stamp) {
+    const entry = this.entries[itemId];
+    if (!entry || !stamp || entry.stamp !== stamp || this.dirtyItemIds.has(itemId)) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Store the entry of a freshly loaded item
+   * @param {number} itemId - Zotero item id
+   * @param {Object} entry - { stamp, libraryID, creators, summary }
+   */
+  setEntry(itemId, entry) {
+    this.entries[itemId] = entry;
+    this.dirtyItemIds.delete(itemId);
+  }
+
+  /**
+   * Remove entries, e.g. for trashed or deleted items
+   * @param {Array<number>} itemIds - Zotero item ids
+   */
+  removeItems(itemIds = []) {
+    for (const itemId of itemIds) {
+      delete this.entries[itemId];
+      this.dirtyItemIds.delete(itemId);
+    }
+  }
+
+  /**
+   * Drop entries of a library whose items no longer exist
+   * @param {number} libraryID - Zotero library id
+   * @param {Map} stamps - Current stamps from fetchItemStamps
+   */
+  prune(libraryID, stamps) {
+    if (!stamps) {
+      return;
+    }
+    for (const itemId of Object.keys(this.entries)) {
+      if (this.entries[itemId].libraryID === libraryID && !stamps.has(Number(itemId))) {
+        delete this.entries[itemId];
+      }
+    }
+  }
+
+  /**
+   * Zotero.Notifier callback: keep the index in step with item changes
+   * @param {string} event - Notifier event (add, modify, trash, delete, ...)
+   * @param {string} type - Object type
+   * @param {Array<number>} ids - Affected item ids
+   */
+  notify(event, type, ids) {
+    if (type !== 'item' || !Array.isArray(ids)) {
+      return;
+    }
+
+    if (event === 'trash' || event === 'delete') {
+      this.removeItems(ids);
+    } else if (event === 'add' || event === 'modify' || event === 'refresh') {
+      for (const itemId of ids) {
+        this.dirtyItemIds.add(itemId);
+      }
+    }
+  }
+
+  /**
+   * Register the Zotero.Notifier observer for item changes
+   * @returns {boolean} True if registered (or already registered)
+   */
+  registerObserver() {
+    if (this.observerId) {
+      return true;
+    }
+    if (typeof Zotero === 'undefined' || !Zotero.Notifier || typeof Zotero.Notifier.registerObserver !== 'function') {
+      return false;
+    }
+
+    this.observerId = Zotero.Notifier.registerObserver(
+      { notify: (event, type, ids) => this.notify(event, type, ids) },
+      ['item'],
+      'nameNormalizerCreatorIndex'
+    );
+    return true;
+  }
+
+  /**
+   * Unregister the Zotero.Notifier observer
+   */
+  unregisterObserver() {
+    if (!this.observerId) {
+      return;
+    }
+    if (typeof Zotero !== 'undefined' && Zotero.Notifier && typeof Zotero.Notifier.unregisterObserver === 'function') {
+      Zotero.Notifier.unregisterObserver(this.observerId);
+    }
+    this.observerId = null;
+  }
+
+  /**
+   * Remove all entries from the index
+   * @returns {Promise<void>} Resolves once the stored index is removed
+   */
+  async clear() {
+    this.entries = {};
+    this.dirtyItemIds.clear();
+    this.getStorage().removeItem(this.indexKey);
+    const path = this.getIndexFilePath();
+    if (path) {
+      try {
+        await IOUtils.remove(path, { ignoreAbsent: true });
+      } catch (error) {
+        console.error('Error removing creator index:', error);
+      }
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CreatorIndex;
+}
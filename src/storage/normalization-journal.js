@@ -0,0 +1,344 @@
+/**
+ * Normalization Journal - Persists a record of every applied normalization run
+ * Each run stores the creators of every touched item before and after the change,
+ * so a run can later be reverted without restoring the whole library.
+ * In Zotero the journal is a file in the data directory, like the creator index, since
+ * large runs exceed the localStorage quota; localStorage is only used outside Zotero.
+ */
+
+let sharedJournal = null;
+
+class NormalizationJournal {
+  constructor() {
+    this.journalKey = 'name_normalizer_undo_journal';
+    this.journalFileName = 'name-normalizer-journal.json';
+    this.maxRuns = 50;
+    this.runs = [];
+    this.lastSaveError = null;
+    this.ready = this.loadRuns();
+  }
+
+  /**
+   * Get the journal shared by all analyzers, so runs recorded by one are listed by the others
+   * @returns {NormalizationJournal} Shared journal
+   */
+  static getShared() {
+    if (!sharedJournal) {
+      sharedJournal = new NormalizationJournal();
+    }
+    return sharedJournal;
+  }
+
+  /**
+   * Get appropriate storage mechanism based on environment
+   * @returns {Object} Storage object with getItem/setItem/removeItem
+   */
+  getStorage() {
+    if (typeof localStorage !== 'undefined') {
+      return localStorage;
+    } else if (typeof window !== 'undefined' && window.localStorage) {
+      return window.localStorage;
+    } else {
+      // For Node.js environment, use a simple in-memory store
+      const globalObj = typeof globalThis !== 'undefined' ? globalThis : (typeof global !== 'undefined' ? global : {});
+      if (!globalObj._nameNormalizerStorage) {
+        globalObj._nameNormalizerStorage = {};
+      }
+      return {
+        getItem: (key) => globalObj._nameNormalizerStorage[key] || null,
+        setItem: (key, value) => { globalObj._nameNormalizerStorage[key] = value; },
+        removeItem: (key) => { delete globalObj._nameNormalizerStorage[key]; }
+      };
+    }
+  }
+
+  /**
+   * Get the path of the journal file in the Zotero data directory
+   * @returns {string|null} Path, or null outside Zotero
+   */
+  getJournalFilePath() {
+    if (typeof Zotero === 'undefined' || !Zotero.DataDirectory || !Zotero.DataDirectory.dir ||
+        typeof IOUtils === 'undefined' || typeof PathUtils === 'undefined') {
+      return null;
+    }
+    return PathUtils.join(Zotero.DataDirectory.dir, this.journalFileName);
+  }
+
+  /**
+   * Load journal runs from storage
+   * Runs kept in localStorage by earlier versions are moved into the journal file.
+   * @returns {Promise<void>} Resolves once the runs are loaded
+   */
+  async loadRuns() {
+    const path = this.getJournalFilePath();
+    try {
+      let parsed;
+      if (path) {
+        const legacy = this.getStorage().getItem(this.journalKey);
+        if (await IOUtils.exists(path)) {
+          parsed = JSON.parse(await IOUtils.readUTF8(path));
+        } else {
+          parsed = legacy ? JSON.parse(legacy) : [];
+        }
+        if (legacy && Array.isArray(parsed)) {
+          this.runs = parsed;
+          if (await this.saveRuns()) {
+            this.getStorage().removeItem(this.journalKey);
+          }
+        }
+      } else {
+        const stored = this.getStorage().getItem(this.journalKey);
+        parsed = stored ? JSON.parse(stored) : [];
+      }
+      this.runs = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      console.error('Error loading normalization journal:', error);
+      this.runs = [];
+    }
+  }
+
+  /**
+   * Reload runs written by another instance; only localStorage can be read synchronously,
+   * the journal file is shared through getShared()
+   */
+  reloadStoredRuns() {
+    if (!this.getJournalFilePath()) {
+      this.loadRuns();
+    }
+  }
+
+  /**
+   * Save journal runs to storage
+   * A failed save is kept as lastSaveError.
+   * @returns {Promise<boolean>} True if saved
+   */
+  async saveRuns() {
+    const path = this.getJournalFilePath();
+    try {
+      const data = JSON.stringify(this.runs);
+      if (path) {
+        await IOUtils.writeUTF8(path, data, { tmpPath: path + '.tmp' });
+      } else {
+        this.getStorage().setItem(this.journalKey, data);
+      }
+      this.lastSaveError = null;
+      return true;
+    } catch (error) {
+      console.error('Error saving normalization journal:', error);
+      this.lastSaveError = error;
+      return false;
+    }
+  }
+
+  /**
+   * Create a unique identifier for a run
+   * @returns {string} Run identifier
+   */
+  createRunId() {
+    const random = Math.random().toString(36).slice(2, 8);
+    return 'run-' + Date.now().toString(36) + '-' + random;
+  }
+
+  /**
+   * Copy creators into plain objects so later edits cannot leak into the journal
+   * @param {Array} creators - Zotero creator objects
+   * @returns {Array} Plain creator snapshots
+   */
+  snapshotCreators(creators) {
+    if (!Array.isArray(creators)) {
+      return [];
+    }
+    return creators.map(creator => (creator ? JSON.parse(JSON.stringify(creator)) : creator));
+  }
+
+  /**
+   * Creator type of a creator, as a name when Zotero can resolve its type ID
+   * @param {Object} creator - Creator object
+   * @returns {string|number|null} Creator type name, type ID, or null when unset
+   */
+  getCreatorType(creator) {
+    if (creator.creatorType) {
+      return creator.creatorType;
+    }
+    if (creator.creatorTypeID === undefined || creator.creatorTypeID === null) {
+      return null;
+    }
+    if (typeof Zotero !== 'undefined' && Zotero.CreatorTypes && typeof Zotero.CreatorTypes.getName === 'function') {
+      return Zotero.CreatorTypes.getName(creator.creatorTypeID) || creator.creatorTypeID;
+    }
+    return creator.creatorTypeID;
+  }
+
+  /**
+   * Check whether two creator lists hold the same creators
+   * Zotero returns creators with its own key order and extra fields (creatorTypeID, fieldMode
+   * only when set), so names, field mode and creator type are compared one by one.
+   * @param {Array} current - Creators currently on the item
+   * @param {Array} recorded - Creators stored in the journal
+   * @returns {boolean} True when every creator matches
+   */
+  creatorsMatch(current, recorded) {
+    const a = Array.isArray(current) ? current : [];
+    const b = Array.isArray(recorded) ? recorded : [];
+    if (a.length !== b.length) {
+      return false;
+    }
+    return a.every((creator, index) => {
+      const other = b[index] || {};
+      creator = creator || {};
+      if ((creator.firstName || '') !== (other.firstName || '') ||
+          (creator.lastName || '') !== (other.lastName || '') ||
+          (creator.fieldMode || 0) !== (other.fieldMode || 0)) {
+        return false;
+      }
+      // A type name and an unresolved type ID cannot be compared, so only like with like
+      const type = this.getCreatorType(creator);
+      const otherType = this.getCreatorType(other);
+      return type === null || otherType === null || typeof type !== typeof otherType || type === otherType;
+    });
+  }
+
+  /**
+   * Record a completed run
+   * @param {Object} run - Run data ({ items, suggestionCount, description })
+   * @returns {Promise<Object|null>} Stored run, or null when nothing was changed
+   * @throws {Error} When the run cannot be saved, so it is never offered for undo
+   */
+  async recordRun(run = {}) {
+    const items = Array.isArray(run.items) ? run.items : [];
+    if (items.length === 0) {
+      return null;
+    }
+
+    // Reload first so runs written by another instance are not overwritten
+    await this.loadRuns();
+    const entry = {
+      id: run.id || this.createRunId(),
+      timestamp: run.timestamp || new Date().toISOString(),
+      description: run.description || '',
+      suggestionCount: run.suggestionCount || 0,
+      items: items.map(item => ({
+        itemId: item.itemId,
+        itemKey: item.itemKey || null,
+        libraryID: item.libraryID ?? null,
+        title: item.title || '',
+        dateModified: item.dateModified || null,
+        before: this.snapshotCreators(item.before),
+        after: this.snapshotCreators(item.after)
+      })),
+      revertedAt: null
+    };
+
+    const previousRuns = this.runs;
+    this.runs = [...this.runs, entry];
+    if (this.runs.length > this.maxRuns) {
+      this.runs = this.runs.slice(this.runs.length - this.maxRuns);
+    }
+    if (!await this.saveRuns()) {
+      this.runs = previousRuns;
+      const reason = this.lastSaveError && this.lastSaveError.message;
+      throw new Error('The normalization run could not be saved for undo' + (reason ? ': ' + reason : ''));
+    }
+    return entry;
+  }
+
+  /**
+   * Get all runs, newest first
+   * @returns {Array} Journal runs
+   */
+  getRuns() {
+    this.reloadStoredRuns();
+    return this.runs.slice().reverse();
+  }
+
+  /**
+   * Get a run by id
+   * @param {string} runId - Run identifier
+   * @returns {Object|null} Run or null if not found
+   */
+  getRun(runId) {
+    this.reloadStoredRuns();
+    return this.runs.find(run => run.id === runId) || null;
+  }
+
+  /**
+   * Get the most recent run that has not been reverted
+   * @returns {Object|null} Run or null if none
+   */
+  getLastRun() {
+    this.reloadStoredRuns();
+    for (let i = this.runs.length - 1; i >= 0; i--) {
+      if (!this.runs[i].revertedAt) {
+        return this.runs[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Mark individual items of a run as reverted, so a partial revert can be retried
+   * @param {string} runId - Run identifier
+   * @param {Array} itemIds - Ids of the items whose creators were restored
+   * @returns {Promise<boolean>} True if the run was found
+   */
+  async markItemsReverted(runId, itemIds = []) {
+    const run = this.getRun(runId);
+    if (!run) {
+      return false;
+    }
+    if (itemIds.length === 0) {
+      return true;
+    }
+    const ids = new Set(itemIds);
+    for (const item of run.items) {
+      if (ids.has(item.itemId)) {
+        item.reverted = true;
+      }
+    }
+    await this.saveRuns();
+    return true;
+  }
+
+  /**
+   * Mark a run as reverted
+   * @param {string} runId - Run identifier
+   * @param {Object} outcome - Revert outcome summary
+   * @returns {Promise<boolean>} True if the run was found
+   */
+  async markReverted(runId, outcome = {}) {
+    const run = this.getRun(runId);
+    if (!run) {
+      return false;
+    }
+    run.revertedAt = new Date().toISOString();
+    run.revertOutcome = {
+      reverted: outcome.reverted || 0,
+      conflicts: outcome.conflicts || 0,
+      missing: outcome.missing || 0
+    };
+    await this.saveRuns();
+    return true;
+  }
+
+  /**
+   * Remove all runs from the journal
+   * @returns {Promise<void>} Resolves once the stored journal is removed
+   */
+  async clear() {
+    this.runs = [];
+    this.getStorage().removeItem(this.journalKey);
+    const path = this.getJournalFilePath();
+    if (path) {
+      try {
+        await IOUtils.remove(path, { ignoreAbsent: true });
+      } catch (error) {
+        console.error('Error removing normalization journal:', error);
+      }
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NormalizationJournal;
+}
@@ -0,0 +1,142 @@
+/**
+ * Evidence that two name forms belong to the same author
+ * A given-name initial alone cannot tell "J. Smith" the co-author of John Smith from "J. Smith" the
+ * co-author of James Smith. The items each form appears on can: shared co-authors, journals and
+ * collections point to one person, publication years decades apart point to two.
+ * buildAuthorProfile summarizes the items of one name form and scoreAuthorEvidence compares two
+ * profiles.
+ * @module utils/author-evidence
+ */
+
+// Score contributions; the total is clamped to -1..1
+const EVIDENCE_WEIGHTS = {
+  sharedCoAuthor: 0.2,
+  noSharedCoAuthor: -0.1,
+  sharedVenue: 0.15,
+  sharedCollection: 0.1,
+  closeYears: 0.1,
+  distantYears: -0.3
+};
+
+// Gaps between publication year ranges, in years
+const CLOSE_YEAR_GAP = 5;
+const DISTANT_YEAR_GAP = 20;
+
+/**
+ * Comparison key of a journal or other venue title
+ * @param {string} title - Venue title
+ * @returns {string} Lowercase words without punctuation
+ */
+function getVenueKey(title) {
+  return (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Summarize the items a name form appears on
+ * @param {Array} items - Item summaries with creatorLastNames, publicationTitle, collections and year
+ * @param {string} surname - The author's own surname, left out of the co-authors
+ * @returns {Object} { coAuthors: Map key -> name, venues: Map key -> title, collections: Set,
+ *   firstYear, lastYear, itemCount }
+ */
+function buildAuthorProfile(items, surname = '') {
+  const ownKey = (surname || '').trim().toLowerCase();
+  const profile = {
+    coAuthors: new Map(),
+    venues: new Map(),
+    collections: new Set(),
+    firstYear: null,
+    lastYear: null,
+    itemCount: 0
+  };
+
+  for (const item of items || []) {
+    if (!item) {
+      continue;
+    }
+    profile.itemCount++;
+    for (const name of item.creatorLastNames || []) {
+      const key = (name || '').trim().toLowerCase();
+      if (key && key !== ownKey && !profile.coAuthors.has(key)) {
+        profile.coAuthors.set(key, name.trim());
+      }
+    }
+    const venueKey = getVenueKey(item.publicationTitle);
+    if (venueKey && !profile.venues.has(venueKey)) {
+      profile.venues.set(venueKey, item.publicationTitle.trim());
+    }
+    (item.collections || []).forEach(collection => profile.collections.add(String(collection)));
+    const year = parseInt(item.year, 10);
+    if (Number.isFinite(year)) {
+      profile.firstYear = profile.firstYear === null ? year : Math.min(profile.firstYear, year);
+      profile.lastYear = profile.lastYear === null ? year : Math.max(profile.lastYear, year);
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Compare the profiles of two name forms
+ * @param {Object} profileA - Result of buildAuthorProfile
+ * @param {Object} profileB - Result of buildAuthorProfile
+ * @returns {Object} { score: -1 (different people) to 1 (same person), 0 without evidence,
+ *   evidence: [readable reasons] }
+ */
+function scoreAuthorEvidence(profileA, profileB) {
+  let score = 0;
+  const evidence = [];
+
+  const sharedCoAuthors = Array.from(profileA.coAuthors.keys()).filter(key => profileB.coAuthors.has(key));
+  if (sharedCoAuthors.length > 0) {
+    score += EVIDENCE_WEIGHTS.sharedCoAuthor * Math.min(2, sharedCoAuthors.length);
+    evidence.push(`shared co-authors: ${sharedCoAuthors.map(key => profileA.coAuthors.get(key)).join(', ')}`);
+  } else if (profileA.coAuthors.size > 0 && profileB.coAuthors.size > 0) {
+    score += EVIDENCE_WEIGHTS.noSharedCoAuthor;
+    evidence.push('no shared co-authors');
+  }
+
+  const sharedVenues = Array.from(profileA.venues.keys()).filter(key => profileB.venues.has(key));
+  if (sharedVenues.length > 0) {
+    score += EVIDENCE_WEIGHTS.sharedVenue;
+    evidence.push(`same journal: ${sharedVenues.map(key => profileA.venues.get(key)).join(', ')}`);
+  }
+
+  if (Array.from(profileA.collections).some(collection => profileB.collections.has(collection))) {
+    score += EVIDENCE_WEIGHTS.sharedCollection;
+    evidence.push('same collection');
+  }
+
+  if (profileA.firstYear !== null && profileB.firstYear !== null) {
+    const gap = Math.max(0, Math.max(profileA.firstYear, profileB.firstYear) - Math.min(profileA.lastYear, profileB.lastYear));
+    if (gap <= CLOSE_YEAR_GAP) {
+      score += EVIDENCE_WEIGHTS.closeYears;
+      evidence.push(gap === 0 ? 'overlapping publication years' : `published within ${gap} year${gap === 1 ? '' : 's'}`);
+    } else if (gap >= DISTANT_YEAR_GAP) {
+      score += EVIDENCE_WEIGHTS.distantYears;
+      evidence.push(`published ${gap} years apart`);
+    }
+  }
+
+  return {
+    score: Math.round(Math.max(-1, Math.min(1, score)) * 100) / 100,
+    evidence
+  };
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EVIDENCE_WEIGHTS,
+    buildAuthorProfile,
+    scoreAuthorEvidence
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.AuthorEvidence = {
+    EVIDENCE_WEIGHTS,
+    buildAuthorProfile,
+    scoreAuthorEvidence
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * Candidate blocking index for fuzzy name comparison
+ * Returns the pairs of names worth comparing in near-linear time instead of comparing every pair.
+ * Two blocking strategies are combined:
+ * - deletion neighbourhoods: every name is filed under the strings left after deleting up to
+ *   maxDistance characters, but never more than half of it (see deletionKeys). Two names within
+ *   maxDistance edits share a block when both have at least 2 * maxDistance + 1 characters;
+ *   shorter names are only paired within floor((length - 1) / 2) edits, so a two-letter name is
+ *   only paired with names that normalize to the same key
+ * - phonetic keys: names that sound alike share a block even when they are further apart
+ * Blocks shared by more names than the block size limits are skipped, because such a key says
+ * little about any one pair. Candidates still have to be verified by the caller with its own
+ * similarity measure.
+ * @module utils/candidate-index
+ */
+
+const { normalizeName } = require('./string-distance');
+
+const SOUNDEX_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+/**
+ * Soundex key of a name (Robert / Rupert -> R163)
+ * @param {string} name - Name to encode
+ * @returns {string} Four-character key, or '' if the name has no letters
+ */
+function phoneticKey(name) {
+  const letters = normalizeName(name).replace(/[^a-z]/g, '');
+  if (!letters) {
+    return '';
+  }
+
+  let key = letters[0].toUpperCase();
+  let previous = SOUNDEX_CODES[letters[0]] || '';
+  for (let i = 1; i < letters.length && key.length < 4; i++) {
+    const letter = letters[i];
+    const code = SOUNDEX_CODES[letter] || '';
+    if (code && code !== previous) {
+      key += code;
+    }
+    // h and w do not separate letters with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') {
+      previous = code;
+    }
+  }
+
+  return key.padEnd(4, '0');
+}
+
+/**
+ * Strings left after deleting up to maxDistance characters from a key
+ * At least half of the key is kept, so short names do not end up in huge one-letter blocks:
+ * the depth is min(maxDistance, floor((length - 1) / 2)), which is 0 for keys of up to two
+ * characters and 1 for keys of three or four.
+ * @param {string} key - Normalized name
+ * @param {number} maxDistance - Maximum number of deletions
+ * @returns {Set<string>} Deletion keys, including the key itself
+ */
+function deletionKeys(key, maxDistance) {
+  const depth = Math.min(maxDistance, Math.floor((key.length - 1) / 2));
+  const keys = new Set([key]);
+  let frontier = [key];
+
+  for (let d = 0; d < depth; d++) {
+    const next = [];
+    for (const value of frontier) {
+      for (let i = 0; i < value.length; i++) {
+        const deleted = value.slice(0, i) + value.slice(i + 1);
+        if (!keys.has(deleted)) {
+          keys.add(deleted);
+          next.push(deleted);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return keys;
+}
+
+class CandidateIndex {
+  /**
+   * @param {Object} options - { maxDistance, usePhonetic, phoneticKeys, maxDeletionBlockSize, maxPhoneticBlockSize }
+   *   maxDistance bounds the edit distance covered by deletion blocks (default 2), usePhonetic adds
+   *   phonetic blocks (default true), phoneticKeys maps a name to its phonetic block keys (default:
+   *   its Soundex key), and deletion or phonetic blocks larger than maxDeletionBlockSize or
+   *   maxPhoneticBlockSize (default 500 each) are ignored
+   */
+  constructor(options = {}) {
+    this.maxDistance = typeof options.maxDistance === 'number' ? options.maxDistance : 2;
+    this.usePhonetic = options.usePhonetic !== false;
+    this.phoneticKeys = typeof options.phoneticKeys === 'function'
+      ? options.phoneticKeys
+      : name => [phoneticKey(name)];
+    this.maxDeletionBlockSize = options.maxDeletionBlockSize || 500;
+    this.maxPhoneticBlockSize = options.maxPhoneticBlockSize || 500;
+    this.names = [];
+    this.deletionBlocks = new Map();
+    this.phoneticBlocks = new Map();
+    // Blocks each name was filed under, so pairs can be collected name by name
+    this.blocksById = [];
+  }
+
+  /**
+   * Add a name to the index
+   * @param {string} name - Name to add
+   * @returns {number} Id of the name (its position in insertion order)
+   */
+  add(name) {
+    const id = this.names.length;
+    const key = normalizeName(name || '').trim();
+    const blocks = { deletion: [], phonetic: [] };
+    this.names.push(name);
+    this.blocksById.push(blocks);
+    if (!key) {
+      return id;
+    }
+
+    for (const deletionKey of deletionKeys(key, this.maxDistance)) {
+      this.addToBlock(this.deletionBlocks, deletionKey, id, blocks.deletion);
+    }
+    if (this.usePhonetic) {
+      for (const phonetic of this.phoneticKeys(key)) {
+        if (phonetic) {
+          this.addToBlock(this.phoneticBlocks, phonetic, id, blocks.phonetic);
+        }
+      }
+    }
+
+    return id;
+  }
+
+  /**
+   * Add several names to the index
+   * @param {Array<string>} names - Names to add
+   * @returns {CandidateIndex} This index
+   */
+  addAll(names) {
+    for (const name of names || []) {
+      this.add(name);
+    }
+    return this;
+  }
+
+  /**
+   * File an id under a block key, once per key
+   * @param {Map} blocks - Block map to update
+   * @param {string} key - Block key
+   * @param {number} id - Name id
+   * @param {Array} filedBlocks - Blocks of the name, the block is appended when the id is filed
+   */
+  addToBlock(blocks, key, id, filedBlocks) {
+    let block = blocks.get(key);
+    if (!block) {
+      block = [];
+      blocks.set(key, block);
+    }
+    if (block[block.length - 1] !== id) {
+      block.push(id);
+      filedBlocks.push(block);
+    }
+  }
+
+  /**
+   * Call back once for every candidate pair
+   * Pairs are collected name by name, so only the candidates of one name are held at a time.
+   * @param {Function} callback - Called with (idA, idB, nameA, nameB), idA < idB, ordered by idA then idB
+   */
+  forEachCandidatePair(callback) {
+    for (let idA = 0; idA < this.names.length; idA++) {
+      const { deletion, phonetic } = this.blocksById[idA];
+      const candidates = new Set();
+      this.collectBlockIds(deletion, this.maxDeletionBlockSize, candidates, idA);
+      this.collectBlockIds(phonetic, this.maxPhoneticBlockSize, candidates, idA);
+
+      for (const idB of Array.from(candidates).sort((a, b) => a - b)) {
+        callback(idA, idB, this.names[idA], this.names[idB]);
+      }
+    }
+  }
+
+  /**
+   * Add the ids of usable blocks to a set
+   * @param {Array<Array<number>>} blocks - Blocks to read
+   * @param {number} maxBlockSize - Larger blocks are skipped
+   * @param {Set<number>} ids - Set to add to
+   * @param {number} afterId - Only ids greater than this are added
+   */
+  collectBlockIds(blocks, maxBlockSize, ids, afterId = -1) {
+    for (const block of blocks) {
+      if (block.length > maxBlockSize) {
+        continue;
+      }
+      for (const id of block) {
+        if (id > afterId) {
+          ids.add(id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Collect every candidate pair
+   * @returns {Array<Array<number>>} Pairs of ids [idA, idB] with idA < idB
+   */
+  getCandidatePairs() {
+    const pairs = [];
+    this.forEachCandidatePair((idA, idB) => pairs.push([idA, idB]));
+    return pairs;
+  }
+
+  /**
+   * Find indexed names that share a block with a name
+   * @param {string} name - Name to look up (does not have to be indexed)
+   * @returns {Array<number>} Ids of candidate names, in insertion order
+   */
+  findCandidates(name) {
+    const key = normalizeName(name || '').trim();
+    const ids = new Set();
+    if (!key) {
+      return [];
+    }
+
+    const deletion = Array.from(deletionKeys(key, this.maxDistance), deletionKey => this.deletionBlocks.get(deletionKey) || []);
+    this.collectBlockIds(deletion, this.maxDeletionBlockSize, ids);
+    if (this.usePhonetic) {
+      const phonetic = this.phoneticKeys(key).map(value => this.phoneticBlocks.get(value) || []);
+      this.collectBlockIds(phonetic, this.maxPhoneticBlockSize, ids);
+    }
+
+    return Array.from(ids).sort((a, b) => a - b);
+  }
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CandidateIndex,
+    deletionKeys,
+    phoneticKey
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.CandidateIndex = {
+    CandidateIndex,
+    deletionKeys,
+    phoneticKey
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * Canonical-form strategies
+ * Each variant group recommends one of its forms. The built-in rules differ per suggestion type
+ * (most used surname spelling, fullest given name, full organization name over acronym); a
+ * strategy replaces them with one rule the reviewer picked: the most frequent form, the fullest
+ * form, the form with diacritics, the form of the most recent publication or the form an authority
+ * list names. Ties and groups without the evidence a rule needs fall back to the most frequent form.
+ * @module utils/canonical-form
+ */
+
+const CANONICAL_FORM_STRATEGIES = ['frequency', 'fullest', 'diacritics', 'recent', 'authority'];
+
+const CANONICAL_FORM_STRATEGY_LABELS = {
+  frequency: 'Most frequent form',
+  fullest: 'Fullest form',
+  diacritics: 'Form with diacritics',
+  recent: 'Most recent publication',
+  authority: 'Authority list'
+};
+
+/**
+ * Comparison key of a name on an authority list
+ * @param {string} name - Name as written
+ * @returns {string} Lowercase NFC name with single spaces
+ */
+function getAuthorityKey(name) {
+  return (name || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Number of letters that carry diacritics ("Müller" 1, "Łódź" 3)
+ * @param {string} value - Name
+ * @returns {number} Letters that change when their accents are removed
+ */
+function countDiacritics(value) {
+  return Array.from((value || '').normalize('NFC'))
+    .filter(char => char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[łŁøØđĐ]/, '') !== char)
+    .length;
+}
+
+/**
+ * How complete a name is: full words count before initials, then letters
+ * @param {string} value - Name
+ * @returns {Array<number>} [full words, letters]
+ */
+function getFullness(value) {
+  const words = (value || '').split(/[\s-]+/).filter(Boolean);
+  const fullWords = words.filter(word => word.replace(/\./g, '').length > 1 && !word.endsWith('.')).length;
+  return [fullWords, (value || '').replace(/[^\p{L}]/gu, '').length];
+}
+
+/**
+ * Latest publication year of a form's items
+ * @param {Array} items - Item summaries with year
+ * @returns {number|null} Year, or null without dated items
+ */
+function getLatestYear(items) {
+  const years = (items || []).map(item => parseInt(item && item.year, 10)).filter(Number.isFinite);
+  return years.length > 0 ? Math.max(...years) : null;
+}
+
+/**
+ * Pick the canonical form of a group
+ * @param {Array} candidates - Forms of { value, frequency, items, authorityForms }; authorityForms
+ *   are the spellings looked up on the authority list (value when omitted)
+ * @param {string} strategy - One of CANONICAL_FORM_STRATEGIES
+ * @param {Object} options - { authorityNames: names of the authority list }
+ * @returns {Object|null} { candidate, explanation }, or null without candidates
+ */
+function selectCanonicalForm(candidates, strategy, options = {}) {
+  const forms = (candidates || []).filter(candidate => candidate && candidate.value);
+  if (forms.length === 0) {
+    return null;
+  }
+
+  const authority = new Set((options.authorityNames || []).map(getAuthorityKey).filter(Boolean));
+  const onAuthorityList = candidate => (candidate.authorityForms || [candidate.value])
+    .some(form => authority.has(getAuthorityKey(form)));
+  const keys = {
+    frequency: candidate => [candidate.frequency || 0, ...getFullness(candidate.value)],
+    fullest: candidate => [...getFullness(candidate.value), candidate.frequency || 0],
+    diacritics: candidate => [countDiacritics(candidate.value), candidate.frequency || 0, ...getFullness(candidate.value)],
+    recent: candidate => [getLatestYear(candidate.items) || 0, candidate.frequency || 0, ...getFullness(candidate.value)],
+    authority: candidate => [onAuthorityList(candidate) ? 1 : 0, candidate.frequency || 0, ...getFullness(candidate.value)]
+  };
+  const key = keys[strategy] || keys.frequency;
+  const compare = (a, b) => {
+    const keyA = key(a);
+    const keyB = key(b);
+    for (let i = 0; i < keyA.length; i++) {
+      if (keyA[i] !== keyB[i]) {
+        return keyB[i] - keyA[i];
+      }
+    }
+    return a.value.localeCompare(b.value);
+  };
+  const candidate = forms.slice().sort(compare)[0];
+
+  const occurrences = `${candidate.frequency || 0} occurrence${candidate.frequency === 1 ? '' : 's'}`;
+  const fallback = `most frequent form (${occurrences})`;
+  let explanation;
+  if (strategy === 'fullest') {
+    explanation = 'fullest form: full names before initials, then the longest';
+  } else if (strategy === 'diacritics') {
+    explanation = countDiacritics(candidate.value) > 0
+      ? 'keeps the diacritics'
+      : `no form has diacritics, so the ${fallback}`;
+  } else if (strategy === 'recent') {
+    const year = getLatestYear(candidate.items);
+    explanation = year ? `used on the most recent publication (${year})` : `no dated items, so the ${fallback}`;
+  } else if (strategy === 'authority') {
+    explanation = onAuthorityList(candidate)
+      ? 'on the authority list'
+      : `no form is on the authority list, so the ${fallback}`;
+  } else {
+    explanation = fallback;
+  }
+
+  return { candidate, explanation };
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CANONICAL_FORM_STRATEGIES,
+    CANONICAL_FORM_STRATEGY_LABELS,
+    getAuthorityKey,
+    countDiacritics,
+    selectCanonicalForm
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.CanonicalForm = {
+    CANONICAL_FORM_STRATEGIES,
+    CANONICAL_FORM_STRATEGY_LABELS,
+    getAuthorityKey,
+    countDiacritics,
+    selectCanonicalForm
+  };
+}
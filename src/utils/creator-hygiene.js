@@ -0,0 +1,249 @@
+/**
+ * Detection and repair of malformed creator entries
+ * Bad imports leave junk in creator fields: conjunctions ("and Friston"), "et al.", stray commas,
+ * affiliation fragments and markers ("Smith, Department of Psychology", "Smith1,2"), email
+ * addresses, ORCID URLs, or several people packed into one creator ("Smith, J. and Jones, K.").
+ * detectCreatorIssues reports what is wrong with a creator and the creators it should become.
+ * @module utils/creator-hygiene
+ */
+
+const { isLikelyOrganizationName } = require('./organization-names');
+
+const EMAIL_PATTERN = /\s*<?[^\s<>@(),;]+@[^\s<>@(),;]+\.[a-z]{2,}>?/gi;
+const ORCID_PATTERN = /\s*(?:https?:\/\/)?(?:www\.)?(?:orcid\.org\/)?(\d{4}-\d{4}-\d{4}-\d{3}[\dX])\b/gi;
+const ET_AL_PATTERN = /[\s,]*\b(?:et(?:\.\s*|\s+)al(?:ii)?\.?|and\s+others)(?=[\s,;.]|$)/gi;
+const MARKER_PATTERN = /(\p{L})\s*[*†‡§¹²³⁴-⁹⁰]*(?:\d+(?:\s*,\s*\d+)*)?[*†‡§¹²³⁴-⁹⁰]*$/u;
+const CONJUNCTION_PATTERN = '(?:and|&|und)';
+const LEADING_CONJUNCTION = new RegExp(`^${CONJUNCTION_PATTERN}\\s+`, 'i');
+const TRAILING_CONJUNCTION = new RegExp(`\\s+${CONJUNCTION_PATTERN}$`, 'i');
+const LONE_CONJUNCTION = new RegExp(`^${CONJUNCTION_PATTERN}$`, 'i');
+const PERSON_SEPARATOR = new RegExp(`\\s+${CONJUNCTION_PATTERN}\\s+|\\s*;\\s*`, 'i');
+
+// Words that mark the rest of a field as an affiliation
+const AFFILIATION_PATTERN = /\b(?:university|universit[äéà]t?|department|dept|institute|institut|hospital|school|college|laborator(?:y|ies)|faculty|centre|center|division|unit|clinic)\b/i;
+
+// Issue codes in the order they are reported
+const ISSUE_TYPES = ['email', 'orcid', 'et-al', 'affiliation', 'multiple-persons', 'conjunction', 'punctuation'];
+
+/**
+ * Simple given-first name split used when no parser is passed in
+ * @param {string} name - "First Middle Last"
+ * @returns {Object} { firstName, lastName }
+ */
+function splitGivenFirst(name) {
+  const tokens = name.trim().split(/\s+/);
+  return { firstName: tokens.slice(0, -1).join(' '), lastName: tokens[tokens.length - 1] || '' };
+}
+
+/**
+ * Remove junk from one creator field
+ * @param {string} value - Field value
+ * @param {Set} issues - Collects issue codes
+ * @param {Object} found - Collects { orcid, email } values that were removed
+ * @returns {string} Cleaned value (punctuation and conjunctions are left for later)
+ */
+function removeJunk(value, issues, found) {
+  let result = value || '';
+
+  result = result.replace(EMAIL_PATTERN, match => {
+    issues.add('email');
+    found.email = found.email || match.trim().replace(/^<|>$/g, '');
+    return '';
+  });
+  result = result.replace(ORCID_PATTERN, (match, id) => {
+    issues.add('orcid');
+    found.orcid = found.orcid || id.toUpperCase();
+    return '';
+  });
+  result = result.replace(ET_AL_PATTERN, () => {
+    issues.add('et-al');
+    return '';
+  });
+
+  // Parenthesized and comma-separated affiliation fragments
+  result = result.replace(/\s*\(([^()]*)\)/g, (match, inner) => {
+    if (AFFILIATION_PATTERN.test(inner)) {
+      issues.add('affiliation');
+      return '';
+    }
+    return match;
+  });
+  const segments = result.split(',');
+  const affiliationIndex = segments.findIndex((segment, index) => index > 0 && AFFILIATION_PATTERN.test(segment));
+  if (affiliationIndex > 0) {
+    issues.add('affiliation');
+    result = segments.slice(0, affiliationIndex).join(',');
+  }
+
+  // Footnote markers after a name ("Smith1,2", "Smith*")
+  const trimmed = result.trim();
+  const marked = trimmed.match(MARKER_PATTERN);
+  if (marked && marked[0].length > marked[1].length) {
+    issues.add('affiliation');
+    result = trimmed.slice(0, trimmed.length - marked[0].length) + marked[1];
+  }
+
+  return result;
+}
+
+/**
+ * Strip stray conjunctions and punctuation at the ends of a field
+ * @param {string} value - Field value
+ * @param {Set} issues - Collects issue codes
+ * @returns {string} Tidied value
+ */
+function tidyField(value, issues) {
+  let result = (value || '').replace(/\s+/g, ' ').trim();
+
+  let previous;
+  do {
+    previous = result;
+    const withoutPunctuation = result.replace(/^[,;:]+\s*|\s*[,;:]+$/g, '').trim();
+    if (withoutPunctuation !== result) {
+      issues.add('punctuation');
+      result = withoutPunctuation;
+    }
+    const withoutConjunction = result
+      .replace(LEADING_CONJUNCTION, '')
+      .replace(TRAILING_CONJUNCTION, '')
+      .replace(LONE_CONJUNCTION, '')
+      .trim();
+    if (withoutConjunction !== result) {
+      issues.add('conjunction');
+      result = withoutConjunction;
+    }
+  } while (result !== previous);
+
+  return result;
+}
+
+/**
+ * Split a field that holds several people ("Smith, J. and Jones, K.", "John Smith; Jane Doe")
+ * @param {string} raw - Combined name
+ * @param {Function} parseName - Name parser returning { firstName, middleName, lastName }
+ * @returns {Array|null} Creators as { firstName, lastName }, or null if it is not a list of people
+ */
+function splitPackedNames(raw, parseName) {
+  const parts = raw.split(PERSON_SEPARATOR).map(part => part.trim()).filter(Boolean);
+  if (parts.length < 2) {
+    return null;
+  }
+
+  const people = [];
+  for (const part of parts) {
+    if (!/\p{L}{2,}/u.test(part)) {
+      return null;
+    }
+    const commaIndex = part.indexOf(',');
+    if (commaIndex > 0) {
+      people.push({
+        lastName: part.slice(0, commaIndex).trim(),
+        firstName: part.slice(commaIndex + 1).replace(/,/g, ' ').replace(/\s+/g, ' ').trim()
+      });
+    } else if (part.split(/\s+/).length >= 2) {
+      const parsed = parseName(part);
+      people.push({
+        firstName: [parsed.firstName, parsed.middleName].filter(Boolean).join(' '),
+        lastName: parsed.lastName || ''
+      });
+    } else {
+      return null;
+    }
+  }
+
+  return people.every(person => person.lastName) ? people : null;
+}
+
+/**
+ * Check whether a field lists several people, each written "Last, First"
+ * @param {string} value - Field value
+ * @returns {boolean} True for "Smith, J. and Jones, K."
+ */
+function holdsCompletePersons(value) {
+  const parts = value.split(PERSON_SEPARATOR).map(part => part.trim()).filter(Boolean);
+  return parts.length >= 2 && parts.every(part => /^[^,]*\p{L}[^,]*,\s*\p{L}/u.test(part));
+}
+
+/**
+ * Detect malformed creator fields and propose the creators that should replace them
+ * @param {Object} creator - Creator with firstName, lastName and fieldMode
+ * @param {Object} options - { parseName: name parser for split names, allowSplit: false for
+ *   creators known to be organizations }
+ * @returns {Object|null} { issues, creators, orcid, email } where creators is the replacement
+ *   list (empty to remove the creator), or null if the creator is clean
+ */
+function detectCreatorIssues(creator, options = {}) {
+  if (!creator) {
+    return null;
+  }
+  const parseName = options.parseName || splitGivenFirst;
+  const fieldMode = creator.fieldMode === 1 ? 1 : 0;
+  const issues = new Set();
+  const found = {};
+
+  const firstName = removeJunk(creator.firstName, issues, found);
+  const lastName = removeJunk(creator.lastName, issues, found);
+
+  // Several people in one creator
+  if (options.allowSplit !== false) {
+    let raw = '';
+    if (fieldMode === 1 || holdsCompletePersons(tidyField(lastName, new Set()))) {
+      // "Smith, J. and Jones, K." in the last name already names everyone; the first name
+      // field then only repeats an initial of the first person
+      raw = lastName;
+    } else if (firstName.includes(',')) {
+      raw = `${lastName}, ${firstName}`;
+    } else {
+      raw = `${firstName} ${lastName}`;
+    }
+    raw = tidyField(raw, new Set());
+    const people = isLikelyOrganizationName(raw) ? null : splitPackedNames(raw, parseName);
+    if (people) {
+      issues.add('multiple-persons');
+      return buildResult(issues, people.map(person => ({ ...person, fieldMode: 0 })), found);
+    }
+  }
+
+  const cleaned = {
+    firstName: fieldMode === 1 ? '' : tidyField(firstName, issues),
+    lastName: tidyField(lastName, issues),
+    fieldMode
+  };
+
+  if (issues.size === 0) {
+    return null;
+  }
+  return buildResult(issues, cleaned.lastName || cleaned.firstName ? [cleaned] : [], found);
+}
+
+/**
+ * Assemble the result of detectCreatorIssues
+ * @param {Set} issues - Issue codes
+ * @param {Array} creators - Replacement creators
+ * @param {Object} found - { orcid, email } removed from the fields
+ * @returns {Object} Result with issues in ISSUE_TYPES order
+ */
+function buildResult(issues, creators, found) {
+  return {
+    issues: ISSUE_TYPES.filter(type => issues.has(type)),
+    creators,
+    orcid: found.orcid || null,
+    email: found.email || null
+  };
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ISSUE_TYPES,
+    detectCreatorIssues
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.CreatorHygiene = {
+    ISSUE_TYPES,
+    detectCreatorIssues
+  };
+}
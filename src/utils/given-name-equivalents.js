@@ -0,0 +1,144 @@
+/**
+ * Given-name equivalences
+ * "Bill" and "William", "Wojtek" and "Wojciech", "Hans" and "Johannes" or "Johann" and "Jan" name
+ * the same given name. The built-in equivalences are a loadable resource
+ * (data/given-name-equivalents.json) with one section per language; reviewers add their own on
+ * top of them (LearningEngine.recordGivenNameEquivalent). Every name that is linked to another,
+ * directly or through a shared form, gets the same canonical key.
+ * @module utils/given-name-equivalents
+ */
+
+const GIVEN_NAME_EQUIVALENTS = require('../data/given-name-equivalents.json');
+
+/**
+ * Lookup key of a given name
+ * @param {string} name - Given name as written
+ * @returns {string} Lowercase name without surrounding spaces and dots
+ */
+function getGivenNameKey(name) {
+  return (name || '').trim().replace(/\.+$/, '').toLowerCase();
+}
+
+/**
+ * Key of a given name without diacritics, so "Jozef" finds "józef"
+ * @param {string} key - Result of getGivenNameKey
+ * @returns {string} Folded key
+ */
+function foldGivenNameKey(key) {
+  return key.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ł/g, 'l');
+}
+
+/**
+ * Build the lookup table of a set of equivalences
+ * Names are joined into classes; a class is keyed by the first of its names that was read, so the
+ * English sections keep their canonical names and user entries join existing classes.
+ * @param {Object} resource - Equivalence resource with sections of { label, names: { canonical:
+ *   [forms] } }; the built-in resource when omitted
+ * @param {Array} overlay - User equivalences of { name, equivalent }
+ * @returns {Map} Lookup key -> canonical key, with diacritic-free keys added
+ */
+function buildGivenNameEquivalenceTable(resource = GIVEN_NAME_EQUIVALENTS, overlay = []) {
+  const parent = new Map();
+  const rank = new Map();
+  const find = key => {
+    let root = key;
+    while (parent.get(root) !== root) {
+      root = parent.get(root);
+    }
+    parent.set(key, root);
+    return root;
+  };
+  const add = name => {
+    const key = getGivenNameKey(name);
+    if (key && !parent.has(key)) {
+      parent.set(key, key);
+      rank.set(key, rank.size);
+    }
+    return key;
+  };
+  // The root read first stays the class key
+  const join = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      if (rank.get(rootA) < rank.get(rootB)) {
+        parent.set(rootB, rootA);
+      } else {
+        parent.set(rootA, rootB);
+      }
+    }
+  };
+
+  for (const section of Object.values((resource && resource.sections) || {})) {
+    for (const [canonical, forms] of Object.entries(section.names || {})) {
+      const canonicalKey = add(canonical);
+      if (!canonicalKey) {
+        continue;
+      }
+      for (const form of forms || []) {
+        const key = add(form);
+        if (key) {
+          join(canonicalKey, key);
+        }
+      }
+    }
+  }
+
+  for (const entry of overlay || []) {
+    if (!entry) {
+      continue;
+    }
+    // The equivalent is the preferred form, so it is read first
+    const equivalentKey = add(entry.equivalent);
+    const nameKey = add(entry.name);
+    if (equivalentKey && nameKey) {
+      join(equivalentKey, nameKey);
+    }
+  }
+
+  const table = new Map();
+  for (const key of parent.keys()) {
+    table.set(key, find(key));
+  }
+  for (const key of parent.keys()) {
+    const folded = foldGivenNameKey(key);
+    if (!table.has(folded)) {
+      table.set(folded, find(key));
+    }
+  }
+  return table;
+}
+
+/**
+ * Canonical key of a given name
+ * @param {Map} table - Result of buildGivenNameEquivalenceTable
+ * @param {string} name - Given name as written
+ * @returns {string|null} Canonical key, or null if the name has no known equivalents
+ */
+function lookupGivenNameEquivalent(table, name) {
+  const key = getGivenNameKey(name);
+  if (!key || !table) {
+    return null;
+  }
+  return table.get(key) || table.get(foldGivenNameKey(key)) || null;
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GIVEN_NAME_EQUIVALENTS,
+    getGivenNameKey,
+    buildGivenNameEquivalenceTable,
+    lookupGivenNameEquivalent
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.GivenNameEquivalents = {
+    GIVEN_NAME_EQUIVALENTS,
+    getGivenNameKey,
+    buildGivenNameEquivalenceTable,
+    lookupGivenNameEquivalent
+  };
+}
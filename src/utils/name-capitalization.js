@@ -0,0 +1,119 @@
+/**
+ * Capitalization rules for personal names
+ * ALL-CAPS and all-lowercase names from PubMed or Scopus exports ("MCDONALD", "O'BRIEN",
+ * "VAN DER WAALS", "de la cruz") are rewritten in their usual form: Mc/Mac and O'/D' prefixes keep
+ * the following letter capitalized, each part of a hyphenated name is capitalized, initials and
+ * roman numerals stay uppercase and surname particles stay lowercase ("van der Waals").
+ * @module utils/name-capitalization
+ */
+
+const { NAME_PREFIXES } = require('../config/name-constants');
+
+// Lowercase particles: the lowercase entries of NAME_PREFIXES plus the second words of compound
+// particles ("van der", "van den", "von zu") and Italian and Iberian forms
+const NAME_PARTICLES = new Set([
+  ...NAME_PREFIXES.filter(prefix => prefix === prefix.toLowerCase()),
+  'der', 'den', 'ter', 'ten', 'het', 'zu', 'zum', 'zur', 'della', 'delle', 'dei', 'degli', 'y', 'e'
+]);
+
+// Surnames that start with "Mac" but do not capitalize the following letter
+const MAC_EXCEPTIONS = new Set([
+  'macaluso', 'macedo', 'machado', 'machiavelli', 'machin', 'macias', 'mackay', 'mackey', 'mackie',
+  'macleod', 'macri', 'macro'
+]);
+
+const INITIALS_PATTERN = /^(?:\p{L}\.)+$|^\p{L}$/u;
+const ROMAN_NUMERAL_PATTERN = /^(?:II|III|IV|VI|VII|VIII|IX|X)\.?$/i;
+
+/**
+ * Uppercase the first letter of a word and lowercase the rest
+ * @param {string} word - Word
+ * @returns {string} Capitalized word
+ */
+function capitalizeWord(word) {
+  const lowered = word.toLowerCase();
+  return lowered.replace(/\p{L}/u, letter => letter.toUpperCase());
+}
+
+/**
+ * Capitalize one hyphen-free part of a name, applying the O'/D' and Mc/Mac rules
+ * @param {string} part - Part of a name
+ * @returns {string} Capitalized part
+ */
+function capitalizePart(part) {
+  const lowered = part.toLowerCase();
+
+  const elided = lowered.match(/^(\p{L}{1,2})(['’])(\p{L}.*)$/u);
+  if (elided) {
+    return capitalizeWord(elided[1]) + elided[2] + capitalizeWord(elided[3]);
+  }
+  const mc = lowered.match(/^mc(\p{L}{2,})$/u);
+  if (mc) {
+    return 'Mc' + capitalizeWord(mc[1]);
+  }
+  const mac = lowered.match(/^mac(\p{L}{4,})$/u);
+  if (mac && !MAC_EXCEPTIONS.has(lowered)) {
+    return 'Mac' + capitalizeWord(mac[1]);
+  }
+  return capitalizeWord(lowered);
+}
+
+/**
+ * Rewrite a name in its usual capitalization
+ * @param {string} name - Name as stored
+ * @param {Object} options - { role: 'surname' (default) keeps particles before the last word
+ *   lowercase; 'given' capitalizes every word }
+ * @returns {string} Capitalized name
+ */
+function capitalizeName(name, options = {}) {
+  const role = options.role || 'surname';
+  const words = (name || '').trim().split(/\s+/).filter(Boolean);
+
+  return words.map((word, index) => {
+    if (role === 'surname' && index < words.length - 1 && NAME_PARTICLES.has(word.toLowerCase())) {
+      return word.toLowerCase();
+    }
+    if (INITIALS_PATTERN.test(word)) {
+      return word.toUpperCase();
+    }
+    if (index > 0 && ROMAN_NUMERAL_PATTERN.test(word)) {
+      return word.toUpperCase();
+    }
+    return word.split('-').map(part => (part ? capitalizePart(part) : part)).join('-');
+  }).join(' ');
+}
+
+/**
+ * Check whether a name is written in one case only and should be recapitalized
+ * Mixed-case names are left alone, since their capitalization may be deliberate ("deGrasse").
+ * @param {string} name - Name as stored
+ * @returns {boolean} True for ALL-CAPS or all-lowercase names with at least two letters in a row
+ */
+function needsCaseNormalization(name) {
+  const value = (name || '').trim();
+  if (!/\p{L}{2,}/u.test(value)) {
+    return false;
+  }
+  const letters = value.replace(/[^\p{L}]/gu, '');
+  const isUpper = letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+  const isLower = letters === letters.toLowerCase() && letters !== letters.toUpperCase();
+  return isUpper || isLower;
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NAME_PARTICLES,
+    capitalizeName,
+    needsCaseNormalization
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.NameCapitalization = {
+    NAME_PARTICLES,
+    capitalizeName,
+    needsCaseNormalization
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Storage policies for surname particles
+ * The same surname may be stored as "van der Waals", "Van der Waals" or, with the particle after
+ * the given name, "Waals, J. D. van der". A particle policy picks one of these forms:
+ * - 'lowercase': particle kept in lastName, lowercase ("van der Waals")
+ * - 'capitalized': particle kept in lastName, first particle capitalized ("Van der Waals")
+ * - 'given-name': particle stored after the given name ("J. D. van der" / "Waals"), the form
+ *   citation processors read as a particle that is dropped when sorting by surname
+ * @module utils/name-particles
+ */
+
+const { NAME_PARTICLES } = require('./name-capitalization');
+
+const PARTICLE_POLICIES = ['lowercase', 'capitalized', 'given-name'];
+
+/**
+ * Check whether a word is a surname particle
+ * @param {string} word - Word to check
+ * @param {Object} options - { allowSingleLetter: false rejects "d", "e", "y", which after a
+ *   given name are more likely initials written without a period }
+ * @returns {boolean} True for particles
+ */
+function isParticle(word, options = {}) {
+  const lowered = (word || '').toLowerCase();
+  if (!NAME_PARTICLES.has(lowered)) {
+    return false;
+  }
+  return options.allowSingleLetter !== false || lowered.length > 1;
+}
+
+/**
+ * Split a creator's particles from its given name and surname
+ * Particles are read from the start of lastName ("van der Waals") or, when lastName has none,
+ * from the end of firstName ("J. D. van der").
+ * @param {string} firstName - Given name field
+ * @param {string} lastName - Last name field
+ * @returns {Object|null} { givenName, particles: [words as written], surname, inGivenName }, or
+ *   null if the creator has no particles
+ */
+function splitSurnameParticles(firstName, lastName) {
+  const lastWords = (lastName || '').trim().split(/\s+/).filter(Boolean);
+  let count = 0;
+  while (count < lastWords.length - 1 && isParticle(lastWords[count])) {
+    count++;
+  }
+  if (count > 0) {
+    return {
+      givenName: (firstName || '').trim(),
+      particles: lastWords.slice(0, count),
+      surname: lastWords.slice(count).join(' '),
+      inGivenName: false
+    };
+  }
+
+  const firstWords = (firstName || '').trim().split(/\s+/).filter(Boolean);
+  let start = firstWords.length;
+  while (start > 1 && isParticle(firstWords[start - 1], { allowSingleLetter: false })) {
+    start--;
+  }
+  if (start < firstWords.length && lastWords.length > 0) {
+    return {
+      givenName: firstWords.slice(0, start).join(' '),
+      particles: firstWords.slice(start),
+      surname: lastWords.join(' '),
+      inGivenName: true
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Comparison key shared by every stored form of the same particle surname
+ * @param {Object} parts - Result of splitSurnameParticles
+ * @returns {string} Lowercase "particles surname" ("van der waals")
+ */
+function getParticleKey(parts) {
+  return [...parts.particles, parts.surname].join(' ').toLowerCase();
+}
+
+/**
+ * Policy a stored form follows
+ * @param {string} firstName - Given name field
+ * @param {string} lastName - Last name field
+ * @returns {string|null} One of PARTICLE_POLICIES, or null if the creator has no particles
+ */
+function detectParticlePolicy(firstName, lastName) {
+  const parts = splitSurnameParticles(firstName, lastName);
+  if (!parts) {
+    return null;
+  }
+  if (parts.inGivenName) {
+    return 'given-name';
+  }
+  return /^\p{Lu}/u.test(parts.particles[0]) ? 'capitalized' : 'lowercase';
+}
+
+/**
+ * Write a creator's particles the way a policy stores them
+ * @param {Object} parts - Result of splitSurnameParticles
+ * @param {string} policy - One of PARTICLE_POLICIES
+ * @returns {Object} { firstName, lastName }
+ */
+function applyParticlePolicy(parts, policy) {
+  const particles = parts.particles.map(particle => particle.toLowerCase());
+  if (policy === 'given-name') {
+    return {
+      firstName: [parts.givenName, ...particles].filter(Boolean).join(' '),
+      lastName: parts.surname
+    };
+  }
+  if (policy === 'capitalized') {
+    particles[0] = particles[0].charAt(0).toUpperCase() + particles[0].slice(1);
+  }
+  return {
+    firstName: parts.givenName,
+    lastName: [...particles, parts.surname].join(' ')
+  };
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PARTICLE_POLICIES,
+    isParticle,
+    splitSurnameParticles,
+    getParticleKey,
+    detectParticlePolicy,
+    applyParticlePolicy
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.NameParticles = {
+    PARTICLE_POLICIES,
+    isParticle,
+    splitSurnameParticles,
+    getParticleKey,
+    detectParticlePolicy,
+    applyParticlePolicy
+  };
+}
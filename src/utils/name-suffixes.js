@@ -0,0 +1,142 @@
+/**
+ * Placement of generational suffixes
+ * "Jr.", "Sr.", roman numerals and the Portuguese and Brazilian "Filho", "Neto", "Sobrinho" and
+ * "Júnior" end up at the end of the given name in some items ("Martin Luther, Jr." / "King"), at
+ * the end of the last name in others ("Martin Luther" / "King Jr.") and, from bad imports, alone in
+ * the last name field ("Martin Luther King" / "Jr."). A suffix position picks one stored form:
+ * - 'given-name': appended to the given name after a comma ("Martin Luther, Jr." / "King"), the
+ *   form CSL processors read as a suffix
+ * - 'last-name': appended to the last name ("Martin Luther" / "King Jr.")
+ * @module utils/name-suffixes
+ */
+
+const SUFFIX_POSITIONS = ['given-name', 'last-name'];
+
+// Keys are lowercase without periods or diacritics; values are the written forms
+const GENERATIONAL_SUFFIXES = {
+  jr: 'Jr.',
+  jnr: 'Jnr.',
+  sr: 'Sr.',
+  snr: 'Snr.',
+  ii: 'II',
+  iii: 'III',
+  iv: 'IV',
+  v: 'V',
+  filho: 'Filho',
+  neto: 'Neto',
+  sobrinho: 'Sobrinho',
+  junior: 'Júnior'
+};
+
+// Suffixes that are also common initials or names: they only count after a comma, never alone
+const COMMA_ONLY_SUFFIXES = new Set(['v', 'junior']);
+
+/**
+ * Comparison key of a suffix
+ * @param {string} word - Suffix as written
+ * @returns {string} Lowercase key without periods or diacritics ("Júnior" → "junior")
+ */
+function getSuffixKey(word) {
+  return (word || '').normalize('NFD').replace(/[\u0300-\u036f.]/g, '').toLowerCase();
+}
+
+/**
+ * Check whether a word is a generational suffix
+ * @param {string} word - Word to check
+ * @returns {boolean} True for generational suffixes
+ */
+function isGenerationalSuffix(word) {
+  return Object.prototype.hasOwnProperty.call(GENERATIONAL_SUFFIXES, getSuffixKey(word));
+}
+
+/**
+ * Split a trailing suffix from a field value
+ * @param {string} value - Field value
+ * @returns {Object|null} { rest, suffix }, or null if the value does not end with a suffix
+ */
+function splitTrailingSuffix(value) {
+  const match = (value || '').trim().match(/^(.*?\S)(\s*,\s*|\s+)(\S+)$/u);
+  if (!match || !isGenerationalSuffix(match[3])) {
+    return null;
+  }
+  if (COMMA_ONLY_SUFFIXES.has(getSuffixKey(match[3])) && !match[2].includes(',')) {
+    return null;
+  }
+  return { rest: match[1].replace(/,$/, '').trim(), suffix: match[3] };
+}
+
+/**
+ * Split a creator's generational suffix from its given name and surname
+ * @param {string} firstName - Given name field
+ * @param {string} lastName - Last name field
+ * @returns {Object|null} { givenName, surname, suffix: as written, suffixKey, placement:
+ *   'given-name', 'last-name' or 'alone' (the suffix fills the last name field) }, or null if
+ *   the creator has no suffix
+ */
+function splitGenerationalSuffix(firstName, lastName) {
+  const first = (firstName || '').trim();
+  const last = (lastName || '').trim();
+
+  const inLastName = splitTrailingSuffix(last);
+  if (inLastName && first) {
+    return { givenName: first, surname: inLastName.rest, suffix: inLastName.suffix, suffixKey: getSuffixKey(inLastName.suffix), placement: 'last-name' };
+  }
+
+  const inGivenName = splitTrailingSuffix(first);
+  if (inGivenName && last) {
+    return { givenName: inGivenName.rest, surname: last, suffix: inGivenName.suffix, suffixKey: getSuffixKey(inGivenName.suffix), placement: 'given-name' };
+  }
+
+  // "Martin Luther King" / "Jr.": the surname is the last word of the given name field
+  const firstWords = first.split(/\s+/).filter(Boolean);
+  if (isGenerationalSuffix(last) && !COMMA_ONLY_SUFFIXES.has(getSuffixKey(last))
+      && firstWords.length >= 2 && !/^\p{L}\.?$/u.test(firstWords[firstWords.length - 1])) {
+    return {
+      givenName: firstWords.slice(0, -1).join(' '),
+      surname: firstWords[firstWords.length - 1],
+      suffix: last,
+      suffixKey: getSuffixKey(last),
+      placement: 'alone'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Write a creator's suffix in a position
+ * @param {Object} parts - Result of splitGenerationalSuffix
+ * @param {string} position - One of SUFFIX_POSITIONS
+ * @returns {Object} { firstName, lastName }
+ */
+function applySuffixPosition(parts, position) {
+  const suffix = GENERATIONAL_SUFFIXES[parts.suffixKey] || parts.suffix;
+  if (position === 'last-name') {
+    return { firstName: parts.givenName, lastName: `${parts.surname} ${suffix}` };
+  }
+  return { firstName: `${parts.givenName}, ${suffix}`, lastName: parts.surname };
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SUFFIX_POSITIONS,
+    GENERATIONAL_SUFFIXES,
+    getSuffixKey,
+    isGenerationalSuffix,
+    splitGenerationalSuffix,
+    applySuffixPosition
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.NameSuffixes = {
+    SUFFIX_POSITIONS,
+    GENERATIONAL_SUFFIXES,
+    getSuffixKey,
+    isGenerationalSuffix,
+    splitGenerationalSuffix,
+    applySuffixPosition
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * ORCID iDs of creators
+ * Zotero creators have no ORCID field, so imports and users record the iDs in the Extra field:
+ * - plain lines: "ORCID: 0000-0002-1825-0097" or "ORCID: https://orcid.org/0000-0002-1825-0097"
+ * - lines naming the creator: "ORCID: Carberry, Josiah: 0000-0002-1825-0097" or
+ *   "ORCID: Josiah Carberry 0000-0002-1825-0097"
+ * - CSL-style lines per creator type: "author-orcid: 0000-0002-1825-0097", "editor-ORCID: ..."
+ * Several iDs on one line are separated by ";". Named iDs are matched to the creator with that
+ * name; unnamed iDs are only assigned when they map one-to-one onto the item's creators (of the
+ * given type) in order, since a lone "ORCID:" line on a multi-author item names nobody.
+ * @module utils/orcid
+ */
+
+const ORCID_ID_PATTERN = /(?:https?:\/\/)?(?:www\.)?(?:orcid\.org\/)?(\d{4}-?\d{4}-?\d{4}-?\d{3}[\dX])(?![\dX])/gi;
+const ORCID_LINE_PATTERN = /^\s*(?:([a-z]+)[-_])?orcid(?:\s*id)?\s*:\s*(.+)$/i;
+
+/**
+ * Check the ISO 7064 MOD 11-2 check character of an iD
+ * @param {string} digits - 16 characters without hyphens
+ * @returns {boolean} True if the last character matches the first 15 digits
+ */
+function hasValidChecksum(digits) {
+  let total = 0;
+  for (let i = 0; i < 15; i++) {
+    total = (total + Number(digits[i])) * 2;
+  }
+  const result = (12 - (total % 11)) % 11;
+  return digits[15] === (result === 10 ? 'X' : String(result));
+}
+
+/**
+ * Normalize an ORCID iD written as a bare iD or an orcid.org URL
+ * @param {string} value - iD as written
+ * @returns {string|null} "0000-0002-1825-0097", or null if the value is not a valid iD
+ */
+function normalizeOrcid(value) {
+  ORCID_ID_PATTERN.lastIndex = 0;
+  const match = ORCID_ID_PATTERN.exec(value || '');
+  ORCID_ID_PATTERN.lastIndex = 0;
+  if (!match) {
+    return null;
+  }
+  const digits = match[1].replace(/-/g, '').toUpperCase();
+  if (!hasValidChecksum(digits)) {
+    return null;
+  }
+  return digits.match(/.{4}/g).join('-');
+}
+
+/**
+ * Read the ORCID iDs recorded in an item's Extra field
+ * @param {string} extra - Extra field
+ * @returns {Array} Entries of { orcid, name: creator name as written or null, creatorType: CSL
+ *   creator type ("author", "editor") or null }, in the order they appear
+ */
+function parseExtraOrcids(extra) {
+  const entries = [];
+  for (const line of (extra || '').split(/\r?\n/)) {
+    const match = line.match(ORCID_LINE_PATTERN);
+    if (!match) {
+      continue;
+    }
+    const creatorType = match[1] ? match[1].toLowerCase() : null;
+    for (const segment of match[2].split(';')) {
+      const ids = (segment.match(ORCID_ID_PATTERN) || []).map(normalizeOrcid).filter(Boolean);
+      if (ids.length === 0) {
+        continue;
+      }
+      const name = segment.replace(ORCID_ID_PATTERN, ' ')
+        .replace(/^[\s,:()<>[\]-]+|[\s,:()<>[\]-]+$/g, '')
+        .trim();
+      // A name only belongs to the iD when there is just one on the segment
+      if (name && ids.length === 1) {
+        entries.push({ orcid: ids[0], name, creatorType });
+      } else {
+        ids.forEach(orcid => entries.push({ orcid, name: null, creatorType }));
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Comparison key of a name part: lowercase letters without diacritics
+ * @param {string} value - Name part
+ * @returns {string} Key
+ */
+function getNameKey(value) {
+  return (value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^\p{L}]/gu, '');
+}
+
+/**
+ * Check whether an Extra name refers to a creator
+ * "Last, First" names are read last name first; in other names the creator's last name must be
+ * the trailing words. The given names must agree on their first letter when both are present.
+ * @param {string} name - Name from the Extra line
+ * @param {Object} creator - { firstName, lastName }
+ * @returns {boolean} True if the name matches the creator
+ */
+function nameMatchesCreator(name, creator) {
+  const creatorLast = getNameKey(creator.lastName);
+  if (!creatorLast) {
+    return false;
+  }
+
+  let first = null;
+  if (name.includes(',')) {
+    const [last, given] = name.split(/\s*,\s*/, 2);
+    first = getNameKey(last) === creatorLast ? given : null;
+  } else {
+    const words = name.split(/\s+/);
+    for (let start = words.length - 1; start >= 0 && first === null; start--) {
+      if (getNameKey(words.slice(start).join(' ')) === creatorLast) {
+        first = words.slice(0, start).join(' ');
+      }
+    }
+  }
+  if (first === null) {
+    return false;
+  }
+
+  const firstKey = getNameKey(first);
+  const creatorFirst = getNameKey(creator.firstName);
+  return !firstKey || !creatorFirst || firstKey[0] === creatorFirst[0];
+}
+
+/**
+ * Match Extra ORCID entries to an item's creators
+ * @param {Array} creators - Creators as { firstName, lastName, fieldMode, creatorType }; creators
+ *   without creatorType are taken as authors
+ * @param {Array} entries - Result of parseExtraOrcids
+ * @returns {Array<string|null>} The iD of each creator, or null if none was recorded for it
+ */
+function assignOrcids(creators, entries) {
+  const list = Array.isArray(creators) ? creators : [];
+  const assigned = list.map(() => null);
+  const isPerson = index => list[index] && list[index].fieldMode !== 1;
+  const hasType = (index, type) => !type || (list[index].creatorType || 'author') === type;
+
+  for (const entry of entries || []) {
+    if (!entry.name) {
+      continue;
+    }
+    const matches = list
+      .map((creator, index) => index)
+      .filter(index => isPerson(index) && hasType(index, entry.creatorType) && assigned[index] === null
+        && nameMatchesCreator(entry.name, list[index]));
+    if (matches.length === 1) {
+      assigned[matches[0]] = entry.orcid;
+    }
+  }
+
+  // Unnamed iDs go to the creators in order, per creator type, when the counts agree
+  const unnamed = (entries || []).filter(entry => !entry.name);
+  const types = Array.from(new Set(unnamed.map(entry => entry.creatorType)));
+  for (const type of types) {
+    const ids = unnamed.filter(entry => entry.creatorType === type).map(entry => entry.orcid);
+    const candidates = list
+      .map((creator, index) => index)
+      .filter(index => isPerson(index) && hasType(index, type));
+    if (ids.length !== candidates.length) {
+      continue;
+    }
+    candidates.forEach((index, position) => {
+      if (assigned[index] === null && !assigned.includes(ids[position])) {
+        assigned[index] = ids[position];
+      }
+    });
+  }
+
+  return assigned;
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    normalizeOrcid,
+    parseExtraOrcids,
+    assignOrcids
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.Orcid = {
+    normalizeOrcid,
+    parseExtraOrcids,
+    assignOrcids
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * Comparison keys for institutional (corporate) creator names
+ * The same organization may be stored as "World Health Organization", "World Health Organisation",
+ * "The World Health Organization", "World Health Organization (WHO)", "WHO" or
+ * "World Health Organization, Geneva". Names are compared on a key that drops a leading "The",
+ * trailing country qualifiers and parenthesized acronyms, and maps British spellings to American
+ * ones; acronyms are matched against the initials of the full names.
+ * @module utils/organization-names
+ */
+
+// Words that mark a name as an organization rather than a person
+const ORGANIZATION_KEYWORDS = new Set([
+  'organization', 'organisation', 'institute', 'institut', 'institution', 'university', 'universitat',
+  'universite', 'universidad', 'college', 'school', 'academy', 'association', 'society', 'council',
+  'committee', 'commission', 'agency', 'department', 'ministry', 'foundation', 'bureau', 'centre',
+  'center', 'office', 'board', 'consortium', 'federation', 'union', 'corporation', 'company',
+  'administration', 'programme', 'program', 'network', 'alliance', 'collaboration', 'group',
+  'project', 'panel', 'authority', 'trust', 'bank', 'fund', 'laboratory', 'hospital', 'service',
+  'services', 'survey', 'secretariat', 'inc', 'ltd', 'llc', 'plc', 'gmbh', 'co'
+]);
+
+// Keywords specific enough to flag a two-field "person" as a mis-entered organization
+const STRONG_ORGANIZATION_KEYWORDS = new Set([
+  'organization', 'organisation', 'institute', 'institution', 'university', 'association', 'society',
+  'council', 'committee', 'commission', 'agency', 'department', 'ministry', 'foundation', 'bureau',
+  'consortium', 'federation', 'corporation', 'administration', 'collaboration', 'secretariat',
+  'inc', 'ltd', 'llc', 'plc', 'gmbh'
+]);
+
+// Words left out of acronyms and comparison keys
+const STOP_WORDS = new Set(['the', 'of', 'for', 'and', 'on', 'in', 'at', 'to', 'de', 'du', 'des', 'la', 'le', 'der', 'die', 'und', 'fur']);
+
+// British spellings and their American forms
+const SPELLING_VARIANTS = {
+  organisation: 'organization',
+  organisations: 'organizations',
+  centre: 'center',
+  centres: 'centers',
+  programme: 'program',
+  programmes: 'programs',
+  defence: 'defense',
+  labour: 'labor',
+  behaviour: 'behavior',
+  behavioural: 'behavioral',
+  paediatric: 'pediatric',
+  paediatrics: 'pediatrics',
+  anaesthesia: 'anesthesia',
+  anaesthetists: 'anesthetists',
+  haematology: 'hematology',
+  colour: 'color',
+  honour: 'honor',
+  favour: 'favor',
+  neighbourhood: 'neighborhood',
+  licence: 'license',
+  catalogue: 'catalog',
+  analyse: 'analyze',
+  enrolment: 'enrollment'
+};
+
+// Country names and codes that qualify an organization name ("…, USA", "… (UK)")
+const COUNTRY_QUALIFIERS = [
+  'us', 'usa', 'u s', 'u s a', 'united states', 'united states of america', 'america',
+  'uk', 'u k', 'gb', 'united kingdom', 'great britain', 'england', 'scotland', 'wales',
+  'canada', 'australia', 'new zealand', 'ireland', 'india', 'china', 'japan', 'germany', 'france',
+  'italy', 'spain', 'netherlands', 'switzerland', 'sweden', 'norway', 'denmark', 'finland',
+  'austria', 'belgium', 'brazil', 'mexico', 'south africa', 'geneva', 'eu', 'europe'
+];
+
+/**
+ * Lowercase a name, strip diacritics, join hyphenated words and turn other punctuation into spaces
+ * @param {string} name - Organization name
+ * @returns {string} Folded name with single spaces
+ */
+function foldName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[-'’]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Remove a leading article and trailing country qualifiers and parenthesized acronyms
+ * @param {string} name - Organization name
+ * @returns {string} Core name in its original spelling
+ */
+function stripOrganizationQualifiers(name) {
+  let core = (name || '').trim().replace(/^the\s+/i, '');
+  let previous;
+  do {
+    previous = core;
+    const parenthesized = core.match(/^(.*\S)\s*\(([^()]*)\)$/);
+    if (parenthesized && (isAcronym(parenthesized[2]) || isCountryQualifier(parenthesized[2]))) {
+      core = parenthesized[1];
+      continue;
+    }
+    const separated = core.match(/^(.*\S)\s*(?:,|\s[-–—]\s)\s*([^,]+)$/);
+    if (separated && isCountryQualifier(separated[2])) {
+      core = separated[1];
+      continue;
+    }
+    const trailing = core.match(/^(.*\S)\s+(\S+)$/);
+    if (trailing && /^(?:U\.?S\.?A?\.?|U\.?K\.?)$/.test(trailing[2])) {
+      core = trailing[1];
+    }
+  } while (core !== previous);
+  return core.trim();
+}
+
+/**
+ * Check whether a string names a country or a country code
+ * @param {string} value - Candidate qualifier
+ * @returns {boolean} True for known country qualifiers
+ */
+function isCountryQualifier(value) {
+  return COUNTRY_QUALIFIERS.includes(foldName(value));
+}
+
+/**
+ * Check whether a name is written as an acronym ("WHO", "U.N.E.S.C.O.", "OECD")
+ * @param {string} name - Name to check
+ * @returns {boolean} True for two to ten capitals, digits or ampersands
+ */
+function isAcronym(name) {
+  const compact = (name || '').trim().replace(/[.\s]/g, '');
+  return /^[A-Z][A-Z0-9&]{1,9}$/.test(compact) && /[A-Z].*[A-Z]/.test(compact);
+}
+
+/**
+ * Check whether a name looks like an organization rather than a person
+ * @param {string} name - Creator name
+ * @param {Object} options - { strict: only accept keywords that persons do not carry as surnames }
+ * @returns {boolean} True for names with an organization keyword, or acronyms unless strict
+ */
+function isLikelyOrganizationName(name, options = {}) {
+  const words = foldName(name).split(' ').filter(Boolean);
+  if (words.length === 0) {
+    return false;
+  }
+  const keywords = options.strict ? STRONG_ORGANIZATION_KEYWORDS : ORGANIZATION_KEYWORDS;
+  if (words.some(word => keywords.has(word))) {
+    return true;
+  }
+  return !options.strict && isAcronym(name);
+}
+
+/**
+ * Acronym of an organization name: the initials of its significant words
+ * @param {string} name - Organization name
+ * @returns {string} Uppercase acronym ("WHO" for "World Health Organization"), the name itself if
+ *   it is already an acronym, or '' for single-word names
+ */
+function getOrganizationAcronym(name) {
+  const core = stripOrganizationQualifiers(name);
+  if (isAcronym(core)) {
+    return core.replace(/[.\s]/g, '').toUpperCase();
+  }
+  const words = foldName(core).split(' ').filter(word => word && !STOP_WORDS.has(word));
+  if (words.length < 2) {
+    return '';
+  }
+  return words.map(word => word.charAt(0)).join('').toUpperCase();
+}
+
+/**
+ * Comparison key of an organization name
+ * Leading "The", trailing country qualifiers and parenthesized acronyms are dropped, British
+ * spellings become American and stop words are removed, so "The World Health Organisation (WHO)"
+ * and "World Health Organization" share the key "world health organization".
+ * @param {string} name - Organization name
+ * @returns {string} Key; acronyms keep their letters ("who")
+ */
+function getOrganizationKey(name) {
+  const core = stripOrganizationQualifiers(name);
+  if (isAcronym(core)) {
+    return core.replace(/[.\s]/g, '').toLowerCase();
+  }
+  return foldName(core)
+    .split(' ')
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(word => SPELLING_VARIANTS[word] || word.replace(/isation(s?)$/, 'ization$1'))
+    .join(' ');
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ORGANIZATION_KEYWORDS,
+    SPELLING_VARIANTS,
+    isAcronym,
+    isLikelyOrganizationName,
+    stripOrganizationQualifiers,
+    getOrganizationAcronym,
+    getOrganizationKey
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.OrganizationNames = {
+    ORGANIZATION_KEYWORDS,
+    SPELLING_VARIANTS,
+    isAcronym,
+    isLikelyOrganizationName,
+    stripOrganizationQualifiers,
+    getOrganizationAcronym,
+    getOrganizationKey
+  };
+}
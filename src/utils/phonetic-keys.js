@@ -0,0 +1,840 @@
+/**
+ * Phonetic keys for surname matching
+ * Transcription variants such as "Wygotski" / "Vygotsky" or "Meier" / "Mayer" / "Meyer" share
+ * neither diacritics nor a small edit distance, but they sound alike. Three algorithms are provided,
+ * each suited to a group of languages:
+ * - Double Metaphone for English and Romance names
+ * - Daitch-Mokotoff Soundex for Slavic, Yiddish and other Eastern European names
+ * - Cologne phonetics (Kölner Phonetik) for German names
+ * @module utils/phonetic-keys
+ */
+
+const { normalizeName } = require('./string-distance');
+
+const DOUBLE_METAPHONE_LENGTH = 4;
+const DAITCH_MOKOTOFF_LENGTH = 6;
+const DAITCH_MOKOTOFF_MAX_BRANCHES = 32;
+
+/**
+ * Uppercase letters of a name with diacritics folded (ü -> UE, ł -> L); Ç and Ñ are kept for Double Metaphone
+ * @param {string} name - Name to clean
+ * @param {boolean} keepSpaces - Keep spaces between name parts
+ * @returns {string} Cleaned name
+ */
+function cleanName(name, keepSpaces = false) {
+  const upper = normalizeName(name || '').toUpperCase();
+  return keepSpaces
+    ? upper.replace(/[^A-Z ]/g, '').replace(/\s+/g, ' ').trim()
+    : upper.replace(/[^A-Z]/g, '');
+}
+
+// ---------------------------------------------------------------------------
+// Double Metaphone (Lawrence Philips), following the Apache Commons Codec port
+// ---------------------------------------------------------------------------
+
+/**
+ * Double Metaphone keys of a name
+ * @param {string} name - Name to encode
+ * @returns {Array<string>} [primary, alternate]; both are '' if the name has no letters
+ */
+function doubleMetaphone(name) {
+  const value = cleanName(name, true);
+  const length = value.length;
+  let primary = '';
+  let alternate = '';
+
+  const charAt = index => (index >= 0 && index < length ? value.charAt(index) : '');
+  const isVowel = character => character !== '' && 'AEIOUY'.includes(character);
+  const contains = (start, count, ...criteria) => {
+    if (start < 0 || start + count > length) {
+      return false;
+    }
+    return criteria.includes(value.substring(start, start + count));
+  };
+  const append = (main, alt = main) => {
+    primary += main;
+    alternate += alt;
+  };
+  const appendAlternate = alt => {
+    alternate += alt;
+  };
+
+  const slavoGermanic = value.includes('W') || value.includes('K') || value.includes('CZ') || value.includes('WITZ');
+  const startsLikeGermanic = contains(0, 4, 'VAN ', 'VON ') || contains(0, 3, 'SCH');
+
+  const conditionC0 = index => {
+    if (contains(index, 4, 'CHIA')) {
+      return true;
+    }
+    if (index <= 1 || isVowel(charAt(index - 2)) || !contains(index - 1, 3, 'ACH')) {
+      return false;
+    }
+    const next = charAt(index + 2);
+    return (next !== 'I' && next !== 'E') || contains(index - 2, 6, 'BACHER', 'MACHER');
+  };
+
+  const conditionCH0 = index => {
+    if (index !== 0) {
+      return false;
+    }
+    if (!contains(index + 1, 5, 'HARAC', 'HARIS') && !contains(index + 1, 3, 'HOR', 'HYM', 'HIA', 'HEM')) {
+      return false;
+    }
+    return !contains(0, 5, 'CHORE');
+  };
+
+  const conditionCH1 = index => startsLikeGermanic ||
+    contains(index - 2, 6, 'ORCHES', 'ARCHIT', 'ORCHID') ||
+    contains(index + 2, 1, 'T', 'S') ||
+    ((contains(index - 1, 1, 'A', 'O', 'U', 'E') || index === 0) &&
+      (contains(index + 2, 1, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W', ' ') || index + 1 === length - 1));
+
+  const conditionL0 = index => {
+    if (index === length - 3 && contains(index - 1, 4, 'ILLO', 'ILLA', 'ALLE')) {
+      return true;
+    }
+    return (contains(length - 2, 2, 'AS', 'OS') || contains(length - 1, 1, 'A', 'O')) && contains(index - 1, 4, 'ALLE');
+  };
+
+  const conditionM0 = index => {
+    if (charAt(index + 1) === 'M') {
+      return true;
+    }
+    return contains(index - 1, 3, 'UMB') && (index + 1 === length - 1 || contains(index + 2, 2, 'ER'));
+  };
+
+  const handleCH = index => {
+    if (index > 0 && contains(index, 4, 'CHAE')) {
+      append('K', 'X');
+    } else if (conditionCH0(index) || conditionCH1(index)) {
+      append('K');
+    } else if (index > 0) {
+      if (contains(0, 2, 'MC')) {
+        append('K');
+      } else {
+        append('X', 'K');
+      }
+    } else {
+      append('X');
+    }
+    return index + 2;
+  };
+
+  const handleCC = index => {
+    if (contains(index + 2, 1, 'I', 'E', 'H') && !contains(index + 2, 2, 'HU')) {
+      if ((index === 1 && charAt(index - 1) === 'A') || contains(index - 1, 5, 'UCCEE', 'UCCES')) {
+        append('KS');
+      } else {
+        append('X');
+      }
+      return index + 3;
+    }
+    append('K');
+    return index + 2;
+  };
+
+  const handleC = index => {
+    if (conditionC0(index)) {
+      append('K');
+      return index + 2;
+    }
+    if (index === 0 && contains(index, 6, 'CAESAR')) {
+      append('S');
+      return index + 2;
+    }
+    if (contains(index, 2, 'CH')) {
+      return handleCH(index);
+    }
+    if (contains(index, 2, 'CZ') && !contains(index - 2, 4, 'WICZ')) {
+      append('S', 'X');
+      return index + 2;
+    }
+    if (contains(index + 1, 3, 'CIA')) {
+      append('X');
+      return index + 3;
+    }
+    if (contains(index, 2, 'CC') && !(index === 1 && charAt(0) === 'M')) {
+      return handleCC(index);
+    }
+    if (contains(index, 2, 'CK', 'CG', 'CQ')) {
+      append('K');
+      return index + 2;
+    }
+    if (contains(index, 2, 'CI', 'CE', 'CY')) {
+      if (contains(index, 3, 'CIO', 'CIE', 'CIA')) {
+        append('S', 'X');
+      } else {
+        append('S');
+      }
+      return index + 2;
+    }
+    append('K');
+    if (contains(index + 1, 2, ' C', ' Q', ' G')) {
+      return index + 3;
+    }
+    if (contains(index + 1, 1, 'C', 'K', 'Q') && !contains(index + 1, 2, 'CE', 'CI')) {
+      return index + 2;
+    }
+    return index + 1;
+  };
+
+  const handleD = index => {
+    if (contains(index, 2, 'DG')) {
+      if (contains(index + 2, 1, 'I', 'E', 'Y')) {
+        append('J');
+        return index + 3;
+      }
+      append('TK');
+      return index + 2;
+    }
+    append('T');
+    return contains(index, 2, 'DT', 'DD') ? index + 2 : index + 1;
+  };
+
+  const handleGH = index => {
+    if (index > 0 && !isVowel(charAt(index - 1))) {
+      append('K');
+      return index + 2;
+    }
+    if (index === 0) {
+      append(charAt(index + 2) === 'I' ? 'J' : 'K');
+      return index + 2;
+    }
+    if ((index > 1 && contains(index - 2, 1, 'B', 'H', 'D')) ||
+        (index > 2 && contains(index - 3, 1, 'B', 'H', 'D')) ||
+        (index > 3 && contains(index - 4, 1, 'B', 'H'))) {
+      return index + 2;
+    }
+    if (index > 2 && charAt(index - 1) === 'U' && contains(index - 3, 1, 'C', 'G', 'L', 'R', 'T')) {
+      append('F');
+    } else if (index > 0 && charAt(index - 1) !== 'I') {
+      append('K');
+    }
+    return index + 2;
+  };
+
+  const handleG = index => {
+    if (charAt(index + 1) === 'H') {
+      return handleGH(index);
+    }
+    if (charAt(index + 1) === 'N') {
+      if (index === 1 && isVowel(charAt(0)) && !slavoGermanic) {
+        append('KN', 'N');
+      } else if (!contains(index + 2, 2, 'EY') && charAt(index + 1) !== 'Y' && !slavoGermanic) {
+        append('N', 'KN');
+      } else {
+        append('KN');
+      }
+      return index + 2;
+    }
+    if (contains(index + 1, 2, 'LI') && !slavoGermanic) {
+      append('KL', 'L');
+      return index + 2;
+    }
+    if (index === 0 && (charAt(index + 1) === 'Y' ||
+        contains(index + 1, 2, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+      append('K', 'J');
+      return index + 2;
+    }
+    if ((contains(index + 1, 2, 'ER') || charAt(index + 1) === 'Y') &&
+        !contains(0, 6, 'DANGER', 'RANGER', 'MANGER') &&
+        !contains(index - 1, 1, 'E', 'I') &&
+        !contains(index - 1, 3, 'RGY', 'OGY')) {
+      append('K', 'J');
+      return index + 2;
+    }
+    if (contains(index + 1, 1, 'E', 'I', 'Y') || contains(index - 1, 4, 'AGGI', 'OGGI')) {
+      if (startsLikeGermanic || contains(index + 1, 2, 'ET')) {
+        append('K');
+      } else if (contains(index + 1, 3, 'IER')) {
+        append('J');
+      } else {
+        append('J', 'K');
+      }
+      return index + 2;
+    }
+    append('K');
+    return charAt(index + 1) === 'G' ? index + 2 : index + 1;
+  };
+
+  const handleH = index => {
+    if ((index === 0 || isVowel(charAt(index - 1))) && isVowel(charAt(index + 1))) {
+      append('H');
+      return index + 2;
+    }
+    return index + 1;
+  };
+
+  const handleJ = index => {
+    if (contains(index, 4, 'JOSE') || contains(0, 4, 'SAN ')) {
+      if ((index === 0 && charAt(index + 4) === ' ') || length === 4 || contains(0, 4, 'SAN ')) {
+        append('H');
+      } else {
+        append('J', 'H');
+      }
+      return index + 1;
+    }
+    if (index === 0) {
+      append('J', 'A');
+    } else if (isVowel(charAt(index - 1)) && !slavoGermanic && (charAt(index + 1) === 'A' || charAt(index + 1) === 'O')) {
+      append('J', 'H');
+    } else if (index === length - 1) {
+      append('J', '');
+    } else if (!contains(index + 1, 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') && !contains(index - 1, 1, 'S', 'K', 'L')) {
+      append('J');
+    }
+    return charAt(index + 1) === 'J' ? index + 2 : index + 1;
+  };
+
+  const handleL = index => {
+    if (charAt(index + 1) === 'L') {
+      if (conditionL0(index)) {
+        append('L', '');
+      } else {
+        append('L');
+      }
+      return index + 2;
+    }
+    append('L');
+    return index + 1;
+  };
+
+  const handleP = index => {
+    if (charAt(index + 1) === 'H') {
+      append('F');
+      return index + 2;
+    }
+    append('P');
+    return contains(index + 1, 1, 'P', 'B') ? index + 2 : index + 1;
+  };
+
+  const handleR = index => {
+    if (index === length - 1 && !slavoGermanic && contains(index - 2, 2, 'IE') && !contains(index - 4, 2, 'ME', 'MA')) {
+      appendAlternate('R');
+    } else {
+      append('R');
+    }
+    return charAt(index + 1) === 'R' ? index + 2 : index + 1;
+  };
+
+  const handleSC = index => {
+    if (charAt(index + 2) === 'H') {
+      if (contains(index + 3, 2, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+        if (contains(index + 3, 2, 'ER', 'EN')) {
+          append('X', 'SK');
+        } else {
+          append('SK');
+        }
+      } else if (index === 0 && !isVowel(charAt(3)) && charAt(3) !== 'W') {
+        append('X', 'S');
+      } else {
+        append('X');
+      }
+    } else if (contains(index + 2, 1, 'I', 'E', 'Y')) {
+      append('S');
+    } else {
+      append('SK');
+    }
+    return index + 3;
+  };
+
+  const handleS = index => {
+    if (contains(index - 1, 3, 'ISL', 'YSL')) {
+      return index + 1;
+    }
+    if (index === 0 && contains(index, 5, 'SUGAR')) {
+      append('X', 'S');
+      return index + 1;
+    }
+    if (contains(index, 2, 'SH')) {
+      append(contains(index + 1, 4, 'HEIM', 'HOEK', 'HOLM', 'HOLZ') ? 'S' : 'X');
+      return index + 2;
+    }
+    if (contains(index, 3, 'SIO', 'SIA') || contains(index, 4, 'SIAN')) {
+      if (slavoGermanic) {
+        append('S');
+      } else {
+        append('S', 'X');
+      }
+      return index + 3;
+    }
+    if ((index === 0 && contains(index + 1, 1, 'M', 'N', 'L', 'W')) || contains(index + 1, 1, 'Z')) {
+      append('S', 'X');
+      return contains(index + 1, 1, 'Z') ? index + 2 : index + 1;
+    }
+    if (contains(index, 2, 'SC')) {
+      return handleSC(index);
+    }
+    if (index === length - 1 && contains(index - 2, 2, 'AI', 'OI')) {
+      appendAlternate('S');
+    } else {
+      append('S');
+    }
+    return contains(index + 1, 1, 'S', 'Z') ? index + 2 : index + 1;
+  };
+
+  const handleT = index => {
+    if (contains(index, 4, 'TION') || contains(index, 3, 'TIA', 'TCH')) {
+      append('X');
+      return index + 3;
+    }
+    if (contains(index, 2, 'TH') || contains(index, 3, 'TTH')) {
+      if (contains(index + 2, 2, 'OM', 'AM') || startsLikeGermanic) {
+        append('T');
+      } else {
+        append('0', 'T');
+      }
+      return index + 2;
+    }
+    append('T');
+    return contains(index + 1, 1, 'T', 'D') ? index + 2 : index + 1;
+  };
+
+  const handleW = index => {
+    if (contains(index, 2, 'WR')) {
+      append('R');
+      return index + 2;
+    }
+    if (index === 0 && (isVowel(charAt(index + 1)) || contains(index, 2, 'WH'))) {
+      if (isVowel(charAt(index + 1))) {
+        append('A', 'F');
+      } else {
+        append('A');
+      }
+      return index + 1;
+    }
+    if ((index === length - 1 && isVowel(charAt(index - 1))) ||
+        contains(index - 1, 5, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') || contains(0, 3, 'SCH')) {
+      appendAlternate('F');
+      return index + 1;
+    }
+    if (contains(index, 4, 'WICZ', 'WITZ')) {
+      append('TS', 'FX');
+      return index + 4;
+    }
+    return index + 1;
+  };
+
+  const handleX = index => {
+    if (index === 0) {
+      append('S');
+      return index + 1;
+    }
+    if (!(index === length - 1 && (contains(index - 3, 3, 'IAU', 'EAU') || contains(index - 2, 2, 'AU', 'OU')))) {
+      append('KS');
+    }
+    return contains(index + 1, 1, 'C', 'X') ? index + 2 : index + 1;
+  };
+
+  const handleZ = index => {
+    if (charAt(index + 1) === 'H') {
+      append('J');
+      return index + 2;
+    }
+    if (contains(index + 1, 2, 'ZO', 'ZI', 'ZA') || (slavoGermanic && index > 0 && charAt(index - 1) !== 'T')) {
+      append('S', 'TS');
+    } else {
+      append('S');
+    }
+    return charAt(index + 1) === 'Z' ? index + 2 : index + 1;
+  };
+
+  const single = (index, code, doubled) => {
+    append(code);
+    return charAt(index + 1) === doubled ? index + 2 : index + 1;
+  };
+
+  // Silent first letters: GN, KN, PN, WR, PS
+  let index = /^(GN|KN|PN|WR|PS)/.test(value) ? 1 : 0;
+
+  while ((primary.length < DOUBLE_METAPHONE_LENGTH || alternate.length < DOUBLE_METAPHONE_LENGTH) && index < length) {
+    const character = value.charAt(index);
+    switch (character) {
+    case 'A':
+    case 'E':
+    case 'I':
+    case 'O':
+    case 'U':
+    case 'Y':
+      if (index === 0) {
+        append('A');
+      }
+      index++;
+      break;
+    case 'B':
+      index = single(index, 'P', 'B');
+      break;
+    case 'C':
+      index = handleC(index);
+      break;
+    case 'D':
+      index = handleD(index);
+      break;
+    case 'F':
+      index = single(index, 'F', 'F');
+      break;
+    case 'G':
+      index = handleG(index);
+      break;
+    case 'H':
+      index = handleH(index);
+      break;
+    case 'J':
+      index = handleJ(index);
+      break;
+    case 'K':
+      index = single(index, 'K', 'K');
+      break;
+    case 'L':
+      index = handleL(index);
+      break;
+    case 'M':
+      append('M');
+      index = conditionM0(index) ? index + 2 : index + 1;
+      break;
+    case 'N':
+      index = single(index, 'N', 'N');
+      break;
+    case 'P':
+      index = handleP(index);
+      break;
+    case 'Q':
+      index = single(index, 'K', 'Q');
+      break;
+    case 'R':
+      index = handleR(index);
+      break;
+    case 'S':
+      index = handleS(index);
+      break;
+    case 'T':
+      index = handleT(index);
+      break;
+    case 'V':
+      index = single(index, 'F', 'V');
+      break;
+    case 'W':
+      index = handleW(index);
+      break;
+    case 'X':
+      index = handleX(index);
+      break;
+    case 'Z':
+      index = handleZ(index);
+      break;
+    default:
+      index++;
+    }
+  }
+
+  return [primary.slice(0, DOUBLE_METAPHONE_LENGTH), alternate.slice(0, DOUBLE_METAPHONE_LENGTH)];
+}
+
+// ---------------------------------------------------------------------------
+// Daitch-Mokotoff Soundex
+// ---------------------------------------------------------------------------
+
+// Pattern -> [at the start, before a vowel, anywhere else]; '' means "not coded",
+// and codes separated by '|' branch into alternative keys
+const DAITCH_MOKOTOFF_RULES = [
+  ['SCHTSCH', '2', '4', '4'], ['SCHTSH', '2', '4', '4'], ['SCHTCH', '2', '4', '4'],
+  ['SHTCH', '2', '4', '4'], ['SHTSH', '2', '4', '4'], ['STSCH', '2', '4', '4'],
+  ['TTSCH', '4', '4', '4'], ['ZHDZH', '2', '4', '4'],
+  ['SHCH', '2', '4', '4'], ['SCHT', '2', '43', '43'], ['SCHD', '2', '43', '43'],
+  ['STCH', '2', '4', '4'], ['STRZ', '2', '4', '4'], ['STRS', '2', '4', '4'], ['STSH', '2', '4', '4'],
+  ['SZCZ', '2', '4', '4'], ['SZCS', '2', '4', '4'], ['TTCH', '4', '4', '4'], ['TSCH', '4', '4', '4'],
+  ['TTSZ', '4', '4', '4'], ['ZDZH', '2', '4', '4'], ['ZSCH', '4', '4', '4'],
+  ['CHS', '5', '54', '54'], ['CSZ', '4', '4', '4'], ['CZS', '4', '4', '4'], ['DRZ', '4', '4', '4'],
+  ['DRS', '4', '4', '4'], ['DSH', '4', '4', '4'], ['DSZ', '4', '4', '4'], ['DZH', '4', '4', '4'],
+  ['DZS', '4', '4', '4'], ['SCH', '4', '4', '4'], ['SHT', '2', '43', '43'], ['SZT', '2', '43', '43'],
+  ['SHD', '2', '43', '43'], ['SZD', '2', '43', '43'], ['TCH', '4', '4', '4'], ['TRZ', '4', '4', '4'],
+  ['TRS', '4', '4', '4'], ['TSH', '4', '4', '4'], ['TTS', '4', '4', '4'], ['TTZ', '4', '4', '4'],
+  ['TZS', '4', '4', '4'], ['TSZ', '4', '4', '4'], ['ZDZ', '2', '4', '4'], ['ZHD', '2', '43', '43'],
+  ['ZSH', '4', '4', '4'],
+  ['AI', '0', '1', ''], ['AJ', '0', '1', ''], ['AY', '0', '1', ''], ['AU', '0', '7', ''],
+  ['CH', '5|4', '5|4', '5|4'], ['CK', '5|45', '5|45', '5|45'], ['CZ', '4', '4', '4'], ['CS', '4', '4', '4'],
+  ['DS', '4', '4', '4'], ['DZ', '4', '4', '4'], ['DT', '3', '3', '3'],
+  ['EI', '0', '1', ''], ['EJ', '0', '1', ''], ['EY', '0', '1', ''], ['EU', '1', '1', ''],
+  ['FB', '7', '7', '7'], ['IA', '1', '', ''], ['IE', '1', '', ''], ['IO', '1', '', ''], ['IU', '1', '', ''],
+  ['KS', '5', '54', '54'], ['KH', '5', '5', '5'], ['MN', '66', '66', '66'], ['NM', '66', '66', '66'],
+  ['OI', '0', '1', ''], ['OJ', '0', '1', ''], ['OY', '0', '1', ''],
+  ['PF', '7', '7', '7'], ['PH', '7', '7', '7'], ['RS', '94|4', '94|4', '94|4'], ['RZ', '94|4', '94|4', '94|4'],
+  ['SH', '4', '4', '4'], ['SC', '2', '4', '4'], ['ST', '2', '43', '43'], ['SZ', '4', '4', '4'], ['SD', '2', '43', '43'],
+  ['TH', '3', '3', '3'], ['TS', '4', '4', '4'], ['TC', '4', '4', '4'], ['TZ', '4', '4', '4'],
+  ['UI', '0', '1', ''], ['UJ', '0', '1', ''], ['UY', '0', '1', ''], ['UE', '0', '', ''],
+  ['ZD', '2', '43', '43'], ['ZH', '4', '4', '4'], ['ZS', '4', '4', '4'],
+  ['A', '0', '', ''], ['B', '7', '7', '7'], ['C', '5|4', '5|4', '5|4'], ['D', '3', '3', '3'],
+  ['E', '0', '', ''], ['F', '7', '7', '7'], ['G', '5', '5', '5'], ['H', '5', '5', ''],
+  ['I', '0', '', ''], ['J', '1|4', '1|4', '1|4'], ['K', '5', '5', '5'], ['L', '8', '8', '8'],
+  ['M', '6', '6', '6'], ['N', '6', '6', '6'], ['O', '0', '', ''], ['P', '7', '7', '7'],
+  ['Q', '5', '5', '5'], ['R', '9', '9', '9'], ['S', '4', '4', '4'], ['T', '3', '3', '3'],
+  ['U', '0', '', ''], ['V', '7', '7', '7'], ['W', '7', '7', '7'], ['X', '5', '54', '54'],
+  ['Y', '1', '', ''], ['Z', '4', '4', '4']
+];
+
+/**
+ * Daitch-Mokotoff Soundex codes of a name
+ * Letters with more than one pronunciation (C, CH, CK, J, RS, RZ) branch into several codes.
+ * @param {string} name - Name to encode
+ * @returns {Array<string>} Six-digit codes; empty if the name has no letters
+ */
+function daitchMokotoff(name) {
+  const value = cleanName(name);
+  if (!value) {
+    return [];
+  }
+
+  let branches = [{ code: '', last: null }];
+  let index = 0;
+
+  while (index < value.length) {
+    const rule = DAITCH_MOKOTOFF_RULES.find(([pattern]) => value.startsWith(pattern, index));
+    if (!rule) {
+      index++;
+      continue;
+    }
+
+    const [pattern, atStart, beforeVowel, otherwise] = rule;
+    const next = value.charAt(index + pattern.length);
+    const column = index === 0 ? atStart : ('AEIOU'.includes(next) && next !== '' ? beforeVowel : otherwise);
+    const alternatives = column.split('|');
+    const seen = new Set();
+    const nextBranches = [];
+
+    for (const branch of branches) {
+      for (const alternative of alternatives) {
+        // Adjacent letters with the same code are coded once; uncoded letters separate them
+        const code = alternative && alternative !== branch.last ? branch.code + alternative : branch.code;
+        const last = alternative || null;
+        const key = code + '|' + last;
+        if (!seen.has(key) && nextBranches.length < DAITCH_MOKOTOFF_MAX_BRANCHES) {
+          seen.add(key);
+          nextBranches.push({ code, last });
+        }
+      }
+    }
+
+    branches = nextBranches;
+    index += pattern.length;
+  }
+
+  const codes = branches.map(branch => (branch.code + '000000').slice(0, DAITCH_MOKOTOFF_LENGTH));
+  return Array.from(new Set(codes));
+}
+
+// ---------------------------------------------------------------------------
+// Cologne phonetics (Kölner Phonetik)
+// ---------------------------------------------------------------------------
+
+/**
+ * Cologne phonetic code of a name (Meier / Mayer / Meyer -> 67)
+ * @param {string} name - Name to encode
+ * @returns {string} Code, or '' if the name has no letters
+ */
+function colognePhonetic(name) {
+  const value = cleanName(name).replace(/SS/g, 'S');
+  let digits = '';
+
+  for (let i = 0; i < value.length; i++) {
+    const character = value.charAt(i);
+    const previous = value.charAt(i - 1);
+    const next = value.charAt(i + 1);
+    let code;
+
+    switch (character) {
+    case 'A':
+    case 'E':
+    case 'I':
+    case 'J':
+    case 'O':
+    case 'U':
+    case 'Y':
+      code = '0';
+      break;
+    case 'H':
+      code = '';
+      break;
+    case 'B':
+      code = '1';
+      break;
+    case 'P':
+      code = next === 'H' ? '3' : '1';
+      break;
+    case 'D':
+    case 'T':
+      code = 'CSZ'.includes(next) && next !== '' ? '8' : '2';
+      break;
+    case 'F':
+    case 'V':
+    case 'W':
+      code = '3';
+      break;
+    case 'G':
+    case 'K':
+    case 'Q':
+      code = '4';
+      break;
+    case 'C':
+      if (i === 0) {
+        code = 'AHKLOQRUX'.includes(next) && next !== '' ? '4' : '8';
+      } else {
+        code = 'AHKOQUX'.includes(next) && next !== '' && !'SZ'.includes(previous) ? '4' : '8';
+      }
+      break;
+    case 'X':
+      code = 'CKQ'.includes(previous) && previous !== '' ? '8' : '48';
+      break;
+    case 'L':
+      code = '5';
+      break;
+    case 'M':
+    case 'N':
+      code = '6';
+      break;
+    case 'R':
+      code = '7';
+      break;
+    case 'S':
+    case 'Z':
+      code = '8';
+      break;
+    default:
+      code = '';
+    }
+
+    digits += code;
+  }
+
+  // Collapse repeated codes, then drop vowels except at the start
+  const collapsed = digits.replace(/(\d)\1+/g, '$1');
+  return collapsed.charAt(0) + collapsed.slice(1).replace(/0/g, '');
+}
+
+// ---------------------------------------------------------------------------
+// Algorithm selection
+// ---------------------------------------------------------------------------
+
+const PHONETIC_ALGORITHMS = Object.freeze({
+  'double-metaphone': name => doubleMetaphone(name).filter(Boolean),
+  'daitch-mokotoff': name => daitchMokotoff(name),
+  cologne: name => [colognePhonetic(name)].filter(Boolean)
+});
+
+// Language code (ISO 639-1) -> algorithm
+const PHONETIC_ALGORITHM_BY_LANGUAGE = Object.freeze({
+  en: 'double-metaphone',
+  fr: 'double-metaphone',
+  es: 'double-metaphone',
+  it: 'double-metaphone',
+  pt: 'double-metaphone',
+  de: 'cologne',
+  pl: 'daitch-mokotoff',
+  cs: 'daitch-mokotoff',
+  sk: 'daitch-mokotoff',
+  ru: 'daitch-mokotoff',
+  uk: 'daitch-mokotoff',
+  be: 'daitch-mokotoff',
+  hu: 'daitch-mokotoff',
+  lt: 'daitch-mokotoff',
+  yi: 'daitch-mokotoff',
+  he: 'daitch-mokotoff'
+});
+
+const SLAVIC_OR_YIDDISH_PATTERN = /(sk[iy]j?|ck[iy]|[wv]i[tc]z|vich|czyk|chuk|enko|owa|ova|ow|ov|eva|ev|stein|berg|baum)$|cz|sz|rz|zh|kh/;
+const GERMAN_PATTERN = /sch|tz|ei|ey|ai|ay|ck|mann$|[äöüß]/;
+
+/**
+ * Pick the phonetic algorithm for a surname
+ * @param {string} surname - Surname to encode
+ * @param {string} language - Language code, or 'auto' to guess from the spelling
+ * @returns {string} Algorithm name (a key of PHONETIC_ALGORITHMS)
+ */
+function selectPhoneticAlgorithm(surname, language = 'auto') {
+  if (language && language !== 'auto') {
+    return PHONETIC_ALGORITHM_BY_LANGUAGE[language] || 'double-metaphone';
+  }
+
+  const lower = (surname || '').toLowerCase();
+  if (SLAVIC_OR_YIDDISH_PATTERN.test(lower)) {
+    return 'daitch-mokotoff';
+  }
+  if (GERMAN_PATTERN.test(lower)) {
+    return 'cologne';
+  }
+  return 'double-metaphone';
+}
+
+/**
+ * Phonetic keys of a surname for blocking, tagged with their algorithm ("cologne:67")
+ * With a fixed language only that language's algorithm is used; with 'auto' every algorithm is,
+ * so that two names can meet under whichever algorithm either of them selects.
+ * @param {string} surname - Surname to encode
+ * @param {string} language - Language code or 'auto'
+ * @returns {Array<string>} Tagged keys
+ */
+function getPhoneticKeys(surname, language = 'auto') {
+  const algorithms = language && language !== 'auto'
+    ? [selectPhoneticAlgorithm(surname, language)]
+    : Object.keys(PHONETIC_ALGORITHMS);
+  const keys = [];
+  for (const algorithm of algorithms) {
+    for (const key of PHONETIC_ALGORITHMS[algorithm](surname)) {
+      keys.push(algorithm + ':' + key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Check whether two surnames sound alike
+ * The pair is encoded with the algorithm selected for each surname, and matches if either
+ * algorithm gives the two surnames a common key.
+ * @param {string} surnameA - First surname
+ * @param {string} surnameB - Second surname
+ * @param {string} language - Language code or 'auto'
+ * @returns {string|null} Name of the algorithm that matched, or null
+ */
+function findPhoneticMatch(surnameA, surnameB, language = 'auto') {
+  const algorithms = new Set([
+    selectPhoneticAlgorithm(surnameA, language),
+    selectPhoneticAlgorithm(surnameB, language)
+  ]);
+
+  for (const algorithm of algorithms) {
+    const keysA = PHONETIC_ALGORITHMS[algorithm](surnameA);
+    const keysB = PHONETIC_ALGORITHMS[algorithm](surnameB);
+    if (keysA.some(key => keysB.includes(key))) {
+      return algorithm;
+    }
+  }
+
+  return null;
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    doubleMetaphone,
+    daitchMokotoff,
+    colognePhonetic,
+    PHONETIC_ALGORITHMS,
+    PHONETIC_ALGORITHM_BY_LANGUAGE,
+    selectPhoneticAlgorithm,
+    getPhoneticKeys,
+    findPhoneticMatch
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.PhoneticKeys = {
+    doubleMetaphone,
+    daitchMokotoff,
+    colognePhonetic,
+    PHONETIC_ALGORITHMS,
+    PHONETIC_ALGORITHM_BY_LANGUAGE,
+    selectPhoneticAlgorithm,
+    getPhoneticKeys,
+    findPhoneticMatch
+  };
+}
@@ -0,0 +1,426 @@
+/**
+ * Transliteration of Cyrillic and Greek names into Latin script
+ * The same author may be stored as "Выготский", "Vygotskii" (Library of Congress), "Vygotskiy"
+ * (BGN/PCGN), "Vygotskij" (ISO 9) or "Wygotski" (German and Polish usage). Every convention is
+ * generated for a native-script name, so a Latin form written under any of them can be matched.
+ * Supported systems:
+ * - Russian Cyrillic: ISO 9, BGN/PCGN, Library of Congress, German (Duden), Polish, French
+ * - Ukrainian: the same systems with Ukrainian letter values, plus the national system (KMU 2010)
+ * - Greek: ELOT 743 and the classical (scholarly) transcription
+ * @module utils/transliteration
+ */
+
+const { normalizeName } = require('./string-distance');
+
+const CYRILLIC_PATTERN = /[Ѐ-ӿ]/;
+const GREEK_PATTERN = /[Ͱ-Ͽἀ-῿]/;
+const LATIN_PATTERN = /[a-zÀ-ɏ]/i;
+const UKRAINIAN_PATTERN = /[іїєґ]/i;
+
+const CYRILLIC_VOWELS = 'аеёиоуыэюяіїє';
+const CYRILLIC_SIGNS = 'ъь\'’';
+const HUSHING = 'жчшщц';
+
+const CYRILLIC_SYSTEMS = ['iso9', 'bgn', 'loc', 'german', 'polish', 'french'];
+const UKRAINIAN_SYSTEMS = ['national', 'iso9', 'bgn', 'loc', 'german', 'polish', 'french'];
+const GREEK_SYSTEMS = ['elot', 'classical'];
+
+// Letter values that do not depend on context
+const CYRILLIC_TABLES = {
+  iso9: {
+    а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'ë', ж: 'ž', з: 'z', и: 'i', й: 'j', к: 'k',
+    л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'h', ц: 'c',
+    ч: 'č', ш: 'š', щ: 'ŝ', ъ: 'ʺ', ы: 'y', ь: 'ʹ', э: 'è', ю: 'û', я: 'â',
+    і: 'ì', ї: 'ï', є: 'ê', ґ: 'g̀'
+  },
+  bgn: {
+    а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'ë', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k',
+    л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts',
+    ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+    і: 'i', ї: 'yi', є: 'ye', ґ: 'g'
+  },
+  loc: {
+    а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'ë', ж: 'zh', з: 'z', и: 'i', й: 'ĭ', к: 'k',
+    л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 't͡s',
+    ч: 'ch', ш: 'sh', щ: 'shch', ъ: 'ʺ', ы: 'y', ь: 'ʹ', э: 'ė', ю: 'i͡u', я: 'i͡a',
+    і: 'i', ї: 'ï', є: 'i͡e', ґ: 'g'
+  },
+  german: {
+    а: 'a', б: 'b', в: 'w', г: 'g', д: 'd', е: 'e', ё: 'jo', ж: 'sch', з: 's', и: 'i', й: 'j', к: 'k',
+    л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'ch', ц: 'z',
+    ч: 'tsch', ш: 'sch', щ: 'schtsch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'ju', я: 'ja',
+    і: 'i', ї: 'ji', є: 'je', ґ: 'g'
+  },
+  polish: {
+    а: 'a', б: 'b', в: 'w', г: 'g', д: 'd', е: 'e', ё: 'o', ж: 'ż', з: 'z', и: 'i', й: 'j', к: 'k',
+    л: 'ł', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'ch', ц: 'c',
+    ч: 'cz', ш: 'sz', щ: 'szcz', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'u', я: 'a',
+    і: 'i', ї: 'ji', є: 'je', ґ: 'g'
+  },
+  french: {
+    а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'io', ж: 'j', з: 'z', и: 'i', й: 'ï', к: 'k',
+    л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'ou', ф: 'f', х: 'kh', ц: 'ts',
+    ч: 'tch', ш: 'ch', щ: 'chtch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'iou', я: 'ia',
+    і: 'i', ї: 'ï', є: 'ie', ґ: 'g'
+  },
+  // Ukrainian national system (Cabinet of Ministers resolution 55, 2010)
+  national: {
+    а: 'a', б: 'b', в: 'v', г: 'h', ґ: 'g', д: 'd', е: 'e', є: 'ie', ж: 'zh', з: 'z', и: 'y', і: 'i',
+    ї: 'i', й: 'i', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u',
+    ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ь: '', ю: 'iu', я: 'ia', ъ: '', ы: 'y',
+    ё: 'io', э: 'e'
+  }
+};
+
+// Ukrainian letter values that differ from Russian (г is /h/, и is /y/)
+const UKRAINIAN_OVERRIDES = {
+  bgn: { г: 'h', и: 'y', й: 'y' },
+  loc: { г: 'h', и: 'y' },
+  german: { г: 'h', и: 'y' },
+  polish: { г: 'h', и: 'y' },
+  french: { г: 'h', и: 'y' }
+};
+
+const GREEK_TABLES = {
+  elot: {
+    α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm',
+    ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps',
+    ω: 'o'
+  },
+  classical: {
+    α: 'a', β: 'b', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'e', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm',
+    ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'ph', χ: 'ch', ψ: 'ps',
+    ω: 'o'
+  }
+};
+
+// Greek letters after which αυ / ευ are voiceless (af, ef) in ELOT 743
+const GREEK_VOICELESS = 'θκξπσςτφχψ';
+
+/**
+ * Detect the script of a name
+ * @param {string} text - Name to inspect
+ * @returns {string} 'cyrillic', 'greek', 'latin', 'other', or '' if the name has no letters
+ */
+function detectScript(text) {
+  if (!text) {
+    return '';
+  }
+  if (CYRILLIC_PATTERN.test(text)) {
+    return 'cyrillic';
+  }
+  if (GREEK_PATTERN.test(text)) {
+    return 'greek';
+  }
+  if (LATIN_PATTERN.test(text)) {
+    return 'latin';
+  }
+  return /\p{L}/u.test(text) ? 'other' : '';
+}
+
+/**
+ * Check whether a name is written in a script that can be transliterated here
+ * @param {string} text - Name to inspect
+ * @returns {boolean} True for Cyrillic and Greek names
+ */
+function isTransliterable(text) {
+  const script = detectScript(text);
+  return script === 'cyrillic' || script === 'greek';
+}
+
+/**
+ * Carry the case of a source letter over to its transliteration
+ * @param {string} output - Transliterated letters
+ * @param {string} source - Source letter
+ * @param {string} next - Following source letter
+ * @returns {string} Output with the source's case
+ */
+function applyCase(output, source, next) {
+  if (!output || source === source.toLowerCase()) {
+    return output;
+  }
+  // A capital followed by another capital belongs to an all-caps word
+  if (next && next !== next.toLowerCase()) {
+    return output.toUpperCase();
+  }
+  return output.charAt(0).toUpperCase() + output.slice(1);
+}
+
+/**
+ * Value of a Cyrillic letter that depends on its neighbours
+ * @param {string} system - Transliteration system
+ * @param {string} letter - Lowercase letter
+ * @param {string} previous - Lowercase previous letter ('' at a word start)
+ * @param {string} next - Lowercase next letter ('' at a word end)
+ * @param {boolean} ukrainian - Whether Ukrainian letter values apply
+ * @returns {string|null} Letter value, or null to use the table
+ */
+function cyrillicContext(system, letter, previous, next, ukrainian) {
+  const isVowel = character => character !== '' && CYRILLIC_VOWELS.includes(character);
+  const iotated = previous === '' || isVowel(previous) || CYRILLIC_SIGNS.includes(previous);
+  const wordEnd = next === '';
+
+  if (system === 'national') {
+    // Iotated letters and й are written with y at the start of a word
+    if (previous === '') {
+      const initial = { є: 'ye', ї: 'yi', й: 'y', ю: 'yu', я: 'ya' };
+      if (initial[letter]) {
+        return initial[letter];
+      }
+    }
+    if (letter === 'г' && previous === 'з') {
+      return 'gh';
+    }
+    return null;
+  }
+
+  if (system === 'bgn') {
+    if (letter === 'е' && iotated && !ukrainian) {
+      return 'ye';
+    }
+    if (letter === 'ё') {
+      return iotated ? 'yë' : 'ë';
+    }
+    return null;
+  }
+
+  if (system === 'german' || system === 'polish' || system === 'french') {
+    // -ий / -ый endings lose the й (Dostojewski, Wygotski), other final й is kept (Tolstoï)
+    if (letter === 'й' && wordEnd && (previous === 'и' || previous === 'ы')) {
+      return '';
+    }
+  }
+
+  if (system === 'german') {
+    if (letter === 'е' && iotated) {
+      return 'je';
+    }
+    if (letter === 'ё' && HUSHING.includes(previous) && previous !== '') {
+      return 'o';
+    }
+    // Single s between vowels is voiced in German, so voiceless с is written ss
+    if (letter === 'с' && isVowel(previous) && isVowel(next)) {
+      return 'ss';
+    }
+    return null;
+  }
+
+  if (system === 'polish') {
+    const soft = { е: 'e', ё: 'o', ю: 'u', я: 'a' };
+    if (soft[letter] !== undefined) {
+      if (iotated) {
+        return 'j' + soft[letter];
+      }
+      // Consonants other than л and the hushing ones are palatalized with i (Piotr, Siemionow)
+      if (previous === 'л' || (previous !== '' && HUSHING.includes(previous))) {
+        return soft[letter];
+      }
+      return 'i' + soft[letter];
+    }
+    if (letter === 'л') {
+      return next !== '' && 'еёиьюяії'.includes(next) ? 'l' : 'ł';
+    }
+    if (letter === 'и' && previous !== '' && 'жцш'.includes(previous)) {
+      return 'y';
+    }
+    return null;
+  }
+
+  if (system === 'french') {
+    if (letter === 'е' && previous === '') {
+      return 'ie';
+    }
+    if (letter === 'г' && next !== '' && 'еиыэ'.includes(next)) {
+      return 'gu';
+    }
+    if (letter === 'с' && isVowel(previous) && isVowel(next)) {
+      return 'ss';
+    }
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * Transliterate Cyrillic text
+ * @param {string} text - Cyrillic text
+ * @param {string} system - One of UKRAINIAN_SYSTEMS
+ * @param {boolean} ukrainian - Whether Ukrainian letter values apply
+ * @returns {string} Latin text
+ */
+function transliterateCyrillic(text, system, ukrainian) {
+  const table = Object.assign({}, CYRILLIC_TABLES[system], ukrainian ? UKRAINIAN_OVERRIDES[system] : null);
+  const characters = Array.from(text);
+  const lower = characters.map(character => character.toLowerCase());
+  const isLetter = index => index >= 0 && index < lower.length && table[lower[index]] !== undefined;
+  let output = '';
+
+  for (let i = 0; i < characters.length; i++) {
+    const letter = lower[i];
+    if (table[letter] === undefined) {
+      // Apostrophes inside Ukrainian names only mark separation
+      output += (letter === '\'' || letter === '’') && isLetter(i - 1) && isLetter(i + 1) ? '' : characters[i];
+      continue;
+    }
+
+    const previous = isLetter(i - 1) || lower[i - 1] === '\'' || lower[i - 1] === '’' ? lower[i - 1] : '';
+    const next = isLetter(i + 1) ? lower[i + 1] : '';
+    const contextual = cyrillicContext(system, letter, previous, next, ukrainian);
+    const value = contextual !== null ? contextual : table[letter];
+    output += applyCase(value, characters[i], next ? characters[i + 1] : '');
+  }
+
+  return output;
+}
+
+/**
+ * Transliterate Greek text
+ * @param {string} text - Greek text
+ * @param {string} system - One of GREEK_SYSTEMS
+ * @returns {string} Latin text
+ */
+function transliterateGreek(text, system) {
+  const table = GREEK_TABLES[system] || GREEK_TABLES.elot;
+  const characters = Array.from(text.normalize('NFD').replace(/[̀-ͯ]/g, ''));
+  const lower = characters.map(character => character.toLowerCase());
+  let output = '';
+
+  for (let i = 0; i < characters.length; i++) {
+    const letter = lower[i];
+    const next = lower[i + 1] || '';
+    const afterNext = lower[i + 2] || '';
+    const caseNext = characters[i + 1] || '';
+    if (table[letter] === undefined) {
+      output += characters[i];
+      continue;
+    }
+
+    let value;
+    let consumed = 1;
+    if ((letter === 'α' || letter === 'ε') && next === 'υ') {
+      if (system === 'classical') {
+        value = table[letter] + 'u';
+      } else {
+        value = table[letter] + (afterNext === '' || table[afterNext] === undefined || GREEK_VOICELESS.includes(afterNext) ? 'f' : 'v');
+      }
+      consumed = 2;
+    } else if (letter === 'ο' && next === 'υ') {
+      value = 'ou';
+      consumed = 2;
+    } else if (letter === 'γ' && next !== '' && 'γκξχ'.includes(next)) {
+      // Nasal γ: γγ -> ng, γξ -> nx, γχ -> nch; ELOT writes γκ as gk
+      value = next === 'κ' && system === 'elot' ? 'g' : 'n';
+    } else if (letter === 'μ' && next === 'π' && (i === 0 || table[lower[i - 1]] === undefined) && system === 'elot') {
+      value = 'b';
+      consumed = 2;
+    } else if (letter === 'ν' && next === 'τ' && (i === 0 || table[lower[i - 1]] === undefined) && system === 'elot') {
+      value = 'd';
+      consumed = 2;
+    } else {
+      value = table[letter];
+    }
+
+    output += applyCase(value, characters[i], consumed === 1 ? caseNext : (characters[i + consumed] || ''));
+    i += consumed - 1;
+  }
+
+  return output;
+}
+
+/**
+ * Transliterate a name into Latin script
+ * Latin names are returned unchanged; Greek names fall back to ELOT 743 for Cyrillic-only systems.
+ * @param {string} text - Name to transliterate
+ * @param {string} system - Transliteration system (default 'bgn')
+ * @param {Object} options - { language: 'ru' | 'uk' } to force Russian or Ukrainian letter values
+ * @returns {string} Latin form of the name
+ */
+function transliterate(text, system = 'bgn', options = {}) {
+  const script = detectScript(text);
+  if (script === 'cyrillic') {
+    const ukrainian = options.language ? options.language === 'uk' : UKRAINIAN_PATTERN.test(text);
+    let cyrillicSystem = CYRILLIC_TABLES[system] ? system : 'bgn';
+    if (cyrillicSystem === 'national' && !ukrainian) {
+      cyrillicSystem = 'bgn';
+    }
+    return transliterateCyrillic(text, cyrillicSystem, ukrainian);
+  }
+  if (script === 'greek') {
+    return transliterateGreek(text, GREEK_TABLES[system] ? system : 'elot');
+  }
+  return text;
+}
+
+/**
+ * Every Latin form of a name under the systems that apply to its script
+ * @param {string} text - Name to transliterate
+ * @returns {Array<string>} Distinct Latin forms; [text] for names already in Latin script
+ */
+function getTransliterations(text) {
+  const script = detectScript(text);
+  let systems;
+  if (script === 'cyrillic') {
+    systems = UKRAINIAN_PATTERN.test(text) ? UKRAINIAN_SYSTEMS : CYRILLIC_SYSTEMS;
+  } else if (script === 'greek') {
+    systems = GREEK_SYSTEMS;
+  } else {
+    return text ? [text] : [];
+  }
+
+  return Array.from(new Set(systems.map(system => transliterate(text, system))));
+}
+
+/**
+ * Comparison key of a Latin name that ignores the differences between romanization systems
+ * Diacritics and non-letters are dropped and the -ii / -iy / -ij / -y endings of
+ * Slavic names are unified, so "Vygotskii", "Vygotskiy", "Vygotskij" and "Vygotsky" share a key.
+ * @param {string} latin - Latin name
+ * @returns {string} Key
+ */
+function getLatinKey(latin) {
+  return normalizeName(latin || '')
+    .replace(/[^a-z]/g, '')
+    .replace(/(?:ij|iy|ii|yj|yy|yi|y|j)$/, 'i');
+}
+
+/**
+ * Script-independent keys of a name: the key of every Latin form it may be written in
+ * Two spellings of a name refer to the same name when their key sets intersect.
+ * @param {string} text - Name in any supported script
+ * @returns {Array<string>} Distinct keys
+ */
+function getScriptIndependentKeys(text) {
+  const keys = getTransliterations(text).map(getLatinKey).filter(Boolean);
+  return Array.from(new Set(keys));
+}
+
+// Export for Node.js/CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CYRILLIC_SYSTEMS,
+    UKRAINIAN_SYSTEMS,
+    GREEK_SYSTEMS,
+    detectScript,
+    isTransliterable,
+    transliterate,
+    getTransliterations,
+    getLatinKey,
+    getScriptIndependentKeys
+  };
+}
+
+// Export for ES modules
+if (typeof window !== 'undefined') {
+  window.Transliteration = {
+    CYRILLIC_SYSTEMS,
+    UKRAINIAN_SYSTEMS,
+    GREEK_SYSTEMS,
+    detectScript,
+    isTransliterable,
+    transliterate,
+    getTransliterations,
+    getLatinKey,
+    getScriptIndependentKeys
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Analysis Worker Client - Main-thread side of the analysis ChromeWorker
+ * Posts gathered creators to the worker and keeps the progressCallback/shouldCancel
+ * contract of ZoteroDBAnalyzer.analyzeCreators: progress messages are forwarded, and
+ * shouldCancel() is polled on a timer so the worker is terminated soon after it returns
+ * true, even while the worker is busy between progress messages.
+ */
+class AnalysisWorkerClient {
+  static get WORKER_URL() { return 'chrome://zoteronamenormalizer/content/scripts/analysis-worker-bundled.js'; }
+  static get CANCEL_POLL_INTERVAL() { return 250; }
+
+  /**
+   * @param {string} workerURL - URL of the bundled worker script
+   */
+  constructor(workerURL = AnalysisWorkerClient.WORKER_URL) {
+    this.workerURL = workerURL;
+  }
+
+  /**
+   * Find the worker constructor; the plugin bundle runs in a sandbox, so fall back to the main window's
+   * @returns {Function|null} ChromeWorker constructor or null if workers are unavailable
+   */
+  static getWorkerConstructor() {
+    if (typeof ChromeWorker !== 'undefined') {
+      return ChromeWorker;
+    }
+    if (typeof Zotero !== 'undefined' && typeof Zotero.getMainWindow === 'function') {
+      const mainWindow = Zotero.getMainWindow();
+      if (mainWindow && typeof mainWindow.ChromeWorker === 'function') {
+        return mainWindow.ChromeWorker;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether analysis can run in a worker
+   * @returns {boolean} True if a ChromeWorker can be created
+   */
+  static isSupported() {
+    return AnalysisWorkerClient.getWorkerConstructor() !== null;
+  }
+
+  /**
+   * Analyze creators in the worker
+   * @param {Array} creators - Creators as built by analyzeFullLibrary
+   * @param {Object} options - { progressCallback, shouldCancel, learning }
+   * @returns {Promise<Object>} Analysis results, as returned by analyzeCreators
+   */
+  analyze(creators, options = {}) {
+    const { progressCallback = null, shouldCancel = null, learning = null } = options;
+    const WorkerConstructor = AnalysisWorkerClient.getWorkerConstructor();
+    if (!WorkerConstructor) {
+      return Promise.reject(new Error('Analysis worker is not available'));
+    }
+    if (shouldCancel && shouldCancel()) {
+      return Promise.reject(new Error('Analysis cancelled'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new WorkerConstructor(this.workerURL);
+      let settled = false;
+      let cancelTimer = null;
+
+      const finish = (error, results) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        if (cancelTimer) {
+          clearInterval(cancelTimer);
+        }
+        worker.terminate();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(results);
+        }
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data || {};
+        if (message.type === 'progress') {
+          if (shouldCancel && shouldCancel()) {
+            finish(new Error('Analysis cancelled'));
+            return;
+          }
+          if (progressCallback) {
+            progressCallback(message.progress);
+          }
+        } else if (message.type === 'result') {
+          finish(null, message.results);
+        } else if (message.type === 'error') {
+          finish(new Error(message.message || 'Analysis worker failed'));
+        }
+      };
+
+      worker.onerror = (event) => {
+        if (event && typeof event.preventDefault === 'function') {
+          event.preventDefault();
+        }
+        finish(new Error('Analysis worker failed: ' + (event && event.message ? event.message : 'unknown error')));
+      };
+
+      if (shouldCancel) {
+        cancelTimer = setInterval(() => {
+          if (shouldCancel()) {
+            finish(new Error('Analysis cancelled'));
+          }
+        }, AnalysisWorkerClient.CANCEL_POLL_INTERVAL);
+      }
+
+      worker.postMessage({ type: 'analyze', creators, learning });
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisWorkerClient;
+}
@@ -0,0 +1,48 @@
+/**
+ * Analysis Worker - Runs the pure author-analysis steps off Zotero's UI thread
+ * Bundled separately as content/scripts/analysis-worker-bundled.js and started as a ChromeWorker
+ * by AnalysisWorkerClient. The main thread gathers creators and posts them here; this script
+ * groups surnames, detects diacritic variants, clusters given names and generates suggestions.
+ *
+ * Messages in:  { type: 'analyze', creators, learning }
+ * Messages out: { type: 'progress', progress }, { type: 'result', results }, { type: 'error', message }
+ */
+
+// Workers have no Zotero object; the analysis steps only use it for debug output
+if (typeof Zotero === 'undefined' && typeof importScripts === 'function') {
+  self.Zotero = { debug: () => {} };
+}
+
+const ZoteroDBAnalyzer = require('../zotero/zotero-db-analyzer.js');
+
+/**
+ * Run one analysis request
+ * @param {Object} data - Message data ({ creators, learning })
+ * @param {Function} post - Posts a message back to the main thread
+ * @returns {Promise<void>}
+ */
+async function handleAnalysisRequest(data, post) {
+  try {
+    const analyzer = new ZoteroDBAnalyzer();
+    analyzer.applyLearningSnapshot(data.learning);
+
+    const progressCallback = (progress) => post({ type: 'progress', progress });
+    const results = await analyzer.analyzeCreators(data.creators || [], progressCallback);
+    post({ type: 'result', results });
+  } catch (error) {
+    post({ type: 'error', message: error && error.message ? error.message : String(error) });
+  }
+}
+
+if (typeof importScripts === 'function') {
+  self.onmessage = (event) => {
+    if (event.data && event.data.type === 'analyze') {
+      handleAnalysisRequest(event.data, (message) => self.postMessage(message));
+    }
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { handleAnalysisRequest };
+}
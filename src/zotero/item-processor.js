@@ -27,7 +27,7 @@ class ItemProcessor {
         if (learned) {
           results.push({
             original: { ...creator },
-            normalized: this.parseNameFromFullString(learned),
+            normalized: this.parseNameFromFullString(learned, creator.fieldMode),
             type: creator.creatorType,
             status: 'learned',
             suggestion: learned
@@ -39,7 +39,7 @@ class ItemProcessor {
         const similars = this.learningEngine.findSimilar(rawName);
         
         // Parse the name and generate variants
-        const parsed = this.nameParser.parse(rawName);
+        const parsed = this.nameParser.parse(rawName, { fieldMode: creator.fieldMode || 0 });
         const variants = this.variantGenerator.generateVariants(parsed);
         
         // Check for potential database-wide variants (in a full scan scenario)
@@ -98,9 +98,19 @@ class ItemProcessor {
   /**
    * Parse a full name string back to Zotero creator format
    * @param {string} fullName - Full name string
-   * @returns {Object} Creator object with firstName and lastName
+   * @param {number} fieldMode - Field mode of the original creator (1 = single field)
+   * @returns {Object} Creator object with firstName, lastName and the original fieldMode
    */
-  parseNameFromFullString(fullName) {
+  parseNameFromFullString(fullName, fieldMode = 0) {
+    if (fieldMode === 1) {
+      // Single-field creators keep the whole name in lastName
+      return {
+        firstName: '',
+        lastName: (fullName || '').trim(),
+        fieldMode: 1
+      };
+    }
+
     const parsed = this.nameParser.parse(fullName);
     return {
       firstName: parsed.firstName,
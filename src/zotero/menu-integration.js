@@ -187,11 +187,20 @@ class MenuIntegration {
     }
   }
 
+  /**
+   * List libraries available for analysis (user library and editable groups)
+   * @returns {Array} Libraries as { libraryID, name, type, editable }
+   */
+  getAvailableLibraries() {
+    return this.zoteroDBAnalyzer.getAvailableLibraries();
+  }
+
   /**
    * Perform a full library analysis for name variants
+   * @param {Object} options - { libraryID, scope } (defaults to the whole user library)
    * @returns {Object} Analysis results
    */
-  async performFullLibraryAnalysis() {
+  async performFullLibraryAnalysis(options = {}) {
     if (typeof Zotero === 'undefined') {
       throw new Error('This feature requires Zotero context');
     }
@@ -199,7 +208,7 @@ class MenuIntegration {
     console.log('Starting full library analysis for name variants...');
     
     try {
-      const results = await this.zoteroDBAnalyzer.analyzeFullLibrary();
+      const results = await this.zoteroDBAnalyzer.analyzeFullLibrary(null, null, options);
       
       console.log(`Analysis complete: Found ${results.totalVariantGroups} potential variant groups`);
       return results;
@@ -211,10 +220,11 @@ class MenuIntegration {
 
   /**
    * Handle full library analysis action
+   * @param {Object} options - { libraryID, scope } (defaults to the whole user library)
    */
-  async handleFullLibraryAnalysis() {
+  async handleFullLibraryAnalysis(options = {}) {
     try {
-      const results = await this.performFullLibraryAnalysis();
+      const results = await this.performFullLibraryAnalysis(options);
 
       // In a real implementation, this would show the results in a dedicated UI
       // For now, we'll just return the results
@@ -259,6 +269,104 @@ class MenuIntegration {
       throw error;
     }
   }
+
+  /**
+   * Get the journal of applied normalization runs
+   * @returns {Array} Run summaries, newest first
+   */
+  getNormalizationHistory() {
+    return this.zoteroDBAnalyzer.getNormalizationHistory();
+  }
+
+  /**
+   * Get the given-name equivalences recorded on top of the built-in ones
+   * @returns {Array} Records of { name, equivalent, timestamp }
+   */
+  getGivenNameEquivalents() {
+    return this.zoteroDBAnalyzer.getGivenNameEquivalents();
+  }
+
+  /**
+   * Remove a recorded given-name equivalence
+   * @param {string} name - Given name
+   * @param {string} equivalent - Given name it was linked to
+   * @returns {Promise<boolean>} True if an equivalence was removed
+   */
+  async removeGivenNameEquivalent(name, equivalent) {
+    return await this.zoteroDBAnalyzer.removeGivenNameEquivalent(name, equivalent);
+  }
+
+  /**
+   * Get the canonical-form strategy set for a suggestion type
+   * @param {string} type - Suggestion type
+   * @returns {string|null} Strategy, or null for the built-in rule
+   */
+  getCanonicalFormStrategy(type) {
+    return this.zoteroDBAnalyzer.getCanonicalFormStrategy(type);
+  }
+
+  /**
+   * Set the canonical-form strategy of a suggestion type
+   * @param {string} type - Suggestion type
+   * @param {string|null} strategy - Strategy, or null for the built-in rule
+   */
+  async setCanonicalFormStrategy(type, strategy) {
+    await this.zoteroDBAnalyzer.setCanonicalFormStrategy(type, strategy);
+  }
+
+  /**
+   * Get the analysis settings the dialog can change
+   * @returns {Object} Setting name -> value
+   */
+  getAnalysisSettings() {
+    return this.zoteroDBAnalyzer.getAnalysisSettings();
+  }
+
+  /**
+   * Change an analysis setting
+   * @param {string} name - Setting name
+   * @param {*} value - New value
+   */
+  async setAnalysisSetting(name, value) {
+    await this.zoteroDBAnalyzer.setAnalysisSetting(name, value);
+  }
+
+  /**
+   * Get the recommended form of a suggestion under a canonical-form strategy
+   * @param {Object} suggestion - Normalization suggestion
+   * @param {string|null} strategy - Strategy, or null for the built-in rule
+   * @returns {Object|null} { fields, canonicalRule }
+   */
+  getCanonicalRecommendation(suggestion, strategy) {
+    return this.zoteroDBAnalyzer.getCanonicalRecommendation(suggestion, strategy);
+  }
+
+  /**
+   * Revert a previously applied normalization run
+   * @param {string} runId - Journal run identifier
+   * @param {Object} options - Revert options ({ force, progressCallback })
+   * @returns {Object} Revert results
+   */
+  async revertNormalizationRun(runId, options = {}) {
+    if (typeof Zotero === 'undefined') {
+      throw new Error('This feature requires Zotero context');
+    }
+
+    return await this.zoteroDBAnalyzer.revertNormalizationRun(runId, options);
+  }
+
+  /**
+   * Revert the most recent normalization run
+   * @param {Object} options - Revert options ({ force, progressCallback })
+   * @returns {Object} Revert results
+   */
+  async undoLastNormalizationRun(options = {}) {
+    if (typeof Zotero === 'undefined') {
+      throw new Error('This feature requires Zotero context');
+    }
+
+    return await this.zoteroDBAnalyzer.undoLastNormalizationRun(options);
+  }
 }
 
 // Export for use in other modules
@@ -0,0 +1,224 @@
+/**
+ * SQL Creator Source - Reads creators straight from the Zotero database
+ * Queries the items, itemCreators, creators and itemData tables instead of loading
+ * full Zotero.Item objects, which is what makes analysis of large libraries slow.
+ */
+class SQLCreatorSource {
+  /**
+   * @param {Object} db - Zotero database object (defaults to Zotero.DB)
+   */
+  constructor(db = null) {
+    this.db = db;
+    // Stay well below SQLite's bound parameter limit
+    this.chunkSize = 500;
+  }
+
+  /**
+   * Get the database to query
+   * @returns {Object|null} Zotero.DB-like object or null
+   */
+  getDB() {
+    if (this.db) {
+      return this.db;
+    }
+    return typeof Zotero !== 'undefined' ? Zotero.DB || null : null;
+  }
+
+  /**
+   * Check whether the database and the field/type lookups needed for item records are available
+   * @returns {boolean} True if SQL extraction can be used
+   */
+  isAvailable() {
+    const db = this.getDB();
+    return Boolean(
+      db && typeof db.queryAsync === 'function' &&
+      typeof Zotero !== 'undefined' && Zotero.ItemFields && Zotero.ItemTypes
+    );
+  }
+
+  /**
+   * Split ids into chunks that fit into one query
+   * @param {Array<number>} ids - Ids to split
+   * @returns {Array<Array<number>>} Chunks
+   */
+  chunk(ids) {
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += this.chunkSize) {
+      chunks.push(ids.slice(i, i + this.chunkSize));
+    }
+    return chunks;
+  }
+
+  /**
+   * Build a "?, ?, ?" placeholder list
+   * @param {number} count - Number of placeholders
+   * @returns {string} Placeholders
+   */
+  placeholders(count) {
+    return new Array(count).fill('?').join(', ');
+  }
+
+  /**
+   * Load lightweight item records with the fields the analyzer reads from Zotero.Item
+   * (id, key, libraryID, version, itemType, getCreators(), getCollections() and
+   * getField('title' | 'date' | 'publicationTitle' | 'extra')).
+   * Extra is read for the creators' ORCID iDs; the journal and collections are evidence for
+   * telling authors apart.
+   * @param {Array<number>} itemIDs - Item ids
+   * @returns {Promise<Array<Object>>} Item records in the order of itemIDs; unknown ids are skipped
+   */
+  async getItemRecords(itemIDs = []) {
+    const db = this.getDB();
+    const titleFieldID = Zotero.ItemFields.getID('title');
+    const dateFieldID = Zotero.ItemFields.getID('date');
+    const publicationTitleFieldID = Zotero.ItemFields.getID('publicationTitle');
+    const extraFieldID = Zotero.ItemFields.getID('extra');
+    const fieldIDs = [titleFieldID, dateFieldID, publicationTitleFieldID, extraFieldID].filter(Boolean);
+    const records = new Map();
+
+    for (const ids of this.chunk(itemIDs)) {
+      const idList = this.placeholders(ids.length);
+
+      const itemRows = await db.queryAsync(
+        'SELECT itemID, itemTypeID, libraryID, key, version, clientDateModified FROM items ' +
+        'WHERE itemID IN (' + idList + ')',
+        ids
+      );
+      for (const row of itemRows || []) {
+        records.set(row.itemID, this.createItemRecord(row));
+      }
+
+      const creatorRows = await db.queryAsync(
+        'SELECT itemID, firstName, lastName, fieldMode, creatorTypeID FROM itemCreators ' +
+        'JOIN creators USING (creatorID) WHERE itemID IN (' + idList + ') ORDER BY itemID, orderIndex',
+        ids
+      );
+      for (const row of creatorRows || []) {
+        const record = records.get(row.itemID);
+        if (record) {
+          record.creators.push(this.createCreator(row));
+        }
+      }
+
+      if (fieldIDs.length > 0) {
+        const fieldRows = await db.queryAsync(
+          'SELECT itemID, fieldID, value FROM itemData JOIN itemDataValues USING (valueID) ' +
+          'WHERE fieldID IN (' + this.placeholders(fieldIDs.length) + ') AND itemID IN (' + idList + ')',
+          fieldIDs.concat(ids)
+        );
+        for (const row of fieldRows || []) {
+          const record = records.get(row.itemID);
+          if (!record) {
+            continue;
+          }
+          if (row.fieldID === titleFieldID) {
+            record.fields.title = row.value;
+          } else if (row.fieldID === dateFieldID) {
+            record.fields.date = this.formatDate(row.value);
+          } else if (row.fieldID === publicationTitleFieldID) {
+            record.fields.publicationTitle = row.value;
+          } else if (row.fieldID === extraFieldID) {
+            record.fields.extra = row.value;
+          }
+        }
+      }
+
+      const collectionRows = await db.queryAsync(
+        'SELECT itemID, collectionID FROM collectionItems WHERE itemID IN (' + idList + ') ORDER BY itemID, collectionID',
+        ids
+      );
+      for (const row of collectionRows || []) {
+        const record = records.get(row.itemID);
+        if (record) {
+          record.collections.push(row.collectionID);
+        }
+      }
+    }
+
+    return itemIDs.filter(id => records.has(id)).map(id => records.get(id));
+  }
+
+  /**
+   * Read every creator occurrence, optionally limited to one library
+   * @param {number|null} libraryID - Library to read, or null for all libraries
+   * @returns {Promise<Array<Object>>} Creators as { firstName, lastName, fieldMode, creatorTypeID }
+   */
+  async getAllCreators(libraryID = null) {
+    const db = this.getDB();
+    let sql = 'SELECT firstName, lastName, fieldMode, creatorTypeID FROM itemCreators ' +
+      'JOIN creators USING (creatorID) JOIN items USING (itemID) ' +
+      'WHERE itemID NOT IN (SELECT itemID FROM deletedItems)';
+    const params = [];
+    if (libraryID !== null && libraryID !== undefined) {
+      sql += ' AND libraryID=?';
+      params.push(libraryID);
+    }
+    sql += ' ORDER BY itemID, orderIndex';
+
+    const rows = await db.queryAsync(sql, params);
+    return (rows || []).map(row => this.createCreator(row));
+  }
+
+  /**
+   * Turn an items row into an item record
+   * @param {Object} row - Row from the items table
+   * @returns {Object} Item record
+   */
+  createItemRecord(row) {
+    const record = {
+      id: row.itemID,
+      key: row.key,
+      libraryID: row.libraryID,
+      version: row.version,
+      clientDateModified: row.clientDateModified,
+      itemType: Zotero.ItemTypes.getName(row.itemTypeID),
+      creators: [],
+      collections: [],
+      fields: {},
+      getCreators() {
+        return record.creators.map(creator => ({ ...creator }));
+      },
+      getCollections() {
+        return record.collections.slice();
+      },
+      getField(field) {
+        if (field === 'itemType') {
+          return record.itemType;
+        }
+        return record.fields[field] || '';
+      }
+    };
+    return record;
+  }
+
+  /**
+   * Turn a creators row into a creator in the internal format of Zotero.Item#getCreators
+   * @param {Object} row - Row with firstName, lastName, fieldMode and creatorTypeID
+   * @returns {Object} Creator as { firstName, lastName, fieldMode, creatorTypeID }
+   */
+  createCreator(row) {
+    return {
+      firstName: row.firstName || '',
+      lastName: row.lastName || '',
+      fieldMode: row.fieldMode || 0,
+      creatorTypeID: row.creatorTypeID
+    };
+  }
+
+  /**
+   * Format a stored multipart date the way Zotero.Item#getField('date') does
+   * @param {string} value - Stored date ("2020-05-00 May 2020")
+   * @returns {string} Display date
+   */
+  formatDate(value) {
+    if (value && Zotero.Date && typeof Zotero.Date.multipartToStr === 'function') {
+      return Zotero.Date.multipartToStr(value);
+    }
+    return value || '';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SQLCreatorSource;
+}
@@ -4,7 +4,39 @@
  */
 
 const { NAME_PREFIXES, NAME_SUFFIXES, COMMON_GIVEN_NAME_EQUIVALENTS: SHARED_NAME_EQUIVALENTS } = require('../config/name-constants');
-const { normalizedLevenshtein, isDiacriticOnlyVariant, normalizeName } = require('../utils/string-distance');
+const { levenshteinDistance, normalizedLevenshtein, isDiacriticOnlyVariant, normalizeName } = require('../utils/string-distance');
+const { CandidateIndex } = require('../utils/candidate-index');
+const { PHONETIC_ALGORITHM_BY_LANGUAGE, getPhoneticKeys, findPhoneticMatch } = require('../utils/phonetic-keys');
+const {
+  UKRAINIAN_SYSTEMS,
+  GREEK_SYSTEMS,
+  detectScript,
+  isTransliterable,
+  transliterate,
+  getScriptIndependentKeys
+} = require('../utils/transliteration');
+const {
+  isAcronym,
+  isLikelyOrganizationName,
+  stripOrganizationQualifiers,
+  getOrganizationAcronym,
+  getOrganizationKey
+} = require('../utils/organization-names');
+const { detectCreatorIssues } = require('../utils/creator-hygiene');
+const { capitalizeName, needsCaseNormalization } = require('../utils/name-capitalization');
+const {
+  PARTICLE_POLICIES,
+  isParticle,
+  splitSurnameParticles,
+  getParticleKey,
+  detectParticlePolicy,
+  applyParticlePolicy
+} = require('../utils/name-particles');
+const { SUFFIX_POSITIONS, splitGenerationalSuffix, applySuffixPosition } = require('../utils/name-suffixes');
+const { parseExtraOrcids, assignOrcids } = require('../utils/orcid');
+const { buildAuthorProfile, scoreAuthorEvidence } = require('../utils/author-evidence');
+const { buildGivenNameEquivalenceTable, lookupGivenNameEquivalent } = require('../utils/given-name-equivalents');
+const { CANONICAL_FORM_STRATEGIES, CANONICAL_FORM_STRATEGY_LABELS, selectCanonicalForm } = require('../utils/canonical-form');
 
 // File-based logger for debugging (writes to /tmp/zotero-normalizer.log)
 function fileLog(msg) {
@@ -35,135 +67,82 @@ function fileLog(msg) {
   }
 }
 
-const COMMON_GIVEN_NAME_EQUIVALENTS = Object.freeze({
-  alex: 'alexander',
-  alexander: 'alexander',
-  alexandra: 'alexandra',
-  alexis: 'alexander',
-  ally: 'allison',
-  ann: 'anne',
-  anna: 'anne',
-  annie: 'anne',
-  anthony: 'anthony',
-  antonio: 'antonio',
-  beth: 'elizabeth',
-  betsy: 'elizabeth',
-  betty: 'elizabeth',
-  bill: 'william',
-  billy: 'william',
-  bob: 'robert',
-  bobby: 'robert',
-  charles: 'charles',
-  charlie: 'charles',
-  charlotte: 'charlotte',
-  chaz: 'charles',
-  che: 'ernesto',
-  chuck: 'charles',
-  cathy: 'catherine',
-  catherine: 'catherine',
-  cathie: 'catherine',
-  cathryn: 'catherine',
-  frank: 'francis',
-  francis: 'francis',
-  francisco: 'francisco',
-  fran: 'francis',
-  frederic: 'frederick',
-  frederick: 'frederick',
-  fred: 'frederick',
-  freddie: 'frederick',
-  freddy: 'frederick',
-  harold: 'harold',
-  harry: 'harry',
-  hal: 'harold',
-  hank: 'henry',
-  henry: 'henry',
-  jack: 'john',
-  jacob: 'jacob',
-  jake: 'jacob',
-  james: 'james',
-  jamie: 'james',
-  jen: 'jennifer',
-  jenn: 'jennifer',
-  jenny: 'jennifer',
-  jennifer: 'jennifer',
-  jesse: 'jessica',
-  jess: 'jessica',
-  jessica: 'jessica',
-  jim: 'james',
-  jimmy: 'james',
-  joe: 'joseph',
-  joey: 'joseph',
-  john: 'john',
-  jon: 'jonathan',
-  jonathan: 'jonathan',
-  jose: 'jose',
-  joseph: 'joseph',
-  joyce: 'joyce',
-  kate: 'katherine',
-  katherine: 'katherine',
-  kathy: 'catherine',
-  katy: 'katherine',
-  katie: 'katherine',
-  liz: 'elizabeth',
-  lizzie: 'elizabeth',
-  lou: 'louis',
-  louis: 'louis',
-  maggie: 'margaret',
-  margaret: 'margaret',
-  marie: 'mary',
-  mary: 'mary',
-  megan: 'margaret',
-  meg: 'margaret',
-  michael: 'michael',
-  mick: 'michael',
-  mickey: 'michael',
-  mike: 'michael',
-  manuel: 'manuel',
-  manu: 'manuel',
-  nancy: 'anne',
-  nick: 'nicholas',
-  nicholas: 'nicholas',
-  nico: 'nicholas',
-  paco: 'francisco',
-  patricia: 'patricia',
-  patty: 'patricia',
-  peggy: 'margaret',
-  pepe: 'jose',
-  rick: 'richard',
-  rich: 'richard',
-  richard: 'richard',
-  ricky: 'richard',
-  rob: 'robert',
-  robbie: 'robert',
-  robert: 'robert',
-  ron: 'ronald',
-  ronnie: 'ronald',
-  ronald: 'ronald',
-  rose: 'rose',
-  rosie: 'rose',
-  sasha: 'alexander',
-  sandy: 'alexander',
-  ted: 'theodore',
-  teddy: 'theodore',
-  theodore: 'theodore',
-  toni: 'antonio',
-  tonya: 'antonia',
-  will: 'william',
-  willie: 'william',
-  william: 'william'
-});
+// Built-in given-name equivalences (utils/given-name-equivalents); the reviewer's own ones are
+// added per analyzer by getGivenNameEquivalenceTable
+const DEFAULT_GIVEN_NAME_EQUIVALENTS = buildGivenNameEquivalenceTable();
+
+// Suggestion types whose recommended form a canonical-form strategy can pick, and the rule each
+// type follows without one (keyed by reason where the reasons of a type differ)
+const CANONICAL_FORM_TYPES = ['surname', 'given-name', 'organization', 'orcid'];
+const BUILT_IN_CANONICAL_RULES = {
+  surname: 'most frequent spelling',
+  compound: 'fullest surname: most words, then most accents, then most occurrences',
+  transliteration: 'spelling in the preferred script',
+  'given-name': 'full given name before initials, then the most frequent spelling',
+  organization: 'full name before acronyms and qualified names, then the most frequent',
+  orcid: 'most frequent correctly cased spelling with this iD'
+};
+
+// Analysis settings the dialog can change, with the values each accepts
+const ANALYSIS_SETTING_VALUES = {
+  enablePhoneticVariantDetection: [true, false],
+  phoneticLanguage: ['auto', ...Object.keys(PHONETIC_ALGORITHM_BY_LANGUAGE)],
+  transliterationPreferredScript: ['latin', 'native'],
+  // Ukrainian systems include every Russian one; each script falls back to its own default
+  transliterationSystem: [...UKRAINIAN_SYSTEMS, ...GREEK_SYSTEMS],
+  // null keeps the most common form of each group
+  particlePolicy: [null, ...PARTICLE_POLICIES],
+  suffixPosition: SUFFIX_POSITIONS
+};
+
+// Lowercase given names known from the equivalence tables, used to spot swapped name fields
+const KNOWN_GIVEN_NAMES = new Set([
+  ...DEFAULT_GIVEN_NAME_EQUIVALENTS.keys(),
+  ...DEFAULT_GIVEN_NAME_EQUIVALENTS.values(),
+  ...Object.entries(SHARED_NAME_EQUIVALENTS || {})
+    .flatMap(([canonical, variants]) => [canonical, ...(Array.isArray(variants) ? variants : [])])
+    .map(name => String(name).toLowerCase())
+]);
+
+// Swaps below this confidence are not suggested
+const SWAP_MIN_CONFIDENCE = 0.5;
+
+// Starting confidence of a given-name merge before the co-author and venue evidence
+const GIVEN_NAME_MERGE_CONFIDENCE = { initial: 0.5, name: 0.7 };
+
+// Given-name merges below this confidence are only applied once confirmed in the dialog
+const GIVEN_NAME_MIN_CONFIDENCE = 0.4;
+
+// Shorter surnames are too close to each other for edit distance to mean a typo (Li / Lu, Kim / Kin)
+const SPELLING_MIN_SURNAME_LENGTH = 4;
+
+// Conjunctions and "et al." left in surnames by bad imports ("and Friston"); they are not surname words
+const COMPOUND_JUNK_WORDS = new Set(['and', '&', 'und', 'y', 'et', 'al', 'al.']);
+
 class ZoteroDBAnalyzer {
   constructor() {
     this.candidateFinder = new (require('../core/candidate-finder.js'))();
     this.learningEngine = new (require('../core/learning-engine.js'))();
+    this.journal = require('../storage/normalization-journal.js').getShared();
+    this.creatorIndex = require('../storage/creator-index.js').getShared();
+    this.creatorSource = new (require('./sql-creator-source.js'))();
+    // Built-in plus recorded given-name equivalences, see getGivenNameEquivalenceTable
+    this.givenNameEquivalenceTable = null;
   }
 
   /**
    * Perform a database-wide analysis of creator names
    * In a Zotero context, this would execute efficient SQL queries
-   * @returns {Promise<Object>} Analysis results
+   * @param {Function} progressCallback - Progress reporter
+   * @param {Function} shouldCancel - Returns true to abort the analysis
+   * @param {Object} options - { libraryID, scope, fullScan }; libraryID defaults to the user library,
+   *   scope limits the analysis to { type: 'library' | 'collection' | 'savedSearch' | 'tag' | 'selection',
+   *   collectionId, includeSubcollections, savedSearchId, tag, itemIds }, fullScan ignores the
+   *   creator index and reloads every item, and useWorker: false keeps the analysis on the main thread.
+   *   The creator index only spares reading unchanged items; variants are grouped over all creators.
+   * @returns {Promise<Object>} Analysis results, with creatorIndexWarning when the index could not be saved
    */
-  async analyzeFullLibrary(progressCallback = null, shouldCancel = null) {
+  async analyzeFullLibrary(progressCallback = null, shouldCancel = null, options = {}) {
     const DEBUG = true;
     const log = (msg) => {
       if (DEBUG) {
@@ -183,15 +162,15 @@ class ZoteroDBAnalyzer {
 
     console.log('Starting full library analysis...');
 
+    // Resolve the scope and refuse read-only libraries up front so the caller sees a clear message
+    const scope = this.resolveAnalysisScope(options && options.scope, options && options.libraryID);
+    const libraryID = scope.libraryID;
+    const library = this.assertLibraryEditable(libraryID);
+
     try {
-      // Use Zotero.Search API to get all items with creators
-      const libraryID = Zotero.Libraries.userLibraryID;
-      fileLog('Creating search for libraryID: ' + libraryID);
-      log('Creating search for libraryID: ' + libraryID);
-      const search = new Zotero.Search();
-      search.addCondition('libraryID', 'is', libraryID);
-
-      const itemIDs = await search.search();
+      fileLog('Collecting items for libraryID: ' + libraryID + ', scope: ' + scope.label);
+      log('Collecting items for libraryID: ' + libraryID + ', scope: ' + scope.label);
+      const itemIDs = await this.getScopeItemIDs(scope);
       fileLog('Search returned ' + (itemIDs ? itemIDs.length : 0) + ' item IDs');
       log('Search returned ' + (itemIDs ? itemIDs.length : 0) + ' item IDs');
       console.log(`Found ${itemIDs.length} total items in library`);
@@ -204,59 +183,99 @@ class ZoteroDBAnalyzer {
           potentialVariants: [],
           suggestions: [],
           totalUniqueSurnames: 0,
-          totalVariantGroups: 0
+          totalVariantGroups: 0,
+          libraryID,
+          libraryName: library.name,
+          scope
         };
       }
 
-      // Process items in batches to avoid memory issues
-      const filterBatchSize = 200;
-      const processingBatchSize = 100;
-      const creatorsMap = {};
-      const itemsWithCreators = [];
-      let processedItems = 0;
+      // Reuse the creator index for unchanged items; only new or changed items are loaded
+      const useIndex = !(options && options.fullScan);
+      if (useIndex) {
+        await this.creatorIndex.ready;
+      }
+      const stamps = useIndex ? await this.creatorIndex.fetchItemStamps(libraryID) : null;
+      const entries = new Map();
+      const staleItemIDs = [];
+      for (const itemID of itemIDs) {
+        const entry = stamps ? this.creatorIndex.getFreshEntry(itemID, stamps.get(itemID)) : null;
+        if (entry) {
+          entries.set(itemID, entry);
+        } else {
+          staleItemIDs.push(itemID);
+        }
+      }
+      fileLog('Creator index: reusing ' + entries.size + ' items, loading ' + staleItemIDs.length);
 
-      // First pass: filter items with creators and populate creatorsMap
-      for (let i = 0; i < itemIDs.length; i += filterBatchSize) {
-        const batch = itemIDs.slice(i, i + filterBatchSize);
-        const items = await Zotero.Items.getAsync(batch);
+      // Load changed items in batches to avoid memory issues. Creators and the fields used for
+      // item summaries are read with SQL where possible instead of loading full item objects.
+      const useSQL = this.creatorSource.isAvailable();
+      const filterBatchSize = useSQL ? this.creatorSource.chunkSize : 200;
+      const reusedCount = entries.size;
 
-        for (const item of items) {
-          try {
-            const creators = item.getCreators ? item.getCreators() : [];
-            if (creators && Array.isArray(creators) && creators.length > 0) {
-              // Double-check that creators have actual names
-              const validCreators = creators.filter(creator =>
-                creator && (creator.firstName || creator.lastName)
-              );
-              if (validCreators.length > 0) {
-                itemsWithCreators.push(item);
-              }
+      for (let i = 0; i < staleItemIDs.length; i += filterBatchSize) {
+        const batch = staleItemIDs.slice(i, i + filterBatchSize);
+        const items = useSQL
+          ? await this.creatorSource.getItemRecords(batch)
+          : await Zotero.Items.getAsync(batch);
 
-              for (const creator of creators) {
-                this.addCreatorOccurrence(creatorsMap, creator, item);
-              }
-            }
-          } catch (itemError) {
-            console.warn('Error processing item creators:', itemError);
+        for (const item of items) {
+          const entry = this.buildCreatorIndexEntry(item, stamps ? stamps.get(item.id) : null);
+          if (entry) {
+            entries.set(item.id, entry);
+            this.creatorIndex.setEntry(item.id, entry);
           }
         }
 
         // Report progress
         if (progressCallback) {
+          const processed = reusedCount + i + batch.length;
           progressCallback({
             stage: 'filtering_items',
-            processed: i + batch.length,
+            processed,
             total: itemIDs.length,
-            percent: Math.round(((i + batch.length) / itemIDs.length) * 100)
+            percent: Math.round((processed / itemIDs.length) * 100)
           });
         }
       }
 
-      Zotero.debug('ZoteroDBAnalyzer: Filtering complete, items with creators: ' + itemsWithCreators.length);
-      fileLog('Filtering complete: itemsWithCreators=' + itemsWithCreators.length + ', creatorsMap keys=' + Object.keys(creatorsMap).length);
-      console.log(`Found ${itemsWithCreators.length} items with valid creators`);
+      if (progressCallback && staleItemIDs.length === 0) {
+        progressCallback({ stage: 'filtering_items', processed: itemIDs.length, total: itemIDs.length, percent: 100 });
+      }
+
+      let creatorIndexWarning = null;
+      if (useIndex) {
+        this.creatorIndex.prune(libraryID, stamps);
+        if (!await this.creatorIndex.saveIndex()) {
+          const reason = this.creatorIndex.lastSaveError && this.creatorIndex.lastSaveError.message;
+          creatorIndexWarning = 'The creator index could not be saved' + (reason ? ' (' + reason + ')' : '') +
+            ', so the next analysis will read every item again.';
+          Zotero.debug('ZoteroDBAnalyzer: ' + creatorIndexWarning);
+        }
+      }
+
+      // Populate creatorsMap in search order, so indexed and freshly loaded items give the same result
+      const creatorsMap = {};
+      let itemsWithCreators = 0;
+      for (const itemID of itemIDs) {
+        const entry = entries.get(itemID);
+        if (!entry) {
+          continue;
+        }
+        if (entry.creators.length > 0) {
+          itemsWithCreators++;
+        }
+        for (const creator of entry.creators) {
+          this.addCreatorOccurrence(creatorsMap, creator, null, this.buildCreatorSummary(entry.summary, creator));
+        }
+      }
+
+      Zotero.debug('ZoteroDBAnalyzer: Filtering complete, items with creators: ' + itemsWithCreators);
+      fileLog('Filtering complete: itemsWithCreators=' + itemsWithCreators + ', creatorsMap keys=' + Object.keys(creatorsMap).length);
+      console.log(`Found ${itemsWithCreators} items with valid creators`);
 
-      if (itemsWithCreators.length === 0) {
+      if (itemsWithCreators === 0) {
         console.log('WARNING: No items with valid creators found!');
         console.log('This might indicate:');
         console.log('1. Items exist but have no creators');
@@ -266,7 +285,7 @@ class ZoteroDBAnalyzer {
         // Fallback: Try to get some items without creator filter to verify search works
         console.log('Trying fallback search to verify database access...');
         const fallbackSearch = new Zotero.Search();
-        fallbackSearch.addCondition('libraryID', 'is', Zotero.Libraries.userLibraryID);
+        fallbackSearch.addCondition('libraryID', 'is', libraryID);
         fallbackSearch.addCondition('limit', 'is', 10); // Just get 10 items
 
         try {
@@ -325,11 +344,17 @@ class ZoteroDBAnalyzer {
       }
 
       // Analyze creators for surname frequencies and variants
-      const results = await this.analyzeCreators(creators, progressCallback, shouldCancel);
+      const results = await this.runCreatorAnalysis(creators, progressCallback, shouldCancel, options);
       Zotero.debug('ZoteroDBAnalyzer: analyzeCreators completed, suggestions count: ' + (results.suggestions ? results.suggestions.length : 0));
       fileLog('analyzeCreators complete: suggestions=' + (results.suggestions ? results.suggestions.length : 0) + ', totalUniqueSurnames=' + results.totalUniqueSurnames);
 
       console.log(`Analysis complete: processed ${creators.length} unique creator entries`);
+      results.libraryID = libraryID;
+      results.libraryName = library.name;
+      results.scope = scope;
+      if (creatorIndexWarning) {
+        results.creatorIndexWarning = creatorIndexWarning;
+      }
       return results;
 
     } catch (error) {
@@ -343,19 +368,270 @@ class ZoteroDBAnalyzer {
         potentialVariants: [],
         suggestions: [],
         totalUniqueSurnames: 0,
-        totalVariantGroups: 0
+        totalVariantGroups: 0,
+        libraryID,
+        libraryName: library.name,
+        scope
+      };
+    }
+  }
+
+  /**
+   * Validate an analysis scope and resolve its Zotero objects
+   * @param {Object} scope - Requested scope (see analyzeFullLibrary); null means the whole library
+   * @param {number} libraryID - Requested library; defaults to the scope's own library or the user library
+   * @returns {Object} Resolved scope with type, label, libraryID and the keys needed to search
+   * @throws {Error} If the scope type is unknown or its target cannot be found
+   */
+  resolveAnalysisScope(scope, libraryID = null) {
+    const type = (scope && scope.type) || 'library';
+    const defaultLibraryID = libraryID || Zotero.Libraries.userLibraryID;
+
+    switch (type) {
+    case 'library':
+      return { type, label: 'Whole library', libraryID: defaultLibraryID };
+
+    case 'collection': {
+      const collection = this.getScopeObject(Zotero.Collections, scope.collectionId, defaultLibraryID);
+      if (!collection) {
+        throw new Error('Collection not found: ' + scope.collectionId);
+      }
+      const includeSubcollections = Boolean(scope.includeSubcollections);
+      return {
+        type,
+        label: 'Collection "' + collection.name + '"' + (includeSubcollections ? ' and subcollections' : ''),
+        libraryID: collection.libraryID,
+        collectionId: collection.id,
+        collectionKey: collection.key,
+        includeSubcollections
+      };
+    }
+
+    case 'savedSearch': {
+      const savedSearch = this.getScopeObject(Zotero.Searches, scope.savedSearchId, defaultLibraryID);
+      if (!savedSearch) {
+        throw new Error('Saved search not found: ' + scope.savedSearchId);
+      }
+      return {
+        type,
+        label: 'Saved search "' + savedSearch.name + '"',
+        libraryID: savedSearch.libraryID,
+        savedSearchId: savedSearch.id,
+        savedSearchKey: savedSearch.key
+      };
+    }
+
+    case 'tag': {
+      const tag = (scope.tag || '').trim();
+      if (!tag) {
+        throw new Error('A tag is required for a tag scope');
+      }
+      return { type, label: 'Tag "' + tag + '"', libraryID: defaultLibraryID, tag };
+    }
+
+    case 'selection': {
+      const itemIds = Array.isArray(scope.itemIds) ? scope.itemIds.filter(Boolean) : [];
+      if (itemIds.length === 0) {
+        throw new Error('No items are selected');
+      }
+      // The selection decides the library, so group items are checked against their own library
+      const libraryIDs = this.getItemLibraryIDs(itemIds);
+      if (libraryIDs.length > 1) {
+        throw new Error('The selected items belong to more than one library. Select items from one library at a time.');
+      }
+      const selectionLibraryID = libraryIDs.length === 1 ? libraryIDs[0] : defaultLibraryID;
+      return { type, label: itemIds.length + ' selected item(s)', libraryID: selectionLibraryID, itemIds };
+    }
+
+    default:
+      throw new Error('Unknown analysis scope: ' + type);
+    }
+  }
+
+  /**
+   * Libraries of a set of items
+   * @param {Array<number>} itemIds - Zotero item ids
+   * @returns {Array<number>} Distinct library ids of the items Zotero has loaded
+   */
+  getItemLibraryIDs(itemIds) {
+    if (!Zotero.Items || typeof Zotero.Items.get !== 'function') {
+      return [];
+    }
+    const libraryIDs = new Set();
+    for (const itemId of itemIds) {
+      const item = Zotero.Items.get(itemId);
+      if (item && item.libraryID !== undefined && item.libraryID !== null) {
+        libraryIDs.add(item.libraryID);
+      }
+    }
+    return Array.from(libraryIDs);
+  }
+
+  /**
+   * Look up a collection or saved search by numeric id or by key
+   * @param {Object} objectsType - Zotero.Collections or Zotero.Searches
+   * @param {number|string} idOrKey - Object id or key
+   * @param {number} libraryID - Library used to resolve keys
+   * @returns {Object|null} Zotero object or null if not found
+   */
+  getScopeObject(objectsType, idOrKey, libraryID) {
+    if (!objectsType || idOrKey === undefined || idOrKey === null || idOrKey === '') {
+      return null;
+    }
+    if (typeof idOrKey === 'number' || /^\d+$/.test(String(idOrKey))) {
+      return objectsType.get(Number(idOrKey)) || null;
+    }
+    return objectsType.getByLibraryAndKey(libraryID, idOrKey) || null;
+  }
+
+  /**
+   * Get the ids of the items covered by a resolved scope
+   * @param {Object} scope - Scope from resolveAnalysisScope
+   * @returns {Promise<Array<number>>} Item ids
+   */
+  async getScopeItemIDs(scope) {
+    if (scope.type === 'selection') {
+      return scope.itemIds.slice();
+    }
+
+    const search = new Zotero.Search();
+    search.addCondition('libraryID', 'is', scope.libraryID);
+
+    if (scope.type === 'collection') {
+      search.addCondition('collection', 'is', scope.collectionKey);
+      if (scope.includeSubcollections) {
+        search.addCondition('recursive', 'true');
+      }
+    } else if (scope.type === 'savedSearch') {
+      search.addCondition('savedSearch', 'is', scope.savedSearchKey);
+    } else if (scope.type === 'tag') {
+      search.addCondition('tag', 'is', scope.tag);
+    }
+
+    return search.search();
+  }
+
+  /**
+   * List the libraries that can be analyzed: the user library and every group the user can edit
+   * @returns {Array} Libraries as { libraryID, name, type, editable }
+   */
+  getAvailableLibraries() {
+    if (typeof Zotero === 'undefined' || !Zotero.Libraries) {
+      throw new Error('This method must be run in the Zotero context');
+    }
+
+    const libraries = typeof Zotero.Libraries.getAll === 'function'
+      ? Zotero.Libraries.getAll()
+      : [Zotero.Libraries.get(Zotero.Libraries.userLibraryID)];
+
+    return libraries
+      .filter(library => library && (library.libraryType === 'user' || library.libraryType === 'group'))
+      .filter(library => library.editable)
+      .map(library => ({
+        libraryID: library.libraryID,
+        name: library.name,
+        type: library.libraryType,
+        editable: library.editable
+      }));
+  }
+
+  /**
+   * Ensure a library exists and can be written to
+   * @param {number} libraryID - Zotero library id
+   * @returns {Object} The Zotero library
+   * @throws {Error} If the library is missing or read-only
+   */
+  assertLibraryEditable(libraryID) {
+    const library = Zotero.Libraries.get(libraryID);
+    if (!library) {
+      throw new Error('Library not found: ' + libraryID);
+    }
+    if (!library.editable) {
+      throw new Error('The library "' + library.name + '" is read-only. Author names can only be normalized in libraries you can edit.');
+    }
+    return library;
+  }
+
+  /**
+   * Capture what the analysis needs from an item for the creator index
+   * Creators whose ORCID iD is recorded in the item's Extra field carry it as creator.orcid.
+   * @param {Object} item - Zotero item
+   * @param {string|null} stamp - Version stamp from CreatorIndex.fetchItemStamps
+   * @returns {Object|null} { stamp, libraryID, creators, summary }, or null if the item cannot be read
+   */
+  buildCreatorIndexEntry(item, stamp = null) {
+    try {
+      const creators = item.getCreators ? item.getCreators() : [];
+      const usableCreators = (Array.isArray(creators) ? creators : [])
+        .filter(creator => creator && (creator.firstName || creator.lastName));
+
+      const extra = typeof item.getField === 'function' ? item.getField('extra') : item.extra;
+      const orcidEntries = parseExtraOrcids(typeof extra === 'string' ? extra : '');
+      const creatorTypes = typeof Zotero !== 'undefined' ? Zotero.CreatorTypes : null;
+      const orcids = orcidEntries.length > 0
+        ? assignOrcids(usableCreators.map(creator => ({
+          ...creator,
+          creatorType: creator.creatorType
+            || (creatorTypes && creator.creatorTypeID ? creatorTypes.getName(creator.creatorTypeID) : null)
+        })), orcidEntries)
+        : [];
+
+      const namedCreators = usableCreators.map((creator, index) => {
+        const entry = {
+          firstName: creator.firstName || '',
+          lastName: creator.lastName || '',
+          fieldMode: creator.fieldMode || 0
+        };
+        if (orcids[index]) {
+          entry.orcid = orcids[index];
+        }
+        return entry;
+      });
+
+      return {
+        stamp: stamp || this.creatorIndex.createStamp(item.version, item.clientDateModified || item.dateModified),
+        libraryID: item.libraryID ?? null,
+        creators: namedCreators,
+        summary: namedCreators.length > 0 ? this.buildItemSummary(item) : null
       };
+    } catch (itemError) {
+      console.warn('Error processing item creators:', itemError);
+      return null;
+    }
+  }
+
+  /**
+   * Derive the per-creator item summary from an indexed item summary
+   * @param {Object|null} summary - Item summary from buildItemSummary
+   * @param {Object} creator - Creator the summary is for
+   * @returns {Object|null} Summary as buildItemSummary(item, creator) would return it, with the
+   *   creator's ORCID iD as orcid when the item records one
+   */
+  buildCreatorSummary(summary, creator) {
+    if (!summary) {
+      return null;
+    }
+    const creatorSummary = {
+      ...summary,
+      authorFirstName: creator.firstName || '',
+      authorLastName: creator.lastName || '',
+      author: this.buildAuthorString(creator.firstName, creator.lastName)
+    };
+    if (creator.orcid) {
+      creatorSummary.orcid = creator.orcid;
     }
+    return creatorSummary;
   }
 
-  addCreatorOccurrence(creatorsMap, creator, item) {
+  addCreatorOccurrence(creatorsMap, creator, item, summary = null) {
     if (!creator || (!creator.firstName && !creator.lastName)) {
       return;
     }
 
     const key = `${creator.firstName || ''}|${creator.lastName || ''}|${creator.fieldMode || 0}`;
     if (!creatorsMap[key]) {
-      const parsed = this.parseName(`${creator.firstName || ''} ${creator.lastName || ''}`.trim() || creator.lastName || '');
+      const parsed = this.parseName(`${creator.firstName || ''} ${creator.lastName || ''}`.trim() || creator.lastName || '',
+        { fieldMode: creator.fieldMode || 0 });
       creatorsMap[key] = {
         key,
         firstName: creator.firstName || '',
@@ -368,14 +644,19 @@ class ZoteroDBAnalyzer {
     }
 
     creatorsMap[key].count = (creatorsMap[key].count || 0) + 1;
+    // One spelling may be shared by several people, so a creator collects every iD it occurs with
+    if (creator.orcid) {
+      creatorsMap[key].orcids = creatorsMap[key].orcids || [];
+      if (!creatorsMap[key].orcids.includes(creator.orcid)) {
+        creatorsMap[key].orcids.push(creator.orcid);
+      }
+    }
 
-    if (item) {
-      const summary = this.buildItemSummary(item, creator);
-      if (summary) {
-        const limit = 25;
-        if ((creatorsMap[key].items || []).length < limit) {
-          creatorsMap[key].items.push(summary);
-        }
+    const itemSummary = summary || (item ? this.buildItemSummary(item, creator) : null);
+    if (itemSummary) {
+      const limit = 25;
+      if ((creatorsMap[key].items || []).length < limit) {
+        creatorsMap[key].items.push(itemSummary);
       }
     }
   }
@@ -390,7 +671,9 @@ class ZoteroDBAnalyzer {
       const title = getField ? getField('title') : (item.title || '');
       const date = getField ? getField('date') : (item.date || '');
       const publicationYear = this.extractYear(date);
+      const publicationTitle = getField ? getField('publicationTitle') : (item.publicationTitle || '');
       const creators = typeof item.getCreators === 'function' ? (item.getCreators() || []) : [];
+      const collections = typeof item.getCollections === 'function' ? (item.getCollections() || []) : [];
 
       // Extract first author info (most common case) or the specific creator
       let firstAuthorFirstName = '';
@@ -413,6 +696,10 @@ class ZoteroDBAnalyzer {
         year: publicationYear,
         itemType: item.itemType || (getField ? getField('itemType') : ''),
         creatorsCount: creators.length,
+        // Co-author, venue and collection evidence for telling authors with one initial apart
+        creatorLastNames: creators.map(creator => (creator && creator.lastName) || '').filter(Boolean),
+        publicationTitle: typeof publicationTitle === 'string' ? publicationTitle : '',
+        collections: Array.isArray(collections) ? collections.slice() : [],
         authorFirstName: firstAuthorFirstName,
         authorLastName: firstAuthorLastName,
         // Full author string for display
@@ -541,6 +828,70 @@ class ZoteroDBAnalyzer {
     return match ? match[1] : '';
   }
 
+  /**
+   * Analyze creators in a ChromeWorker when one is available, so the UI thread stays responsive
+   * Falls back to analyzeCreators on the main thread if the worker cannot be used.
+   * @param {Array} creators - Array of creator objects with occurrence counts
+   * @param {Function} progressCallback - Progress reporter
+   * @param {Function} shouldCancel - Returns true to abort the analysis
+   * @param {Object} options - { useWorker } (defaults to true)
+   * @returns {Promise<Object>} Analysis results
+   */
+  async runCreatorAnalysis(creators, progressCallback = null, shouldCancel = null, options = {}) {
+    const AnalysisWorkerClient = require('../worker/analysis-worker-client.js');
+    if (options.useWorker !== false && AnalysisWorkerClient.isSupported()) {
+      try {
+        fileLog('Analyzing ' + creators.length + ' creators in worker');
+        return await new AnalysisWorkerClient().analyze(creators, {
+          progressCallback,
+          shouldCancel,
+          learning: this.getLearningSnapshot()
+        });
+      } catch (error) {
+        if (error.message === 'Analysis cancelled') {
+          throw error;
+        }
+        fileLog('Worker analysis failed, analyzing on the main thread: ' + error.message);
+      }
+    }
+
+    return this.analyzeCreators(creators, progressCallback, shouldCancel);
+  }
+
+  /**
+   * Capture the learned data the analysis reads, so it can be posted to the analysis worker
+   * @returns {Object} { settings, distinctPairs, personAliases, givenNameEquivalents } in
+   *   structured-clone friendly form
+   */
+  getLearningSnapshot() {
+    const engine = this.learningEngine;
+    if (!engine) {
+      return null;
+    }
+    return {
+      settings: engine.settings ? { ...engine.settings } : null,
+      distinctPairs: engine.distinctPairs ? [...engine.distinctPairs.entries()] : [],
+      personAliases: engine.personAliases ? [...engine.personAliases.entries()] : [],
+      givenNameEquivalents: engine.givenNameEquivalents ? [...engine.givenNameEquivalents.entries()] : []
+    };
+  }
+
+  /**
+   * Restore learned data captured by getLearningSnapshot (used inside the analysis worker)
+   * @param {Object|null} snapshot - Snapshot from getLearningSnapshot
+   */
+  applyLearningSnapshot(snapshot) {
+    if (!snapshot || !this.learningEngine) {
+      return;
+    }
+    if (snapshot.settings) {
+      this.learningEngine.settings = { ...this.learningEngine.settings, ...snapshot.settings };
+    }
+    this.learningEngine.distinctPairs = new Map(snapshot.distinctPairs || []);
+    this.learningEngine.personAliases = new Map(snapshot.personAliases || []);
+    this.learningEngine.givenNameEquivalents = new Map(snapshot.givenNameEquivalents || []);
+  }
+
   /**
    * Analyze a list of creators for name variants
    * @param {Array} creators - Array of creator objects with occurrence counts
@@ -553,21 +904,31 @@ class ZoteroDBAnalyzer {
     // This prevents different authors with the same surname from being aggregated together
     const authorOccurrences = {}; // Key: "normalizedFirst|normalizedLast", Value: { count, lastName, firstName, surnameVariants }
     const itemsByFullAuthor = {}; // Key: "firstName|rawLastName", Value: items array
+    // Pick up given-name equivalences recorded since the last analysis
+    this.givenNameEquivalenceTable = null;
+
+    // Organizations take their own path; person-name heuristics make no sense for them
+    const { personCreators, organizationCreators } = this.partitionOrganizationCreators(creators || []);
 
     // Process each creator
-    for (const creator of creators) {
-      const fullName = `${creator.firstName} ${creator.lastName}`.trim();
-      const parsed = this.parseName(fullName);
+    for (const creator of personCreators) {
+      const fullName = `${creator.firstName || ''} ${creator.lastName || ''}`.trim();
+      const parsed = this.parseName(fullName, { fieldMode: creator.fieldMode || 0 });
       const rawLastName = (creator.lastName || '').trim();
 
       if (parsed.lastName || rawLastName) {
-        const firstName = (creator.firstName || '').trim();
-        const normalizedFirst = this.normalizeFirstNameForGrouping(firstName);
+        const groupingNames = this.getCreatorGroupingNames(creator, parsed);
+        const firstName = groupingNames.firstName;
+        const normalizedFirst = this.normalizeFirstNameForGrouping(firstName, { cjk: groupingNames.isCJK });
         // Use parsed.lastName for grouping (to detect diacritic variants within same author)
         const normalizedLast = (parsed.lastName || rawLastName).toLowerCase().trim();
 
         // Key for tracking this specific author
-        const authorKey = `${normalizedFirst}|${normalizedLast}`;
+        // Single-field names keep the whole name in lastName, so they must not become a surname
+        // variant of the same author's two-field entries ("Li Wei" is not a spelling of "Li")
+        const authorKey = creator.fieldMode === 1
+          ? `${normalizedFirst}|${normalizedLast}|single`
+          : `${normalizedFirst}|${normalizedLast}`;
 
         if (!authorOccurrences[authorKey]) {
           authorOccurrences[authorKey] = {
@@ -672,6 +1033,8 @@ class ZoteroDBAnalyzer {
 
     // Find diacritic variants within each author's surname variations
     const potentialVariants = this.findDiacriticVariantsByAuthor(authorOccurrences, progressCallback, shouldCancel);
+    // Then typo and spelling variants across authors that share a given name
+    potentialVariants.push(...this.findSpellingVariantsByAuthor(authorOccurrences, shouldCancel));
 
     // DEBUG
     if (progressCallback) {
@@ -689,7 +1052,18 @@ class ZoteroDBAnalyzer {
       return totalFreqB - totalFreqA;
     });
 
-    const creatorsBySurname = this.groupCreatorsBySurnameForVariants(creators);
+    // Compound-surname groups cover hyphen, accent and partial forms that the diacritic and spelling
+    // passes would only pair up one by one
+    potentialVariants.unshift(...this.findCompoundSurnameVariantsByAuthor(authorOccurrences, shouldCancel));
+
+    // Cross-script groups go first: they cover the Latin spellings the spelling pass may also pair up
+    potentialVariants.unshift(...this.findTransliterationVariantsByAuthor(authorOccurrences, shouldCancel));
+
+    // Sound-alike variants come last: they are the weakest evidence and only fill in pairs
+    // that the diacritic and spelling passes did not already suggest
+    potentialVariants.push(...this.findPhoneticVariantsByAuthor(authorOccurrences, shouldCancel));
+
+    const creatorsBySurname = this.groupCreatorsBySurnameForVariants(personCreators);
     const givenNameVariantGroups = this.findGivenNameVariantGroups(creatorsBySurname);
 
     // DEBUG
@@ -717,6 +1091,52 @@ class ZoteroDBAnalyzer {
       givenNameVariantGroups,
       itemsByFullAuthor
     );
+    // Particle forms of one surname ("van der Waals" / "Van der Waals" / "Waals, J. D. van der")
+    // replace the surname groups that only merged those forms
+    const particleSuggestions = this.findParticleVariants(personCreators, shouldCancel);
+    const isParticleOnlyGroup = suggestion => suggestion.type === 'surname'
+      && particleSuggestions.some(particle => suggestion.variants.every(variant =>
+        particle.variants.some(candidate => candidate.lastName === variant.name)));
+    suggestions.splice(0, suggestions.length, ...suggestions.filter(suggestion => !isParticleOnlyGroup(suggestion)));
+    suggestions.push(...particleSuggestions);
+    // Suffix placements ("Martin Luther, Jr." / "King" and "Martin Luther" / "King Jr.") likewise
+    // replace the surname groups that only split "King" from "King Jr."
+    const suffixSuggestions = this.findSuffixVariants(personCreators, shouldCancel);
+    const isSuffixOnlyGroup = suggestion => suggestion.type === 'surname'
+      && suffixSuggestions.some(group => suggestion.variants.every(variant =>
+        group.variants.some(candidate => candidate.lastName === variant.name)));
+    suggestions.splice(0, suggestions.length, ...suggestions.filter(suggestion => !isSuffixOnlyGroup(suggestion)));
+    suggestions.push(...suffixSuggestions);
+    suggestions.push(...this.generateOrganizationSuggestions(organizationCreators, shouldCancel));
+    suggestions.push(...this.findPersonAliasSuggestions(personCreators, shouldCancel));
+    suggestions.push(...this.findSwappedNameCandidates(personCreators, surnameFrequencies, shouldCancel));
+    // Surname groups already fix the case of the spellings they merge ("FODOR" → "Fodor")
+    suggestions.push(...this.findCaseVariants(personCreators, shouldCancel)
+      .filter(suggestion => !suggestions.some(existing => existing.type === 'surname'
+        && existing.variants.some(variant => variant.name === suggestion.variants[0].lastName))));
+    // "and Friston" is already offered as a spelling of "Friston"; other junk gets a hygiene card
+    suggestions.push(...this.analyzeCreatorHygiene(creators || [], shouldCancel)
+      .filter(suggestion => !this.isCoveredBySurnameSuggestion(suggestion, suggestions)));
+    // Creators recorded with different ORCID iDs are different people and never variants; a shared
+    // iD groups one person's spellings ahead of every other suggestion. Aliases are the reviewer's
+    // own links and stay as made.
+    const orcidSuggestions = this.findOrcidVariants(personCreators, shouldCancel);
+    const orcidChecked = suggestions.filter(suggestion => suggestion.type === 'alias'
+      || (!this.hasConflictingOrcids(suggestion) && !this.isCoveredByOrcidGroup(suggestion, orcidSuggestions)));
+    for (const suggestion of orcidChecked) {
+      const orcids = Array.from(new Set(this.getVariantOrcids(suggestion).flatMap(variantOrcids => Array.from(variantOrcids))));
+      if (orcids.length > 0) {
+        suggestion.orcids = orcids;
+      }
+    }
+    suggestions.splice(0, suggestions.length, ...orcidSuggestions, ...orcidChecked);
+    for (const suggestion of suggestions) {
+      const candidates = this.getGivenNameEquivalenceCandidates(suggestion);
+      if (candidates.length > 0) {
+        suggestion.givenNameEquivalenceCandidates = candidates;
+      }
+      this.applyCanonicalFormStrategy(suggestion);
+    }
 
     // DEBUG
     if (progressCallback) {
@@ -923,6 +1343,8 @@ class ZoteroDBAnalyzer {
               items: v.items || [] // Items stored directly, no lookup needed
             },
             similarity: 1.0,
+            reason: 'diacritic',
+            givenNameBucket: data.normalizedFirst,
             recommendedNormalization: recommended,
             // Include author info for display purposes
             authorInfo: {
@@ -950,125 +1372,1971 @@ class ZoteroDBAnalyzer {
   }
 
   /**
-   * Group creators by normalized first name + surname
-   * This ensures only the SAME author (same first name variant) is grouped together
-   * Different authors with the same surname (e.g., "Alex Martin" vs "Andrea Martin") are NOT grouped
-   * Initial-only names are grouped with full names that match their first letter
-   * @param {Array} creators - Array of creator objects
-   * @returns {Object} Object with group keys and creator arrays as values
+   * Find surnames that differ by a typo or spelling variation (Dennett / Dennet, Schmidt / Schmitt)
+   * Only authors with the same normalized given name are compared, so the given name is the evidence
+   * that both spellings belong to one person. A pair must be within spellingVariantMaxDistance edits
+   * and reach spellingVariantThreshold Jaro-Winkler similarity (learning engine settings).
+   * @param {Object} authorOccurrences - Object keyed by "normalizedFirst|normalizedLast" with author data
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Array of variant pairs tagged with reason 'spelling'
    */
-  groupCreatorsBySurnameForVariants(creators) {
-    const surnameGroups = {};
-    const initialGroups = {}; // Track initial-only names separately
+  findSpellingVariantsByAuthor(authorOccurrences, shouldCancel = null) {
+    const settings = this.learningEngine.settings || {};
+    if (settings.enableSpellingVariantDetection === false) {
+      return [];
+    }
 
-    // First pass: group full names by (normalized first name + surname)
-    for (const creator of creators) {
-      if (!creator || !creator.lastName) {
+    const defaults = this.learningEngine.getDefaultSettings();
+    const threshold = typeof settings.spellingVariantThreshold === 'number'
+      ? settings.spellingVariantThreshold
+      : defaults.spellingVariantThreshold;
+    const maxDistance = typeof settings.spellingVariantMaxDistance === 'number'
+      ? settings.spellingVariantMaxDistance
+      : defaults.spellingVariantMaxDistance;
+    const potentialVariants = [];
+
+    // Bucket authors by given name; authors without one give no evidence
+    const authorsByGivenName = new Map();
+    for (const data of Object.values(authorOccurrences)) {
+      const surname = data.originalLastName || data.lastName || '';
+      const normalizedSurname = normalizeName(surname);
+      if (data.normalizedFirst === 'unknown' || normalizedSurname.length < SPELLING_MIN_SURNAME_LENGTH) {
         continue;
       }
-
-      const firstName = (creator.firstName || '').trim();
-      const normalizedFirst = this.normalizeFirstNameForGrouping(firstName);
-      const lastNameKey = (creator.lastName || '').toLowerCase().trim();
-
-      if (normalizedFirst.startsWith('init:')) {
-        // Initial-only: track separately by surname
-        if (!initialGroups[lastNameKey]) {
-          initialGroups[lastNameKey] = [];
-        }
-        initialGroups[lastNameKey].push({ creator, normalizedFirst });
-      } else {
-        // Full name: group by normalized first name + surname
-        const groupKey = `${normalizedFirst}|${lastNameKey}`;
-        if (!surnameGroups[groupKey]) {
-          surnameGroups[groupKey] = [];
-        }
-        surnameGroups[groupKey].push(creator);
+      if (!authorsByGivenName.has(data.normalizedFirst)) {
+        authorsByGivenName.set(data.normalizedFirst, []);
       }
+      authorsByGivenName.get(data.normalizedFirst).push({ data, surname, normalizedSurname });
     }
 
-    // Second pass: assign initial-only names to matching full name groups
-    for (const [surname, initials] of Object.entries(initialGroups)) {
-      for (const { creator, normalizedFirst } of initials) {
-        // Get the first letter of the initial
-        const firstLetter = normalizedFirst.slice(5).charAt(0).toLowerCase();
+    for (const authors of authorsByGivenName.values()) {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
 
-        // Look for a full name group with the same first letter
-        // Try to find a group where the normalized first name starts with this letter
-        const matchingKey = Object.keys(surnameGroups).find(key => {
-          const [normalizedFirst] = key.split('|');
-          return normalizedFirst.startsWith(firstLetter) && key.endsWith(`|${surname}`);
-        });
+      // Only surnames sharing a deletion block can be within maxDistance edits of each other
+      const index = new CandidateIndex({ maxDistance, usePhonetic: false })
+        .addAll(authors.map(author => author.normalizedSurname));
+      const pairs = index.getCandidatePairs().sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+      for (const [i, j] of pairs) {
+        const a = authors[i];
+        const b = authors[j];
+        // Identical after normalization means case or diacritics, which the diacritic pass handles
+        if (a.normalizedSurname === b.normalizedSurname) {
+          continue;
+        }
+        if (levenshteinDistance(a.normalizedSurname, b.normalizedSurname, maxDistance) > maxDistance) {
+          continue;
+        }
+        const similarity = this.learningEngine.jaroWinklerSimilarity(a.normalizedSurname, b.normalizedSurname);
+        if (similarity < threshold) {
+          continue;
+        }
 
-        if (matchingKey) {
-          // Add to the matching full name group
-          surnameGroups[matchingKey].push(creator);
-        } else {
-          // No matching full name found, create a separate group
-          const groupKey = `${normalizedFirst}|${surname}`;
-          if (!surnameGroups[groupKey]) {
-            surnameGroups[groupKey] = [];
+        const [recommended, other] = b.data.count > a.data.count ? [b, a] : [a, b];
+        const recommendedVariant = recommended.data.surnameVariants[recommended.surname] || {};
+        const otherVariant = other.data.surnameVariants[other.surname] || {};
+        potentialVariants.push({
+          variant1: {
+            name: recommended.surname,
+            frequency: recommended.data.count,
+            firstName: recommended.data.firstName || '',
+            items: recommendedVariant.items || []
+          },
+          variant2: {
+            name: other.surname,
+            frequency: other.data.count,
+            firstName: other.data.firstName || '',
+            items: otherVariant.items || []
+          },
+          similarity,
+          reason: 'spelling',
+          givenNameBucket: recommended.data.normalizedFirst,
+          recommendedNormalization: recommended.surname,
+          authorInfo: {
+            firstName: recommended.data.firstName || '',
+            lastName: recommended.surname
           }
-          surnameGroups[groupKey].push(creator);
-        }
+        });
       }
     }
 
-    return surnameGroups;
+    Zotero.debug('ZoteroDBAnalyzer: Spelling variant detection found ' + potentialVariants.length + ' variant pairs');
+    return potentialVariants;
   }
 
   /**
-   * Normalize first name for grouping purposes
-   * Handles initials and uses name variants from COMMON_GIVEN_NAME_EQUIVALENTS
-   * @param {string} firstName - The first name to normalize
-   * @returns {string} Normalized first name for grouping
+   * Find surnames that sound alike but are spelled differently (Wygotski / Vygotsky, Meier / Mayer)
+   * Like the spelling pass, only authors with the same normalized given name are compared. Phonetic
+   * keys are a much weaker signal than edit distance, so these variants are low confidence and carry
+   * requiresConfirmation: they are never applied without an explicit confirmation in the dialog.
+   * Disabled unless enablePhoneticVariantDetection is set; phoneticLanguage selects the algorithm.
+   * @param {Object} authorOccurrences - Object keyed by "normalizedFirst|normalizedLast" with author data
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Array of variant pairs tagged with reason 'phonetic'
    */
-  normalizeFirstNameForGrouping(firstName) {
-    if (!firstName || !firstName.trim()) {
-      return 'unknown';  // Handle cases with no first name
+  findPhoneticVariantsByAuthor(authorOccurrences, shouldCancel = null) {
+    const settings = this.learningEngine.settings || {};
+    if (!settings.enablePhoneticVariantDetection) {
+      return [];
     }
 
-    const cleaned = firstName.toLowerCase().trim();
+    const language = settings.phoneticLanguage || 'auto';
+    const potentialVariants = [];
 
-    // Check if it's an initial sequence (e.g., "J.", "J.A.", "A.B.C.")
-    // First, extract the base word (first non-initial word)
-    const tokens = cleaned.split(/[\s.-]+/).filter(Boolean);
-    const baseWord = tokens[0] || '';
+    const authorsByGivenName = new Map();
+    for (const data of Object.values(authorOccurrences)) {
+      const surname = data.originalLastName || data.lastName || '';
+      const normalizedSurname = normalizeName(surname);
+      if (data.normalizedFirst === 'unknown' || normalizedSurname.length < SPELLING_MIN_SURNAME_LENGTH) {
+        continue;
+      }
+      if (!authorsByGivenName.has(data.normalizedFirst)) {
+        authorsByGivenName.set(data.normalizedFirst, []);
+      }
+      authorsByGivenName.get(data.normalizedFirst).push({ data, surname, normalizedSurname });
+    }
 
-    // Check if this looks like an initial-only name:
-    // - Single token that is short (1-3 letters)
-    // - OR multiple tokens that are all single letters
-    const withoutDots = cleaned.replace(/\./g, '');
-    const allTokensAreInitials = tokens.length > 0 && tokens.every(t => t.length === 1);
+    for (const authors of authorsByGivenName.values()) {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
 
-    if (tokens.length === 1 && tokens[0].length <= 3) {
-      // Single short token like "J", "J.", "A" - treat as initial
-      return `init:${tokens[0]}`;
-    } else if (allTokensAreInitials) {
-      // Multiple single-letter tokens like "J A", "J.A.B." - treat as initial sequence
-      return `init:${withoutDots}`;
-    }
+      // Block on phonetic keys only; every algorithm a surname may be encoded with gets a key
+      const index = new CandidateIndex({
+        maxDistance: 0,
+        phoneticKeys: name => getPhoneticKeys(name, language)
+      }).addAll(authors.map(author => author.normalizedSurname));
+      const pairs = index.getCandidatePairs().sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+      for (const [i, j] of pairs) {
+        const a = authors[i];
+        const b = authors[j];
+        if (a.normalizedSurname === b.normalizedSurname) {
+          continue;
+        }
+        const algorithm = findPhoneticMatch(a.surname, b.surname, language);
+        if (!algorithm) {
+          continue;
+        }
 
-    // Not an initial sequence - normalize the base word
-    // Use name variants to normalize
-    // COMMON_GIVEN_NAME_EQUIVALENTS in this file is {Variant: Canonical}
-    // Simple lookup to get the canonical form
-    if (COMMON_GIVEN_NAME_EQUIVALENTS && COMMON_GIVEN_NAME_EQUIVALENTS[baseWord]) {
-      return COMMON_GIVEN_NAME_EQUIVALENTS[baseWord];
+        const [recommended, other] = b.data.count > a.data.count ? [b, a] : [a, b];
+        const recommendedVariant = recommended.data.surnameVariants[recommended.surname] || {};
+        const otherVariant = other.data.surnameVariants[other.surname] || {};
+        potentialVariants.push({
+          variant1: {
+            name: recommended.surname,
+            frequency: recommended.data.count,
+            firstName: recommended.data.firstName || '',
+            items: recommendedVariant.items || []
+          },
+          variant2: {
+            name: other.surname,
+            frequency: other.data.count,
+            firstName: other.data.firstName || '',
+            items: otherVariant.items || []
+          },
+          similarity: this.learningEngine.jaroWinklerSimilarity(a.normalizedSurname, b.normalizedSurname),
+          reason: 'phonetic',
+          givenNameBucket: recommended.data.normalizedFirst,
+          phoneticAlgorithm: algorithm,
+          confidence: 'low',
+          requiresConfirmation: true,
+          recommendedNormalization: recommended.surname,
+          authorInfo: {
+            firstName: recommended.data.firstName || '',
+            lastName: recommended.surname
+          }
+        });
+      }
     }
 
-    // If no match in variants, use the base word as the normalized form
-    // This ensures "Fred", "Fred.", "Fred R. E. D." all group under "fred"
-    return baseWord || cleaned;
+    Zotero.debug('ZoteroDBAnalyzer: Phonetic variant detection found ' + potentialVariants.length + ' variant pairs');
+    return potentialVariants;
   }
 
-  parseGivenNameTokens(name) {
-    const trimmed = (name || '').trim();
-    if (!trimmed) {
+  /**
+   * Find the same author written in different scripts or romanizations
+   * ("Выготский", "Vygotskii", "Vygotsky"). Every author gets script-independent keys for its given
+   * and family name (see utils/transliteration); authors sharing a key are grouped, and a group is
+   * reported when it contains at least one Cyrillic or Greek name. Latin-only spelling differences
+   * are left to the spelling and phonetic passes.
+   * The group recommends its most frequent Latin or native-script form depending on the
+   * transliterationPreferredScript setting.
+   * @param {Object} authorOccurrences - Object keyed by "normalizedFirst|normalizedLast" with author data
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Variant groups tagged with reason 'transliteration'; groups of more than two
+   *   spellings carry the rest in additionalVariants
+   */
+  findTransliterationVariantsByAuthor(authorOccurrences, shouldCancel = null) {
+    const settings = this.learningEngine.settings || {};
+    if (settings.enableTransliterationGrouping === false) {
       return [];
     }
 
-    const tokens = trimmed.split(/[\s-]+/).filter(Boolean);
+    const authors = Object.values(authorOccurrences).filter(data => (data.originalLastName || data.lastName));
+    if (!authors.some(data => isTransliterable(data.originalLastName || data.lastName))) {
+      return [];
+    }
+
+    const preferredScript = settings.transliterationPreferredScript === 'native' ? 'native' : 'latin';
+    const system = settings.transliterationSystem || 'bgn';
+
+    // Union authors that share a given-name|surname key
+    const parent = authors.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const ownerByKey = new Map();
+
+    authors.forEach((data, index) => {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
+      const givenKeys = this.getTransliterationGivenNameKeys(data.firstName);
+      if (givenKeys.length === 0) {
+        return;
+      }
+      const surnameKeys = getScriptIndependentKeys(data.originalLastName || data.lastName);
+      for (const givenKey of givenKeys) {
+        for (const surnameKey of surnameKeys) {
+          const key = givenKey + '|' + surnameKey;
+          if (!ownerByKey.has(key)) {
+            ownerByKey.set(key, index);
+          } else {
+            parent[find(index)] = find(ownerByKey.get(key));
+          }
+        }
+      }
+    });
+
+    const groups = new Map();
+    authors.forEach((data, index) => {
+      const root = find(index);
+      if (!groups.has(root)) {
+        groups.set(root, []);
+      }
+      groups.get(root).push(data);
+    });
+
+    const potentialVariants = [];
+    for (const members of groups.values()) {
+      // One entry per surname spelling, merging authors that only differ in given-name form
+      const bySurname = new Map();
+      for (const data of members) {
+        const surname = data.originalLastName || data.lastName;
+        const entry = bySurname.get(surname) || { name: surname, frequency: 0, firstName: data.firstName || '', items: [], firstNameCount: 0 };
+        entry.frequency += data.count;
+        if (data.count > entry.firstNameCount) {
+          entry.firstName = data.firstName || '';
+          entry.firstNameCount = data.count;
+        }
+        const variantData = data.surnameVariants[surname] || {};
+        entry.items = this.mergeItemSummaries(entry.items, variantData.items || []);
+        bySurname.set(surname, entry);
+      }
+
+      const spellings = Array.from(bySurname.values())
+        .map(entry => ({ name: entry.name, frequency: entry.frequency, firstName: entry.firstName, items: entry.items }))
+        .sort((a, b) => b.frequency - a.frequency || a.name.localeCompare(b.name));
+      const native = spellings.filter(entry => isTransliterable(entry.name));
+      if (spellings.length < 2 || native.length === 0) {
+        continue;
+      }
+
+      const latin = spellings.filter(entry => !isTransliterable(entry.name));
+      let recommended;
+      let targetScript;
+      if (preferredScript === 'native') {
+        recommended = native[0].name;
+        targetScript = detectScript(recommended);
+      } else {
+        recommended = latin.length > 0 ? latin[0].name : transliterate(native[0].name, system);
+        targetScript = 'latin';
+      }
+
+      // Recommended spelling first, so it reads as variant1 like the other passes
+      const ordered = spellings.slice().sort((a, b) => (b.name === recommended) - (a.name === recommended));
+      const primaryEntry = ordered[0];
+      potentialVariants.push({
+        variant1: ordered[0],
+        variant2: ordered[1],
+        additionalVariants: ordered.slice(2),
+        similarity: 1,
+        reason: 'transliteration',
+        recommendedNormalization: recommended,
+        targetScript,
+        transliterationSystem: system,
+        nativeGivenName: native[0].firstName,
+        latinGivenName: latin.length > 0 ? latin[0].firstName : transliterate(native[0].firstName, system),
+        authorInfo: {
+          firstName: targetScript === 'latin' && latin.length === 0
+            ? transliterate(primaryEntry.firstName, system)
+            : primaryEntry.firstName,
+          lastName: recommended
+        }
+      });
+    }
+
+    Zotero.debug('ZoteroDBAnalyzer: Transliteration grouping found ' + potentialVariants.length + ' cross-script groups');
+    return potentialVariants;
+  }
+
+  /**
+   * Script-independent keys of a given name: the first name token in every romanization,
+   * or its initial when the given name is only initials
+   * @param {string} firstName - Given name in any supported script
+   * @returns {Array<string>} Keys, empty if there is no given name
+   */
+  getTransliterationGivenNameKeys(firstName) {
+    const tokens = (firstName || '').trim().split(/[\s.-]+/).filter(Boolean);
+    if (tokens.length === 0) {
+      return [];
+    }
+    const keys = getScriptIndependentKeys(tokens[0]);
+    if (tokens[0].length === 1 || tokens.every(token => token.length === 1)) {
+      return Array.from(new Set(keys.map(key => 'init:' + key.charAt(0))));
+    }
+    return keys;
+  }
+
+  /**
+   * Find the forms of one author's compound surname ("García Márquez", "García-Márquez",
+   * "Garcia Marquez", "Márquez")
+   * Surnames are compared on their words without accents, hyphens or particles, so hyphen/space and
+   * accent forms share a key. A one-word or shorter form is linked to a compound when its words are
+   * a run of the compound's words (Spanish and Portuguese double surnames are often cited by one of
+   * them), and only when no other compound of the same given name contains it. As in the spelling
+   * pass, only authors with the same normalized given name are compared. Groups recommend the
+   * fullest form: most words, then forms without stray conjunctions, then most accents, then most
+   * occurrences.
+   * Disabled when enableSpanishSurnameDetection is false.
+   * @param {Object} authorOccurrences - Object keyed by "normalizedFirst|normalizedLast" with author data
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Variant groups tagged with reason 'compound'; groups of more than two forms carry
+   *   the rest in additionalVariants
+   */
+  findCompoundSurnameVariantsByAuthor(authorOccurrences, shouldCancel = null) {
+    const settings = this.learningEngine.settings || {};
+    if (settings.enableSpanishSurnameDetection === false) {
+      return [];
+    }
+
+    // One entry per given name and surname form; an author's surname variants are forms too
+    const formsByGivenName = new Map();
+    for (const [authorKey, data] of Object.entries(authorOccurrences)) {
+      // Single-field names hold the whole name, not a surname
+      if (data.normalizedFirst === 'unknown' || authorKey.endsWith('|single')) {
+        continue;
+      }
+      if (!formsByGivenName.has(data.normalizedFirst)) {
+        formsByGivenName.set(data.normalizedFirst, new Map());
+      }
+      const forms = formsByGivenName.get(data.normalizedFirst);
+      for (const [surname, variantData] of Object.entries(data.surnameVariants || {})) {
+        const words = this.getCompoundSurnameWords(surname);
+        if (words.length === 0) {
+          continue;
+        }
+        const form = forms.get(surname) || { name: surname, words, frequency: 0, firstName: variantData.firstName || '', items: [] };
+        form.frequency += variantData.count || 0;
+        form.items = this.mergeItemSummaries(form.items, variantData.items || []);
+        forms.set(surname, form);
+      }
+    }
+
+    const potentialVariants = [];
+    for (const [givenNameKey, forms] of formsByGivenName) {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
+
+      const entries = Array.from(forms.values());
+      const compoundKeys = Array.from(new Set(entries.filter(form => form.words.length > 1).map(form => form.words.join(' '))));
+      for (const compoundKey of compoundKeys) {
+        const compoundWords = compoundKey.split(' ');
+        const members = entries.filter(form => {
+          if (form.words.join(' ') === compoundKey) {
+            return true;
+          }
+          // A partial form belongs to this compound only if it is not part of another one
+          return form.words.length < compoundWords.length
+            && form.words.join('').length >= SPELLING_MIN_SURNAME_LENGTH
+            && this.isWordRun(form.words, compoundWords)
+            && compoundKeys.every(other => other === compoundKey || !this.isWordRun(form.words, other.split(' ')));
+        });
+        if (members.length < 2) {
+          continue;
+        }
+
+        const accents = name => (name.normalize('NFD').match(/[\u0300-\u036f]/g) || []).length;
+        const ordered = members
+          .slice()
+          .sort((a, b) => b.words.length - a.words.length
+            || this.hasCompoundJunkWords(a.name) - this.hasCompoundJunkWords(b.name)
+            || accents(b.name) - accents(a.name)
+            || b.frequency - a.frequency
+            || a.name.localeCompare(b.name));
+        const partialSurnames = ordered.filter(form => form.words.length < compoundWords.length).map(form => form.name);
+        const spellings = ordered.map(({ name, frequency, firstName, items }) => ({ name, frequency, firstName, items }));
+
+        potentialVariants.push({
+          variant1: spellings[0],
+          variant2: spellings[1],
+          additionalVariants: spellings.slice(2),
+          similarity: 1,
+          reason: 'compound',
+          partialSurnames,
+          givenNameKey,
+          recommendedNormalization: spellings[0].name,
+          authorInfo: {
+            firstName: spellings[0].firstName,
+            lastName: spellings[0].name
+          }
+        });
+      }
+    }
+
+    Zotero.debug('ZoteroDBAnalyzer: Compound surname detection found ' + potentialVariants.length + ' groups');
+    return potentialVariants;
+  }
+
+  /**
+   * Words of a surname for compound comparison: lowercase, without accents, split on spaces and
+   * hyphens, particles, conjunctions and "et al." dropped ("García-Márquez" → ["garcia", "marquez"],
+   * "and Friston" → ["friston"])
+   * @param {string} surname - Surname as stored
+   * @returns {Array<string>} Words
+   */
+  getCompoundSurnameWords(surname) {
+    return (surname || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[\s-]+/)
+      .filter(word => word && !isParticle(word) && !COMPOUND_JUNK_WORDS.has(word));
+  }
+
+  /**
+   * Check whether a surname carries a conjunction or "et al." left by a bad import
+   * @param {string} surname - Surname as stored
+   * @returns {number} 1 if it does, 0 otherwise, for sorting
+   */
+  hasCompoundJunkWords(surname) {
+    return (surname || '').toLowerCase().split(/[\s-]+/).some(word => COMPOUND_JUNK_WORDS.has(word)) ? 1 : 0;
+  }
+
+  /**
+   * Given-name key a creator is grouped under by the compound-surname pass
+   * @param {Object} creator - Creator with firstName and lastName
+   * @returns {string} Normalized given name, as in authorOccurrences
+   */
+  getCompoundGivenNameKey(creator) {
+    const groupingNames = this.getCreatorGroupingNames(creator);
+    return this.normalizeFirstNameForGrouping(groupingNames.firstName, { cjk: groupingNames.isCJK });
+  }
+
+  /**
+   * Check whether words appear as an uninterrupted run inside other words
+   * @param {Array<string>} words - Words to look for
+   * @param {Array<string>} within - Words to search
+   * @returns {boolean} True if words is a contiguous run of within
+   */
+  isWordRun(words, within) {
+    for (let start = 0; start + words.length <= within.length; start++) {
+      if (words.every((word, offset) => within[start + offset] === word)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Split creators into persons and organizations
+   * Organizations are single-field creators that look institutional, plus two-field creators that
+   * are really organizations entered as a person ("World Health" / "Organization").
+   * @param {Array} creators - Creator objects
+   * @returns {Object} { personCreators, organizationCreators }
+   */
+  partitionOrganizationCreators(creators) {
+    const settings = (this.learningEngine && this.learningEngine.settings) || {};
+    if (settings.enableOrganizationDetection === false) {
+      return { personCreators: creators, organizationCreators: [] };
+    }
+
+    const personCreators = [];
+    const organizationCreators = [];
+    for (const creator of creators) {
+      if (this.isOrganizationCreator(creator) || this.isMisenteredOrganization(creator)) {
+        organizationCreators.push(creator);
+      } else {
+        personCreators.push(creator);
+      }
+    }
+    return { personCreators, organizationCreators };
+  }
+
+  /**
+   * Check whether a single-field creator is an organization
+   * Names that parse as CJK persons ("Li Wei") stay persons; other single-field names count as
+   * organizations when they carry an organization keyword, are an acronym or have three or more words.
+   * @param {Object} creator - Creator with firstName, lastName and fieldMode
+   * @returns {boolean} True for institutional creators
+   */
+  isOrganizationCreator(creator) {
+    if (!creator || creator.fieldMode !== 1) {
+      return false;
+    }
+    const name = this.buildFullName(creator.firstName, creator.lastName);
+    if (!name) {
+      return false;
+    }
+    const parsed = creator.parsedName || this.parseName(name, { fieldMode: 1 });
+    if (parsed && parsed.isCJK) {
+      return false;
+    }
+    return isLikelyOrganizationName(name) || name.split(/\s+/).length >= 3;
+  }
+
+  /**
+   * Check whether a two-field creator is an organization entered as a person
+   * Only names of three or more words with an unambiguous keyword qualify, so persons whose
+   * surname happens to be "Bank" or "Union" are left alone.
+   * @param {Object} creator - Creator with firstName, lastName and fieldMode
+   * @returns {boolean} True if the creator should be converted to single-field mode
+   */
+  isMisenteredOrganization(creator) {
+    if (!creator || creator.fieldMode === 1 || !creator.firstName || !creator.lastName) {
+      return false;
+    }
+    const name = this.buildFullName(creator.firstName, creator.lastName);
+    return name.split(/\s+/).length >= 3 && isLikelyOrganizationName(name, { strict: true });
+  }
+
+  /**
+   * Group organization creators that name the same institution
+   * Names meet on their organization key (spelling, "The", country qualifiers), and an acronym
+   * joins the group of the only full name it abbreviates; acronyms shared by several full names
+   * ("APA") stay apart.
+   * @param {Array} creators - Organization creators from partitionOrganizationCreators
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Groups of { key, acronym, variants } where variants are distinct spellings
+   */
+  findOrganizationVariantGroups(creators, shouldCancel = null) {
+    const entries = new Map();
+    for (const creator of creators || []) {
+      const name = this.buildFullName(creator.firstName, creator.lastName);
+      const fieldMode = creator.fieldMode === 1 ? 1 : 0;
+      const entryKey = `${name}|${fieldMode}`;
+      if (!entries.has(entryKey)) {
+        entries.set(entryKey, {
+          name,
+          firstName: fieldMode === 1 ? '' : (creator.firstName || '').trim(),
+          lastName: fieldMode === 1 ? name : (creator.lastName || '').trim(),
+          fieldMode,
+          frequency: 0,
+          items: [],
+          key: getOrganizationKey(name),
+          acronym: getOrganizationAcronym(name),
+          isAcronym: isAcronym(stripOrganizationQualifiers(name))
+        });
+      }
+      const entry = entries.get(entryKey);
+      entry.frequency += creator.count || 1;
+      entry.items = this.mergeItemSummaries(entry.items, creator.items || []);
+    }
+
+    const list = Array.from(entries.values()).filter(entry => entry.key);
+    const parent = list.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const union = (a, b) => {
+      parent[find(a)] = find(b);
+    };
+
+    const ownerByKey = new Map();
+    const fullKeysByAcronym = new Map();
+    list.forEach((entry, index) => {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
+      if (ownerByKey.has(entry.key)) {
+        union(index, ownerByKey.get(entry.key));
+      } else {
+        ownerByKey.set(entry.key, index);
+      }
+      if (!entry.isAcronym && entry.acronym) {
+        if (!fullKeysByAcronym.has(entry.acronym)) {
+          fullKeysByAcronym.set(entry.acronym, new Set());
+        }
+        fullKeysByAcronym.get(entry.acronym).add(entry.key);
+      }
+    });
+
+    list.forEach((entry, index) => {
+      if (!entry.isAcronym) {
+        return;
+      }
+      const fullKeys = fullKeysByAcronym.get(entry.acronym);
+      if (fullKeys && fullKeys.size === 1) {
+        union(index, ownerByKey.get(fullKeys.values().next().value));
+      }
+    });
+
+    const byRoot = new Map();
+    list.forEach((entry, index) => {
+      const root = find(index);
+      if (!byRoot.has(root)) {
+        byRoot.set(root, []);
+      }
+      byRoot.get(root).push(entry);
+    });
+
+    const groups = [];
+    for (const variants of byRoot.values()) {
+      const needsConversion = variants.some(variant => variant.fieldMode !== 1);
+      if (variants.length < 2 && !needsConversion) {
+        continue;
+      }
+      const fullName = variants.find(variant => !variant.isAcronym);
+      groups.push({
+        key: (fullName || variants[0]).key,
+        acronym: (fullName || variants[0]).acronym,
+        variants
+      });
+    }
+
+    Zotero.debug('ZoteroDBAnalyzer: Organization grouping found ' + groups.length + ' groups');
+    return groups;
+  }
+
+  /**
+   * Recommend the form an organization group is normalized to
+   * Full names beat acronyms and unqualified names beat "The …" and "…, USA"; among those the most
+   * frequent single-field form wins.
+   * @param {Array} variants - Variants from findOrganizationVariantGroups
+   * @returns {string} Recommended organization name
+   */
+  selectOrganizationName(variants) {
+    const score = variant => [
+      variant.isAcronym ? 0 : 1,
+      stripOrganizationQualifiers(variant.name) === variant.name ? 1 : 0,
+      variant.fieldMode === 1 ? 1 : 0,
+      variant.frequency
+    ];
+    const best = variants.slice().sort((a, b) => {
+      const scoreA = score(a);
+      const scoreB = score(b);
+      for (let i = 0; i < scoreA.length; i++) {
+        if (scoreA[i] !== scoreB[i]) {
+          return scoreB[i] - scoreA[i];
+        }
+      }
+      return a.name.length - b.name.length;
+    })[0];
+    return best ? best.name : '';
+  }
+
+  /**
+   * Build 'organization' suggestions from organization creators
+   * Applying one rewrites every variant to the recommended name as a single-field creator.
+   * @param {Array} creators - Organization creators from partitionOrganizationCreators
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Suggestions of type 'organization'
+   */
+  generateOrganizationSuggestions(creators, shouldCancel = null) {
+    if (!creators || creators.length === 0) {
+      return [];
+    }
+
+    const suggestions = [];
+    for (const group of this.findOrganizationVariantGroups(creators, shouldCancel)) {
+      const variants = group.variants
+        .slice()
+        .sort((a, b) => b.frequency - a.frequency)
+        .map(variant => ({
+          name: variant.name,
+          firstName: variant.firstName,
+          lastName: variant.lastName,
+          fieldMode: variant.fieldMode,
+          frequency: variant.frequency,
+          items: variant.items
+        }));
+      const suggestion = {
+        type: 'organization',
+        primary: this.selectOrganizationName(group.variants),
+        variants,
+        similarity: 1,
+        reason: 'organization',
+        organizationKey: group.key,
+        acronym: group.acronym || '',
+        convertsToSingleField: variants.some(variant => variant.fieldMode !== 1)
+      };
+
+      if (this.shouldSkipSuggestionFromLearning(suggestion)) {
+        continue;
+      }
+      suggestions.push(suggestion);
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Find authors whose particle surname is stored in several forms and build 'particle' suggestions
+   * Forms are grouped on the given name and the particle key, so "van der Waals", "Van der Waals"
+   * and "J. D. van der" / "Waals" of the same author become one group; the recommended form
+   * follows the particle policy (see getParticlePolicy).
+   * @param {Array} creators - Person creators with occurrence counts and items
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Suggestions of type 'particle'
+   */
+  findParticleVariants(creators, shouldCancel = null) {
+    const groups = new Map();
+    for (const creator of creators || []) {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
+      if (!creator || creator.fieldMode === 1) {
+        continue;
+      }
+
+      const firstName = (creator.firstName || '').trim();
+      const lastName = (creator.lastName || '').trim();
+      const parts = splitSurnameParticles(firstName, lastName);
+      if (!parts) {
+        continue;
+      }
+
+      const groupKey = `${this.normalizeFirstNameForGrouping(parts.givenName)}|${getParticleKey(parts)}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { parts, particleKey: getParticleKey(parts), variants: new Map() });
+      }
+      const variants = groups.get(groupKey).variants;
+      const variantKey = `${firstName}|${lastName}`;
+      if (!variants.has(variantKey)) {
+        variants.set(variantKey, {
+          name: firstName ? `${lastName}, ${firstName}` : lastName,
+          firstName,
+          lastName,
+          fieldMode: 0,
+          frequency: 0,
+          items: [],
+          particlePolicy: detectParticlePolicy(firstName, lastName)
+        });
+      }
+      const variant = variants.get(variantKey);
+      variant.frequency += creator.count || 1;
+      variant.items = this.mergeItemSummaries(variant.items, creator.items || []);
+    }
+
+    const suggestions = [];
+    for (const group of groups.values()) {
+      const variants = Array.from(group.variants.values()).sort((a, b) => b.frequency - a.frequency);
+      if (new Set(variants.map(variant => variant.particlePolicy)).size < 2) {
+        continue;
+      }
+
+      const suggestion = {
+        type: 'particle',
+        variants,
+        similarity: 1,
+        reason: 'particle',
+        particleKey: group.particleKey
+      };
+      suggestion.particlePolicy = this.getParticlePolicy(suggestion);
+      const target = this.getParticleTarget(variants[0], suggestion.particlePolicy);
+      suggestion.primary = this.formatCreatorForm(target);
+      // The most frequent creator under every policy, for the dialog to offer
+      suggestion.particleForms = {};
+      for (const policy of PARTICLE_POLICIES) {
+        suggestion.particleForms[policy] = this.formatCreatorForm(this.getParticleTarget(variants[0], policy));
+      }
+      suggestion.particleSurname = applyParticlePolicy(group.parts, 'lowercase').lastName;
+      suggestions.push(suggestion);
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Canonical-form strategy set for a suggestion type
+   * @param {string} type - Suggestion type
+   * @returns {string|null} One of CANONICAL_FORM_STRATEGIES, or null for the built-in rule
+   */
+  getCanonicalFormStrategy(type) {
+    const settings = (this.learningEngine && this.learningEngine.settings) || {};
+    const strategy = (settings.canonicalFormStrategies || {})[type];
+    return CANONICAL_FORM_STRATEGIES.includes(strategy) ? strategy : null;
+  }
+
+  /**
+   * Set the canonical-form strategy of a suggestion type and save it with the settings
+   * @param {string} type - One of CANONICAL_FORM_TYPES
+   * @param {string|null} strategy - One of CANONICAL_FORM_STRATEGIES, or null for the built-in rule
+   * @returns {Promise<void>}
+   */
+  async setCanonicalFormStrategy(type, strategy) {
+    if (!CANONICAL_FORM_TYPES.includes(type) || (strategy && !CANONICAL_FORM_STRATEGIES.includes(strategy))) {
+      throw new Error(`Unknown canonical-form strategy "${strategy}" for ${type} suggestions`);
+    }
+    const engine = this.learningEngine;
+    const strategies = { ...(engine.settings.canonicalFormStrategies || {}) };
+    if (strategy) {
+      strategies[type] = strategy;
+    } else {
+      delete strategies[type];
+    }
+    engine.settings = { ...engine.settings, canonicalFormStrategies: strategies };
+    await engine.saveSettings();
+  }
+
+  /**
+   * Current values of the analysis settings the dialog can change
+   * @returns {Object} Setting name -> value, see ANALYSIS_SETTING_VALUES
+   */
+  getAnalysisSettings() {
+    const settings = (this.learningEngine && this.learningEngine.settings) || {};
+    const defaults = this.learningEngine ? this.learningEngine.getDefaultSettings() : {};
+    const values = {};
+    for (const [name, allowed] of Object.entries(ANALYSIS_SETTING_VALUES)) {
+      values[name] = allowed.includes(settings[name]) ? settings[name] : defaults[name];
+    }
+    return values;
+  }
+
+  /**
+   * Change an analysis setting and save it with the settings
+   * Settings that change how creators are grouped take effect on the next analysis.
+   * @param {string} name - Setting name, a key of ANALYSIS_SETTING_VALUES
+   * @param {*} value - One of the values the setting accepts
+   * @returns {Promise<void>}
+   */
+  async setAnalysisSetting(name, value) {
+    const allowed = ANALYSIS_SETTING_VALUES[name];
+    if (!allowed || !allowed.includes(value)) {
+      throw new Error(`Unknown value "${value}" for the ${name} setting`);
+    }
+    const engine = this.learningEngine;
+    engine.settings = { ...engine.settings, [name]: value };
+    await engine.saveSettings();
+  }
+
+  /**
+   * Recommended form of a suggestion under a canonical-form strategy
+   * Transliteration groups keep the spelling in the preferred script whatever the strategy.
+   * @param {Object} suggestion - Surname, given-name, organization or ORCID suggestion
+   * @param {string|null} strategy - One of CANONICAL_FORM_STRATEGIES; null or omitted for the
+   *   built-in rule
+   * @returns {Object|null} { fields: recommendation fields to set on the suggestion, canonicalRule:
+   *   { strategy, label, explanation } }, or null for other suggestion types
+   */
+  getCanonicalRecommendation(suggestion, strategy = null) {
+    if (!suggestion || !CANONICAL_FORM_TYPES.includes(suggestion.type)) {
+      return null;
+    }
+
+    const builtIn = suggestion.builtInRecommendation || {};
+    const fieldNames = ['primary', 'firstName', 'lastName', 'recommendedFirstName', 'recommendedFullName'];
+    const fields = {};
+    fieldNames.forEach(name => {
+      const value = Object.prototype.hasOwnProperty.call(builtIn, name) ? builtIn[name] : suggestion[name];
+      if (value !== undefined) {
+        fields[name] = value;
+      }
+    });
+
+    const isPerson = ['given-name', 'orcid'].includes(suggestion.type);
+    const candidates = (suggestion.variants || []).map(variant => ({
+      variant,
+      value: suggestion.type === 'given-name' ? (variant.firstName || '') : (variant.name || ''),
+      authorityForms: isPerson
+        ? [`${variant.lastName || ''}, ${variant.firstName || ''}`, `${variant.firstName || ''} ${variant.lastName || ''}`]
+        : [variant.name || ''],
+      frequency: variant.frequency || 0,
+      // Surname variants list all items of the author; the spelling an item uses is in authorLastName
+      items: suggestion.type === 'surname'
+        ? (variant.items || []).filter(item => !item.authorLastName || item.authorLastName === variant.name)
+        : (variant.items || [])
+    }));
+    const settings = (this.learningEngine && this.learningEngine.settings) || {};
+    const chosen = CANONICAL_FORM_STRATEGIES.includes(strategy) && suggestion.reason !== 'transliteration'
+      ? selectCanonicalForm(candidates, strategy, { authorityNames: settings.canonicalAuthorityNames || [] })
+      : null;
+
+    if (!chosen) {
+      return {
+        fields,
+        canonicalRule: {
+          strategy: null,
+          label: 'Built-in rule',
+          explanation: BUILT_IN_CANONICAL_RULES[suggestion.reason] || BUILT_IN_CANONICAL_RULES[suggestion.type]
+        }
+      };
+    }
+
+    const variant = chosen.candidate.variant;
+    fields.primary = variant.name;
+    if (suggestion.type === 'given-name') {
+      fields.recommendedFirstName = variant.firstName;
+      fields.recommendedFullName = variant.name;
+    } else if (suggestion.type === 'orcid') {
+      fields.firstName = variant.firstName;
+      fields.lastName = variant.lastName;
+    }
+    return {
+      fields,
+      canonicalRule: { strategy, label: CANONICAL_FORM_STRATEGY_LABELS[strategy], explanation: chosen.explanation }
+    };
+  }
+
+  /**
+   * Recommend the form of a suggestion by the canonical-form strategy of its type and record the
+   * rule that picked it in canonicalRule. The built-in recommendation is kept in
+   * builtInRecommendation so the dialog can switch rules without a new analysis.
+   * @param {Object} suggestion - Normalization suggestion; other types are left unchanged
+   * @returns {Object} The suggestion
+   */
+  applyCanonicalFormStrategy(suggestion) {
+    if (!suggestion || !CANONICAL_FORM_TYPES.includes(suggestion.type)) {
+      return suggestion;
+    }
+    if (!suggestion.builtInRecommendation) {
+      suggestion.builtInRecommendation = this.getCanonicalRecommendation(suggestion).fields;
+    }
+    const recommendation = this.getCanonicalRecommendation(suggestion, this.getCanonicalFormStrategy(suggestion.type));
+    Object.assign(suggestion, recommendation.fields);
+    suggestion.canonicalRule = recommendation.canonicalRule;
+    return suggestion;
+  }
+
+  /**
+   * Particle policy that applies to a suggestion
+   * The user's choice in the dialog wins, then the particlePolicy setting; without either, particle
+   * groups keep the form of their most frequent variant and other suggestions are left unchanged.
+   * @param {Object} suggestion - Normalization suggestion
+   * @returns {string|null} One of PARTICLE_POLICIES, or null to keep the stored form
+   */
+  getParticlePolicy(suggestion) {
+    const selected = suggestion && suggestion.userSelection && suggestion.userSelection.particlePolicy;
+    if (PARTICLE_POLICIES.includes(selected)) {
+      return selected;
+    }
+    const settings = (this.learningEngine && this.learningEngine.settings) || {};
+    if (PARTICLE_POLICIES.includes(settings.particlePolicy)) {
+      return settings.particlePolicy;
+    }
+    if (suggestion && suggestion.type === 'particle') {
+      const totals = {};
+      for (const variant of suggestion.variants || []) {
+        totals[variant.particlePolicy] = (totals[variant.particlePolicy] || 0) + (variant.frequency || 0);
+      }
+      return PARTICLE_POLICIES.reduce((best, policy) => ((totals[policy] || 0) > (totals[best] || 0) ? policy : best));
+    }
+    return null;
+  }
+
+  /**
+   * Names a creator is stored with under a particle policy
+   * @param {Object} creator - Creator with firstName and lastName
+   * @param {string} policy - One of PARTICLE_POLICIES
+   * @returns {Object} { firstName, lastName }, unchanged for creators without particles
+   */
+  getParticleTarget(creator, policy) {
+    const firstName = (creator.firstName || '').trim();
+    const lastName = (creator.lastName || '').trim();
+    const parts = splitSurnameParticles(firstName, lastName);
+    return parts && policy ? applyParticlePolicy(parts, policy) : { firstName, lastName };
+  }
+
+  /**
+   * Display form of a two-field creator
+   * @param {Object} target - { firstName, lastName }
+   * @returns {string} "Last, First"
+   */
+  formatCreatorForm(target) {
+    return target.firstName ? `${target.lastName}, ${target.firstName}` : target.lastName;
+  }
+
+  /**
+   * Find authors whose generational suffix is stored in several places and build 'suffix' suggestions
+   * Forms are grouped on the given name, surname and suffix, so "Martin Luther, Jr." / "King",
+   * "Martin Luther" / "King Jr." and "Martin Luther King" / "Jr." become one group. A suffix alone
+   * in the last name field is always offered, since the surname sits in the wrong field.
+   * @param {Array} creators - Person creators with occurrence counts and items
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Suggestions of type 'suffix'
+   */
+  findSuffixVariants(creators, shouldCancel = null) {
+    const groups = new Map();
+    for (const creator of creators || []) {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
+      if (!creator || creator.fieldMode === 1) {
+        continue;
+      }
+
+      const firstName = (creator.firstName || '').trim();
+      const lastName = (creator.lastName || '').trim();
+      const parts = splitGenerationalSuffix(firstName, lastName);
+      if (!parts) {
+        continue;
+      }
+
+      const groupKey = `${this.normalizeFirstNameForGrouping(parts.givenName)}|${parts.surname.toLowerCase()}|${parts.suffixKey}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { parts, variants: new Map() });
+      }
+      const variants = groups.get(groupKey).variants;
+      const variantKey = `${firstName}|${lastName}`;
+      if (!variants.has(variantKey)) {
+        variants.set(variantKey, {
+          name: firstName ? `${lastName}, ${firstName}` : lastName,
+          firstName,
+          lastName,
+          fieldMode: 0,
+          frequency: 0,
+          items: [],
+          suffixPlacement: parts.placement
+        });
+      }
+      const variant = variants.get(variantKey);
+      variant.frequency += creator.count || 1;
+      variant.items = this.mergeItemSummaries(variant.items, creator.items || []);
+    }
+
+    const suggestions = [];
+    for (const [groupKey, group] of groups) {
+      const variants = Array.from(group.variants.values()).sort((a, b) => b.frequency - a.frequency);
+      if (variants.length < 2 && !variants.some(variant => variant.suffixPlacement === 'alone')) {
+        continue;
+      }
+
+      const suggestion = {
+        type: 'suffix',
+        variants,
+        similarity: 1,
+        reason: 'suffix',
+        suffixKey: groupKey,
+        suffixSurname: group.parts.surname
+      };
+      suggestion.suffixPosition = this.getSuffixPosition(suggestion);
+      const target = this.getSuffixTarget(variants[0], suggestion.suffixPosition);
+      suggestion.primary = `${target.lastName}, ${target.firstName}`;
+      // The most frequent creator in every position, for the dialog to offer
+      suggestion.suffixForms = {};
+      for (const position of SUFFIX_POSITIONS) {
+        const form = this.getSuffixTarget(variants[0], position);
+        suggestion.suffixForms[position] = `${form.lastName}, ${form.firstName}`;
+      }
+      suggestions.push(suggestion);
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Suffix position that applies to a suggestion: the user's choice in the dialog, then the
+   * suffixPosition setting, then 'given-name'
+   * @param {Object} suggestion - Normalization suggestion
+   * @returns {string} One of SUFFIX_POSITIONS
+   */
+  getSuffixPosition(suggestion) {
+    const selected = suggestion && suggestion.userSelection && suggestion.userSelection.suffixPosition;
+    if (SUFFIX_POSITIONS.includes(selected)) {
+      return selected;
+    }
+    const settings = (this.learningEngine && this.learningEngine.settings) || {};
+    return SUFFIX_POSITIONS.includes(settings.suffixPosition) ? settings.suffixPosition : 'given-name';
+  }
+
+  /**
+   * Names a creator is stored with when its suffix is in a position
+   * @param {Object} creator - Creator with firstName and lastName
+   * @param {string} position - One of SUFFIX_POSITIONS
+   * @returns {Object} { firstName, lastName }, unchanged for creators without a suffix
+   */
+  getSuffixTarget(creator, position) {
+    const firstName = (creator.firstName || '').trim();
+    const lastName = (creator.lastName || '').trim();
+    const parts = splitGenerationalSuffix(firstName, lastName);
+    return parts ? applySuffixPosition(parts, position) : { firstName, lastName };
+  }
+
+  /**
+   * Show the identities a reviewer linked as one person (see LearningEngine.recordPersonAlias)
+   * together as 'alias' suggestions. Links in 'annotate' mode only group the identities; links in
+   * 'normalize' mode offer to rewrite the alias to the preferred identity.
+   * @param {Array} creators - Person creators with occurrence counts and items
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Suggestions of type 'alias', one per link whose alias occurs in the creators
+   */
+  findPersonAliasSuggestions(creators, shouldCancel = null) {
+    const engine = this.learningEngine;
+    const aliases = engine && typeof engine.getPersonAliases === 'function' ? engine.getPersonAliases() : [];
+    if (aliases.length === 0) {
+      return [];
+    }
+
+    const matches = (creator, identity) => creator.fieldMode !== 1
+      && this.stringsEqualIgnoreCase((creator.firstName || '').trim(), identity.firstName)
+      && this.stringsEqualIgnoreCase((creator.lastName || '').trim(), identity.lastName);
+    const collect = identity => {
+      const variant = {
+        name: this.formatCreatorForm(identity),
+        firstName: identity.firstName,
+        lastName: identity.lastName,
+        fieldMode: 0,
+        frequency: 0,
+        items: []
+      };
+      for (const creator of creators || []) {
+        if (creator && matches(creator, identity)) {
+          variant.frequency += creator.count || 1;
+          variant.items = this.mergeItemSummaries(variant.items, creator.items || []);
+        }
+      }
+      return variant;
+    };
+
+    const suggestions = [];
+    for (const record of aliases) {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
+      const aliasVariant = collect(record.alias);
+      if (aliasVariant.frequency === 0) {
+        continue;
+      }
+      const preferredVariant = collect(record.preferred);
+
+      suggestions.push({
+        type: 'alias',
+        primary: preferredVariant.name,
+        firstName: record.preferred.firstName,
+        lastName: record.preferred.lastName,
+        variants: [preferredVariant, aliasVariant].filter(variant => variant.frequency > 0),
+        similarity: 1,
+        reason: 'alias',
+        aliasMode: record.mode,
+        annotateOnly: record.mode === 'annotate',
+        aliasKey: engine.createPersonAliasKey(record.alias, record.preferred)
+      });
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Record the same-person links a reviewer made in the dialog
+   * @param {Array} aliases - Links of { alias, preferred, mode }
+   * @returns {Promise<number>} Number of new or changed links
+   */
+  async recordPersonAliases(aliases) {
+    if (!this.learningEngine || typeof this.learningEngine.recordPersonAlias !== 'function') {
+      return 0;
+    }
+
+    let recorded = 0;
+    for (const link of aliases || []) {
+      if (!link || !link.alias || !link.preferred) {
+        continue;
+      }
+      try {
+        if (await this.learningEngine.recordPersonAlias(link.alias, link.preferred, { mode: link.mode })) {
+          recorded++;
+        }
+      } catch (error) {
+        console.error('Error recording person alias:', error);
+      }
+    }
+    return recorded;
+  }
+
+  /**
+   * Record the given-name equivalences a reviewer added in the dialog
+   * @param {Array} equivalents - Entries of { name, equivalent }
+   * @returns {Promise<number>} Number of new equivalences
+   */
+  async recordGivenNameEquivalents(equivalents) {
+    if (!this.learningEngine || typeof this.learningEngine.recordGivenNameEquivalent !== 'function') {
+      return 0;
+    }
+
+    let recorded = 0;
+    for (const entry of equivalents || []) {
+      if (!entry || !entry.name || !entry.equivalent) {
+        continue;
+      }
+      try {
+        if (await this.learningEngine.recordGivenNameEquivalent(entry.name, entry.equivalent)) {
+          recorded++;
+        }
+      } catch (error) {
+        console.error('Error recording given-name equivalent:', error);
+      }
+    }
+    if (recorded > 0) {
+      this.givenNameEquivalenceTable = null;
+    }
+    return recorded;
+  }
+
+  /**
+   * Given-name equivalences the reviewer recorded on top of the built-in ones
+   * @returns {Array} Records of { name, equivalent, timestamp }
+   */
+  getGivenNameEquivalents() {
+    if (!this.learningEngine || typeof this.learningEngine.getGivenNameEquivalents !== 'function') {
+      return [];
+    }
+    return this.learningEngine.getGivenNameEquivalents();
+  }
+
+  /**
+   * Remove a recorded given-name equivalence
+   * @param {string} name - Given name
+   * @param {string} equivalent - Given name it was linked to
+   * @returns {Promise<boolean>} True if an equivalence was removed
+   */
+  async removeGivenNameEquivalent(name, equivalent) {
+    if (!this.learningEngine || typeof this.learningEngine.removeGivenNameEquivalent !== 'function') {
+      return false;
+    }
+    const removed = await this.learningEngine.removeGivenNameEquivalent(name, equivalent);
+    if (removed) {
+      this.givenNameEquivalenceTable = null;
+    }
+    return removed;
+  }
+
+  /**
+   * Given names of a suggestion that the equivalences do not link yet, offered in the dialog so
+   * the reviewer can declare them the same name ("Wojtek" and "Wojciech" under one ORCID iD or in
+   * one same-person link)
+   * @param {Object} suggestion - Suggestion whose variants have first names
+   * @returns {Array} Pairs of { name, equivalent }, the equivalent being the suggestion's own form
+   *   where it has one
+   */
+  getGivenNameEquivalenceCandidates(suggestion) {
+    if (!suggestion || !Array.isArray(suggestion.variants) || ['hygiene', 'swap', 'case'].includes(suggestion.type)) {
+      return [];
+    }
+
+    const forms = [];
+    const addForm = firstName => {
+      const word = (firstName || '').trim().split(/[\s-]+/)[0] || '';
+      if (word.replace(/\./g, '').length < 2 || this.normalizeGivenName(word).startsWith('initial:')
+          || forms.some(form => this.stringsEqualIgnoreCase(form, word))) {
+        return;
+      }
+      forms.push(word);
+    };
+    addForm(suggestion.firstName || suggestion.recommendedFirstName);
+    for (const variant of suggestion.variants) {
+      if (!variant || variant.fieldMode === 1) {
+        continue;
+      }
+      [variant.firstName, ...(variant.spellings || [])].forEach(addForm);
+    }
+
+    const keyOf = form => this.getGivenNameCanonical(form) || form.toLowerCase();
+    const candidates = [];
+    forms.forEach((equivalent, index) => {
+      forms.slice(index + 1).forEach(name => {
+        if (keyOf(name) !== keyOf(equivalent)
+            && !candidates.some(candidate => keyOf(candidate.name) === keyOf(name) && keyOf(candidate.equivalent) === keyOf(equivalent))) {
+          candidates.push({ name, equivalent });
+        }
+      });
+    });
+    return candidates;
+  }
+
+  /**
+   * Group the spellings of creators that share an ORCID iD
+   * An iD identifies one person, so every spelling recorded with it is a variant of that person,
+   * whatever the spelling. Only the occurrences that carry the iD are grouped: the same spelling
+   * elsewhere in the library may be someone else.
+   * @param {Array} creators - Person creators with occurrence counts, items and orcids
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Suggestions of type 'orcid', one per iD recorded with two or more spellings
+   */
+  findOrcidVariants(creators, shouldCancel = null) {
+    const creatorsByOrcid = new Map();
+    for (const creator of creators || []) {
+      if (!creator || creator.fieldMode === 1) {
+        continue;
+      }
+      for (const orcid of creator.orcids || []) {
+        if (!creatorsByOrcid.has(orcid)) {
+          creatorsByOrcid.set(orcid, []);
+        }
+        creatorsByOrcid.get(orcid).push(creator);
+      }
+    }
+
+    const suggestions = [];
+    for (const [orcid, group] of creatorsByOrcid) {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
+      if (group.length < 2) {
+        continue;
+      }
+
+      const variants = group.map(creator => {
+        const items = (creator.items || []).filter(item => item && item.orcid === orcid);
+        return {
+          name: this.formatCreatorForm(creator),
+          firstName: (creator.firstName || '').trim(),
+          lastName: (creator.lastName || '').trim(),
+          fieldMode: 0,
+          frequency: items.length,
+          items
+        };
+      });
+      // Spellings in all caps or all lowercase never become the preferred name; then the most
+      // used spelling, with full given names before initials on ties
+      const isMiscased = variant => needsCaseNormalization(variant.lastName) || needsCaseNormalization(variant.firstName);
+      variants.sort((a, b) => isMiscased(a) - isMiscased(b)
+        || b.frequency - a.frequency
+        || b.firstName.length - a.firstName.length
+        || a.name.localeCompare(b.name));
+      const preferred = variants[0];
+
+      suggestions.push({
+        type: 'orcid',
+        primary: preferred.name,
+        firstName: preferred.firstName,
+        lastName: preferred.lastName,
+        variants,
+        similarity: 1,
+        reason: 'orcid',
+        orcid,
+        orcids: [orcid]
+      });
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * ORCID iDs recorded with the occurrences a suggestion groups
+   * @param {Object} suggestion - Normalization suggestion
+   * @returns {Array<Set>} The iDs of each variant, in variant order
+   */
+  getVariantOrcids(suggestion) {
+    return (suggestion.variants || []).map(variant =>
+      new Set((variant.items || []).map(item => item && item.orcid).filter(Boolean)));
+  }
+
+  /**
+   * Check whether a suggestion gives creators recorded with different ORCID iDs the same name
+   * Occurrences are compared one by one: as soon as a renamed occurrence carries an iD, every
+   * other iD among the renamed occurrences and the target spelling belongs to a different person,
+   * even when the variants also share an iD.
+   * @param {Object} suggestion - Normalization suggestion
+   * @returns {boolean} True if the suggestion must not be offered
+   */
+  hasConflictingOrcids(suggestion) {
+    const variants = suggestion.variants || [];
+    if (variants.length < 2) {
+      return false;
+    }
+    const variantOrcids = this.getVariantOrcids(suggestion);
+    // Without the target spelling among the variants, every variant is renamed
+    const targetIndex = variants.findIndex(variant => variant && variant.name === suggestion.primary);
+    const renamedOrcids = new Set(variantOrcids.filter((orcids, index) => index !== targetIndex)
+      .flatMap(orcids => Array.from(orcids)));
+    if (renamedOrcids.size === 0) {
+      return false;
+    }
+    const targetOrcids = targetIndex >= 0 ? Array.from(variantOrcids[targetIndex]) : [];
+    return new Set([...renamedOrcids, ...targetOrcids]).size > 1;
+  }
+
+  /**
+   * Check whether an ORCID group already covers a suggestion: every occurrence it renames carries
+   * the group's iD, so rewriting to the group's preferred name fixes it too. Hygiene fixes split or
+   * remove entries and are never covered.
+   * @param {Object} suggestion - Normalization suggestion
+   * @param {Array} orcidSuggestions - Suggestions from findOrcidVariants
+   * @returns {boolean} True if the suggestion only repeats an ORCID group
+   */
+  isCoveredByOrcidGroup(suggestion, orcidSuggestions) {
+    if (suggestion.type === 'hygiene') {
+      return false;
+    }
+    const items = (suggestion.variants || []).flatMap(variant => variant.items || []);
+    if (items.length === 0) {
+      return false;
+    }
+    const orcid = items[0] && items[0].orcid;
+    return Boolean(orcid) && items.every(item => item && item.orcid === orcid)
+      && orcidSuggestions.some(group => group.orcid === orcid);
+  }
+
+  /**
+   * Find creators whose first and last name fields look swapped ("Fodor" / "Jerry")
+   * Each creator is scored against the library's surname and given-name frequencies and the
+   * given-name dictionaries; the creator with the fields in the usual order appearing elsewhere in
+   * the library is the strongest evidence.
+   * @param {Array} creators - Person creators with occurrence counts and items
+   * @param {Object} surnameFrequencies - Lowercase surname -> occurrence count
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Suggestions of type 'swap', most confident first
+   */
+  findSwappedNameCandidates(creators, surnameFrequencies = {}, shouldCancel = null) {
+    const settings = (this.learningEngine && this.learningEngine.settings) || {};
+    if (settings.enableSwapDetection === false) {
+      return [];
+    }
+
+    const givenNameFrequencies = {};
+    const creatorsByName = new Map();
+    for (const creator of creators || []) {
+      if (!creator || creator.fieldMode === 1) {
+        continue;
+      }
+      const firstKey = (creator.firstName || '').trim().toLowerCase();
+      const lastKey = (creator.lastName || '').trim().toLowerCase();
+      givenNameFrequencies[firstKey] = (givenNameFrequencies[firstKey] || 0) + (creator.count || 1);
+      const nameKey = `${firstKey}|${lastKey}`;
+      if (!creatorsByName.has(nameKey)) {
+        creatorsByName.set(nameKey, []);
+      }
+      creatorsByName.get(nameKey).push(creator);
+    }
+
+    const context = { surnameFrequencies, givenNameFrequencies, creatorsByName };
+    const suggestions = [];
+    for (const [nameKey, group] of creatorsByName) {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
+
+      const creator = group[0];
+      const count = group.reduce((sum, entry) => sum + (entry.count || 1), 0);
+      const swap = this.scoreNameSwap(creator, count, context);
+      if (!swap || swap.confidence < SWAP_MIN_CONFIDENCE) {
+        continue;
+      }
+
+      const firstName = (creator.firstName || '').trim();
+      const lastName = (creator.lastName || '').trim();
+      const items = group.reduce((merged, entry) => this.mergeItemSummaries(merged, entry.items || []), []);
+      suggestions.push({
+        type: 'swap',
+        primary: `${firstName}, ${lastName}`,
+        firstName: lastName,
+        lastName: firstName,
+        variants: [{
+          name: `${lastName}, ${firstName}`,
+          firstName,
+          lastName,
+          fieldMode: 0,
+          frequency: count,
+          items
+        }],
+        similarity: swap.confidence,
+        confidence: swap.confidence,
+        evidence: swap.evidence,
+        reason: 'swapped',
+        swapKey: nameKey
+      });
+    }
+
+    suggestions.sort((a, b) => b.confidence - a.confidence);
+    Zotero.debug('ZoteroDBAnalyzer: Swap detection found ' + suggestions.length + ' swapped creators');
+    return suggestions;
+  }
+
+  /**
+   * Score how likely a creator's first and last name fields are swapped
+   * The creator with the fields in the usual order appearing elsewhere is strong evidence, but only
+   * for the orientation the frequency tables and dictionaries already favor, so "Jerry Fodor" is
+   * never flagged as a swap of "Fodor Jerry".
+   * @param {Object} creator - Two-field creator
+   * @param {number} count - Occurrences of this exact creator
+   * @param {Object} context - { surnameFrequencies, givenNameFrequencies, creatorsByName }
+   * @returns {Object|null} { confidence: 0-1, evidence: [reasons] }, or null if the names cannot
+   *   be compared (initials, several words, CJK names whose order is ambiguous)
+   */
+  scoreNameSwap(creator, count, context) {
+    const firstName = (creator.firstName || '').trim();
+    const lastName = (creator.lastName || '').trim();
+    const isNameWord = word => /^\p{Lu}[\p{Ll}'’-]+$/u.test(word) || /^\p{Lu}{2,}$/u.test(word);
+    if (!isNameWord(firstName) || !isNameWord(lastName) || firstName.toLowerCase() === lastName.toLowerCase()) {
+      return null;
+    }
+    if (!this.nameParser) {
+      this.parseName('');
+    }
+    if (this.nameParser.isRomanizedCJKFamilyName(firstName) || this.nameParser.isRomanizedCJKFamilyName(lastName)) {
+      return null;
+    }
+
+    const own = this.scoreSwapEvidence(firstName, lastName, count, context);
+    const counterpart = context.creatorsByName.get(`${lastName.toLowerCase()}|${firstName.toLowerCase()}`);
+    if (counterpart) {
+      const counterpartCount = counterpart.reduce((sum, entry) => sum + (entry.count || 1), 0);
+      const reverse = this.scoreSwapEvidence(lastName, firstName, counterpartCount, context);
+      if (own.score > reverse.score || (own.score === reverse.score && count < counterpartCount)) {
+        own.score += 0.45;
+        own.evidence.unshift(`“${lastName} ${firstName}” also appears with the fields in the usual order`);
+      }
+    }
+
+    return {
+      confidence: Math.round(Math.min(1, Math.max(0, own.score)) * 100) / 100,
+      evidence: own.evidence
+    };
+  }
+
+  /**
+   * Frequency and dictionary evidence that firstName is really a surname and lastName a given name
+   * @param {string} firstName - Value of the first-name field
+   * @param {string} lastName - Value of the last-name field
+   * @param {number} count - Occurrences of this creator, left out of the frequency counts
+   * @param {Object} context - { surnameFrequencies, givenNameFrequencies }
+   * @returns {Object} { score, evidence }
+   */
+  scoreSwapEvidence(firstName, lastName, count, context) {
+    const first = firstName.toLowerCase();
+    const last = lastName.toLowerCase();
+    const { surnameFrequencies, givenNameFrequencies } = context;
+    const firstAsSurname = surnameFrequencies[first] || 0;
+    const lastAsGivenName = givenNameFrequencies[last] || 0;
+    const lastAsSurname = Math.max(0, (surnameFrequencies[last] || 0) - count);
+    const firstAsGivenName = Math.max(0, (givenNameFrequencies[first] || 0) - count);
+
+    let score = 0;
+    const evidence = [];
+    if (firstAsSurname > 0) {
+      score += 0.25;
+      evidence.push(`“${firstName}” is a surname ${firstAsSurname} times in the library`);
+    }
+    if (KNOWN_GIVEN_NAMES.has(last)) {
+      score += 0.25;
+      evidence.push(`“${lastName}” is a known given name`);
+    } else if (lastAsGivenName > 0) {
+      score += 0.15;
+      evidence.push(`“${lastName}” is a given name ${lastAsGivenName} times in the library`);
+    }
+    if (KNOWN_GIVEN_NAMES.has(first)) {
+      score -= 0.35;
+    }
+    if (lastAsSurname > 0) {
+      score -= 0.15;
+    }
+    if (firstAsGivenName > 0) {
+      score -= 0.1;
+    }
+    return { score, evidence };
+  }
+
+  /**
+   * Find ALL-CAPS and all-lowercase creators and build 'case' suggestions that recapitalize them
+   * ("MCDONALD, JOHN" → "McDonald, John", "VAN DER WAALS" → "van der Waals")
+   * @param {Array} creators - Person creators with occurrence counts and items
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Suggestions of type 'case'
+   */
+  findCaseVariants(creators, shouldCancel = null) {
+    const settings = (this.learningEngine && this.learningEngine.settings) || {};
+    if (settings.enableCaseNormalization === false) {
+      return [];
+    }
+
+    const byCreator = new Map();
+    for (const creator of creators || []) {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
+      // Single-field names are left alone: they hold acronyms and names without a case
+      if (!creator || creator.fieldMode === 1) {
+        continue;
+      }
+
+      const firstName = (creator.firstName || '').trim();
+      const lastName = (creator.lastName || '').trim();
+      const key = `${firstName}|${lastName}`;
+      if (byCreator.has(key)) {
+        const variant = byCreator.get(key).variants[0];
+        variant.frequency += creator.count || 1;
+        variant.items = this.mergeItemSummaries(variant.items, creator.items || []);
+        continue;
+      }
+
+      const fixedFirst = needsCaseNormalization(firstName) ? capitalizeName(firstName, { role: 'given' }) : firstName;
+      const fixedLast = needsCaseNormalization(lastName) ? capitalizeName(lastName) : lastName;
+      if (fixedFirst === firstName && fixedLast === lastName) {
+        continue;
+      }
+
+      byCreator.set(key, {
+        type: 'case',
+        primary: fixedFirst ? `${fixedLast}, ${fixedFirst}` : fixedLast,
+        firstName: fixedFirst,
+        lastName: fixedLast,
+        variants: [{
+          name: firstName ? `${lastName}, ${firstName}` : lastName,
+          firstName,
+          lastName,
+          fieldMode: 0,
+          frequency: creator.count || 1,
+          items: (creator.items || []).slice(0, 25)
+        }],
+        similarity: 1,
+        reason: 'capitalization',
+        caseKey: key
+      });
+    }
+
+    return Array.from(byCreator.values());
+  }
+
+  /**
+   * Find malformed creators and build 'hygiene' suggestions that repair them
+   * Each distinct malformed creator gets one suggestion whose replacement lists the creators it
+   * becomes: a cleaned copy, several people split out of it, or none for pure junk ("et al.").
+   * @param {Array} creators - Creator objects with occurrence counts and items
+   * @param {Function} shouldCancel - Optional cancellation check
+   * @returns {Array} Suggestions of type 'hygiene'
+   */
+  analyzeCreatorHygiene(creators, shouldCancel = null) {
+    const settings = (this.learningEngine && this.learningEngine.settings) || {};
+    if (settings.enableCreatorHygiene === false) {
+      return [];
+    }
+
+    const byCreator = new Map();
+    for (const creator of creators || []) {
+      if (shouldCancel && shouldCancel()) {
+        throw new Error('Analysis cancelled');
+      }
+      if (!creator || (!creator.firstName && !creator.lastName)) {
+        continue;
+      }
+
+      const fieldMode = creator.fieldMode === 1 ? 1 : 0;
+      const key = `${creator.firstName || ''}|${creator.lastName || ''}|${fieldMode}`;
+      if (byCreator.has(key)) {
+        const existing = byCreator.get(key);
+        existing.variants[0].frequency += creator.count || 1;
+        existing.variants[0].items = this.mergeItemSummaries(existing.variants[0].items, creator.items || []);
+        continue;
+      }
+
+      // Names with organization keywords are never split; detectCreatorIssues checks single fields
+      const result = detectCreatorIssues(creator, {
+        parseName: name => this.parseName(name),
+        allowSplit: !this.isMisenteredOrganization(creator)
+      });
+      if (!result) {
+        continue;
+      }
+
+      byCreator.set(key, {
+        type: 'hygiene',
+        primary: this.describeCreatorList(result.creators),
+        variants: [{
+          name: fieldMode === 1 ? (creator.lastName || '') : this.buildFullName(creator.firstName, creator.lastName),
+          firstName: creator.firstName || '',
+          lastName: creator.lastName || '',
+          fieldMode,
+          frequency: creator.count || 1,
+          items: (creator.items || []).slice(0, 25)
+        }],
+        similarity: 1,
+        reason: result.issues[0],
+        issues: result.issues,
+        replacement: result.creators,
+        orcid: result.orcid,
+        email: result.email
+      });
+    }
+
+    const suggestions = Array.from(byCreator.values());
+    Zotero.debug('ZoteroDBAnalyzer: Creator hygiene found ' + suggestions.length + ' malformed creators');
+    return suggestions;
+  }
+
+  /**
+   * Display form of the creators a hygiene suggestion produces
+   * @param {Array} creators - Replacement creators
+   * @returns {string} "Last, First" entries joined with "; ", or "Remove creator" for none
+   */
+  describeCreatorList(creators) {
+    if (!creators || creators.length === 0) {
+      return 'Remove creator';
+    }
+    return creators
+      .map(creator => (creator.fieldMode === 1 || !creator.firstName
+        ? creator.lastName
+        : `${creator.lastName}, ${creator.firstName}`))
+      .join('; ');
+  }
+
+  /**
+   * Check whether a hygiene fix is already offered by a surname suggestion
+   * ("Karl and Friston" → "Karl Friston" is also a surname variant of "Friston")
+   * @param {Object} hygieneSuggestion - Suggestion of type 'hygiene'
+   * @param {Array} suggestions - Suggestions generated so far
+   * @returns {boolean} True if a surname suggestion makes the same change
+   */
+  isCoveredBySurnameSuggestion(hygieneSuggestion, suggestions) {
+    const replacement = hygieneSuggestion.replacement || [];
+    const variant = hygieneSuggestion.variants[0];
+    if (replacement.length !== 1 || replacement[0].firstName !== (variant.firstName || '').trim()) {
+      return false;
+    }
+    return suggestions.some(suggestion => suggestion.type === 'surname'
+      && suggestion.primary === replacement[0].lastName
+      && suggestion.variants.some(candidate => candidate.name === variant.lastName));
+  }
+
+  /**
+   * Group creators by normalized first name + surname
+   * This ensures only the SAME author (same first name variant) is grouped together
+   * Different authors with the same surname (e.g., "Alex Martin" vs "Andrea Martin") are NOT grouped
+   * Initial-only names are grouped with full names that match their first letter
+   * @param {Array} creators - Array of creator objects
+   * @returns {Object} Object with group keys and creator arrays as values
+   */
+  groupCreatorsBySurnameForVariants(creators) {
+    const surnameGroups = {};
+    const initialGroups = {}; // Track initial-only names separately
+    const groupKeysBySurname = new Map(); // surname -> group keys in creation order, to avoid scanning every group
+
+    const addGroupKey = (surname, groupKey) => {
+      if (!groupKeysBySurname.has(surname)) {
+        groupKeysBySurname.set(surname, []);
+      }
+      groupKeysBySurname.get(surname).push(groupKey);
+    };
+
+    // First pass: group full names by (normalized first name + surname)
+    for (const creator of creators) {
+      if (!creator || !creator.lastName) {
+        continue;
+      }
+      // A generational suffix tells father and son apart ("Martin Luther, Jr." is not an initialed
+      // "Martin Luther"); its placement is handled by findSuffixVariants
+      if (splitGenerationalSuffix(creator.firstName, creator.lastName)) {
+        continue;
+      }
+
+      const groupingNames = this.getCreatorGroupingNames(creator);
+      const firstName = groupingNames.firstName;
+      const normalizedFirst = this.normalizeFirstNameForGrouping(firstName, { cjk: groupingNames.isCJK });
+      const lastNameKey = groupingNames.lastName.toLowerCase();
+
+      if (normalizedFirst.startsWith('init:')) {
+        // Initial-only: track separately by surname
+        if (!initialGroups[lastNameKey]) {
+          initialGroups[lastNameKey] = [];
+        }
+        initialGroups[lastNameKey].push({ creator, normalizedFirst });
+      } else {
+        // Full name: group by normalized first name + surname
+        const groupKey = `${normalizedFirst}|${lastNameKey}`;
+        if (!surnameGroups[groupKey]) {
+          surnameGroups[groupKey] = [];
+          addGroupKey(lastNameKey, groupKey);
+        }
+        surnameGroups[groupKey].push(creator);
+      }
+    }
+
+    // Profiles of the full-name groups, for initials that fit several of them
+    const fullNameGroups = new Map(Object.entries(surnameGroups).map(([key, group]) => [key, group.slice()]));
+    const profiles = new Map();
+    const getProfile = (key, surname) => {
+      if (!profiles.has(key)) {
+        profiles.set(key, buildAuthorProfile(fullNameGroups.get(key).flatMap(creator => creator.items || []), surname));
+      }
+      return profiles.get(key);
+    };
+    // Most frequent spelling of a full-name group
+    const getGroupName = key => {
+      const creator = fullNameGroups.get(key)
+        .reduce((best, candidate) => ((candidate.count || 1) > (best.count || 1) ? candidate : best));
+      return { firstName: (creator.firstName || '').trim(), lastName: (creator.lastName || '').trim() };
+    };
+
+    // Second pass: assign initial-only names to matching full name groups
+    for (const [surname, initials] of Object.entries(initialGroups)) {
+      for (const { creator, normalizedFirst } of initials) {
+        // Get the first letter of the initial
+        const firstLetter = normalizedFirst.slice(5).charAt(0).toLowerCase();
+
+        // Look for full name groups whose normalized first name starts with this letter
+        const matchingKeys = (groupKeysBySurname.get(surname) || []).filter(key => {
+          const [normalizedFirst] = key.split('|');
+          return fullNameGroups.has(key) && normalizedFirst.startsWith(firstLetter);
+        });
+
+        // "J." fitting both "John" and "James" is split per item by the evidence of each item;
+        // items that favour neither stay on their own. Every part remembers the names it could
+        // belong to, so the dialog can move single items to another of them.
+        let remaining = creator;
+        if (matchingKeys.length === 1) {
+          surnameGroups[matchingKeys[0]].push(creator);
+          remaining = null;
+        } else if (matchingKeys.length > 1) {
+          const alternativeNames = matchingKeys.map(key => getGroupName(key));
+          const split = this.splitInitialCreatorByEvidence({ ...creator, alternativeNames }, matchingKeys.map(key => getProfile(key, surname)), surname);
+          split.assigned.forEach((part, index) => {
+            if (part) {
+              surnameGroups[matchingKeys[index]].push(part);
+            }
+          });
+          remaining = split.unassigned;
+        }
+
+        if (remaining) {
+          // No matching full name found, create a separate group
+          const groupKey = `${normalizedFirst}|${surname}`;
+          if (!surnameGroups[groupKey]) {
+            surnameGroups[groupKey] = [];
+            addGroupKey(surname, groupKey);
+          }
+          surnameGroups[groupKey].push(remaining);
+        }
+      }
+    }
+
+    return surnameGroups;
+  }
+
+  /**
+   * Split an initial-only creator between the full names its initial fits
+   * Each item goes to the name whose items it shares the most evidence with (co-authors, journal,
+   * collections, years); an item without positive evidence for exactly one name is not assigned.
+   * @param {Object} creator - Initial-only creator with items
+   * @param {Array} profiles - buildAuthorProfile result of each candidate name
+   * @param {string} surname - Lowercase surname
+   * @returns {Object} { assigned: per candidate, a copy of the creator limited to its items or
+   *   null; unassigned: a copy holding the remaining items, or null }
+   */
+  splitInitialCreatorByEvidence(creator, profiles, surname) {
+    if (!creator.items || creator.items.length === 0) {
+      return { assigned: profiles.map(() => null), unassigned: creator };
+    }
+
+    const itemsByCandidate = profiles.map(() => []);
+    const unassignedItems = [];
+
+    for (const item of creator.items || []) {
+      const itemProfile = buildAuthorProfile([item], surname);
+      const scores = profiles.map(profile => scoreAuthorEvidence(itemProfile, profile).score);
+      const best = Math.max(...scores);
+      if (best > 0 && scores.filter(score => score === best).length === 1) {
+        itemsByCandidate[scores.indexOf(best)].push(item);
+      } else {
+        unassignedItems.push(item);
+      }
+    }
+
+    const part = items => (items.length > 0 ? { ...creator, count: items.length, items } : null);
+    return {
+      assigned: itemsByCandidate.map(part),
+      unassigned: part(unassignedItems)
+    };
+  }
+
+  /**
+   * Given and family name of a creator as used for grouping
+   * Single-field creators (fieldMode 1) keep the whole name in lastName, so the parsed given and
+   * family name are used for them instead.
+   * @param {Object} creator - Creator with firstName, lastName, fieldMode and optionally parsedName
+   * @param {Object|null} parsed - Parsed name, if the caller already has it
+   * @returns {Object} { firstName, lastName, isCJK }
+   */
+  getCreatorGroupingNames(creator, parsed = null) {
+    const fieldMode = creator.fieldMode || 0;
+    const parsedName = parsed || creator.parsedName ||
+      this.parseName(`${creator.firstName || ''} ${creator.lastName || ''}`.trim(), { fieldMode });
+    const isCJK = !!(parsedName && parsedName.isCJK);
+
+    if (fieldMode === 1 && parsedName && parsedName.lastName) {
+      return {
+        firstName: [parsedName.firstName, parsedName.middleName].filter(Boolean).join(' ').trim(),
+        lastName: parsedName.lastName.trim(),
+        isCJK
+      };
+    }
+
+    return {
+      firstName: (creator.firstName || '').trim(),
+      lastName: (creator.lastName || '').trim(),
+      isCJK
+    };
+  }
+
+  /**
+   * Normalize first name for grouping purposes
+   * Handles initials and uses the given-name equivalences (getGivenNameEquivalenceTable)
+   * @param {string} firstName - The first name to normalize
+   * @param {Object} options - { cjk: true for CJK names, whose short given names ("Wei", "Li")
+   *   are not initials }
+   * @returns {string} Normalized first name for grouping
+   */
+  normalizeFirstNameForGrouping(firstName, options = {}) {
+    if (!firstName || !firstName.trim()) {
+      return 'unknown';  // Handle cases with no first name
+    }
+
+    const cleaned = firstName.toLowerCase().trim();
+
+    // Check if it's an initial sequence (e.g., "J.", "J.A.", "A.B.C.")
+    // First, extract the base word (first non-initial word)
+    const tokens = cleaned.split(/[\s.-]+/).filter(Boolean);
+    const baseWord = tokens[0] || '';
+
+    // Check if this looks like an initial-only name:
+    // - Single token that is short (1-3 letters)
+    // - OR multiple tokens that are all single letters
+    const withoutDots = cleaned.replace(/\./g, '');
+    const allTokensAreInitials = tokens.length > 0 && tokens.every(t => t.length === 1);
+
+    if (tokens.length === 1 && tokens[0].length <= 3 && !(options.cjk && tokens[0].length > 1)) {
+      // Single short token like "J", "J.", "A" - treat as initial
+      return `init:${tokens[0]}`;
+    } else if (allTokensAreInitials) {
+      // Multiple single-letter tokens like "J A", "J.A.B." - treat as initial sequence
+      return `init:${withoutDots}`;
+    }
+
+    // Not an initial sequence - normalize the base word to the canonical key of its equivalents
+    const canonical = this.getGivenNameCanonical(baseWord);
+    if (canonical) {
+      return canonical;
+    }
+
+    // If no match in variants, use the base word as the normalized form
+    // This ensures "Fred", "Fred.", "Fred R. E. D." all group under "fred"
+    return baseWord || cleaned;
+  }
+
+  parseGivenNameTokens(name, options = {}) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      return [];
+    }
+
+    const tokens = trimmed.split(/[\s-]+/).filter(Boolean);
     const parsed = [];
 
     for (const token of tokens) {
@@ -1077,7 +3345,7 @@ class ZoteroDBAnalyzer {
         continue;
       }
 
-      if (this.isLikelyInitialSequence(cleaned, token)) {
+      if (!options.cjk && this.isLikelyInitialSequence(cleaned, token)) {
         cleaned.toUpperCase().split('').forEach(letter => {
           parsed.push({ type: 'initial', value: letter });
         });
@@ -1279,7 +3547,7 @@ class ZoteroDBAnalyzer {
         continue;
       }
 
-      const tokens = this.parseGivenNameTokens(rawFirst);
+      const tokens = this.parseGivenNameTokens(rawFirst, { cjk: creator.parsedName?.isCJK });
       if (tokens.length === 0) {
         continue;
       }
@@ -1460,7 +3728,7 @@ class ZoteroDBAnalyzer {
         continue;
       }
 
-      const normalized = this.normalizeGivenName(effectiveFirst);
+      const normalized = this.normalizeGivenName(effectiveFirst, { cjk: creator.parsedName?.isCJK });
       const key = normalized || effectiveFirst.toLowerCase();
 
       if (!normalizedBuckets.has(key)) {
@@ -1492,7 +3760,7 @@ class ZoteroDBAnalyzer {
         ].filter(part => part && typeof part === 'string' && part.trim().length > 0);
 
         const rawFirst = (rawFirstParts.join(' ').trim()) || (creator.firstName || '').trim();
-        const tokens = this.parseGivenNameTokens(rawFirst);
+        const tokens = this.parseGivenNameTokens(rawFirst, { cjk: creator.parsedName?.isCJK });
         const signature = this.extractTokenSignature(tokens);
         const displayFirst = this.composeGivenNameFromTokens(tokens, bucketCanonical)
           || bucketCanonical.baseWord
@@ -1509,10 +3777,22 @@ class ZoteroDBAnalyzer {
           items: [],
           name: `${displayFirst} ${displayLast}`.trim(),
           tokenSignatures: [],
-          creatorRefs: []
+          creatorRefs: [],
+          spellings: [],
+          alternatives: []
         };
 
         existing.frequency += creator.count || 1;
+        // The composed display name ("John A." for "J. A.") is not what the items store
+        if (!existing.spellings.includes(rawFirst)) {
+          existing.spellings.push(rawFirst);
+        }
+        for (const alternative of creator.alternativeNames || []) {
+          if (!existing.alternatives.some(known => this.stringsEqualIgnoreCase(known.firstName, alternative.firstName)
+            && this.stringsEqualIgnoreCase(known.lastName, alternative.lastName))) {
+            existing.alternatives.push(alternative);
+          }
+        }
         existing.lastName = displayLast;
         existing.name = `${existing.firstName} ${displayLast}`.trim();
         existing.tokenSignatures.push(signature);
@@ -1564,15 +3844,21 @@ class ZoteroDBAnalyzer {
         }
 
         const clusterCanonical = this.selectCanonicalGivenNameData(clusterCreators, normalizedKey);
+        const initialOnly = clusterVariants.map(variant => (variant.creatorRefs || []).length > 0
+          && variant.creatorRefs.every(ref => this.normalizeGivenName(ref.creator.firstName || '').startsWith('initial:')));
         const sanitizedVariants = clusterVariants.map(variant => {
           const clone = Object.assign({}, variant);
           delete clone.tokenSignature;
           delete clone.creatorRefs;
+          if (clone.alternatives.length === 0) {
+            delete clone.alternatives;
+          }
           return clone;
         });
 
         const recommendation = this.buildGivenNameRecommendation(sanitizedVariants, displaySurname, clusterCanonical);
         const clusterTotalFrequency = sanitizedVariants.reduce((sum, variant) => sum + (variant.frequency || 0), 0);
+        const merge = this.scoreGivenNameMerges(sanitizedVariants, initialOnly, surnameLower, recommendation.firstName);
 
         groups.push({
           surname: displaySurname,
@@ -1581,7 +3867,9 @@ class ZoteroDBAnalyzer {
           variants: sanitizedVariants,
           totalFrequency: clusterTotalFrequency,
           recommendedFirstName: recommendation.firstName,
-          recommendedFullName: recommendation.fullName
+          recommendedFullName: recommendation.fullName,
+          confidence: merge.confidence,
+          evidence: merge.evidence
         });
       }
     }
@@ -1589,7 +3877,64 @@ class ZoteroDBAnalyzer {
     return groups;
   }
 
-  normalizeGivenName(firstName) {
+  /**
+   * Rate how likely each variant of a given-name group is the same author as the recommended one
+   * Merges start from GIVEN_NAME_MERGE_CONFIDENCE (lower for bare initials) and move with the
+   * co-author, journal, collection and year evidence of the items each form appears on.
+   * @param {Array} variants - Group variants with items; each gets confidence and evidence
+   * @param {Array<boolean>} initialOnly - Per variant, whether it only has initials
+   * @param {string} surname - Lowercase surname
+   * @param {string} recommendedFirstName - Given name the group normalizes to
+   * @returns {Object} { confidence: lowest merge confidence, evidence: reasons of all merges }
+   */
+  scoreGivenNameMerges(variants, initialOnly, surname, recommendedFirstName) {
+    const reference = variants.find(variant => this.stringsEqualIgnoreCase(variant.firstName, recommendedFirstName))
+      || variants.reduce((best, variant) => ((variant.frequency || 0) > (best.frequency || 0) ? variant : best), variants[0]);
+    const referenceProfile = buildAuthorProfile(reference.items, surname);
+
+    let confidence = 1;
+    const evidence = [];
+    variants.forEach((variant, index) => {
+      if (variant === reference) {
+        return;
+      }
+      const match = scoreAuthorEvidence(buildAuthorProfile(variant.items, surname), referenceProfile);
+      const base = initialOnly[index] ? GIVEN_NAME_MERGE_CONFIDENCE.initial : GIVEN_NAME_MERGE_CONFIDENCE.name;
+      variant.confidence = Math.round(Math.max(0, Math.min(1, base + match.score)) * 100) / 100;
+      variant.evidence = match.evidence;
+      confidence = Math.min(confidence, variant.confidence);
+      match.evidence.filter(reason => !evidence.includes(reason)).forEach(reason => evidence.push(reason));
+    });
+
+    return { confidence, evidence };
+  }
+
+  /**
+   * Given-name equivalences in effect: the built-in ones plus those the reviewer recorded
+   * (LearningEngine.recordGivenNameEquivalent). Built once per analysis.
+   * @returns {Map} Lookup key -> canonical key, see buildGivenNameEquivalenceTable
+   */
+  getGivenNameEquivalenceTable() {
+    if (!this.givenNameEquivalenceTable) {
+      const engine = this.learningEngine;
+      const overlay = engine && typeof engine.getGivenNameEquivalents === 'function' ? engine.getGivenNameEquivalents() : [];
+      this.givenNameEquivalenceTable = overlay.length > 0
+        ? buildGivenNameEquivalenceTable(undefined, overlay)
+        : DEFAULT_GIVEN_NAME_EQUIVALENTS;
+    }
+    return this.givenNameEquivalenceTable;
+  }
+
+  /**
+   * Canonical key of a given name ("wojtek" -> "wojciech", "hans" -> "john")
+   * @param {string} name - Given name
+   * @returns {string|null} Canonical key, or null if the name has no known equivalents
+   */
+  getGivenNameCanonical(name) {
+    return lookupGivenNameEquivalent(this.getGivenNameEquivalenceTable(), name);
+  }
+
+  normalizeGivenName(firstName, options = {}) {
     const trimmed = firstName.trim();
     if (!trimmed) {
       return '';
@@ -1608,12 +3953,13 @@ class ZoteroDBAnalyzer {
       return `initial:${cleanedTokens.join('')}`;
     }
 
-    if (cleanedTokens.length === 1 && this.isLikelyInitialSequence(cleanedTokens[0], tokens[0])) {
+    if (!options.cjk && cleanedTokens.length === 1 && this.isLikelyInitialSequence(cleanedTokens[0], tokens[0])) {
       return `initial:${cleanedTokens[0].toUpperCase()}`;
     }
 
-    if (COMMON_GIVEN_NAME_EQUIVALENTS[primaryToken]) {
-      return COMMON_GIVEN_NAME_EQUIVALENTS[primaryToken];
+    const canonical = this.getGivenNameCanonical(primaryToken);
+    if (canonical) {
+      return canonical;
     }
 
     return primaryToken;
@@ -1819,7 +4165,7 @@ class ZoteroDBAnalyzer {
     }
 
     const primaryToken = cleaned.split(/[\s-]+/)[0]?.toLowerCase() || '';
-    if (COMMON_GIVEN_NAME_EQUIVALENTS[primaryToken]) {
+    if (this.getGivenNameCanonical(primaryToken)) {
       score += 50;
     }
 
@@ -1870,12 +4216,15 @@ class ZoteroDBAnalyzer {
   /**
    * Parse a name string into components
    * @param {string} name - Full name string
+   * @param {Object} options - NameParser options ({ fieldMode, locale })
    * @returns {Object} Parsed name components
    */
-  parseName(name) {
-    const NameParser = require('../core/name-parser.js');
-    const parser = new NameParser();
-    return parser.parse(name);
+  parseName(name, options = {}) {
+    if (!this.nameParser) {
+      const NameParser = require('../core/name-parser.js');
+      this.nameParser = new NameParser();
+    }
+    return this.nameParser.parse(name, options);
   }
 
   /**
@@ -1888,6 +4237,18 @@ class ZoteroDBAnalyzer {
     return normalizedLevenshtein(str1, str2);
   }
 
+  /**
+   * Given-name bucket a variant pair was detected in
+   * @param {Object} variant - Variant pair
+   * @returns {string} Normalized given name or compound given-name key; empty for library-wide passes
+   */
+  getVariantGivenNameBucket(variant) {
+    if (variant.givenNameBucket !== undefined && variant.givenNameBucket !== null) {
+      return variant.givenNameBucket;
+    }
+    return variant.givenNameKey || '';
+  }
+
   /**
    * Generate normalization suggestions from variant pairs
    * @param {Array} variants - Array of variant pairs
@@ -1907,13 +4268,23 @@ class ZoteroDBAnalyzer {
 
     log('generateNormalizationSuggestions called with ' + (variants ? variants.length : 0) + ' variants, ' + (givenNameVariantGroups ? givenNameVariantGroups.length : 0) + ' given-name groups');
     const suggestions = [];
-    const processedSurnames = new Set();
+    // Keyed by given-name bucket and surname pair, so two authors sharing a surname pair each get a suggestion
+    const processedPairs = new Set();
+    const pairKey = (bucket, name1, name2) => bucket + '|' + [name1, name2].sort().join('|');
+    const markProcessed = (bucket, names) => {
+      for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+          processedPairs.add(pairKey(bucket, names[i], names[j]));
+        }
+      }
+    };
 
     for (const variant of variants || []) {
       const norm1 = variant.variant1.name;
       const norm2 = variant.variant2.name;
+      const bucket = this.getVariantGivenNameBucket(variant);
 
-      if (!processedSurnames.has(norm1) && !processedSurnames.has(norm2)) {
+      if (!processedPairs.has(pairKey(bucket, norm1, norm2))) {
         // Use items directly from the variant (already collected during analysis)
         // Fall back to lookup only if items aren't already attached
         let items1 = variant.variant1.items || [];
@@ -1951,8 +4322,27 @@ class ZoteroDBAnalyzer {
             }
           ],
           similarity: variant.similarity,
+          reason: variant.reason || 'diacritic',
           surnameKey: (variant.recommendedNormalization || '').toLowerCase()
         };
+        for (const extra of variant.additionalVariants || []) {
+          suggestion.variants.push({ name: extra.name, frequency: extra.frequency, items: extra.items || [] });
+        }
+        markProcessed(bucket, suggestion.variants.map(entry => entry.name));
+        if (variant.reason === 'transliteration') {
+          suggestion.targetScript = variant.targetScript;
+          suggestion.transliterationSystem = variant.transliterationSystem;
+          suggestion.targetGivenName = variant.targetScript === 'latin' ? variant.latinGivenName : variant.nativeGivenName;
+        }
+        if (variant.reason === 'compound') {
+          suggestion.partialSurnames = variant.partialSurnames;
+          suggestion.givenNameKey = variant.givenNameKey;
+        }
+        if (variant.requiresConfirmation) {
+          suggestion.requiresConfirmation = true;
+          suggestion.confidence = variant.confidence || 'low';
+          suggestion.phoneticAlgorithm = variant.phoneticAlgorithm || null;
+        }
 
         this.enrichSuggestionWithGivenNameData(suggestion, givenNameVariantGroups);
 
@@ -1960,15 +4350,10 @@ class ZoteroDBAnalyzer {
         log('Checking suggestion: ' + norm1 + ' vs ' + norm2 + ' -> shouldSkip=' + shouldSkip);
 
         if (shouldSkip) {
-          processedSurnames.add(norm1);
-          processedSurnames.add(norm2);
           continue;
         }
 
         suggestions.push(suggestion);
-
-        processedSurnames.add(norm1);
-        processedSurnames.add(norm2);
       }
     }
 
@@ -1988,18 +4373,33 @@ class ZoteroDBAnalyzer {
       const variantDatasets = group.variants.map(variant => {
         // Preserve original casing of the surname - don't title-case it
         const lastNameDisplay = variant.lastName || group.surname;
-        return {
+        const dataset = {
           name: `${variant.firstName} ${lastNameDisplay}`.trim(),
           firstName: variant.firstName,
           lastName: lastNameDisplay,
           frequency: variant.frequency,
-          items: variant.items || []
+          items: variant.items || [],
+          spellings: variant.spellings || []
         };
+        if (variant.alternatives) {
+          dataset.alternatives = variant.alternatives;
+        }
+        if (typeof variant.confidence === 'number') {
+          dataset.confidence = variant.confidence;
+          dataset.evidence = variant.evidence || [];
+        }
+        return dataset;
       });
+      const groupConfidence = typeof group.confidence === 'number' ? group.confidence : 1;
 
       if (existing) {
         existing.variants = this.mergeVariantLists(existing.variants, variantDatasets);
         existing.totalFrequency = (existing.totalFrequency || 0) + (group.totalFrequency || 0);
+        existing.confidence = Math.min(existing.confidence, groupConfidence);
+        existing.evidence = Array.from(new Set([...(existing.evidence || []), ...(group.evidence || [])]));
+        if (existing.confidence < GIVEN_NAME_MIN_CONFIDENCE) {
+          existing.requiresConfirmation = true;
+        }
         existing.surname = group.surname;
         existing.surnameKey = groupSurnameKey;
         existing.normalizedGivenNameKey = group.normalizedKey;
@@ -2016,8 +4416,14 @@ class ZoteroDBAnalyzer {
           totalFrequency: group.totalFrequency,
           recommendedFirstName: group.recommendedFirstName,
           recommendedFullName: group.recommendedFullName,
-          primary: group.recommendedFullName || `${variantDatasets[0]?.name || ''}`
+          primary: group.recommendedFullName || `${variantDatasets[0]?.name || ''}`,
+          confidence: groupConfidence,
+          evidence: group.evidence || []
         };
+        // Co-author, journal or year evidence against the merge: never applied unconfirmed
+        if (groupConfidence < GIVEN_NAME_MIN_CONFIDENCE) {
+          candidate.requiresConfirmation = true;
+        }
 
         if (this.shouldSkipSuggestionFromLearning(candidate)) {
           continue;
@@ -2083,6 +4489,14 @@ class ZoteroDBAnalyzer {
         const current = byName.get(key);
         current.frequency = (current.frequency || 0) + (variant.frequency || 0);
         current.items = this.mergeItemSummaries(current.items, variant.items);
+        if (variant.spellings) {
+          current.spellings = Array.from(new Set([...(current.spellings || []), ...variant.spellings]));
+        }
+        if (variant.alternatives) {
+          current.alternatives = [...(current.alternatives || []), ...variant.alternatives.filter(alternative =>
+            !(current.alternatives || []).some(known => this.stringsEqualIgnoreCase(known.firstName, alternative.firstName)
+              && this.stringsEqualIgnoreCase(known.lastName, alternative.lastName)))];
+        }
       }
     }
 
@@ -2126,7 +4540,10 @@ class ZoteroDBAnalyzer {
    * Apply learned normalizations from analysis to the database
    * @param {Array} suggestions - Array of normalization suggestions to apply
    * @param {boolean} autoConfirm - Whether to auto-confirm all suggestions
-   * @returns {Object} Results of the normalization application
+   * @param {Object} options - { progressCallback, declinedSuggestions, personAliases,
+   *   givenNameEquivalents, libraryID, dryRun }
+   * @returns {Object} Results of the normalization application; runId names the journal run to
+   *   undo, journalError says why the run could not be saved for undo
    */
   async applyNormalizationSuggestions(suggestions, autoConfirm = false, options = {}) {
     if (typeof Zotero === 'undefined') {
@@ -2138,18 +4555,38 @@ class ZoteroDBAnalyzer {
       throw new Error('Zotero Items API is not available');
     }
 
-    const { progressCallback = null, declinedSuggestions = [] } = options || {};
+    const {
+      progressCallback = null, declinedSuggestions = [], personAliases = [], givenNameEquivalents = [], dryRun = false
+    } = options || {};
     const incoming = Array.isArray(suggestions) ? suggestions : [];
 
+    if (options && options.libraryID) {
+      this.assertLibraryEditable(options.libraryID);
+    }
+
+    if (dryRun) {
+      return this.previewNormalizationSuggestions(incoming, autoConfirm, { progressCallback });
+    }
+
     const results = {
       totalSuggestions: incoming.length,
       applied: 0,
       skipped: 0,
       errors: 0,
       updatedCreators: 0,
-      declinedRecorded: 0
+      declinedRecorded: 0,
+      aliasesRecorded: 0,
+      equivalentsRecorded: 0
     };
 
+    if (Array.isArray(personAliases) && personAliases.length > 0) {
+      results.aliasesRecorded = await this.recordPersonAliases(personAliases);
+    }
+
+    if (Array.isArray(givenNameEquivalents) && givenNameEquivalents.length > 0) {
+      results.equivalentsRecorded = await this.recordGivenNameEquivalents(givenNameEquivalents);
+    }
+
     if (incoming.length === 0) {
       if (Array.isArray(declinedSuggestions) && declinedSuggestions.length > 0) {
         results.declinedRecorded += await this.recordDeclinedSuggestions(declinedSuggestions);
@@ -2174,7 +4611,7 @@ class ZoteroDBAnalyzer {
 
       for (const suggestion of incoming) {
         try {
-          const shouldApply = autoConfirm || await this.confirmNormalization(suggestion);
+          const shouldApply = await this.shouldApplySuggestion(suggestion, autoConfirm);
           if (shouldApply) {
             confirmed.push(suggestion);
           } else {
@@ -2199,6 +4636,10 @@ class ZoteroDBAnalyzer {
         results.applied = confirmed.length;
         results.updatedCreators = dbOutcome.updatedCreators || 0;
         results.errors += Array.isArray(dbOutcome.errors) ? dbOutcome.errors.length : 0;
+        results.runId = dbOutcome.runId || null;
+        if (dbOutcome.journalError) {
+          results.journalError = dbOutcome.journalError;
+        }
 
         await this.persistLearningDecisions(confirmed, dbOutcome.plans);
 
@@ -2237,6 +4678,68 @@ class ZoteroDBAnalyzer {
     return results;
   }
 
+  /**
+   * Dry run of applyNormalizationSuggestions: plans every creator edit and returns a
+   * per-item diff without writing to the database or the learning store.
+   * @param {Array} suggestions - Normalization suggestions
+   * @param {boolean} autoConfirm - Whether to skip per-suggestion confirmation
+   * @param {Object} options - { progressCallback }
+   * @returns {Promise<Object>} Results with a diff of { itemId, itemKey, title, operation, changes }
+   *   and notApplied, the confirmed changes the apply would not make: { itemId, itemKey, title,
+   *   operation, change, reason }, change being set when another suggestion overrides it
+   */
+  async previewNormalizationSuggestions(suggestions, autoConfirm = false, options = {}) {
+    const { progressCallback = null } = options || {};
+    const results = {
+      dryRun: true,
+      totalSuggestions: suggestions.length,
+      applied: 0,
+      skipped: 0,
+      errors: 0,
+      updatedCreators: 0,
+      declinedRecorded: 0,
+      diff: [],
+      notApplied: []
+    };
+
+    const confirmed = [];
+    for (const suggestion of suggestions) {
+      try {
+        const shouldApply = await this.shouldApplySuggestion(suggestion, autoConfirm);
+        if (shouldApply) {
+          confirmed.push(suggestion);
+        } else {
+          results.skipped++;
+        }
+      } catch (error) {
+        console.error('Error previewing normalization:', error);
+        results.errors++;
+      }
+    }
+
+    if (confirmed.length > 0) {
+      const dbOutcome = await this.applyDatabaseNormalizations(confirmed, { progressCallback, dryRun: true });
+      results.updatedCreators = dbOutcome.updatedCreators || 0;
+      results.errors += Array.isArray(dbOutcome.errors) ? dbOutcome.errors.length : 0;
+      results.diff = dbOutcome.diff || [];
+      results.notApplied = dbOutcome.notApplied || [];
+    }
+
+    if (progressCallback) {
+      progressCallback({
+        stage: 'complete',
+        dryRun: true,
+        applied: 0,
+        skipped: results.skipped,
+        updatedCreators: results.updatedCreators,
+        declined: 0,
+        total: results.totalSuggestions
+      });
+    }
+
+    return results;
+  }
+
   async persistLearningDecisions(suggestions, plans) {
     if (!this.learningEngine) {
       return;
@@ -2258,7 +4761,11 @@ class ZoteroDBAnalyzer {
   }
 
   async persistLearningForSuggestion(suggestion, plan) {
-    if (!this.learningEngine || !suggestion) {
+    // Hygiene, swap, case, particle and suffix fixes repair how entries are written, aliases are
+    // already learned as links of one person, and ORCID groups only hold for the occurrences that
+    // carry the iD; none of them are name mappings to learn
+    if (!this.learningEngine || !suggestion
+        || ['hygiene', 'swap', 'case', 'particle', 'suffix', 'alias', 'orcid'].includes(suggestion.type)) {
       return;
     }
 
@@ -2268,7 +4775,7 @@ class ZoteroDBAnalyzer {
       ? plan.variantPairs
       : this.getVariantPairsForSuggestion(suggestion);
 
-    if (suggestion.type === 'surname') {
+    if (suggestion.type === 'surname' || suggestion.type === 'organization') {
       for (const variant of variants) {
         const variantName = (variant && variant.name ? variant.name : '').trim();
         if (!variantName) {
@@ -2294,6 +4801,10 @@ class ZoteroDBAnalyzer {
 
       if (normalizedFullName) {
         for (const variant of variants) {
+          // A variant whose items were moved or excluded one by one maps to no single name
+          if ((variant.items || []).some(item => item && this.getItemTarget(suggestion, item.id))) {
+            continue;
+          }
           const variantFirstName = this.extractVariantGivenName(variant);
           const variantLastName = this.extractVariantSurname(variant, normalizedLastName);
           const variantFullName = this.buildFullName(variantFirstName, variantLastName);
@@ -2339,7 +4850,8 @@ class ZoteroDBAnalyzer {
     let recorded = 0;
 
     for (const suggestion of suggestions) {
-      if (!suggestion) {
+      // Keeping both names of a linked person, or of one ORCID iD, does not make them different people
+      if (!suggestion || suggestion.type === 'alias' || suggestion.type === 'orcid') {
         continue;
       }
       const pairs = this.getVariantPairsForSuggestion(suggestion);
@@ -2359,151 +4871,662 @@ class ZoteroDBAnalyzer {
   }
 
   async applyDatabaseNormalizations(suggestions, options = {}) {
+    const dryRun = Boolean(options.dryRun);
+
     if (!Array.isArray(suggestions) || suggestions.length === 0) {
-      return { plans: [], operations: [], updatedCreators: 0, errors: [] };
+      return { plans: [], operations: [], updatedCreators: 0, errors: [], diff: [], notApplied: [], dryRun };
+    }
+
+    const progressCallback = options.progressCallback || null;
+
+    if (progressCallback) {
+      progressCallback({
+        stage: 'operations-planned',
+        total: suggestions.length,
+        suggestions: suggestions.length,
+        dryRun
+      });
+    }
+
+    const errors = [];
+    const journalItems = [];
+    const diff = [];
+    const notApplied = [];
+    let updatedCreators = 0;
+    let processed = 0;
+    const totalSuggestions = suggestions.length;
+    const plans = suggestions.map(suggestion => this.buildSuggestionOperationPlan(suggestion));
+
+    const itemUpdates = this.collectItemUpdates(suggestions, plans);
+
+    if (itemUpdates.size === 0) {
+      if (progressCallback) {
+        progressCallback({ stage: 'operations-finished', total: 0, updatedCreators: 0, dryRun });
+      }
+      return { plans, operations: [], updatedCreators: 0, errors: [], diff, notApplied, dryRun };
+    }
+
+    // Get all items that need updating
+    const itemIdsArray = Array.from(itemUpdates.keys());
+    const items = await Zotero.Items.getAsync(itemIdsArray);
+
+    // Process each item
+    for (const item of items) {
+      if (!item || typeof item.getCreators !== 'function') continue;
+
+      try {
+        const creators = item.getCreators();
+        if (!Array.isArray(creators)) continue;
+
+        const updates = itemUpdates.get(item.id);
+        if (!updates) continue;
+
+        const { normalizedCreators, changes, appliedUpdates, overridden } = this.normalizeItemCreators(creators, updates);
+
+        if (dryRun) {
+          // Confirmed changes the apply would not make are listed with the reason, so the
+          // preview accounts for every confirmed change
+          const itemSummary = {
+            itemId: item.id,
+            itemKey: item.key,
+            title: typeof item.getField === 'function' ? item.getField('title') : ''
+          };
+          for (const { updateInfo, change } of overridden) {
+            notApplied.push({
+              ...itemSummary,
+              operation: this.describeItemUpdate(updateInfo, suggestions, plans),
+              change,
+              reason: 'An earlier confirmed suggestion changes this creator'
+            });
+          }
+          for (const updateInfo of updates) {
+            if (!appliedUpdates.includes(updateInfo) && !overridden.some(entry => entry.updateInfo === updateInfo)) {
+              notApplied.push({
+                ...itemSummary,
+                operation: this.describeItemUpdate(updateInfo, suggestions, plans),
+                reason: 'No creator of the item matches this name'
+              });
+            }
+          }
+          if (changes.length === 0) continue;
+
+          const operation = appliedUpdates.map(updateInfo => this.describeItemUpdate(updateInfo, suggestions, plans))
+            .filter(Boolean)
+            .join('; ');
+          if (!this.isItemLibraryEditable(item)) {
+            notApplied.push({ ...itemSummary, operation, reason: 'Item belongs to a read-only library' });
+            continue;
+          }
+          diff.push({ ...itemSummary, operation, changes });
+          updatedCreators++;
+          continue;
+        }
+
+        if (changes.length === 0) continue;
+
+        if (!this.isItemLibraryEditable(item)) {
+          errors.push({ itemId: item.id, error: new Error('Item belongs to a read-only library') });
+          continue;
+        }
+
+        const beforeCreators = this.journal.snapshotCreators(creators);
+        item.setCreators(normalizedCreators);
+        await item.saveTx();
+        updatedCreators++;
+
+        journalItems.push({
+          itemId: item.id,
+          itemKey: item.key,
+          libraryID: item.libraryID,
+          title: typeof item.getField === 'function' ? item.getField('title') : '',
+          dateModified: item.dateModified || null,
+          before: beforeCreators,
+          after: normalizedCreators
+        });
+
+        if (progressCallback) {
+          processed++;
+          progressCallback({
+            stage: 'operation-complete',
+            processed,
+            total: totalSuggestions,
+            affected: 1,
+            itemId: item.id
+          });
+        }
+      } catch (error) {
+        errors.push({ itemId: item.id, error });
+        console.error('Error updating item:', error);
+      }
     }
 
-    const progressCallback = options.progressCallback || null;
-
     if (progressCallback) {
       progressCallback({
-        stage: 'operations-planned',
-        total: suggestions.length,
-        suggestions: suggestions.length
+        stage: 'operations-finished',
+        total: totalSuggestions,
+        updatedCreators,
+        dryRun
       });
     }
 
-    const errors = [];
-    let updatedCreators = 0;
-    let processed = 0;
-    const totalSuggestions = suggestions.length;
+    if (dryRun) {
+      return { plans, operations: [], updatedCreators, errors, diff, notApplied, dryRun };
+    }
+
+    let runId = null;
+    let journalError = null;
+    if (journalItems.length > 0) {
+      try {
+        const run = await this.journal.recordRun({
+          items: journalItems,
+          suggestionCount: totalSuggestions,
+          description: suggestions
+            .map(suggestion => suggestion && suggestion.primary)
+            .filter(Boolean)
+            .slice(0, 5)
+            .join(', ')
+        });
+        runId = run ? run.id : null;
+      } catch (error) {
+        console.error('Error recording normalization journal entry:', error);
+        journalError = error.message;
+      }
+    }
 
-    // Collect all item IDs that need updating
-    const allItemIds = new Set();
-    const itemUpdates = new Map(); // itemId -> { suggestion, variant, normalizedValue }
+    return { plans, operations: [], updatedCreators, errors, diff, runId, journalError, dryRun };
+  }
 
-    for (const suggestion of suggestions) {
-      if (!suggestion || !suggestion.primary) continue;
+  /**
+   * Describe one item update for the change preview
+   * @param {Object} updateInfo - Entry from collectItemUpdates
+   * @param {Array} suggestions - Suggestions being applied
+   * @param {Array} plans - Their plans, in suggestion order
+   * @returns {string} Operation label such as "Smyth → Smith"
+   */
+  describeItemUpdate(updateInfo, suggestions, plans) {
+    const { variant, itemTarget } = updateInfo;
+    if (itemTarget) {
+      return `${this.buildFullName(variant.firstName, variant.lastName)} → ${this.buildFullName(itemTarget.firstName, itemTarget.lastName)} (this item)`;
+    }
+    const plan = plans[suggestions.indexOf(updateInfo.suggestion)];
+    const operation = plan ? plan.operations.find(op => op.variant === variant) : null;
+    return operation ? this.describeOperation(operation) : '';
+  }
+
+  /**
+   * Check whether an item's library accepts writes
+   * @param {Object} item - Zotero item
+   * @returns {boolean} False only when the library is known to be read-only
+   */
+  isItemLibraryEditable(item) {
+    if (!item || item.libraryID === undefined || !Zotero.Libraries || typeof Zotero.Libraries.get !== 'function') {
+      return true;
+    }
+    const library = Zotero.Libraries.get(item.libraryID);
+    return !library || library.editable !== false;
+  }
+
+  /**
+   * Map each affected item id to the updates of every suggestion and variant that references it,
+   * in suggestion order; normalizeItemCreators gives each creator the first update that changes it.
+   * Items excluded in the dialog are left out, and items of a given-name variant moved to another
+   * name carry that name as itemTarget.
+   * @param {Array} suggestions - Confirmed normalization suggestions
+   * @param {Array} plans - Optional plans from buildSuggestionOperationPlan, in suggestion order;
+   *   built here when not passed
+   * @returns {Map} itemId -> Array of { suggestion, variant, normalizedValue, type, particlePolicy,
+   *   givenNameParticles, suffixPosition, itemTarget }
+   */
+  collectItemUpdates(suggestions, plans = null) {
+    const itemUpdates = new Map();
 
-      const normalizedValue = suggestion.primary.trim();
+    suggestions.forEach((suggestion, index) => {
+      if (!suggestion || !suggestion.primary) return;
+
+      const plan = (plans && plans[index]) || this.buildSuggestionOperationPlan(suggestion);
+      const normalizedValue = (plan.normalizedValue || suggestion.primary).trim();
       const type = suggestion.type || 'surname';
+      const { particlePolicy = null, givenNameParticles = '', suffixPosition = null } = plan;
 
       for (const variant of (suggestion.variants || [])) {
         if (!variant || !variant.items || variant.items.length === 0) continue;
 
-        for (const itemSummary of variant.items) {
+        // Particle and suffix forms that are already stored the chosen way, aliases kept as
+        // annotations and the preferred spelling of an ORCID group have nothing to change
+        if (['particle', 'suffix', 'alias', 'orcid'].includes(type) && !plan.operations.some(operation => operation.variant === variant)) continue;
+
+        // Skip if this variant IS the normalized value (case-sensitive check);
+        // organizations entered as persons still need their conversion to single-field mode,
+        // hygiene fixes and swaps always change the entry, and particles and suffixes may move
+        // between the fields
+        const variantName = (variant.name || '').trim();
+        const isTarget = variantName === normalizedValue && !['hygiene', 'swap', 'particle', 'suffix'].includes(type) && !givenNameParticles
+            && !(type === 'organization' && variant.fieldMode !== 1);
+
+        const items = type === 'swap' ? this.getSwapItems(suggestion, variant) : variant.items;
+        for (const itemSummary of items) {
           if (!itemSummary || !itemSummary.id) continue;
-          const itemId = itemSummary.id;
+          const chosen = this.getItemTarget(suggestion, itemSummary.id);
+          if (chosen && chosen.exclude) continue;
+          // Only given names can be moved to another name; the target's own items may be too
+          const itemTarget = type === 'given-name' && chosen ? chosen : null;
+          if (isTarget && !itemTarget) continue;
+          if (!itemUpdates.has(itemSummary.id)) {
+            itemUpdates.set(itemSummary.id, []);
+          }
+          const updates = itemUpdates.get(itemSummary.id);
+          if (!updates.some(update => update.suggestion === suggestion && update.variant === variant)) {
+            updates.push({
+              suggestion, variant, normalizedValue, type, particlePolicy, givenNameParticles, suffixPosition, itemTarget
+            });
+          }
+        }
+      }
+    });
+
+    return itemUpdates;
+  }
+
+  /**
+   * Per-item choice made in the dialog's variant detail panel
+   * userSelection.itemTargets maps item ids to { exclude: true } (leave the item as it is) or to
+   * the { firstName, lastName } its creator gets instead of the suggestion's name.
+   * @param {Object} suggestion - Suggestion with userSelection
+   * @param {number|string} itemId - Item id
+   * @returns {Object|null} The item's choice, or null if it follows the suggestion
+   */
+  getItemTarget(suggestion, itemId) {
+    const targets = suggestion && suggestion.userSelection && suggestion.userSelection.itemTargets;
+    return (targets && targets[itemId]) || null;
+  }
 
-          // Skip if this variant IS the normalized value (case-sensitive check)
-          const variantName = (variant.name || '').trim();
-          if (variantName === normalizedValue) continue;
+  /**
+   * Items a swap suggestion changes: the first occurrence only, unless the user chose to swap
+   * every occurrence of the pair
+   * @param {Object} suggestion - Suggestion of type 'swap'
+   * @param {Object} variant - The swapped creator
+   * @returns {Array} Item summaries to update
+   */
+  getSwapItems(suggestion, variant) {
+    const items = (variant && variant.items) || [];
+    const applyToAll = suggestion.applyToAll || (suggestion.userSelection && suggestion.userSelection.applyToAll);
+    return applyToAll ? items : items.slice(0, 1);
+  }
 
-          allItemIds.add(itemId);
-          if (!itemUpdates.has(itemId)) {
-            itemUpdates.set(itemId, { suggestion, variant, normalizedValue, type });
+  /**
+   * Apply the updates of one item to its creators without touching the database
+   * Each creator takes the first update that changes it, so several suggestions can fix different
+   * creators of the same item. A later update that would write the creator differently is
+   * reported as overridden.
+   * @param {Array} creators - Creators as returned by item.getCreators()
+   * @param {Array|Object} updates - Entries from collectItemUpdates for the item, or a single entry
+   * @returns {Object} { normalizedCreators, changes, appliedUpdates, overridden } where changes lists
+   *   old/new names per creator index, appliedUpdates the updates that changed a creator and
+   *   overridden the { updateInfo, change } each losing update would have made
+   */
+  normalizeItemCreators(creators, updates) {
+    const updateList = Array.isArray(updates) ? updates : [updates];
+    const changes = [];
+    const appliedUpdates = [];
+    const overridden = [];
+    const sameChange = (a, b) => JSON.stringify({ ...a, creatorIndex: 0 }) === JSON.stringify({ ...b, creatorIndex: 0 });
+
+    // flatMap: a hygiene fix may split one creator into several or remove it
+    const normalizedCreators = creators.flatMap((creator, creatorIndex) => {
+      if (!creator) return [creator];
+
+      let applied = null;
+      for (const updateInfo of updateList) {
+        const result = this.normalizeCreator(creator, creatorIndex, updateInfo);
+        if (!result) {
+          continue;
+        }
+        if (!applied || sameChange(applied.change, result.change)) {
+          applied = applied || result;
+          if (!appliedUpdates.includes(updateInfo)) {
+            appliedUpdates.push(updateInfo);
           }
+        } else {
+          overridden.push({ updateInfo, change: result.change });
         }
       }
-    }
+      if (!applied) {
+        return [{ ...creator }];
+      }
+      changes.push(applied.change);
+      return applied.creators;
+    });
 
-    if (allItemIds.size === 0) {
-      if (progressCallback) {
-        progressCallback({ stage: 'operations-finished', total: 0, updatedCreators: 0 });
+    return { normalizedCreators, changes, appliedUpdates, overridden };
+  }
+
+  /**
+   * Apply one update to one creator
+   * @param {Object} creator - Creator as returned by item.getCreators()
+   * @param {number} creatorIndex - Position of the creator in the item
+   * @param {Object} updateInfo - Entry from collectItemUpdates
+   * @returns {Object|null} { creators, change } with the creators replacing it, or null if the update
+   *   does not change the creator
+   */
+  normalizeCreator(creator, creatorIndex, updateInfo) {
+    const { normalizedValue, type, variant } = updateInfo;
+
+    if (type === 'hygiene') {
+      const variantFieldMode = variant.fieldMode === 1 ? 1 : 0;
+      const isMatch = (creator.firstName || '') === (variant.firstName || '')
+        && (creator.lastName || '') === (variant.lastName || '')
+        && (creator.fieldMode === 1 ? 1 : 0) === variantFieldMode;
+      if (!isMatch) {
+        return null;
+      }
+
+      const replacement = (updateInfo.suggestion && updateInfo.suggestion.replacement) || [];
+      const replacedBy = replacement.map(person => ({
+        ...creator,
+        firstName: person.firstName || '',
+        lastName: person.lastName || '',
+        fieldMode: person.fieldMode === 1 ? 1 : 0
+      }));
+      const change = {
+        creatorIndex,
+        oldFirstName: creator.firstName || '',
+        oldLastName: creator.lastName || '',
+        newFirstName: replacedBy.length > 0 ? replacedBy[0].firstName : '',
+        newLastName: replacedBy.length > 0 ? replacedBy[0].lastName : ''
+      };
+      if (replacedBy.length === 0) {
+        change.removed = true;
+      } else if (replacedBy.length > 1) {
+        change.added = replacedBy.slice(1).map(person => ({ firstName: person.firstName, lastName: person.lastName }));
       }
-      return { plans: [], operations: [], updatedCreators: 0, errors: [] };
+      return { creators: replacedBy, change };
     }
 
-    // Get all items that need updating
-    const itemIdsArray = Array.from(allItemIds);
-    const items = await Zotero.Items.getAsync(itemIdsArray);
+    const newCreator = { ...creator };
+    let updated = false;
 
-    // Process each item
-    for (const item of items) {
-      if (!item || typeof item.getCreators !== 'function') continue;
+    if (type === 'particle') {
+      if (creator.fieldMode !== 1
+          && (creator.firstName || '').trim() === (variant.firstName || '').trim()
+          && (creator.lastName || '').trim() === (variant.lastName || '').trim()) {
+        const target = this.getParticleTarget(creator, updateInfo.particlePolicy);
+        newCreator.firstName = target.firstName;
+        newCreator.lastName = target.lastName;
+        updated = target.firstName !== (creator.firstName || '').trim() || target.lastName !== (creator.lastName || '').trim();
+      }
+    } else if (type === 'alias' || type === 'orcid') {
+      if (creator.fieldMode !== 1
+          && this.stringsEqualIgnoreCase((creator.firstName || '').trim(), (variant.firstName || '').trim())
+          && this.stringsEqualIgnoreCase((creator.lastName || '').trim(), (variant.lastName || '').trim())) {
+        newCreator.firstName = updateInfo.suggestion.firstName;
+        newCreator.lastName = updateInfo.suggestion.lastName;
+        // ORCID spellings may differ from the preferred name in case only
+        updated = newCreator.firstName !== (creator.firstName || '') || newCreator.lastName !== (creator.lastName || '');
+      }
+    } else if (type === 'suffix') {
+      if (creator.fieldMode !== 1
+          && (creator.firstName || '').trim() === (variant.firstName || '').trim()
+          && (creator.lastName || '').trim() === (variant.lastName || '').trim()) {
+        const target = this.getSuffixTarget(creator, updateInfo.suffixPosition);
+        newCreator.firstName = target.firstName;
+        newCreator.lastName = target.lastName;
+        updated = target.firstName !== (creator.firstName || '').trim() || target.lastName !== (creator.lastName || '').trim();
+      }
+    } else if (type === 'case') {
+      // Exact match: the recapitalized name must not match itself
+      if (creator.fieldMode !== 1
+          && (creator.firstName || '').trim() === (variant.firstName || '').trim()
+          && (creator.lastName || '').trim() === (variant.lastName || '').trim()) {
+        newCreator.firstName = updateInfo.suggestion.firstName;
+        newCreator.lastName = updateInfo.suggestion.lastName;
+        updated = true;
+      }
+    } else if (type === 'swap') {
+      if (creator.fieldMode !== 1
+          && this.stringsEqualIgnoreCase((creator.firstName || '').trim(), (variant.firstName || '').trim())
+          && this.stringsEqualIgnoreCase((creator.lastName || '').trim(), (variant.lastName || '').trim())) {
+        newCreator.firstName = (creator.lastName || '').trim();
+        newCreator.lastName = (creator.firstName || '').trim();
+        updated = true;
+      }
+    } else if (type === 'organization') {
+      // Organizations are matched on the whole name and always written back in single-field mode
+      const creatorName = this.buildFullName(creator.firstName, creator.lastName);
+      const isTarget = creator.fieldMode === 1 && (creator.lastName || '').trim() === normalizedValue;
+
+      if (this.stringsEqualIgnoreCase(creatorName, variant.name || '') && !isTarget) {
+        newCreator.firstName = '';
+        newCreator.lastName = normalizedValue;
+        newCreator.fieldMode = 1;
+        updated = true;
+      }
+    } else if (type === 'surname') {
+      // Check if this creator's lastName matches the variant being normalized
+      const creatorLastName = (creator.lastName || '').trim();
+      const variantName = (variant.name || '').trim();
+      // Compound groups were formed for one given name; "Márquez, Juan" on the same item stays
+      const suggestion = updateInfo.suggestion || {};
+      const isSameAuthor = suggestion.reason !== 'compound' || !suggestion.givenNameKey
+        || this.getCompoundGivenNameKey(creator) === suggestion.givenNameKey;
+
+      if (this.stringsEqualIgnoreCase(creatorLastName, variantName) && isSameAuthor) {
+        newCreator.lastName = normalizedValue;
+
+        // Smart given name capitalization: if firstName is uppercase, recapitalize it
+        // (initials such as "J.A." stay as they are)
+        const creatorFirstName = (creator.firstName || '').trim();
+        if (creatorFirstName && this.isUpperCaseName(creatorFirstName)) {
+          newCreator.firstName = capitalizeName(creatorFirstName, { role: 'given' });
+        }
 
-      try {
-        const creators = item.getCreators();
-        if (!Array.isArray(creators)) continue;
+        if (updateInfo.suggestion && updateInfo.suggestion.reason === 'transliteration') {
+          newCreator.firstName = this.convertGivenNameScript(newCreator.firstName, updateInfo.suggestion);
+        }
+
+        // Under the 'given-name' particle policy the surname's particles follow the given name
+        const givenNameParticles = updateInfo.givenNameParticles || '';
+        const givenName = (newCreator.firstName || '').trim();
+        if (givenNameParticles && !givenName.toLowerCase().endsWith(givenNameParticles.toLowerCase())) {
+          newCreator.firstName = [givenName, givenNameParticles].filter(Boolean).join(' ');
+        }
+
+        updated = true;
+      }
+    } else {
+      // Full name normalization
+      const creatorFirstName = (creator.firstName || '').trim();
+      const creatorLastName = (creator.lastName || '').trim();
+      const variantLastName = (variant.lastName || creatorLastName).trim();
+      // Variants shown with a composed name ("John A.") match the spellings they were built from
+      const variantFirstNames = [variant.firstName, ...(variant.spellings || [])].map(name => (name || '').trim());
+
+      if (variantFirstNames.some(name => this.stringsEqualIgnoreCase(creatorFirstName, name)) &&
+          this.stringsEqualIgnoreCase(creatorLastName, variantLastName)) {
+        if (updateInfo.itemTarget) {
+          newCreator.firstName = updateInfo.itemTarget.firstName || '';
+          newCreator.lastName = updateInfo.itemTarget.lastName || creatorLastName;
+        } else {
+          // Parse the normalized value
+          const normalizedParts = normalizedValue.split(' ');
+          newCreator.firstName = normalizedParts[0] || '';
+          newCreator.lastName = normalizedParts.slice(1).join(' ') || creatorLastName;
+        }
+        updated = newCreator.firstName !== creatorFirstName || newCreator.lastName !== creatorLastName;
+      }
+    }
 
-        let updated = false;
-        const normalizedCreators = creators.map(creator => {
-          if (!creator) return creator;
+    if (!updated) {
+      return null;
+    }
 
-          const updateInfo = itemUpdates.get(item.id);
-          if (!updateInfo) return creator;
+    const change = {
+      creatorIndex,
+      oldFirstName: creator.firstName || '',
+      oldLastName: creator.lastName || '',
+      newFirstName: newCreator.firstName || '',
+      newLastName: newCreator.lastName || ''
+    };
+    if ((creator.fieldMode || 0) !== (newCreator.fieldMode || 0)) {
+      change.oldFieldMode = creator.fieldMode || 0;
+      change.newFieldMode = newCreator.fieldMode;
+    }
+    return { creators: [newCreator], change };
+  }
 
-          const { normalizedValue, type, variant } = updateInfo;
-          let newCreator = { ...creator };
+  /**
+   * Write a given name in the script a transliteration suggestion normalizes to
+   * Latin targets are transliterated with the suggestion's system; native-script targets cannot be
+   * derived from a romanization, so the group's native given name is used.
+   * @param {string} firstName - Creator's given name
+   * @param {Object} suggestion - Suggestion with targetScript, transliterationSystem and targetGivenName
+   * @returns {string} Given name in the target script
+   */
+  convertGivenNameScript(firstName, suggestion) {
+    if (!firstName) {
+      return firstName;
+    }
+    const script = detectScript(firstName);
+    if (script === suggestion.targetScript) {
+      return firstName;
+    }
+    if (suggestion.targetScript === 'latin') {
+      return transliterate(firstName, suggestion.transliterationSystem || 'bgn');
+    }
+    return suggestion.targetGivenName || firstName;
+  }
 
-          if (type === 'surname') {
-            // Check if this creator's lastName matches the variant being normalized
-            const creatorLastName = (creator.lastName || '').trim();
-            const variantName = (variant.name || '').trim();
+  /**
+   * List previously applied normalization runs, newest first
+   * @returns {Array} Run summaries
+   */
+  getNormalizationHistory() {
+    return this.journal.getRuns().map(run => ({
+      id: run.id,
+      timestamp: run.timestamp,
+      description: run.description,
+      suggestionCount: run.suggestionCount,
+      itemCount: run.items.length,
+      revertedAt: run.revertedAt,
+      revertOutcome: run.revertOutcome || null
+    }));
+  }
 
-            if (this.stringsEqualIgnoreCase(creatorLastName, variantName)) {
-              newCreator.lastName = normalizedValue;
+  /**
+   * Revert the most recent normalization run that has not been reverted yet
+   * @param {Object} options - Same options as revertNormalizationRun
+   * @returns {Promise<Object>} Revert results
+   */
+  async undoLastNormalizationRun(options = {}) {
+    await this.journal.ready;
+    const run = this.journal.getLastRun();
+    if (!run) {
+      throw new Error('No normalization run available to undo');
+    }
+    return this.revertNormalizationRun(run.id, options);
+  }
 
-              // Smart given name capitalization: if firstName is uppercase, apply title-case
-              const creatorFirstName = (creator.firstName || '').trim();
-              if (creatorFirstName && this.isUpperCaseName(creatorFirstName)) {
-                newCreator.firstName = this.toTitleCase(creatorFirstName);
-              }
+  /**
+   * Restore the creators recorded before a normalization run.
+   * Items whose creators changed after the run are reported as conflicts and left
+   * untouched unless options.force is set; items edited in other fields are reverted
+   * but reported as warnings.
+   * @param {string} runId - Journal run identifier
+   * @param {Object} options - { force, progressCallback }
+   * @returns {Promise<Object>} Revert results
+   */
+  async revertNormalizationRun(runId, options = {}) {
+    if (typeof Zotero === 'undefined' || !Zotero.Items || typeof Zotero.Items.getAsync !== 'function') {
+      throw new Error('Zotero Items API is not available');
+    }
 
-              updated = true;
-            }
-          } else {
-            // Full name normalization
-            const creatorFirstName = (creator.firstName || '').trim();
-            const creatorLastName = (creator.lastName || '').trim();
-            const variantFirstName = (variant.firstName || '').trim();
-            const variantLastName = (variant.lastName || creatorLastName).trim();
-
-            if (this.stringsEqualIgnoreCase(creatorFirstName, variantFirstName) &&
-                this.stringsEqualIgnoreCase(creatorLastName, variantLastName)) {
-              // Parse the normalized value
-              const normalizedParts = normalizedValue.split(' ');
-              newCreator.firstName = normalizedParts[0] || '';
-              newCreator.lastName = normalizedParts.slice(1).join(' ') || creatorLastName;
-              updated = true;
-            }
-          }
+    await this.journal.ready;
+    const run = this.journal.getRun(runId);
+    if (!run) {
+      throw new Error('Normalization run not found: ' + runId);
+    }
+    if (run.revertedAt) {
+      throw new Error('Normalization run was already reverted');
+    }
 
-          return newCreator;
-        });
+    const { force = false, progressCallback = null } = options || {};
+    const results = {
+      runId,
+      total: run.items.length,
+      reverted: 0,
+      conflicts: [],
+      warnings: [],
+      missing: [],
+      errors: []
+    };
 
-        if (updated) {
-          item.setCreators(normalizedCreators);
-          await item.saveTx();
-          updatedCreators++;
+    const items = await Zotero.Items.getAsync(run.items.map(entry => entry.itemId));
+    const itemsById = new Map();
+    for (const item of (items || [])) {
+      if (item) {
+        itemsById.set(item.id, item);
+      }
+    }
 
-          if (progressCallback) {
-            processed++;
-            progressCallback({
-              stage: 'operation-complete',
-              processed,
-              total: totalSuggestions,
-              affected: 1,
-              itemId: item.id
+    let processed = 0;
+    const revertedItemIds = [];
+    for (const entry of run.items) {
+      const item = itemsById.get(entry.itemId);
+      const label = { itemId: entry.itemId, itemKey: entry.itemKey, title: entry.title };
+
+      if (entry.reverted) {
+        results.reverted++;
+      } else if (!item || item.deleted || typeof item.getCreators !== 'function') {
+        results.missing.push(label);
+      } else {
+        const creatorsChanged = !this.journal.creatorsMatch(item.getCreators(), entry.after);
+        const itemModified = Boolean(entry.dateModified && item.dateModified && item.dateModified !== entry.dateModified);
+
+        if (!this.isItemLibraryEditable(item)) {
+          results.errors.push({ ...label, error: new Error('Item belongs to a read-only library') });
+        } else if (creatorsChanged && !force) {
+          results.conflicts.push({ ...label, reason: 'Creators were modified after the normalization run' });
+        } else {
+          if (creatorsChanged || itemModified) {
+            results.warnings.push({
+              ...label,
+              reason: creatorsChanged
+                ? 'Creators were modified after the normalization run; later edits were overwritten'
+                : 'Item was modified after the normalization run'
             });
           }
+          try {
+            item.setCreators(entry.before);
+            await item.saveTx();
+            results.reverted++;
+            revertedItemIds.push(entry.itemId);
+          } catch (error) {
+            results.errors.push({ ...label, error });
+            console.error('Error reverting item:', error);
+          }
         }
-      } catch (error) {
-        errors.push({ itemId: item.id, error });
-        console.error('Error updating item:', error);
+      }
+
+      processed++;
+      if (progressCallback) {
+        progressCallback({
+          stage: 'revert',
+          processed,
+          total: run.items.length,
+          percent: Math.round((processed / run.items.length) * 100)
+        });
       }
     }
 
-    if (progressCallback) {
-      progressCallback({
-        stage: 'operations-finished',
-        total: totalSuggestions,
-        updatedCreators
+    await this.journal.markItemsReverted(runId, revertedItemIds);
+    if (results.conflicts.length === 0 && results.errors.length === 0) {
+      await this.journal.markReverted(runId, {
+        reverted: results.reverted,
+        conflicts: results.conflicts.length,
+        missing: results.missing.length
       });
     }
 
-    const plans = suggestions.map(suggestion => this.buildSuggestionOperationPlan(suggestion));
-    return { plans, operations: [], updatedCreators, errors };
+    return results;
   }
 
   buildSuggestionOperationPlan(suggestion) {
@@ -2523,6 +5546,102 @@ class ZoteroDBAnalyzer {
     }
 
     const unique = new Set();
+    const particlePolicy = this.getParticlePolicy(suggestion);
+    plan.particlePolicy = particlePolicy;
+
+    if (suggestion.type === 'particle') {
+      for (const variant of suggestion.variants) {
+        const target = this.getParticleTarget(variant, particlePolicy);
+        if (target.firstName === (variant.firstName || '').trim() && target.lastName === (variant.lastName || '').trim()) {
+          continue;
+        }
+        plan.operations.push({
+          type: 'particle',
+          fromFirstName: variant.firstName,
+          fromLastName: variant.lastName,
+          toFirstName: target.firstName,
+          toLastName: target.lastName,
+          scope: 'particle',
+          variant
+        });
+      }
+
+      return plan;
+    }
+
+    if (suggestion.type === 'alias') {
+      // Annotation-only links keep both names as published
+      if (!suggestion.annotateOnly) {
+        for (const variant of suggestion.variants) {
+          if (variant.name === suggestion.primary) {
+            continue;
+          }
+          plan.operations.push({
+            type: 'alias',
+            fromFirstName: variant.firstName,
+            fromLastName: variant.lastName,
+            toFirstName: suggestion.firstName,
+            toLastName: suggestion.lastName,
+            scope: 'alias',
+            variant
+          });
+        }
+      }
+
+      return plan;
+    }
+
+    if (suggestion.type === 'orcid') {
+      for (const variant of suggestion.variants) {
+        if (variant.firstName === suggestion.firstName && variant.lastName === suggestion.lastName) {
+          continue;
+        }
+        plan.operations.push({
+          type: 'orcid',
+          fromFirstName: variant.firstName,
+          fromLastName: variant.lastName,
+          toFirstName: suggestion.firstName,
+          toLastName: suggestion.lastName,
+          orcid: suggestion.orcid,
+          scope: 'orcid',
+          variant
+        });
+      }
+
+      return plan;
+    }
+
+    if (suggestion.type === 'suffix') {
+      plan.suffixPosition = this.getSuffixPosition(suggestion);
+      for (const variant of suggestion.variants) {
+        const target = this.getSuffixTarget(variant, plan.suffixPosition);
+        if (target.firstName === (variant.firstName || '').trim() && target.lastName === (variant.lastName || '').trim()) {
+          continue;
+        }
+        plan.operations.push({
+          type: 'suffix',
+          fromFirstName: variant.firstName,
+          fromLastName: variant.lastName,
+          toFirstName: target.firstName,
+          toLastName: target.lastName,
+          scope: 'suffix',
+          variant
+        });
+      }
+
+      return plan;
+    }
+
+    // A surname that starts with particles is written the way the particle policy stores it;
+    // under the 'given-name' policy the particles move to the given name of each creator
+    const surnameParts = suggestion.type === 'surname' && particlePolicy
+      ? splitSurnameParticles('', normalizedValue)
+      : null;
+    if (surnameParts) {
+      const target = applyParticlePolicy(surnameParts, particlePolicy);
+      plan.normalizedValue = target.lastName;
+      plan.givenNameParticles = target.firstName;
+    }
 
     if (suggestion.type === 'surname') {
       for (const variant of suggestion.variants) {
@@ -2531,22 +5650,99 @@ class ZoteroDBAnalyzer {
           continue;
         }
 
-        const opKey = `surname|${variantName.toLowerCase()}|${normalizedValue.toLowerCase()}`;
+        const opKey = `surname|${variantName.toLowerCase()}|${plan.normalizedValue.toLowerCase()}`;
         if (unique.has(opKey)) {
           continue;
         }
         unique.add(opKey);
 
-        if (variantName === normalizedValue) {
+        if (variantName === plan.normalizedValue && !plan.givenNameParticles) {
           continue;
         }
 
-        plan.operations.push({
+        const operation = {
           type: 'surname',
           fromLastName: variantName,
-          toLastName: normalizedValue,
+          toLastName: plan.normalizedValue,
           scope: 'surname',
           variant
+        };
+        if (plan.givenNameParticles) {
+          operation.givenNameParticles = plan.givenNameParticles;
+        }
+        plan.operations.push(operation);
+      }
+
+      return plan;
+    }
+
+    if (suggestion.type === 'case') {
+      for (const variant of suggestion.variants) {
+        plan.operations.push({
+          type: 'case',
+          fromFirstName: variant.firstName,
+          fromLastName: variant.lastName,
+          toFirstName: suggestion.firstName,
+          toLastName: suggestion.lastName,
+          scope: 'case',
+          variant
+        });
+      }
+
+      return plan;
+    }
+
+    if (suggestion.type === 'swap') {
+      for (const variant of suggestion.variants) {
+        plan.operations.push({
+          type: 'swap',
+          fromName: `${variant.lastName}, ${variant.firstName}`,
+          toName: `${variant.firstName}, ${variant.lastName}`,
+          itemCount: this.getSwapItems(suggestion, variant).length,
+          scope: 'swap',
+          variant
+        });
+      }
+
+      return plan;
+    }
+
+    if (suggestion.type === 'hygiene') {
+      for (const variant of suggestion.variants) {
+        plan.operations.push({
+          type: 'hygiene',
+          fromName: (variant.name || '').trim(),
+          toNames: (suggestion.replacement || []).map(creator => this.describeCreatorList([creator])),
+          issues: suggestion.issues || [],
+          scope: 'hygiene',
+          variant
+        });
+      }
+
+      return plan;
+    }
+
+    if (suggestion.type === 'organization') {
+      for (const variant of suggestion.variants) {
+        const variantName = (variant && variant.name ? variant.name : '').trim();
+        const fromFieldMode = variant && variant.fieldMode === 1 ? 1 : 0;
+        if (!variantName || (variantName === normalizedValue && fromFieldMode === 1)) {
+          continue;
+        }
+
+        const opKey = `organization|${variantName.toLowerCase()}|${fromFieldMode}`;
+        if (unique.has(opKey)) {
+          continue;
+        }
+        unique.add(opKey);
+
+        plan.operations.push({
+          type: 'organization',
+          fromName: variantName,
+          toName: normalizedValue,
+          fromFieldMode,
+          scope: 'organization',
+          variant
         });
       }
 
@@ -2602,9 +5798,10 @@ class ZoteroDBAnalyzer {
     }
 
     const variants = suggestion.variants;
-    const scopeBase = suggestion.type === 'surname'
-      ? 'surname'
-      : `given:${suggestion.surnameKey || (suggestion.surname || '').toLowerCase()}`;
+    let scopeBase = `given:${suggestion.surnameKey || (suggestion.surname || '').toLowerCase()}`;
+    if (suggestion.type === 'surname' || suggestion.type === 'organization') {
+      scopeBase = suggestion.type;
+    }
     const pairs = [];
 
     for (let i = 0; i < variants.length; i++) {
@@ -2630,7 +5827,7 @@ class ZoteroDBAnalyzer {
       return '';
     }
 
-    if (suggestion && suggestion.type === 'surname') {
+    if (suggestion && (suggestion.type === 'surname' || suggestion.type === 'organization')) {
       return (variant.name || '').trim();
     }
 
@@ -2705,7 +5902,31 @@ class ZoteroDBAnalyzer {
     }
 
     if (operation.type === 'surname') {
-      return `${operation.fromLastName} → ${operation.toLastName}`;
+      const particles = operation.givenNameParticles ? ` (“${operation.givenNameParticles}” after the given name)` : '';
+      return `${operation.fromLastName} → ${operation.toLastName}${particles}`;
+    }
+
+    if (['particle', 'suffix', 'alias', 'orcid'].includes(operation.type)) {
+      const from = this.formatCreatorForm({ firstName: operation.fromFirstName, lastName: operation.fromLastName });
+      const to = this.formatCreatorForm({ firstName: operation.toFirstName, lastName: operation.toLastName });
+      if (operation.type === 'alias') {
+        return `${from} → ${to} (same person)`;
+      }
+      return operation.type === 'orcid' ? `${from} → ${to} (ORCID ${operation.orcid})` : `${from} → ${to}`;
+    }
+
+    if (operation.type === 'swap') {
+      const items = operation.itemCount === 1 ? '1 item' : `${operation.itemCount} items`;
+      return `${operation.fromName} → ${operation.toName} (swap first and last name, ${items})`;
+    }
+
+    if (operation.type === 'hygiene') {
+      return `${operation.fromName} → ${operation.toNames.length > 0 ? operation.toNames.join('; ') : 'removed'}`;
+    }
+
+    if (operation.type === 'organization') {
+      const conversion = operation.fromFieldMode === 1 ? '' : ' (single field)';
+      return `${operation.fromName} → ${operation.toName}${conversion}`;
     }
 
     const from = this.buildFullName(operation.fromFirstName, operation.fromLastName);
@@ -2726,6 +5947,21 @@ class ZoteroDBAnalyzer {
     return pairs.some(pair => this.learningEngine.isDistinctPair(pair.nameA, pair.nameB, pair.scope));
   }
 
+  /**
+   * Decide whether a suggestion is applied
+   * Suggestions flagged requiresConfirmation (sound-alike surnames) are applied only when the user
+   * confirmed them in the dialog (userSelection.confirmed); autoConfirm never covers them.
+   * @param {Object} suggestion - Normalization suggestion
+   * @param {boolean} autoConfirm - Whether to auto-confirm ordinary suggestions
+   * @returns {Promise<boolean>} True if the suggestion should be applied
+   */
+  async shouldApplySuggestion(suggestion, autoConfirm = false) {
+    if (suggestion && suggestion.requiresConfirmation) {
+      return Boolean(suggestion.userSelection && suggestion.userSelection.confirmed);
+    }
+    return autoConfirm || await this.confirmNormalization(suggestion);
+  }
+
   /**
    * Confirm if a normalization should be applied (in a real UI this would show a dialog)
    * @param {Object} suggestion - Normalization suggestion
@@ -0,0 +1,57 @@
+/**
+ * Tests for co-author, venue, collection and year evidence
+ * @module tests/core/author-evidence
+ */
+
+const { buildAuthorProfile, scoreAuthorEvidence } = require('../../src/utils/author-evidence');
+
+const item = (coAuthors, publicationTitle, year, collections = []) => ({
+  creatorLastNames: ['Smith', ...coAuthors],
+  publicationTitle,
+  year: String(year),
+  collections
+});
+
+describe('author evidence', () => {
+  test('profiles leave out the author and merge journal spellings', () => {
+    const profile = buildAuthorProfile([
+      item(['Doe', 'Roe'], 'Nature', 2010, [3]),
+      item(['doe'], 'NATURE.', 2014)
+    ], 'smith');
+
+    expect(Array.from(profile.coAuthors.keys())).toEqual(['doe', 'roe']);
+    expect(Array.from(profile.venues.keys())).toEqual(['nature']);
+    expect(profile.collections).toEqual(new Set(['3']));
+    expect(profile).toMatchObject({ firstYear: 2010, lastYear: 2014, itemCount: 2 });
+  });
+
+  test('shared co-authors, journals, collections and close years raise the score', () => {
+    const result = scoreAuthorEvidence(
+      buildAuthorProfile([item(['Doe'], 'Nature', 2010, [3])], 'smith'),
+      buildAuthorProfile([item(['Doe'], 'Nature', 2012, [3])], 'smith')
+    );
+
+    expect(result.score).toBe(0.55);
+    expect(result.evidence).toEqual([
+      'shared co-authors: Doe',
+      'same journal: Nature',
+      'same collection',
+      'published within 2 years'
+    ]);
+  });
+
+  test('different co-authors and distant years lower the score', () => {
+    const result = scoreAuthorEvidence(
+      buildAuthorProfile([item(['Doe'], 'Nature', 1960)], 'smith'),
+      buildAuthorProfile([item(['Roe'], 'Cell', 2010)], 'smith')
+    );
+
+    expect(result.score).toBe(-0.4);
+    expect(result.evidence).toEqual(['no shared co-authors', 'published 50 years apart']);
+  });
+
+  test('items without evidence score zero', () => {
+    expect(scoreAuthorEvidence(buildAuthorProfile([{}]), buildAuthorProfile([item([], '', 2010)])))
+      .toEqual({ score: 0, evidence: [] });
+  });
+});
@@ -235,6 +235,24 @@ describe('CandidateFinder', () => {
     });
   });
 
+  describe('findPotentialVariants', () => {
+    test('should report close spellings and names that sound alike', () => {
+      const result = candidateFinder.findPotentialVariants(['Dennett', 'Dennet', 'Robert', 'Rupert', 'Garcia']);
+      const pairs = result.map(variant => [variant.name1, variant.name2]);
+
+      expect(pairs).toEqual([['Dennett', 'Dennet'], ['Robert', 'Rupert']]);
+    });
+
+    test('should only compare names within two edits or with the same Soundex key', () => {
+      // Kowalczyk / Kovalchik scores 0.67, above the threshold, but is three edits apart
+      // and encodes to K422 / K142, so the candidate index never pairs the two
+      const similarity = 1 - candidateFinder.calculateLevenshteinDistance('Kowalczyk', 'Kovalchik') / 9;
+      expect(similarity).toBeGreaterThanOrEqual(CandidateFinder.FIRST_NAME_SIMILARITY_THRESHOLD);
+
+      expect(candidateFinder.findPotentialVariants(['Kowalczyk', 'Kovalchik'])).toEqual([]);
+    });
+  });
+
   describe('getAllVariations', () => {
     test('should generate all possible variations of a name', async () => {
       const result = await candidateFinder.getAllVariations('John Smith');
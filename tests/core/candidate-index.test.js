@@ -0,0 +1,204 @@
+/**
+ * Tests for the candidate blocking index
+ * @module tests/core/candidate-index
+ */
+
+const { CandidateIndex, deletionKeys, phoneticKey } = require('../../src/utils/candidate-index');
+const { levenshteinDistance, normalizeName } = require('../../src/utils/string-distance');
+
+const GIVEN_NAMES = ['Anna', 'Daniel', 'Michael', 'Maria', 'John', 'Peter', 'Eva', 'Tomasz', 'Laura', 'Karl',
+  'Sofia', 'Lukas', 'Marta', 'Jan', 'Paul', 'Clara', 'David', 'Nina', 'Piotr', 'Helena'];
+const CONSONANTS = 'bcdfghklmnprstvwz';
+const VOWELS = 'aeiou';
+
+// Deterministic PRNG (mulberry32) so the synthetic library is the same on every run
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a synthetic library: surnames are drawn from a pool of random syllable names with a
+ * Zipf-like skew, and about 2% of creators carry a one-letter typo of their surname
+ */
+function generateLibrary(creatorCount, seed = 1) {
+  const random = createRandom(seed);
+  const pick = list => list[Math.floor(random() * list.length)];
+  const surnamePool = [];
+  for (let i = 0; i < creatorCount / 4; i++) {
+    let name = '';
+    const syllables = 3 + Math.floor(random() * 2);
+    for (let s = 0; s < syllables; s++) {
+      name += pick(CONSONANTS) + pick(VOWELS);
+    }
+    surnamePool.push(name.charAt(0).toUpperCase() + name.slice(1));
+  }
+
+  const creators = [];
+  const typos = [];
+  for (let i = 0; i < creatorCount; i++) {
+    let lastName = surnamePool[Math.floor(surnamePool.length * random() * random())];
+    if (random() < 0.02) {
+      const position = 1 + Math.floor(random() * (lastName.length - 1));
+      const typo = lastName.slice(0, position) + lastName.slice(position + 1);
+      typos.push([lastName, typo]);
+      lastName = typo;
+    }
+    creators.push({
+      firstName: pick(GIVEN_NAMES),
+      lastName,
+      count: 1,
+      items: [{ id: i + 1, key: 'KEY' + (i + 1), title: 'Item ' + (i + 1) }]
+    });
+  }
+
+  return { creators, typos };
+}
+
+describe('CandidateIndex', () => {
+  describe('phoneticKey', () => {
+    test('encodes names that sound alike to the same key', () => {
+      expect(phoneticKey('Robert')).toBe('R163');
+      expect(phoneticKey('Rupert')).toBe('R163');
+      expect(phoneticKey('Ashcraft')).toBe('A261');
+      expect(phoneticKey('Tymczak')).toBe('T522');
+      expect(phoneticKey('Lee')).toBe('L000');
+    });
+
+    test('ignores diacritics and returns an empty key without letters', () => {
+      expect(phoneticKey('Müller')).toBe(phoneticKey('Mueller'));
+      expect(phoneticKey('')).toBe('');
+      expect(phoneticKey('123')).toBe('');
+    });
+  });
+
+  describe('deletionKeys', () => {
+    test('contains the key and every string left after up to maxDistance deletions', () => {
+      const keys = deletionKeys('smith', 1);
+      expect(Array.from(keys).sort()).toEqual(['mith', 'sith', 'smih', 'smit', 'smith', 'smth']);
+      expect(deletionKeys('dennett', 2).has('denet')).toBe(true);
+    });
+
+    test('keeps at least half of short keys', () => {
+      expect(Array.from(deletionKeys('lee', 2)).sort()).toEqual(['ee', 'le', 'lee']);
+      expect(Array.from(deletionKeys('li', 2))).toEqual(['li']);
+    });
+  });
+
+  describe('candidate pairs', () => {
+    test('pairs names within the edit distance and names that sound alike', () => {
+      const index = new CandidateIndex().addAll(['Dennett', 'Dennet', 'Robert', 'Rupert', 'Tomasello', 'Garcia']);
+      const pairs = index.getCandidatePairs().map(([a, b]) => [index.names[a], index.names[b]]);
+
+      expect(pairs).toEqual(expect.arrayContaining([['Dennett', 'Dennet'], ['Robert', 'Rupert']]));
+      expect(pairs.some(pair => pair.includes('Tomasello') || pair.includes('Garcia'))).toBe(false);
+    });
+
+    test('reports each pair once', () => {
+      const index = new CandidateIndex().addAll(['Schmidt', 'Schmitt', 'Schmid']);
+      const keys = index.getCandidatePairs().map(pair => pair.join('-'));
+
+      expect(keys.sort()).toEqual(['0-1', '0-2', '1-2']);
+    });
+
+    test('finds every pair within maxDistance that a full pairwise scan finds', () => {
+      const { creators } = generateLibrary(2000, 7);
+      const names = Array.from(new Set(creators.map(creator => normalizeName(creator.lastName))));
+      const index = new CandidateIndex({ usePhonetic: false }).addAll(names);
+      const found = new Set(index.getCandidatePairs().map(pair => pair.join('-')));
+
+      for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+          if (Math.min(names[i].length, names[j].length) >= 5 && levenshteinDistance(names[i], names[j], 2) <= 2) {
+            expect(found.has(i + '-' + j)).toBe(true);
+          }
+        }
+      }
+    });
+
+    test('finds candidates for a name that is not indexed', () => {
+      const index = new CandidateIndex().addAll(['Tomasello', 'Dennett', 'Brown']);
+
+      expect(index.findCandidates('Tommasello')).toEqual([0]);
+      expect(index.findCandidates('Braun')).toEqual([2]);
+      expect(index.findCandidates('')).toEqual([]);
+    });
+
+    test('pairs short names only within half their length', () => {
+      const index = new CandidateIndex({ usePhonetic: false }).addAll(['Li', 'Lu', 'Lee', 'Le', 'Leeb']);
+      const pairs = index.getCandidatePairs().map(([a, b]) => index.names[a] + '-' + index.names[b]);
+
+      // Li / Lu is one edit apart, but two-letter names are not reduced any further
+      expect(pairs).not.toContain('Li-Lu');
+      expect(pairs).toEqual(expect.arrayContaining(['Lee-Le', 'Lee-Leeb']));
+    });
+
+    test('ignores deletion blocks shared by too many names', () => {
+      const index = new CandidateIndex({ maxDistance: 1, usePhonetic: false, maxDeletionBlockSize: 2 })
+        .addAll(['Marks', 'Marko', 'Marky']);
+
+      // The three names only share the block 'mark'
+      expect(index.getCandidatePairs()).toEqual([]);
+      expect(index.findCandidates('Markus')).toEqual([0]);
+    });
+
+    test('ignores phonetic blocks shared by too many names', () => {
+      const index = new CandidateIndex({ maxDistance: 0, maxPhoneticBlockSize: 2 }).addAll(['Robert', 'Rupert', 'Rubert']);
+
+      expect(index.getCandidatePairs()).toEqual([]);
+    });
+  });
+
+  describe('benchmark: synthetic 100k-creator library', () => {
+    let library;
+
+    beforeAll(() => {
+      library = generateLibrary(100000);
+    });
+
+    test('builds candidate pairs in near-linear time', () => {
+      const names = Array.from(new Set(library.creators.map(creator => creator.lastName)));
+      const started = Date.now();
+      const index = new CandidateIndex().addAll(names);
+      const pairs = index.getCandidatePairs();
+      const elapsed = Date.now() - started;
+
+      // A pairwise scan would compare names.length^2 / 2 (about 10^8) pairs
+      expect(pairs.length).toBeLessThan(names.length * 50);
+      expect(elapsed).toBeLessThan(20000);
+
+      // Every typo whose correct spelling also occurs in the library has to come out as a candidate
+      const present = new Set(names);
+      const typos = library.typos.filter(([name]) => present.has(name));
+      const found = new Set(pairs.map(([a, b]) => index.names[a] + '|' + index.names[b]));
+      const missed = typos.filter(([name, typo]) => !found.has(name + '|' + typo) && !found.has(typo + '|' + name));
+      expect(typos.length).toBeGreaterThan(1000);
+      expect(missed).toEqual([]);
+    }, 60000);
+
+    test('analyzes the whole library within a bounded time', async () => {
+      global.Zotero = { debug: () => {} };
+      const ZoteroDBAnalyzer = require('../../src/zotero/zotero-db-analyzer.js');
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const analyzer = new ZoteroDBAnalyzer();
+        const started = Date.now();
+        const results = await analyzer.analyzeCreators(library.creators);
+        const elapsed = Date.now() - started;
+
+        expect(elapsed).toBeLessThan(60000);
+        expect(results.suggestions.some(suggestion => suggestion.reason === 'spelling')).toBe(true);
+      } finally {
+        logSpy.mockRestore();
+        errorSpy.mockRestore();
+        delete global.Zotero;
+      }
+    }, 120000);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for canonical-form strategies
+ * @module tests/core/canonical-form
+ */
+
+const { countDiacritics, selectCanonicalForm } = require('../../src/utils/canonical-form');
+
+const form = (value, frequency, years = [], authorityForms) => ({
+  value,
+  frequency,
+  items: years.map(year => ({ year: String(year) })),
+  ...(authorityForms ? { authorityForms } : {})
+});
+
+describe('canonical forms', () => {
+  const forms = [
+    form('Muller', 5, [1990, 1995]),
+    form('Müller', 2, [2021]),
+    form('Mueller-Thurgau', 1)
+  ];
+  const pick = (strategy, options) => selectCanonicalForm(forms, strategy, options).candidate.value;
+
+  test('counts letters with diacritics', () => {
+    expect(countDiacritics('Łódź')).toBe(3);
+    expect(countDiacritics('Muller')).toBe(0);
+  });
+
+  test('each strategy picks its form', () => {
+    expect(pick('frequency')).toBe('Muller');
+    expect(pick('fullest')).toBe('Mueller-Thurgau');
+    expect(pick('diacritics')).toBe('Müller');
+    expect(pick('recent')).toBe('Müller');
+    expect(pick('authority', { authorityNames: ['mueller-thurgau'] })).toBe('Mueller-Thurgau');
+  });
+
+  test('fullest prefers full given names over initials', () => {
+    const result = selectCanonicalForm([form('J. R.', 9), form('John', 1)], 'fullest');
+
+    expect(result.candidate.value).toBe('John');
+    expect(result.explanation).toBe('fullest form: full names before initials, then the longest');
+  });
+
+  test('explains the choice and falls back to the most frequent form', () => {
+    expect(selectCanonicalForm(forms, 'recent').explanation).toBe('used on the most recent publication (2021)');
+    expect(selectCanonicalForm(forms, 'authority')).toEqual({
+      candidate: forms[0],
+      explanation: 'no form is on the authority list, so the most frequent form (5 occurrences)'
+    });
+    expect(selectCanonicalForm([form('Smith', 1), form('Smyth', 1)], 'diacritics').explanation)
+      .toBe('no form has diacritics, so the most frequent form (1 occurrence)');
+  });
+
+  test('matches people on the authority list in either name order', () => {
+    const result = selectCanonicalForm([
+      form('Fred', 5, [], ['Smith, Fred', 'Fred Smith']),
+      form('Fred R.', 1, [], ['Smith, Fred R.', 'Fred R. Smith'])
+    ], 'authority', { authorityNames: ['Fred R. Smith'] });
+
+    expect(result.candidate.value).toBe('Fred R.');
+  });
+
+  test('returns null without forms', () => {
+    expect(selectCanonicalForm([], 'frequency')).toBeNull();
+  });
+});
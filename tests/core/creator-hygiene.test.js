@@ -0,0 +1,80 @@
+/**
+ * Tests for malformed creator detection
+ * @module tests/core/creator-hygiene
+ */
+
+const { detectCreatorIssues } = require('../../src/utils/creator-hygiene');
+
+describe('creator hygiene', () => {
+  const detect = (firstName, lastName, fieldMode = 0) => detectCreatorIssues({ firstName, lastName, fieldMode });
+
+  test('removes stray conjunctions and punctuation', () => {
+    expect(detect('Karl', 'and Friston')).toMatchObject({
+      issues: ['conjunction'],
+      creators: [{ firstName: 'Karl', lastName: 'Friston', fieldMode: 0 }]
+    });
+    expect(detect('J.', 'Smith,')).toMatchObject({
+      issues: ['punctuation'],
+      creators: [{ firstName: 'J.', lastName: 'Smith' }]
+    });
+  });
+
+  test('removes "et al." and drops creators that hold nothing else', () => {
+    expect(detect('J.', 'Smith et al.')).toMatchObject({
+      issues: ['et-al'],
+      creators: [{ firstName: 'J.', lastName: 'Smith' }]
+    });
+    expect(detect('', 'et al.', 1)).toMatchObject({ issues: ['et-al'], creators: [] });
+  });
+
+  test('removes emails, ORCID iDs and affiliation fragments and keeps the values found', () => {
+    expect(detect('Jane', 'Doe <jane@example.org>')).toMatchObject({
+      issues: ['email'],
+      creators: [{ firstName: 'Jane', lastName: 'Doe' }],
+      email: 'jane@example.org'
+    });
+    expect(detect('A.', 'Smith https://orcid.org/0000-0002-1825-009x')).toMatchObject({
+      issues: ['orcid'],
+      creators: [{ firstName: 'A.', lastName: 'Smith' }],
+      orcid: '0000-0002-1825-009X'
+    });
+    expect(detect('Maria', 'Garcia1,2').creators).toEqual([{ firstName: 'Maria', lastName: 'Garcia', fieldMode: 0 }]);
+    expect(detect('Maria', 'Garcia, Department of Psychology').issues).toEqual(['affiliation']);
+  });
+
+  test('splits several people packed into one creator', () => {
+    expect(detect('', 'Smith, J. and Jones, K.', 1)).toMatchObject({
+      issues: ['multiple-persons'],
+      creators: [
+        { firstName: 'J.', lastName: 'Smith', fieldMode: 0 },
+        { firstName: 'K.', lastName: 'Jones', fieldMode: 0 }
+      ]
+    });
+    expect(detect('John Smith;', 'Jane Doe').creators.map(c => c.lastName)).toEqual(['Smith', 'Doe']);
+    expect(detect('', 'Smith, J. and Jones, K.', 1).creators).toHaveLength(2);
+  });
+
+  test('does not prepend a repeated first name to people listed in the last name', () => {
+    expect(detect('J.', 'Smith, J. and Jones, K.')).toMatchObject({
+      issues: ['multiple-persons'],
+      creators: [
+        { firstName: 'J.', lastName: 'Smith', fieldMode: 0 },
+        { firstName: 'K.', lastName: 'Jones', fieldMode: 0 }
+      ]
+    });
+    expect(detect('J.', 'Smith, J.; Jones, K.').creators.map(c => c.lastName)).toEqual(['Smith', 'Jones']);
+  });
+
+  test('leaves clean names and organizations alone', () => {
+    expect(detect('J. Y.', 'Li')).toBeNull();
+    expect(detect('Ann', 'Bank')).toBeNull();
+    expect(detect('', 'Johnson & Johnson', 1)).toBeNull();
+    expect(detect('', 'Department of Health and Human Services', 1)).toBeNull();
+  });
+
+  test('can be told not to split', () => {
+    const result = detectCreatorIssues({ firstName: '', lastName: 'Smith, J. and Jones, K.', fieldMode: 1 }, { allowSplit: false });
+
+    expect(result).toBeNull();
+  });
+});
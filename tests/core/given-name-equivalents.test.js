@@ -1,4 +1,8 @@
 const ZoteroDBAnalyzer = require('../../src/zotero/zotero-db-analyzer.js');
+const {
+  buildGivenNameEquivalenceTable,
+  lookupGivenNameEquivalent
+} = require('../../src/utils/given-name-equivalents');
 
 describe('COMMON_GIVEN_NAME_EQUIVALENTS behavior', () => {
   test('known nicknames are recognized via scoring (paco -> francisco)', () => {
@@ -16,3 +20,46 @@ describe('COMMON_GIVEN_NAME_EQUIVALENTS behavior', () => {
     expect(score).toBeGreaterThanOrEqual(50 + 5);
   });
 });
+
+describe('given-name equivalence resource', () => {
+  const table = buildGivenNameEquivalenceTable();
+  const canonical = name => lookupGivenNameEquivalent(table, name);
+
+  test('keeps the English canonical names', () => {
+    expect(canonical('Bill')).toBe('william');
+    expect(canonical('Toni')).toBe('anthony');
+  });
+
+  test('covers Polish, German, Italian, Spanish and Russian diminutives', () => {
+    expect(canonical('Wojtek')).toBe('wojciech');
+    expect(canonical('Hans')).toBe(canonical('Johannes'));
+    expect(canonical('Beppe')).toBe(canonical('Giuseppe'));
+    expect(canonical('Nacho')).toBe('ignacio');
+    expect(canonical('Саша')).toBe('alexander');
+  });
+
+  test('links the forms of a name across languages', () => {
+    ['Johann', 'Jan', 'Juan', 'Giovanni', 'Hans'].forEach(name => expect(canonical(name)).toBe('john'));
+    expect(canonical('Wilhelm')).toBe('william');
+  });
+
+  test('finds names written without diacritics', () => {
+    expect(canonical('Jozef')).toBe(canonical('Józef'));
+    expect(canonical('Malgorzata')).toBe('margaret');
+  });
+
+  test('returns null for names without equivalents', () => {
+    expect(canonical('Bogdan')).toBeNull();
+    expect(canonical('')).toBeNull();
+  });
+
+  test('user entries join the built-in classes', () => {
+    const withOverlay = buildGivenNameEquivalenceTable(undefined, [
+      { name: 'Bodzio', equivalent: 'Bogdan' },
+      { name: 'Janusz', equivalent: 'Jan' }
+    ]);
+
+    expect(lookupGivenNameEquivalent(withOverlay, 'Bodzio')).toBe('bogdan');
+    expect(lookupGivenNameEquivalent(withOverlay, 'Janusz')).toBe('john');
+  });
+});
@@ -79,9 +79,13 @@ describe('ZoteroNameNormalizer Index', () => {
     expect(indexModule).toHaveProperty('ItemProcessor');
     expect(indexModule).toHaveProperty('MenuIntegration');
     expect(indexModule).toHaveProperty('ZoteroDBAnalyzer');
+    expect(indexModule).toHaveProperty('SQLCreatorSource');
+    expect(indexModule).toHaveProperty('AnalysisWorkerClient');
     expect(indexModule).toHaveProperty('NormalizerDialog');
     expect(indexModule).toHaveProperty('BatchProcessor');
     expect(indexModule).toHaveProperty('DataManager');
+    expect(indexModule).toHaveProperty('NormalizationJournal');
+    expect(indexModule).toHaveProperty('CreatorIndex');
 
     // Check that default export is present
     expect(indexModule.default).toBeDefined();
@@ -439,4 +439,76 @@ describe('LearningEngine - Skip Learning', () => {
       expect(engine.shouldSkipSuggestion(suggestion2)).toBe(true);
     });
   });
+});
+
+describe('LearningEngine - Person Aliases', () => {
+  let engine;
+  const maiden = { firstName: 'Patricia', lastName: 'Smith' };
+  const married = { firstName: 'Patricia', lastName: 'Churchland' };
+
+  beforeEach(async () => {
+    engine = new LearningEngine();
+    engine.personAliases = new Map();
+    await engine.savePersonAliases();
+  });
+
+  test('stores a link between two identities of one person', async () => {
+    expect(await engine.recordPersonAlias(maiden, married)).toBe(true);
+    expect(engine.getPersonAliases()).toEqual([
+      expect.objectContaining({ alias: maiden, preferred: married, mode: 'normalize' })
+    ]);
+  });
+
+  test('ignores repeated links and updates the mode of an existing one', async () => {
+    await engine.recordPersonAlias(maiden, married);
+    expect(await engine.recordPersonAlias(maiden, married)).toBe(false);
+    expect(await engine.recordPersonAlias(maiden, married, { mode: 'annotate' })).toBe(true);
+    expect(engine.getPersonAliases().map(record => record.mode)).toEqual(['annotate']);
+  });
+
+  test('rejects a link of an identity to itself', async () => {
+    expect(await engine.recordPersonAlias(maiden, { firstName: 'patricia', lastName: 'SMITH' })).toBe(false);
+  });
+
+  test('persists links and removes them in either order', async () => {
+    await engine.recordPersonAlias(maiden, married);
+    const reloaded = new LearningEngine();
+    expect(reloaded.getPersonAliases()).toHaveLength(1);
+
+    expect(await reloaded.removePersonAlias(married, maiden)).toBe(true);
+    expect(reloaded.getPersonAliases()).toEqual([]);
+  });
+});
+
+describe('LearningEngine - Given-name equivalents', () => {
+  let engine;
+
+  beforeEach(async () => {
+    engine = new LearningEngine();
+    engine.givenNameEquivalents = new Map();
+    await engine.saveGivenNameEquivalents();
+  });
+
+  test('stores an equivalence and ignores it when repeated', async () => {
+    expect(await engine.recordGivenNameEquivalent('Bodzio', 'Bogdan')).toBe(true);
+    expect(await engine.recordGivenNameEquivalent('Bodzio', 'Bogdan')).toBe(false);
+    expect(engine.getGivenNameEquivalents()).toEqual([
+      expect.objectContaining({ name: 'Bodzio', equivalent: 'Bogdan' })
+    ]);
+  });
+
+  test('rejects empty names and a name equal to its equivalent', async () => {
+    expect(await engine.recordGivenNameEquivalent('', 'Bogdan')).toBe(false);
+    expect(await engine.recordGivenNameEquivalent('bogdan', 'Bogdan')).toBe(false);
+    expect(engine.getGivenNameEquivalents()).toEqual([]);
+  });
+
+  test('persists equivalences and removes them in either order', async () => {
+    await engine.recordGivenNameEquivalent('Bodzio', 'Bogdan');
+    const reloaded = new LearningEngine();
+    expect(reloaded.getGivenNameEquivalents()).toHaveLength(1);
+
+    expect(await reloaded.removeGivenNameEquivalent('bogdan', 'BODZIO')).toBe(true);
+    expect(reloaded.getGivenNameEquivalents()).toEqual([]);
+  });
 });
\ No newline at end of file
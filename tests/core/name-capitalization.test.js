@@ -0,0 +1,48 @@
+/**
+ * Tests for name capitalization rules
+ * @module tests/core/name-capitalization
+ */
+
+const { capitalizeName, needsCaseNormalization } = require('../../src/utils/name-capitalization');
+
+describe('name capitalization', () => {
+  test('handles Mc, Mac and elided prefixes', () => {
+    expect(capitalizeName('MCDONALD')).toBe('McDonald');
+    expect(capitalizeName('MACDONALD')).toBe('MacDonald');
+    expect(capitalizeName('O\'BRIEN')).toBe('O\'Brien');
+    expect(capitalizeName('d\'angelo')).toBe('D\'Angelo');
+  });
+
+  test('leaves short and listed Mac surnames alone', () => {
+    expect(capitalizeName('MACK')).toBe('Mack');
+    expect(capitalizeName('MACHADO')).toBe('Machado');
+  });
+
+  test('capitalizes each part of hyphenated names', () => {
+    expect(capitalizeName('SMITH-JONES')).toBe('Smith-Jones');
+    expect(capitalizeName('JEAN-PAUL', { role: 'given' })).toBe('Jean-Paul');
+  });
+
+  test('keeps surname particles lowercase', () => {
+    expect(capitalizeName('VAN DER WAALS')).toBe('van der Waals');
+    expect(capitalizeName('DE LA CRUZ')).toBe('de la Cruz');
+    expect(capitalizeName('DA SILVA E COSTA')).toBe('da Silva e Costa');
+    // A particle on its own is the surname itself
+    expect(capitalizeName('DE')).toBe('De');
+  });
+
+  test('keeps initials and roman numerals uppercase', () => {
+    expect(capitalizeName('J.A.', { role: 'given' })).toBe('J.A.');
+    expect(capitalizeName('JERRY A.', { role: 'given' })).toBe('Jerry A.');
+    expect(capitalizeName('GATES III')).toBe('Gates III');
+  });
+
+  test('needsCaseNormalization flags single-case names only', () => {
+    expect(needsCaseNormalization('FODOR')).toBe(true);
+    expect(needsCaseNormalization('van der waals')).toBe(true);
+    expect(needsCaseNormalization('Fodor')).toBe(false);
+    expect(needsCaseNormalization('deGrasse')).toBe(false);
+    expect(needsCaseNormalization('J.A.')).toBe(false);
+    expect(needsCaseNormalization('李')).toBe(false);
+  });
+});
@@ -175,4 +175,46 @@ describe('NameParser', () => {
     expect(result.middleName).toBe('Alan');
     expect(result.lastName).toBe('Fodor');
   });
+  describe('family-name-first names', () => {
+    test('should split Chinese, Japanese and Korean names written in CJK script', () => {
+      expect(parser.parse('王小明')).toMatchObject({ lastName: '王', firstName: '小明', nameOrder: 'family-first', isCJK: true });
+      expect(parser.parse('欧阳修')).toMatchObject({ lastName: '欧阳', firstName: '修' });
+      expect(parser.parse('山田 太郎')).toMatchObject({ lastName: '山田', firstName: '太郎' });
+      expect(parser.parse('山田たろう')).toMatchObject({ lastName: '山田', firstName: 'たろう' });
+      expect(parser.parse('김민준')).toMatchObject({ lastName: '김', firstName: '민준' });
+    });
+
+    test('should read a leading uppercase word as the family name', () => {
+      expect(parser.parse('WANG Xiaoming')).toMatchObject({ lastName: 'WANG', firstName: 'Xiaoming', nameOrder: 'family-first' });
+      expect(parser.parse('Xiaoming WANG')).toMatchObject({ lastName: 'WANG', firstName: 'Xiaoming', nameOrder: 'given-first' });
+      expect(parser.parse('JERRY Fodor')).toMatchObject({ lastName: 'Fodor', firstName: 'JERRY' });
+      expect(parser.parse('OUYANG Xiu', { locale: 'zh' })).toMatchObject({ lastName: 'OUYANG', firstName: 'Xiu', nameOrder: 'family-first' });
+    });
+
+    test('should not read capitalized Western names as family-name-first', () => {
+      expect(parser.parse('LEE Smith')).toMatchObject({ lastName: 'Smith', firstName: 'LEE', nameOrder: 'given-first' });
+      expect(parser.parse('SMITH John')).toMatchObject({ lastName: 'John', firstName: 'SMITH', nameOrder: 'given-first' });
+      expect(parser.parse('SMITH John', { fieldMode: 1 })).toMatchObject({ nameOrder: 'given-first' });
+      expect(parser.parse('KIM Min-jun', { fieldMode: 1 })).toMatchObject({ lastName: 'KIM', firstName: 'Min-jun', nameOrder: 'family-first' });
+    });
+
+    test('should assume romanized family-first order only for single-field names or CJK locales', () => {
+      expect(parser.parse('Wang Xiaoming')).toMatchObject({ lastName: 'Xiaoming', firstName: 'Wang' });
+      expect(parser.parse('Wang Xiaoming', { fieldMode: 1 })).toMatchObject({ lastName: 'Wang', firstName: 'Xiaoming', fieldMode: 1 });
+      expect(parser.parse('Ng Wai Kit', { fieldMode: 1 })).toMatchObject({ lastName: 'Ng', firstName: 'Wai Kit' });
+      expect(parser.parse('Li Wang', { locale: 'zh-CN' })).toMatchObject({ lastName: 'Li', firstName: 'Wang' });
+      expect(parser.parse('John Smith', { fieldMode: 1 })).toMatchObject({ lastName: 'Smith', firstName: 'John', fieldMode: 1 });
+    });
+
+    test('should mark romanized CJK names in Western order', () => {
+      expect(parser.parse('Wei Li').isCJK).toBe(true);
+      expect(parser.parse('Eva Li').isCJK).toBe(false);
+      expect(parser.parse('John Smith')).toMatchObject({ fieldMode: 0, nameOrder: 'given-first', isCJK: false });
+    });
+
+    test('should recognize initials outside A-Z', () => {
+      expect(parser.initialPattern.test('Ł.')).toBe(true);
+      expect(parser.initialsPattern.test('Ž.Ł.')).toBe(true);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Tests for surname particle policies
+ * @module tests/core/name-particles
+ */
+
+const {
+  splitSurnameParticles,
+  getParticleKey,
+  detectParticlePolicy,
+  applyParticlePolicy
+} = require('../../src/utils/name-particles');
+
+describe('name particles', () => {
+  test('reads particles from the last name or from the end of the given name', () => {
+    expect(splitSurnameParticles('J. D.', 'van der Waals')).toEqual({
+      givenName: 'J. D.',
+      particles: ['van', 'der'],
+      surname: 'Waals',
+      inGivenName: false
+    });
+    expect(splitSurnameParticles('J. D. van der', 'Waals')).toEqual({
+      givenName: 'J. D.',
+      particles: ['van', 'der'],
+      surname: 'Waals',
+      inGivenName: true
+    });
+  });
+
+  test('ignores names without particles and single-letter initials', () => {
+    expect(splitSurnameParticles('Ludwig', 'Beethoven')).toBeNull();
+    expect(splitSurnameParticles('John E', 'Smith')).toBeNull();
+    // A particle on its own is the surname itself
+    expect(splitSurnameParticles('Anna', 'De')).toBeNull();
+  });
+
+  test('every stored form shares one key', () => {
+    const forms = [['J. D.', 'van der Waals'], ['J. D.', 'Van der Waals'], ['J. D. van der', 'Waals']];
+
+    expect(new Set(forms.map(([first, last]) => getParticleKey(splitSurnameParticles(first, last))))).toEqual(
+      new Set(['van der waals'])
+    );
+    expect(forms.map(([first, last]) => detectParticlePolicy(first, last))).toEqual(['lowercase', 'capitalized', 'given-name']);
+  });
+
+  test('writes each policy', () => {
+    const parts = splitSurnameParticles('J. D.', 'Van der Waals');
+
+    expect(applyParticlePolicy(parts, 'lowercase')).toEqual({ firstName: 'J. D.', lastName: 'van der Waals' });
+    expect(applyParticlePolicy(parts, 'capitalized')).toEqual({ firstName: 'J. D.', lastName: 'Van der Waals' });
+    expect(applyParticlePolicy(parts, 'given-name')).toEqual({ firstName: 'J. D. van der', lastName: 'Waals' });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for generational suffix placement
+ * @module tests/core/name-suffixes
+ */
+
+const {
+  getSuffixKey,
+  isGenerationalSuffix,
+  splitGenerationalSuffix,
+  applySuffixPosition
+} = require('../../src/utils/name-suffixes');
+
+describe('name suffixes', () => {
+  test('recognizes English and Portuguese generational suffixes', () => {
+    expect(['Jr.', 'Jr', 'Sr.', 'III', 'Filho', 'Neto', 'Sobrinho', 'Júnior'].every(isGenerationalSuffix)).toBe(true);
+    expect(isGenerationalSuffix('PhD')).toBe(false);
+    expect(getSuffixKey('Júnior')).toBe('junior');
+  });
+
+  test('reads the suffix from either field or from a last name field holding only the suffix', () => {
+    expect(splitGenerationalSuffix('Martin Luther, Jr.', 'King')).toMatchObject({
+      givenName: 'Martin Luther',
+      surname: 'King',
+      suffixKey: 'jr',
+      placement: 'given-name'
+    });
+    expect(splitGenerationalSuffix('João', 'Silva Filho')).toMatchObject({
+      givenName: 'João',
+      surname: 'Silva',
+      suffixKey: 'filho',
+      placement: 'last-name'
+    });
+    expect(splitGenerationalSuffix('Martin Luther King', 'Jr.')).toMatchObject({
+      givenName: 'Martin Luther',
+      surname: 'King',
+      placement: 'alone'
+    });
+  });
+
+  test('leaves surnames and initials that look like suffixes alone', () => {
+    // Neto is also a surname, V a middle initial
+    expect(splitGenerationalSuffix('Anna', 'Neto')).toBeNull();
+    expect(splitGenerationalSuffix('John V', 'Smith')).toBeNull();
+    expect(splitGenerationalSuffix('John A.', 'Jr.')).toBeNull();
+  });
+
+  test('writes the suffix in either position with its usual spelling', () => {
+    const parts = splitGenerationalSuffix('Martin Luther', 'King Jr');
+
+    expect(applySuffixPosition(parts, 'given-name')).toEqual({ firstName: 'Martin Luther, Jr.', lastName: 'King' });
+    expect(applySuffixPosition(parts, 'last-name')).toEqual({ firstName: 'Martin Luther', lastName: 'King Jr.' });
+  });
+});
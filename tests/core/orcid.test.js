@@ -0,0 +1,67 @@
+/**
+ * Tests for ORCID iDs read from the Extra field
+ * @module tests/core/orcid
+ */
+
+const { normalizeOrcid, parseExtraOrcids, assignOrcids } = require('../../src/utils/orcid');
+
+const JOSIAH = '0000-0002-1825-0097';
+const FIRST = '0000-0003-0000-1014';
+const SECOND = '0000-0003-0000-1022';
+
+describe('ORCID iDs', () => {
+  test('normalizes bare iDs and URLs and rejects bad check digits', () => {
+    expect(normalizeOrcid('https://orcid.org/0000-0002-1825-0097')).toBe(JOSIAH);
+    expect(normalizeOrcid('0000000218250097')).toBe(JOSIAH);
+    expect(normalizeOrcid('0000-0002-1694-233x')).toBe('0000-0002-1694-233X');
+    expect(normalizeOrcid('0000-0002-1825-0098')).toBeNull();
+    expect(normalizeOrcid('no iD here')).toBeNull();
+  });
+
+  test('reads plain, named and CSL-style lines', () => {
+    const extra = [
+      'PMID: 123456',
+      `ORCID: Carberry, Josiah: ${JOSIAH}`,
+      `author-orcid: Jane Doe (https://orcid.org/${FIRST})`,
+      `editor-ORCID: ${FIRST}; ${SECOND}`
+    ].join('\n');
+
+    expect(parseExtraOrcids(extra)).toEqual([
+      { orcid: JOSIAH, name: 'Carberry, Josiah', creatorType: null },
+      { orcid: FIRST, name: 'Jane Doe', creatorType: 'author' },
+      { orcid: FIRST, name: null, creatorType: 'editor' },
+      { orcid: SECOND, name: null, creatorType: 'editor' }
+    ]);
+    expect(parseExtraOrcids('ORCID: 0000-0002-1825-0098')).toEqual([]);
+  });
+
+  test('matches named iDs by surname and given-name initial', () => {
+    const creators = [
+      { firstName: 'J.', lastName: 'Carberry' },
+      { firstName: 'Gabriel', lastName: 'García Márquez' },
+      { firstName: 'Kim', lastName: 'Carberry' }
+    ];
+
+    expect(assignOrcids(creators, parseExtraOrcids([
+      `ORCID: Carberry, Josiah: ${JOSIAH}`,
+      `ORCID: Gabriel Garcia Marquez ${FIRST}`
+    ].join('\n')))).toEqual([JOSIAH, FIRST, null]);
+    // "Carberry" alone fits both Carberrys
+    expect(assignOrcids(creators, parseExtraOrcids(`ORCID: Carberry: ${JOSIAH}`))).toEqual([null, null, null]);
+  });
+
+  test('assigns unnamed iDs only when they map onto the creators one-to-one', () => {
+    const single = [{ firstName: 'Josiah', lastName: 'Carberry' }];
+    const team = [
+      { firstName: 'Josiah', lastName: 'Carberry', creatorType: 'author' },
+      { firstName: 'Ann', lastName: 'Editor', creatorType: 'editor' },
+      { firstName: 'Bo', lastName: 'Editor', creatorType: 'editor' },
+      { lastName: 'World Health Organization', fieldMode: 1, creatorType: 'author' }
+    ];
+
+    expect(assignOrcids(single, parseExtraOrcids(`ORCID: ${JOSIAH}`))).toEqual([JOSIAH]);
+    expect(assignOrcids(team, parseExtraOrcids(`ORCID: ${JOSIAH}`))).toEqual([null, null, null, null]);
+    expect(assignOrcids(team, parseExtraOrcids(`editor-orcid: ${FIRST}; ${SECOND}\nauthor-orcid: ${JOSIAH}`)))
+      .toEqual([JOSIAH, FIRST, SECOND, null]);
+  });
+});
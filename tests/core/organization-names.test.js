@@ -0,0 +1,71 @@
+/**
+ * Tests for organization name keys
+ * @module tests/core/organization-names
+ */
+
+const {
+  isAcronym,
+  isLikelyOrganizationName,
+  stripOrganizationQualifiers,
+  getOrganizationAcronym,
+  getOrganizationKey
+} = require('../../src/utils/organization-names');
+
+describe('organization names', () => {
+  describe('getOrganizationKey', () => {
+    test('ignores spelling, articles and qualifiers', () => {
+      const key = getOrganizationKey('World Health Organization');
+
+      expect(key).toBe('world health organization');
+      expect(getOrganizationKey('World Health Organisation')).toBe(key);
+      expect(getOrganizationKey('The World Health Organization')).toBe(key);
+      expect(getOrganizationKey('World Health Organization (WHO)')).toBe(key);
+      expect(getOrganizationKey('World Health Organization, Geneva')).toBe(key);
+      expect(getOrganizationKey('Centre for Disease Control (UK)')).toBe(getOrganizationKey('Center for Disease Control'));
+    });
+
+    test('joins hyphenated words and compacts acronyms', () => {
+      expect(getOrganizationKey('Organisation for Economic Co-operation and Development'))
+        .toBe(getOrganizationKey('Organization for Economic Cooperation and Development'));
+      expect(getOrganizationKey('W.H.O.')).toBe('who');
+      expect(getOrganizationKey('')).toBe('');
+    });
+  });
+
+  describe('acronyms', () => {
+    test('recognizes acronyms', () => {
+      expect(isAcronym('WHO')).toBe(true);
+      expect(isAcronym('U.N.E.S.C.O.')).toBe(true);
+      expect(isAcronym('Who')).toBe(false);
+      expect(isAcronym('A')).toBe(false);
+    });
+
+    test('takes the initials of significant words', () => {
+      expect(getOrganizationAcronym('World Health Organization')).toBe('WHO');
+      expect(getOrganizationAcronym('National Aeronautics and Space Administration')).toBe('NASA');
+      expect(getOrganizationAcronym('Organisation for Economic Co-operation and Development')).toBe('OECD');
+      expect(getOrganizationAcronym('W.H.O.')).toBe('WHO');
+      expect(getOrganizationAcronym('Greenpeace')).toBe('');
+    });
+  });
+
+  describe('isLikelyOrganizationName', () => {
+    test('looks for organization keywords and acronyms', () => {
+      expect(isLikelyOrganizationName('World Health Organization')).toBe(true);
+      expect(isLikelyOrganizationName('IPCC')).toBe(true);
+      expect(isLikelyOrganizationName('Plato')).toBe(false);
+    });
+
+    test('accepts only unambiguous keywords in strict mode', () => {
+      expect(isLikelyOrganizationName('World Health Organization', { strict: true })).toBe(true);
+      expect(isLikelyOrganizationName('Ann Bank', { strict: true })).toBe(false);
+      expect(isLikelyOrganizationName('IPCC', { strict: true })).toBe(false);
+    });
+  });
+
+  test('stripOrganizationQualifiers keeps the original spelling of the core name', () => {
+    expect(stripOrganizationQualifiers('The Royal Society (UK)')).toBe('Royal Society');
+    expect(stripOrganizationQualifiers('Department of Health and Human Services, USA')).toBe('Department of Health and Human Services');
+    expect(stripOrganizationQualifiers('National Cancer Institute U.S.')).toBe('National Cancer Institute');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for phonetic surname keys
+ * @module tests/core/phonetic-keys
+ */
+
+const {
+  doubleMetaphone,
+  daitchMokotoff,
+  colognePhonetic,
+  selectPhoneticAlgorithm,
+  getPhoneticKeys,
+  findPhoneticMatch
+} = require('../../src/utils/phonetic-keys');
+const { CandidateIndex } = require('../../src/utils/candidate-index');
+
+describe('phonetic keys', () => {
+  describe('doubleMetaphone', () => {
+    test('returns primary and alternate keys', () => {
+      expect(doubleMetaphone('Smith')).toEqual(['SM0', 'XMT']);
+      expect(doubleMetaphone('Schmidt')).toEqual(['XMT', 'SMT']);
+      expect(doubleMetaphone('Thomas')).toEqual(['TMS', 'TMS']);
+      expect(doubleMetaphone('Jankowski')).toEqual(['JNKS', 'ANKF']);
+    });
+
+    test('encodes spelling variants alike', () => {
+      expect(doubleMetaphone('Meier')[0]).toBe('MR');
+      expect(doubleMetaphone('Mayer')[0]).toBe('MR');
+      expect(doubleMetaphone('Wygotski')).toContain(doubleMetaphone('Vygotsky')[0]);
+      expect(doubleMetaphone('')).toEqual(['', '']);
+    });
+  });
+
+  describe('daitchMokotoff', () => {
+    test('encodes Eastern European transliterations alike', () => {
+      expect(daitchMokotoff('Wygotski')).toEqual(['754500']);
+      expect(daitchMokotoff('Vygotsky')).toEqual(['754500']);
+      expect(daitchMokotoff('Tchaikovsky')).toEqual(daitchMokotoff('Czajkowski'));
+    });
+
+    test('branches on letters with more than one pronunciation', () => {
+      expect(daitchMokotoff('Jankowski')).toEqual(['165745', '465745']);
+      expect(daitchMokotoff('Meier')).toEqual(['619000']);
+      expect(daitchMokotoff('123')).toEqual([]);
+    });
+  });
+
+  describe('colognePhonetic', () => {
+    test('encodes German spelling variants alike', () => {
+      expect(colognePhonetic('Meier')).toBe('67');
+      expect(colognePhonetic('Mayer')).toBe('67');
+      expect(colognePhonetic('Meyer')).toBe('67');
+      expect(colognePhonetic('Müller')).toBe(colognePhonetic('Muller'));
+      expect(colognePhonetic('Schmidt')).toBe('862');
+      expect(colognePhonetic('')).toBe('');
+    });
+  });
+
+  describe('selectPhoneticAlgorithm', () => {
+    test('uses the algorithm of a configured language', () => {
+      expect(selectPhoneticAlgorithm('Meier', 'de')).toBe('cologne');
+      expect(selectPhoneticAlgorithm('Meier', 'pl')).toBe('daitch-mokotoff');
+      expect(selectPhoneticAlgorithm('Meier', 'en')).toBe('double-metaphone');
+      expect(selectPhoneticAlgorithm('Meier', 'xx')).toBe('double-metaphone');
+    });
+
+    test('guesses from the spelling in auto mode', () => {
+      expect(selectPhoneticAlgorithm('Wygotski')).toBe('daitch-mokotoff');
+      expect(selectPhoneticAlgorithm('Filipowicz')).toBe('daitch-mokotoff');
+      expect(selectPhoneticAlgorithm('Schneider')).toBe('cologne');
+      expect(selectPhoneticAlgorithm('Thomas')).toBe('double-metaphone');
+    });
+  });
+
+  describe('matching', () => {
+    test('finds the algorithm under which two surnames sound alike', () => {
+      expect(findPhoneticMatch('Wygotski', 'Vygotsky')).toBe('daitch-mokotoff');
+      expect(findPhoneticMatch('Meier', 'Mayer')).toBe('cologne');
+      expect(findPhoneticMatch('Meyer', 'Meier', 'en')).toBe('double-metaphone');
+      expect(findPhoneticMatch('Smith', 'Garcia')).toBeNull();
+    });
+
+    test('tags keys with their algorithm', () => {
+      expect(getPhoneticKeys('Meier', 'de')).toEqual(['cologne:67']);
+      expect(getPhoneticKeys('Meier')).toEqual(expect.arrayContaining([
+        'double-metaphone:MR',
+        'daitch-mokotoff:619000',
+        'cologne:67'
+      ]));
+    });
+
+    test('blocks sound-alike surnames in the candidate index', () => {
+      const index = new CandidateIndex({ maxDistance: 0, phoneticKeys: name => getPhoneticKeys(name) })
+        .addAll(['Wygotski', 'Vygotsky', 'Meier', 'Mayer', 'Tomasello']);
+
+      expect(index.getCandidatePairs().sort()).toEqual([[0, 1], [2, 3]]);
+      expect(index.findCandidates('Meyer')).toEqual([2, 3]);
+    });
+  });
+});
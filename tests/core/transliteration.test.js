@@ -0,0 +1,90 @@
+/**
+ * Tests for cross-script transliteration
+ * @module tests/core/transliteration
+ */
+
+const {
+  detectScript,
+  isTransliterable,
+  transliterate,
+  getTransliterations,
+  getLatinKey,
+  getScriptIndependentKeys
+} = require('../../src/utils/transliteration');
+
+describe('transliteration', () => {
+  describe('detectScript', () => {
+    test('recognizes Cyrillic, Greek and Latin names', () => {
+      expect(detectScript('Выготский')).toBe('cyrillic');
+      expect(detectScript('Σεφέρης')).toBe('greek');
+      expect(detectScript('Vygotsky')).toBe('latin');
+      expect(detectScript('王')).toBe('other');
+      expect(detectScript('')).toBe('');
+      expect(isTransliterable('Шевченко')).toBe(true);
+      expect(isTransliterable('Müller')).toBe(false);
+    });
+  });
+
+  describe('Russian Cyrillic', () => {
+    test('follows each romanization system', () => {
+      expect(transliterate('Выготский', 'iso9')).toBe('Vygotskij');
+      expect(transliterate('Выготский', 'bgn')).toBe('Vygotskiy');
+      expect(transliterate('Выготский', 'loc')).toBe('Vygotskiĭ');
+      expect(transliterate('Выготский', 'german')).toBe('Wygotski');
+      expect(transliterate('Выготский', 'polish')).toBe('Wygotski');
+      expect(transliterate('Выготский', 'french')).toBe('Vygotski');
+    });
+
+    test('applies context rules for iotated vowels and consonant clusters', () => {
+      expect(transliterate('Достоевский', 'bgn')).toBe('Dostoyevskiy');
+      expect(transliterate('Достоевский', 'german')).toBe('Dostojewski');
+      expect(transliterate('Пётр Чайковский', 'polish')).toBe('Piotr Czajkowski');
+      expect(transliterate('Пётр Чайковский', 'french')).toBe('Piotr Tchaïkovski');
+      expect(transliterate('Щербаков', 'german')).toBe('Schtscherbakow');
+      expect(transliterate('ЩЕРБАКОВ', 'bgn')).toBe('SHCHERBAKOV');
+    });
+
+    test('defaults to BGN/PCGN and leaves Latin names unchanged', () => {
+      expect(transliterate('Лев')).toBe('Lev');
+      expect(transliterate('Vygotsky', 'iso9')).toBe('Vygotsky');
+    });
+  });
+
+  describe('Ukrainian', () => {
+    test('uses Ukrainian letter values when Ukrainian letters are present', () => {
+      expect(transliterate('Зґурський', 'national')).toBe('Zgurskyi');
+      expect(transliterate('Їжакевич', 'national')).toBe('Yizhakevych');
+      expect(transliterate('Гнатюк', 'bgn', { language: 'uk' })).toBe('Hnatyuk');
+      expect(transliterate('Гнатюк', 'bgn')).toBe('Gnatyuk');
+    });
+  });
+
+  describe('Greek', () => {
+    test('follows ELOT 743 and the classical transcription', () => {
+      expect(transliterate('Παπαδόπουλος', 'elot')).toBe('Papadopoulos');
+      expect(transliterate('Ευάγγελος', 'elot')).toBe('Evangelos');
+      expect(transliterate('Ευάγγελος', 'classical')).toBe('Euangelos');
+      expect(transliterate('Σεφέρης', 'classical')).toBe('Sepheres');
+      expect(transliterate('Μπακογιάννης')).toBe('Bakogiannis');
+    });
+  });
+
+  describe('script-independent keys', () => {
+    test('unify the endings of different romanizations', () => {
+      expect(getLatinKey('Vygotskii')).toBe('vygotski');
+      expect(getLatinKey('Vygotskiy')).toBe('vygotski');
+      expect(getLatinKey('Vygotsky')).toBe('vygotski');
+      expect(getLatinKey('Tolstoj')).toBe(getLatinKey('Tolstoy'));
+    });
+
+    test('let native and Latin spellings of a name meet', () => {
+      const native = getScriptIndependentKeys('Выготский');
+
+      expect(getTransliterations('Выготский')).toHaveLength(5);
+      expect(native).toEqual(expect.arrayContaining(getScriptIndependentKeys('Vygotsky')));
+      expect(native).toEqual(expect.arrayContaining(getScriptIndependentKeys('Wygotski')));
+      expect(getScriptIndependentKeys('Παπαδοπούλου')).toEqual(getScriptIndependentKeys('Papadopoulou'));
+      expect(native).not.toEqual(expect.arrayContaining(getScriptIndependentKeys('Vygodsky')));
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for CreatorIndex
+ * Tests the persisted per-item creator index and its Notifier observer
+ */
+
+let localStorageStore = {};
+
+global.localStorage = {
+  getItem: jest.fn((key) => localStorageStore[key] || null),
+  setItem: jest.fn((key, value) => {
+    localStorageStore[key] = value.toString();
+  }),
+  removeItem: jest.fn((key) => {
+    delete localStorageStore[key];
+  })
+};
+
+const CreatorIndex = require('../../src/storage/creator-index.js');
+
+describe('CreatorIndex', () => {
+  let index;
+
+  const sampleEntry = (stamp, libraryID = 1) => ({
+    stamp,
+    libraryID,
+    creators: [{ firstName: 'John', lastName: 'Smith', fieldMode: 0 }],
+    summary: { id: 1, title: 'Title' }
+  });
+
+  beforeEach(() => {
+    localStorageStore = {};
+    index = new CreatorIndex();
+    global.Zotero = {};
+  });
+
+  afterEach(() => {
+    delete global.Zotero;
+  });
+
+  test('persists entries between instances', async () => {
+    index.setEntry(1, sampleEntry('5|2024-01-01 10:00:00'));
+    expect(await index.saveIndex()).toBe(true);
+
+    expect(new CreatorIndex().getFreshEntry(1, '5|2024-01-01 10:00:00')).toMatchObject({
+      creators: [{ firstName: 'John', lastName: 'Smith', fieldMode: 0 }]
+    });
+  });
+
+  test('stores the index as a file in the Zotero data directory', async () => {
+    const files = {};
+    global.PathUtils = { join: (...parts) => parts.join('/') };
+    global.IOUtils = {
+      exists: jest.fn(async (path) => path in files),
+      readUTF8: jest.fn(async (path) => files[path]),
+      writeUTF8: jest.fn(async (path, data) => { files[path] = data; }),
+      remove: jest.fn(async (path) => { delete files[path]; })
+    };
+    global.Zotero.DataDirectory = { dir: '/zotero' };
+    localStorageStore.name_normalizer_creator_index = '{"formatVersion":3,"entries":{}}';
+
+    try {
+      const fileIndex = new CreatorIndex();
+      await fileIndex.ready;
+      expect(localStorageStore.name_normalizer_creator_index).toBeUndefined();
+
+      fileIndex.setEntry(1, sampleEntry('5|a'));
+      expect(await fileIndex.saveIndex()).toBe(true);
+      expect(Object.keys(files)).toEqual(['/zotero/name-normalizer-creator-index.json']);
+      expect(localStorageStore).toEqual({});
+
+      const reloaded = new CreatorIndex();
+      await reloaded.ready;
+      expect(reloaded.getFreshEntry(1, '5|a')).not.toBeNull();
+
+      await reloaded.clear();
+      expect(files).toEqual({});
+    } finally {
+      delete global.PathUtils;
+      delete global.IOUtils;
+    }
+  });
+
+  test('reports a failed save instead of throwing', async () => {
+    const quotaError = new Error('The quota has been exceeded.');
+    global.localStorage.setItem.mockImplementationOnce(() => { throw quotaError; });
+    index.setEntry(1, sampleEntry('5|a'));
+
+    expect(await index.saveIndex()).toBe(false);
+    expect(index.lastSaveError).toBe(quotaError);
+
+    expect(await index.saveIndex()).toBe(true);
+    expect(index.lastSaveError).toBeNull();
+  });
+
+  test('ignores entries whose stamp changed', () => {
+    index.setEntry(1, sampleEntry('5|2024-01-01 10:00:00'));
+
+    expect(index.getFreshEntry(1, '6|2024-01-02 09:00:00')).toBeNull();
+    expect(index.getFreshEntry(1, null)).toBeNull();
+  });
+
+  test('reads item stamps with a single query', async () => {
+    global.Zotero.DB = {
+      queryAsync: jest.fn().mockResolvedValue([
+        { itemID: 1, version: 5, clientDateModified: '2024-01-01 10:00:00' },
+        { itemID: 2, version: 0, clientDateModified: '2024-01-03 11:00:00' }
+      ])
+    };
+
+    const stamps = await index.fetchItemStamps(1);
+
+    expect(global.Zotero.DB.queryAsync).toHaveBeenCalledTimes(1);
+    expect(global.Zotero.DB.queryAsync.mock.calls[0][1]).toEqual([1]);
+    expect(stamps.get(1)).toBe('5|2024-01-01 10:00:00');
+    expect(stamps.get(2)).toBe('0|2024-01-03 11:00:00');
+  });
+
+  test('returns no stamps without database access', async () => {
+    expect(await index.fetchItemStamps(1)).toBeNull();
+  });
+
+  test('Notifier modifications mark entries dirty until reindexed', () => {
+    index.setEntry(1, sampleEntry('5|a'));
+    index.notify('modify', 'item', [1]);
+
+    expect(index.getFreshEntry(1, '5|a')).toBeNull();
+
+    index.setEntry(1, sampleEntry('5|a'));
+    expect(index.getFreshEntry(1, '5|a')).not.toBeNull();
+  });
+
+  test('Notifier trash and delete events remove entries', () => {
+    index.setEntry(1, sampleEntry('5|a'));
+    index.setEntry(2, sampleEntry('5|a'));
+    index.notify('trash', 'item', [1]);
+    index.notify('delete', 'item', [2]);
+    index.notify('modify', 'collection', [3]);
+
+    expect(index.entries).toEqual({});
+    expect(index.dirtyItemIds.size).toBe(0);
+  });
+
+  test('prunes entries of items that no longer exist in the library', () => {
+    index.setEntry(1, sampleEntry('5|a', 1));
+    index.setEntry(2, sampleEntry('5|a', 1));
+    index.setEntry(3, sampleEntry('5|a', 2));
+
+    index.prune(1, new Map([[1, '5|a']]));
+
+    expect(Object.keys(index.entries)).toEqual(['1', '3']);
+  });
+
+  test('registers and unregisters a single item observer', () => {
+    global.Zotero.Notifier = {
+      registerObserver: jest.fn().mockReturnValue('observer-1'),
+      unregisterObserver: jest.fn()
+    };
+
+    expect(index.registerObserver()).toBe(true);
+    index.registerObserver();
+    expect(global.Zotero.Notifier.registerObserver).toHaveBeenCalledTimes(1);
+    expect(global.Zotero.Notifier.registerObserver.mock.calls[0][1]).toEqual(['item']);
+
+    const observer = global.Zotero.Notifier.registerObserver.mock.calls[0][0];
+    index.setEntry(7, sampleEntry('1|a'));
+    observer.notify('trash', 'item', [7]);
+    expect(index.entries[7]).toBeUndefined();
+
+    index.unregisterObserver();
+    expect(global.Zotero.Notifier.unregisterObserver).toHaveBeenCalledWith('observer-1');
+    expect(index.observerId).toBeNull();
+  });
+
+  test('returns one shared index', () => {
+    expect(CreatorIndex.getShared()).toBe(CreatorIndex.getShared());
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit tests for NormalizationJournal
+ * Tests persistence of applied normalization runs
+ */
+
+let localStorageStore = {};
+
+global.localStorage = {
+  getItem: jest.fn((key) => localStorageStore[key] || null),
+  setItem: jest.fn((key, value) => {
+    localStorageStore[key] = value.toString();
+  }),
+  removeItem: jest.fn((key) => {
+    delete localStorageStore[key];
+  })
+};
+
+const NormalizationJournal = require('../../src/storage/normalization-journal.js');
+
+describe('NormalizationJournal', () => {
+  let journal;
+
+  const sampleItem = (itemId) => ({
+    itemId,
+    itemKey: 'KEY' + itemId,
+    title: 'Title ' + itemId,
+    before: [{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }],
+    after: [{ firstName: 'John', lastName: 'Smith', creatorType: 'author' }]
+  });
+
+  beforeEach(() => {
+    localStorageStore = {};
+    journal = new NormalizationJournal();
+  });
+
+  test('does not record runs without changed items', async () => {
+    expect(await journal.recordRun({ items: [] })).toBeNull();
+    expect(journal.getRuns()).toEqual([]);
+  });
+
+  test('persists runs with an id and timestamp', async () => {
+    const run = await journal.recordRun({ items: [sampleItem(1)], suggestionCount: 1 });
+
+    expect(run.id).toMatch(/^run-/);
+    expect(run.timestamp).toBeTruthy();
+
+    const reloaded = new NormalizationJournal();
+    expect(reloaded.getRun(run.id).items[0]).toMatchObject({
+      itemId: 1,
+      before: [{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }],
+      after: [{ firstName: 'John', lastName: 'Smith', creatorType: 'author' }]
+    });
+  });
+
+  test('snapshots creators so later mutation does not alter the journal', async () => {
+    const item = sampleItem(2);
+    const run = await journal.recordRun({ items: [item] });
+    item.before[0].lastName = 'Changed';
+
+    expect(journal.getRun(run.id).items[0].before[0].lastName).toBe('Smyth');
+  });
+
+  test('stores the journal as a file in the Zotero data directory', async () => {
+    const files = {};
+    global.PathUtils = { join: (...parts) => parts.join('/') };
+    global.IOUtils = {
+      exists: jest.fn(async (path) => path in files),
+      readUTF8: jest.fn(async (path) => files[path]),
+      writeUTF8: jest.fn(async (path, data) => { files[path] = data; }),
+      remove: jest.fn(async (path) => { delete files[path]; })
+    };
+    global.Zotero = { DataDirectory: { dir: '/zotero' } };
+    localStorageStore.name_normalizer_undo_journal = JSON.stringify([{ id: 'run-old', items: [], revertedAt: null }]);
+
+    try {
+      const fileJournal = new NormalizationJournal();
+      await fileJournal.ready;
+      expect(localStorageStore).toEqual({});
+
+      await fileJournal.recordRun({ id: 'run-new', items: [sampleItem(1)] });
+      expect(Object.keys(files)).toEqual(['/zotero/name-normalizer-journal.json']);
+
+      const reloaded = new NormalizationJournal();
+      await reloaded.ready;
+      expect(reloaded.getRuns().map(run => run.id)).toEqual(['run-new', 'run-old']);
+
+      await reloaded.clear();
+      expect(files).toEqual({});
+    } finally {
+      delete global.PathUtils;
+      delete global.IOUtils;
+      delete global.Zotero;
+    }
+  });
+
+  test('reports a run that could not be saved instead of keeping it', async () => {
+    global.localStorage.setItem.mockImplementationOnce(() => { throw new Error('The quota has been exceeded.'); });
+
+    await expect(journal.recordRun({ id: 'run-lost', items: [sampleItem(1)] }))
+      .rejects.toThrow('could not be saved for undo: The quota has been exceeded.');
+    expect(journal.getRuns()).toEqual([]);
+    expect(journal.getLastRun()).toBeNull();
+  });
+
+  test('compares creators field by field', () => {
+    const recorded = [{ firstName: 'John', lastName: 'Smith', creatorType: 'author' }];
+
+    expect(journal.creatorsMatch([{ lastName: 'Smith', creatorType: 'author', firstName: 'John', fieldMode: 0 }], recorded)).toBe(true);
+    expect(journal.creatorsMatch([{ firstName: 'Jon', lastName: 'Smith', creatorType: 'author' }], recorded)).toBe(false);
+    expect(journal.creatorsMatch([{ firstName: 'John', lastName: 'Smith', creatorType: 'editor' }], recorded)).toBe(false);
+    expect(journal.creatorsMatch([{ firstName: '', lastName: 'John Smith', fieldMode: 1, creatorType: 'author' }], recorded)).toBe(false);
+    expect(journal.creatorsMatch([], recorded)).toBe(false);
+  });
+
+  test('resolves creator type IDs through Zotero when comparing', () => {
+    global.Zotero = { CreatorTypes: { getName: jest.fn(id => (id === 8 ? 'author' : 'editor')) } };
+    try {
+      const recorded = [{ firstName: 'John', lastName: 'Smith', creatorType: 'author' }];
+      expect(journal.creatorsMatch([{ firstName: 'John', lastName: 'Smith', creatorTypeID: 8 }], recorded)).toBe(true);
+      expect(journal.creatorsMatch([{ firstName: 'John', lastName: 'Smith', creatorTypeID: 10 }], recorded)).toBe(false);
+    } finally {
+      delete global.Zotero;
+    }
+  });
+
+  test('returns runs newest first and skips reverted runs for undo', async () => {
+    const first = await journal.recordRun({ id: 'run-a', items: [sampleItem(1)] });
+    const second = await journal.recordRun({ id: 'run-b', items: [sampleItem(2)] });
+
+    expect(journal.getRuns().map(run => run.id)).toEqual([second.id, first.id]);
+    expect(journal.getLastRun().id).toBe(second.id);
+
+    await journal.markReverted(second.id, { reverted: 1 });
+    expect(journal.getLastRun().id).toBe(first.id);
+    expect(journal.getRun(second.id).revertOutcome).toEqual({ reverted: 1, conflicts: 0, missing: 0 });
+  });
+
+  test('does not lose runs recorded by another instance', async () => {
+    const other = new NormalizationJournal();
+    await other.recordRun({ id: 'run-other', items: [sampleItem(1)] });
+    await journal.recordRun({ id: 'run-mine', items: [sampleItem(2)] });
+
+    expect(new NormalizationJournal().getRuns().map(run => run.id)).toEqual(['run-mine', 'run-other']);
+  });
+
+  test('marks individual items as reverted', async () => {
+    await journal.recordRun({ id: 'run-a', items: [sampleItem(1), sampleItem(2)] });
+    await journal.markItemsReverted('run-a', [2]);
+
+    const items = journal.getRun('run-a').items;
+    expect(items[0].reverted).toBeUndefined();
+    expect(items[1].reverted).toBe(true);
+  });
+
+  test('keeps only the most recent runs', async () => {
+    journal.maxRuns = 2;
+    await journal.recordRun({ id: 'run-1', items: [sampleItem(1)] });
+    await journal.recordRun({ id: 'run-2', items: [sampleItem(2)] });
+    await journal.recordRun({ id: 'run-3', items: [sampleItem(3)] });
+
+    expect(journal.getRuns().map(run => run.id)).toEqual(['run-3', 'run-2']);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Unit tests for the analysis worker and its main-thread client
+ * The worker is exercised in-process through a fake ChromeWorker
+ */
+
+global.Zotero = {
+  debug: jest.fn()
+};
+
+const ZoteroDBAnalyzer = require('../../src/zotero/zotero-db-analyzer.js');
+const AnalysisWorkerClient = require('../../src/worker/analysis-worker-client.js');
+const { handleAnalysisRequest } = require('../../src/worker/analysis-worker.js');
+
+const makeCreator = (firstName, lastName, count = 1) => ({
+  firstName,
+  lastName,
+  count,
+  items: [{ id: count, key: 'KEY' + count, title: lastName + ' ' + count }]
+});
+
+const creators = [
+  makeCreator('Harriet', 'Brown', 6),
+  makeCreator('Harriet R.', 'Brown', 4),
+  makeCreator('Scott', 'Brown', 5),
+  makeCreator('Scott D.', 'Brown', 3)
+];
+
+// Runs the worker script in-process, delivering messages asynchronously like a real worker
+class FakeWorker {
+  constructor(url) {
+    this.url = url;
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(data) {
+    setTimeout(() => {
+      handleAnalysisRequest(data, (message) => {
+        if (!this.terminated && this.onmessage) {
+          this.onmessage({ data: JSON.parse(JSON.stringify(message)) });
+        }
+      });
+    }, 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('analysis worker', () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    global.ChromeWorker = FakeWorker;
+  });
+
+  afterEach(() => {
+    delete global.ChromeWorker;
+  });
+
+  test('worker results match analysis on the main thread', async () => {
+    const analyzer = new ZoteroDBAnalyzer();
+    const direct = await analyzer.analyzeCreators(creators);
+
+    const results = await new AnalysisWorkerClient().analyze(creators, {
+      learning: analyzer.getLearningSnapshot()
+    });
+
+    expect(results.suggestions.length).toBeGreaterThan(0);
+    expect(results.suggestions).toEqual(JSON.parse(JSON.stringify(direct.suggestions)));
+    expect(results.surnameFrequencies).toEqual(direct.surnameFrequencies);
+    expect(FakeWorker.instances[0].url).toBe(AnalysisWorkerClient.WORKER_URL);
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+  });
+
+  test('applies learned distinct pairs inside the worker', async () => {
+    const analyzer = new ZoteroDBAnalyzer();
+    const direct = await analyzer.analyzeCreators(creators);
+    const pairs = analyzer.getVariantPairsForSuggestion(direct.suggestions[0]);
+
+    analyzer.learningEngine.distinctPairs = new Map();
+    for (const pair of pairs) {
+      const key = analyzer.learningEngine.createPairKey(pair.nameA, pair.nameB, pair.scope);
+      analyzer.learningEngine.distinctPairs.set(key, { timestamp: 1 });
+    }
+
+    const results = await new AnalysisWorkerClient().analyze(creators, {
+      learning: analyzer.getLearningSnapshot()
+    });
+
+    expect(results.suggestions.length).toBe(direct.suggestions.length - 1);
+  });
+
+  test('forwards progress to the progress callback', async () => {
+    const progressCallback = jest.fn();
+
+    await new AnalysisWorkerClient().analyze(creators, { progressCallback });
+
+    const stages = progressCallback.mock.calls.map(call => call[0].stage);
+    expect(stages).toContain('generating_suggestions');
+    expect(progressCallback.mock.calls.every(call => typeof call[0].percent === 'number')).toBe(true);
+  });
+
+  test('terminates the worker when shouldCancel returns true', async () => {
+    let calls = 0;
+    const shouldCancel = () => ++calls > 1;
+
+    await expect(new AnalysisWorkerClient().analyze(creators, { shouldCancel }))
+      .rejects.toThrow('Analysis cancelled');
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+  });
+
+  test('terminates a busy worker that sends no progress once shouldCancel returns true', async () => {
+    jest.useFakeTimers();
+    try {
+      global.ChromeWorker = class extends FakeWorker {
+        postMessage() {}
+      };
+      let cancelled = false;
+
+      const analysis = new AnalysisWorkerClient().analyze(creators, { shouldCancel: () => cancelled });
+      const outcome = expect(analysis).rejects.toThrow('Analysis cancelled');
+
+      jest.advanceTimersByTime(AnalysisWorkerClient.CANCEL_POLL_INTERVAL);
+      expect(FakeWorker.instances[0].terminated).toBe(false);
+
+      cancelled = true;
+      jest.advanceTimersByTime(AnalysisWorkerClient.CANCEL_POLL_INTERVAL);
+      await outcome;
+      expect(FakeWorker.instances[0].terminated).toBe(true);
+      expect(jest.getTimerCount()).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('reports errors raised inside the worker', async () => {
+    await expect(new AnalysisWorkerClient().analyze(null))
+      .resolves.toMatchObject({ suggestions: [] });
+
+    const post = jest.fn();
+    await handleAnalysisRequest({ creators: [null] }, post);
+    expect(post).toHaveBeenLastCalledWith({ type: 'error', message: expect.any(String) });
+  });
+
+  test('runCreatorAnalysis falls back to the main thread without workers', async () => {
+    delete global.ChromeWorker;
+    const analyzer = new ZoteroDBAnalyzer();
+    const spy = jest.spyOn(analyzer, 'analyzeCreators');
+
+    expect(AnalysisWorkerClient.isSupported()).toBe(false);
+    await analyzer.runCreatorAnalysis(creators);
+
+    expect(spy).toHaveBeenCalled();
+  });
+
+  test('runCreatorAnalysis falls back to the main thread when the worker fails', async () => {
+    global.ChromeWorker = class extends FakeWorker {
+      postMessage() {
+        setTimeout(() => this.onerror({ message: 'script not found', preventDefault: jest.fn() }), 0);
+      }
+    };
+    const analyzer = new ZoteroDBAnalyzer();
+    const spy = jest.spyOn(analyzer, 'analyzeCreators');
+
+    const results = await analyzer.runCreatorAnalysis(creators);
+
+    expect(spy).toHaveBeenCalled();
+    expect(results.suggestions.length).toBeGreaterThan(0);
+  });
+
+  test('runCreatorAnalysis does not fall back after cancellation', async () => {
+    const analyzer = new ZoteroDBAnalyzer();
+    const spy = jest.spyOn(analyzer, 'analyzeCreators');
+
+    await expect(analyzer.runCreatorAnalysis(creators, null, () => true)).rejects.toThrow('Analysis cancelled');
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
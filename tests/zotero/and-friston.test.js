@@ -128,4 +128,42 @@ describe('Malformed surname "and Friston" handling', () => {
     expect(andFristonVariant.items[0].title).toBe('Paper 1');
     expect(andFristonVariant.items[0].author).toBe('Karl and Friston');
   });
+
+  it('should recommend the clean surname and never rewrite clean Friston creators', async () => {
+    const creator = (lastName, ids) => ({
+      firstName: 'Karl',
+      lastName,
+      count: ids.length,
+      parsedName: analyzer.parseName('Karl ' + lastName),
+      items: ids.map(id => ({ id, title: 'Paper ' + id, author: 'Karl ' + lastName, authorFirstName: 'Karl', authorLastName: lastName }))
+    });
+    const items = {};
+    const makeItem = (id, lastName) => {
+      let current = [{ firstName: 'Karl', lastName, creatorType: 'author' }];
+      items[id] = {
+        id,
+        key: 'KEY' + id,
+        libraryID: 1,
+        getField: jest.fn().mockReturnValue('Paper ' + id),
+        getCreators: jest.fn(() => current),
+        setCreators: jest.fn((next) => { current = next; }),
+        saveTx: jest.fn().mockResolvedValue(true)
+      };
+    };
+    makeItem(7, 'Friston');
+    makeItem(8, 'Friston');
+    makeItem(9, 'and Friston');
+    global.Zotero.Items.getAsync.mockImplementation(async (ids) => ids.map(id => items[id]).filter(Boolean));
+
+    const result = await analyzer.analyzeCreators([creator('Friston', [7, 8]), creator('and Friston', [9])]);
+
+    expect(result.suggestions.some(s => s.reason === 'compound')).toBe(false);
+    expect(result.suggestions.every(s => s.primary === 'Friston')).toBe(true);
+
+    await analyzer.applyNormalizationSuggestions(result.suggestions, true);
+
+    expect(items[7].setCreators).not.toHaveBeenCalled();
+    expect(items[8].setCreators).not.toHaveBeenCalled();
+    expect(items[9].getCreators()).toEqual([{ firstName: 'Karl', lastName: 'Friston', creatorType: 'author' }]);
+  });
 });
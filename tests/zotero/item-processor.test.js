@@ -65,6 +65,11 @@ describe('ItemProcessor', () => {
       expect(result.firstName).toBe('John');
       expect(result.lastName).toBe('Smith');
     });
+
+    test('should keep single-field names in one field', () => {
+      const result = itemProcessor.parseNameFromFullString('王小明', 1);
+      expect(result).toEqual({ firstName: '', lastName: '王小明', fieldMode: 1 });
+    });
   });
 
   describe('processItemCreators', () => {
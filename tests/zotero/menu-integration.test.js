@@ -154,6 +154,12 @@ describe('MenuIntegration', () => {
     expect(menuIntegration.zoteroDBAnalyzer.analyzeFullLibrary).toHaveBeenCalled();
   });
 
+  test('should pass the chosen library to the analyzer', async () => {
+    await menuIntegration.performFullLibraryAnalysis({ libraryID: 7 });
+
+    expect(menuIntegration.zoteroDBAnalyzer.analyzeFullLibrary).toHaveBeenCalledWith(null, null, { libraryID: 7 });
+  });
+
   test('should throw error when performing full library analysis without Zotero', async () => {
     // Remove Zotero global for this test
     const originalZotero = global.Zotero;
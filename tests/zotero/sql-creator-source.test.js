@@ -0,0 +1,157 @@
+/**
+ * Unit tests for SQLCreatorSource
+ * Tests reading creators and item summary fields with SQL instead of item objects
+ */
+
+const SQLCreatorSource = require('../../src/zotero/sql-creator-source.js');
+
+// Minimal tables: items, itemCreators + creators, the title/date/journal/extra item data and collections
+const tables = {
+  items: [
+    { itemID: 1, itemTypeID: 7, libraryID: 1, key: 'AAAA1111', version: 3, clientDateModified: '2024-01-01 10:00:00' },
+    { itemID: 2, itemTypeID: 7, libraryID: 1, key: 'BBBB2222', version: 0, clientDateModified: '2024-01-02 10:00:00' },
+    { itemID: 3, itemTypeID: 8, libraryID: 2, key: 'CCCC3333', version: 1, clientDateModified: '2024-01-03 10:00:00' }
+  ],
+  creators: [
+    { itemID: 1, orderIndex: 1, firstName: 'Jane', lastName: 'Doe', fieldMode: 0, creatorTypeID: 1 },
+    { itemID: 1, orderIndex: 0, firstName: 'John', lastName: 'Smith', fieldMode: 0, creatorTypeID: 1 },
+    { itemID: 2, orderIndex: 0, firstName: '', lastName: 'World Health Organization', fieldMode: 1, creatorTypeID: 2 },
+    { itemID: 3, orderIndex: 0, firstName: 'J.', lastName: 'Smith', fieldMode: 0, creatorTypeID: 1 }
+  ],
+  itemData: [
+    { itemID: 1, fieldID: 110, value: 'On Names' },
+    { itemID: 1, fieldID: 14, value: '2020-05-00 May 2020' },
+    { itemID: 1, fieldID: 16, value: 'ORCID: Smith, John: 0000-0002-1825-0097' },
+    { itemID: 1, fieldID: 12, value: 'Journal of Names' },
+    { itemID: 3, fieldID: 110, value: 'Other Names' }
+  ],
+  collectionItems: [
+    { itemID: 1, collectionID: 5 },
+    { itemID: 1, collectionID: 2 }
+  ],
+  deletedItems: [3]
+};
+
+const byItem = (rows, ids) => rows.filter(row => ids.includes(row.itemID));
+const sortByOrder = rows => rows.slice().sort((a, b) => a.itemID - b.itemID || a.orderIndex - b.orderIndex);
+
+const createDB = () => ({
+  queryAsync: jest.fn(async (sql, params = []) => {
+    if (sql.startsWith('SELECT itemID, itemTypeID')) {
+      return byItem(tables.items, params);
+    }
+    if (sql.startsWith('SELECT itemID, firstName')) {
+      return sortByOrder(byItem(tables.creators, params));
+    }
+    if (sql.startsWith('SELECT itemID, fieldID')) {
+      const fieldCount = sql.match(/fieldID IN \(([^)]*)\)/)[1].split(',').length;
+      const fieldIDs = params.slice(0, fieldCount);
+      return byItem(tables.itemData, params.slice(fieldCount)).filter(row => fieldIDs.includes(row.fieldID));
+    }
+    if (sql.startsWith('SELECT itemID, collectionID')) {
+      return byItem(tables.collectionItems, params).sort((a, b) => a.itemID - b.itemID || a.collectionID - b.collectionID);
+    }
+    if (sql.startsWith('SELECT firstName')) {
+      const rows = sortByOrder(tables.creators).filter(row => !tables.deletedItems.includes(row.itemID));
+      return params.length === 0
+        ? rows
+        : rows.filter(row => tables.items.find(item => item.itemID === row.itemID).libraryID === params[0]);
+    }
+    throw new Error('Unexpected query: ' + sql);
+  })
+});
+
+describe('SQLCreatorSource', () => {
+  let db;
+  let source;
+
+  beforeEach(() => {
+    db = createDB();
+    source = new SQLCreatorSource(db);
+    global.Zotero = {
+      DB: db,
+      ItemFields: { getID: jest.fn(field => ({ title: 110, date: 14, publicationTitle: 12, extra: 16 })[field] || false) },
+      ItemTypes: { getName: jest.fn(id => ({ 7: 'journalArticle', 8: 'book' })[id]) },
+      Date: { multipartToStr: jest.fn(value => value.split(' ').slice(1).join(' ')) }
+    };
+  });
+
+  afterEach(() => {
+    delete global.Zotero;
+  });
+
+  test('is only available with database and field lookups', () => {
+    expect(source.isAvailable()).toBe(true);
+    delete global.Zotero.ItemFields;
+    expect(source.isAvailable()).toBe(false);
+    expect(new SQLCreatorSource({}).isAvailable()).toBe(false);
+  });
+
+  test('builds item records in the requested order with creators in creator order', async () => {
+    const records = await source.getItemRecords([2, 1, 99]);
+
+    expect(records.map(record => record.id)).toEqual([2, 1]);
+    const [organization, article] = records;
+
+    expect(article).toMatchObject({ key: 'AAAA1111', libraryID: 1, version: 3, itemType: 'journalArticle' });
+    expect(article.getCreators()).toEqual([
+      { firstName: 'John', lastName: 'Smith', fieldMode: 0, creatorTypeID: 1 },
+      { firstName: 'Jane', lastName: 'Doe', fieldMode: 0, creatorTypeID: 1 }
+    ]);
+    expect(article.getField('title')).toBe('On Names');
+    expect(article.getField('date')).toBe('May 2020');
+    expect(article.getField('publicationTitle')).toBe('Journal of Names');
+    expect(article.getField('extra')).toBe('ORCID: Smith, John: 0000-0002-1825-0097');
+    expect(article.getCollections()).toEqual([2, 5]);
+    expect(organization.getCollections()).toEqual([]);
+
+    expect(organization.getCreators()[0]).toMatchObject({ lastName: 'World Health Organization', fieldMode: 1 });
+    expect(organization.getField('title')).toBe('');
+  });
+
+  test('splits large id lists into chunks', async () => {
+    source.chunkSize = 2;
+    await source.getItemRecords([1, 2, 3]);
+
+    // Four queries (items, creators, fields, collections) per chunk
+    expect(db.queryAsync).toHaveBeenCalledTimes(8);
+    expect(db.queryAsync.mock.calls[0][1]).toEqual([1, 2]);
+    expect(db.queryAsync.mock.calls[4][1]).toEqual([3]);
+  });
+
+  test('returns records that produce the same item summaries as Zotero items', async () => {
+    const ZoteroDBAnalyzer = require('../../src/zotero/zotero-db-analyzer.js');
+    const analyzer = new ZoteroDBAnalyzer();
+    const [record] = await source.getItemRecords([1]);
+    const item = {
+      id: 1,
+      key: 'AAAA1111',
+      itemType: 'journalArticle',
+      getField: field => ({ title: 'On Names', date: 'May 2020', publicationTitle: 'Journal of Names' })[field] || '',
+      getCreators: () => record.getCreators(),
+      getCollections: () => [2, 5]
+    };
+
+    const creator = record.getCreators()[1];
+    expect(analyzer.buildItemSummary(record, creator)).toEqual(analyzer.buildItemSummary(item, creator));
+  });
+
+  test('returns records whose Extra ORCID iDs reach the creator index', async () => {
+    const ZoteroDBAnalyzer = require('../../src/zotero/zotero-db-analyzer.js');
+    const analyzer = new ZoteroDBAnalyzer();
+    const [record] = await source.getItemRecords([1]);
+
+    const entry = analyzer.buildCreatorIndexEntry(record, 'stamp');
+    expect(entry.creators).toEqual([
+      { firstName: 'John', lastName: 'Smith', fieldMode: 0, orcid: '0000-0002-1825-0097' },
+      { firstName: 'Jane', lastName: 'Doe', fieldMode: 0 }
+    ]);
+  });
+
+  test('reads all creators, skipping trashed items', async () => {
+    const creators = await source.getAllCreators();
+
+    expect(creators.map(creator => creator.lastName)).toEqual(['Smith', 'Doe', 'World Health Organization']);
+    expect(await source.getAllCreators(2)).toEqual([]);
+  });
+});
@@ -1286,10 +1286,2009 @@ describe('ZoteroDBAnalyzer', () => {
       const results = await analyzer.applyNormalizationSuggestions(suggestions, true);
 
       expect(results.updatedCreators).toBe(1);
-      // Initials are normalized to title case: J.A. -> J.a. (first initial caps, rest lowercase)
+      // Initials keep their capitals
       expect(initialsItem.setCreators).toHaveBeenCalledWith([
-        { firstName: 'J.a.', lastName: 'Fodor', creatorType: 'author' }
+        { firstName: 'J.A.', lastName: 'Fodor', creatorType: 'author' }
       ]);
     });
   });
-});
\ No newline at end of file
+
+  describe('normalization journal and revert', () => {
+    const createStatefulItem = (id, creators) => {
+      let current = creators;
+      return {
+        id,
+        key: 'KEY' + id,
+        libraryID: 1,
+        dateModified: '2024-01-01 00:00:00',
+        getField: jest.fn().mockReturnValue('Title ' + id),
+        getCreators: jest.fn(() => current),
+        setCreators: jest.fn((next) => { current = next; }),
+        saveTx: jest.fn().mockResolvedValue(true)
+      };
+    };
+
+    const smythSuggestion = (itemId) => ({
+      type: 'surname',
+      primary: 'Smith',
+      variants: [{ name: 'Smyth', frequency: 1, items: [{ id: itemId, key: 'KEY' + itemId }] }],
+      similarity: 0.9
+    });
+
+    beforeEach(() => {
+      analyzer.journal.clear();
+    });
+
+    test('records before and after creators for every applied run', async () => {
+      const item = createStatefulItem(501, [{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+      global.Zotero.Items.getAsync.mockResolvedValue([item]);
+
+      const results = await analyzer.applyNormalizationSuggestions([smythSuggestion(501)], true);
+
+      expect(results.runId).toBeTruthy();
+      const history = analyzer.getNormalizationHistory();
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({ id: results.runId, itemCount: 1, revertedAt: null });
+
+      const run = analyzer.journal.getRun(results.runId);
+      expect(run.items[0].before).toEqual([{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+      expect(run.items[0].after).toEqual([{ firstName: 'John', lastName: 'Smith', creatorType: 'author' }]);
+    });
+
+    test('reports a run that could not be saved for undo', async () => {
+      const item = createStatefulItem(507, [{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+      global.Zotero.Items.getAsync.mockResolvedValue([item]);
+      const saveRuns = jest.spyOn(analyzer.journal, 'saveRuns').mockImplementation(async () => {
+        analyzer.journal.lastSaveError = new Error('The quota has been exceeded.');
+        return false;
+      });
+
+      try {
+        const results = await analyzer.applyNormalizationSuggestions([smythSuggestion(507)], true);
+        expect(results.applied).toBe(1);
+        expect(results.runId).toBeNull();
+        expect(results.journalError).toContain('The quota has been exceeded.');
+        expect(analyzer.getNormalizationHistory()).toEqual([]);
+      } finally {
+        saveRuns.mockRestore();
+      }
+    });
+
+    test('undoLastNormalizationRun restores the original creators', async () => {
+      const item = createStatefulItem(502, [{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+      global.Zotero.Items.getAsync.mockResolvedValue([item]);
+
+      await analyzer.applyNormalizationSuggestions([smythSuggestion(502)], true);
+      const outcome = await analyzer.undoLastNormalizationRun();
+
+      expect(outcome.reverted).toBe(1);
+      expect(outcome.conflicts).toHaveLength(0);
+      expect(item.getCreators()).toEqual([{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+      expect(analyzer.getNormalizationHistory()[0].revertedAt).toBeTruthy();
+      await expect(analyzer.undoLastNormalizationRun()).rejects.toThrow('No normalization run available to undo');
+    });
+
+    test('refuses to revert items whose creators changed after the run unless forced', async () => {
+      const item = createStatefulItem(503, [{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+      global.Zotero.Items.getAsync.mockResolvedValue([item]);
+
+      const { runId } = await analyzer.applyNormalizationSuggestions([smythSuggestion(503)], true);
+      item.setCreators([{ firstName: 'Jonathan', lastName: 'Smith', creatorType: 'author' }]);
+
+      const refused = await analyzer.revertNormalizationRun(runId);
+      expect(refused.reverted).toBe(0);
+      expect(refused.conflicts).toEqual([
+        expect.objectContaining({ itemId: 503, reason: expect.stringContaining('modified after') })
+      ]);
+      expect(item.getCreators()[0].firstName).toBe('Jonathan');
+      expect(analyzer.journal.getRun(runId).revertedAt).toBeNull();
+
+      const forced = await analyzer.revertNormalizationRun(runId, { force: true });
+      expect(forced.reverted).toBe(1);
+      expect(forced.warnings).toHaveLength(1);
+      expect(item.getCreators()).toEqual([{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+    });
+
+    test('does not treat a different key order or Zotero-only fields as a conflict', async () => {
+      const item = createStatefulItem(506, [{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+      global.Zotero.Items.getAsync.mockResolvedValue([item]);
+
+      const { runId } = await analyzer.applyNormalizationSuggestions([smythSuggestion(506)], true);
+      // Zotero hands creators back with its own key order and an explicit fieldMode
+      item.setCreators([{ creatorType: 'author', lastName: 'Smith', fieldMode: 0, firstName: 'John' }]);
+
+      const outcome = await analyzer.revertNormalizationRun(runId);
+      expect(outcome.conflicts).toHaveLength(0);
+      expect(outcome.warnings).toHaveLength(0);
+      expect(outcome.reverted).toBe(1);
+      expect(item.getCreators()).toEqual([{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+    });
+
+    test('warns about items edited in other fields but still reverts them', async () => {
+      const item = createStatefulItem(504, [{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+      global.Zotero.Items.getAsync.mockResolvedValue([item]);
+
+      const { runId } = await analyzer.applyNormalizationSuggestions([smythSuggestion(504)], true);
+      item.dateModified = '2024-02-01 00:00:00';
+
+      const outcome = await analyzer.revertNormalizationRun(runId);
+      expect(outcome.reverted).toBe(1);
+      expect(outcome.warnings).toEqual([
+        expect.objectContaining({ itemId: 504, reason: 'Item was modified after the normalization run' })
+      ]);
+    });
+
+    test('reports items that no longer exist as missing', async () => {
+      const item = createStatefulItem(505, [{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]);
+      global.Zotero.Items.getAsync.mockResolvedValue([item]);
+
+      const { runId } = await analyzer.applyNormalizationSuggestions([smythSuggestion(505)], true);
+      global.Zotero.Items.getAsync.mockResolvedValue([]);
+
+      const outcome = await analyzer.revertNormalizationRun(runId);
+      expect(outcome.reverted).toBe(0);
+      expect(outcome.missing).toEqual([expect.objectContaining({ itemId: 505 })]);
+    });
+  });
+
+  describe('dry run', () => {
+    const createItem = (id, creators) => ({
+      id,
+      key: 'KEY' + id,
+      getField: jest.fn().mockReturnValue('Title ' + id),
+      getCreators: jest.fn().mockReturnValue(creators),
+      setCreators: jest.fn(),
+      saveTx: jest.fn().mockResolvedValue(true)
+    });
+
+    test('returns a per-item diff without writing or learning', async () => {
+      const item = createItem(601, [
+        { firstName: 'Jane', lastName: 'Doe', creatorType: 'author' },
+        { firstName: 'JOHN', lastName: 'Smyth', creatorType: 'author' }
+      ]);
+      global.Zotero.Items.getAsync.mockResolvedValue([item]);
+      analyzer.journal.clear();
+
+      const suggestions = [{
+        type: 'surname',
+        primary: 'Smith',
+        variants: [{ name: 'Smyth', frequency: 1, items: [{ id: 601, key: 'KEY601' }] }],
+        similarity: 0.9
+      }];
+
+      const results = await analyzer.applyNormalizationSuggestions(suggestions, true, { dryRun: true });
+
+      expect(results.dryRun).toBe(true);
+      expect(results.applied).toBe(0);
+      expect(results.updatedCreators).toBe(1);
+      expect(results.diff).toEqual([{
+        itemId: 601,
+        itemKey: 'KEY601',
+        title: 'Title 601',
+        operation: 'Smyth → Smith',
+        changes: [{
+          creatorIndex: 1,
+          oldFirstName: 'JOHN',
+          oldLastName: 'Smyth',
+          newFirstName: 'John',
+          newLastName: 'Smith'
+        }]
+      }]);
+      expect(item.setCreators).not.toHaveBeenCalled();
+      expect(item.saveTx).not.toHaveBeenCalled();
+      expect(analyzer.learningEngine.storeMapping).not.toHaveBeenCalled();
+      expect(analyzer.getNormalizationHistory()).toHaveLength(0);
+    });
+
+    test('previews given-name changes with the same matching as apply', async () => {
+      const item = createItem(602, [
+        { firstName: 'J.', lastName: 'Fodor', creatorType: 'author' },
+        { firstName: 'Jerry', lastName: 'Fodor', creatorType: 'editor' }
+      ]);
+      global.Zotero.Items.getAsync.mockResolvedValue([item]);
+
+      const suggestions = [{
+        type: 'given-name',
+        surname: 'Fodor',
+        primary: 'Jerry Fodor',
+        variants: [{ name: 'J. Fodor', firstName: 'J.', lastName: 'Fodor', frequency: 1, items: [{ id: 602, key: 'KEY602' }] }]
+      }];
+
+      const results = await analyzer.applyNormalizationSuggestions(suggestions, true, { dryRun: true });
+
+      expect(results.diff).toHaveLength(1);
+      expect(results.diff[0].changes).toEqual([{
+        creatorIndex: 0,
+        oldFirstName: 'J.',
+        oldLastName: 'Fodor',
+        newFirstName: 'Jerry',
+        newLastName: 'Fodor'
+      }]);
+      expect(item.saveTx).not.toHaveBeenCalled();
+    });
+
+    test('applies every suggestion that changes a creator of the same item', async () => {
+      const creators = [
+        { firstName: 'John', lastName: 'Smyth', creatorType: 'author' },
+        { firstName: 'Anna', lastName: 'Muller', creatorType: 'author' }
+      ];
+      const suggestions = [
+        {
+          type: 'surname',
+          primary: 'Smith',
+          variants: [{ name: 'Smyth', frequency: 1, items: [{ id: 603, key: 'KEY603' }] }]
+        },
+        {
+          type: 'surname',
+          primary: 'Müller',
+          variants: [{ name: 'Muller', frequency: 1, items: [{ id: 603, key: 'KEY603' }] }]
+        }
+      ];
+      const expected = [
+        { firstName: 'John', lastName: 'Smith', creatorType: 'author' },
+        { firstName: 'Anna', lastName: 'Müller', creatorType: 'author' }
+      ];
+
+      const previewItem = createItem(603, creators);
+      global.Zotero.Items.getAsync.mockResolvedValue([previewItem]);
+      const preview = await analyzer.applyDatabaseNormalizations(suggestions, { dryRun: true });
+      expect(preview.diff).toHaveLength(1);
+      expect(preview.diff[0].operation).toBe('Smyth → Smith; Muller → Müller');
+      expect(preview.diff[0].changes.map(change => change.newLastName)).toEqual(['Smith', 'Müller']);
+
+      const item = createItem(603, creators);
+      global.Zotero.Items.getAsync.mockResolvedValue([item]);
+      const results = await analyzer.applyDatabaseNormalizations(suggestions);
+      expect(item.setCreators).toHaveBeenCalledWith(expected);
+      expect(results.updatedCreators).toBe(1);
+    });
+
+    test('lists confirmed changes that the apply would not make', async () => {
+      const creators = [{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }];
+      const suggestions = [
+        { type: 'surname', primary: 'Smith', variants: [{ name: 'Smyth', frequency: 1, items: [{ id: 604 }, { id: 605 }] }] },
+        { type: 'surname', primary: 'Smythe', variants: [{ name: 'Smyth', frequency: 1, items: [{ id: 604 }] }] }
+      ];
+      const readOnlyItem = { ...createItem(605, creators), libraryID: 3 };
+      global.Zotero.Libraries = { get: jest.fn(id => ({ libraryID: id, editable: id !== 3 })) };
+
+      try {
+        global.Zotero.Items.getAsync.mockResolvedValue([createItem(604, creators), readOnlyItem]);
+        const preview = await analyzer.applyNormalizationSuggestions(suggestions, true, { dryRun: true });
+
+        expect(preview.diff.map(entry => [entry.itemId, entry.operation])).toEqual([[604, 'Smyth → Smith']]);
+        expect(preview.notApplied).toEqual([
+          expect.objectContaining({
+            itemId: 604,
+            operation: 'Smyth → Smythe',
+            change: expect.objectContaining({ newLastName: 'Smythe' }),
+            reason: 'An earlier confirmed suggestion changes this creator'
+          }),
+          expect.objectContaining({ itemId: 605, operation: 'Smyth → Smith', reason: 'Item belongs to a read-only library' })
+        ]);
+
+        const item = createItem(604, creators);
+        global.Zotero.Items.getAsync.mockResolvedValue([item, { ...createItem(605, creators), libraryID: 3 }]);
+        const results = await analyzer.applyDatabaseNormalizations(suggestions);
+        expect(results.updatedCreators).toBe(preview.updatedCreators);
+        expect(item.setCreators).toHaveBeenCalledWith([{ firstName: 'John', lastName: 'Smith', creatorType: 'author' }]);
+      } finally {
+        delete global.Zotero.Libraries;
+      }
+    });
+  });
+
+  describe('library selection', () => {
+    const libraries = {
+      1: { libraryID: 1, name: 'My Library', libraryType: 'user', editable: true },
+      2: { libraryID: 2, name: 'Shared Bibliography', libraryType: 'group', editable: true },
+      3: { libraryID: 3, name: 'Read-Only Group', libraryType: 'group', editable: false },
+      4: { libraryID: 4, name: 'News Feed', libraryType: 'feed', editable: true }
+    };
+    let searchConditions;
+
+    beforeEach(() => {
+      searchConditions = [];
+      global.Zotero.Libraries = {
+        userLibraryID: 1,
+        get: jest.fn((id) => libraries[id] || false),
+        getAll: jest.fn(() => Object.values(libraries))
+      };
+      global.Zotero.Search = jest.fn().mockImplementation(() => ({
+        addCondition: jest.fn((...args) => searchConditions.push(args)),
+        search: jest.fn().mockResolvedValue([])
+      }));
+    });
+
+    afterEach(() => {
+      delete global.Zotero.Libraries;
+      delete global.Zotero.Search;
+    });
+
+    test('lists the user library and editable group libraries only', () => {
+      expect(analyzer.getAvailableLibraries()).toEqual([
+        { libraryID: 1, name: 'My Library', type: 'user', editable: true },
+        { libraryID: 2, name: 'Shared Bibliography', type: 'group', editable: true }
+      ]);
+    });
+
+    test('analyzes the requested library', async () => {
+      const results = await analyzer.analyzeFullLibrary(null, null, { libraryID: 2 });
+
+      expect(searchConditions).toContainEqual(['libraryID', 'is', 2]);
+      expect(results.libraryID).toBe(2);
+      expect(results.libraryName).toBe('Shared Bibliography');
+    });
+
+    test('defaults to the user library', async () => {
+      const results = await analyzer.analyzeFullLibrary();
+
+      expect(searchConditions).toContainEqual(['libraryID', 'is', 1]);
+      expect(results.libraryID).toBe(1);
+    });
+
+    test('refuses to analyze a read-only library', async () => {
+      await expect(analyzer.analyzeFullLibrary(null, null, { libraryID: 3 }))
+        .rejects.toThrow('The library "Read-Only Group" is read-only');
+      expect(global.Zotero.Search).not.toHaveBeenCalled();
+    });
+
+    test('refuses to apply suggestions to a read-only library', async () => {
+      const suggestions = [{
+        type: 'surname',
+        primary: 'Smith',
+        variants: [{ name: 'Smyth', items: [{ id: 123, key: 'ABC123' }] }]
+      }];
+
+      await expect(analyzer.applyNormalizationSuggestions(suggestions, true, { libraryID: 3 }))
+        .rejects.toThrow('is read-only');
+      expect(mockItem.setCreators).not.toHaveBeenCalled();
+    });
+
+    test('skips items that belong to a read-only library', async () => {
+      const readOnlyItem = {
+        id: 701,
+        key: 'RO701',
+        libraryID: 3,
+        getCreators: jest.fn().mockReturnValue([{ firstName: 'John', lastName: 'Smyth', creatorType: 'author' }]),
+        setCreators: jest.fn(),
+        saveTx: jest.fn()
+      };
+      global.Zotero.Items.getAsync.mockResolvedValue([readOnlyItem]);
+
+      const results = await analyzer.applyNormalizationSuggestions([{
+        type: 'surname',
+        primary: 'Smith',
+        variants: [{ name: 'Smyth', items: [{ id: 701, key: 'RO701' }] }]
+      }], true);
+
+      expect(results.updatedCreators).toBe(0);
+      expect(results.errors).toBe(1);
+      expect(readOnlyItem.saveTx).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('analysis scope', () => {
+    const collections = {
+      10: { id: 10, key: 'COLL10', name: 'Thesis', libraryID: 2 }
+    };
+    const savedSearches = {
+      20: { id: 20, key: 'SRCH20', name: 'Recent', libraryID: 1 }
+    };
+    let searchConditions;
+
+    beforeEach(() => {
+      searchConditions = [];
+      global.Zotero.Libraries = {
+        userLibraryID: 1,
+        get: jest.fn((id) => ({ libraryID: id, name: id === 1 ? 'My Library' : 'Group', editable: true }))
+      };
+      global.Zotero.Collections = {
+        get: jest.fn((id) => collections[id] || false),
+        getByLibraryAndKey: jest.fn((libraryID, key) =>
+          Object.values(collections).find(c => c.libraryID === libraryID && c.key === key) || false)
+      };
+      global.Zotero.Searches = {
+        get: jest.fn((id) => savedSearches[id] || false),
+        getByLibraryAndKey: jest.fn(() => false)
+      };
+      global.Zotero.Search = jest.fn().mockImplementation(() => ({
+        addCondition: jest.fn((...args) => searchConditions.push(args)),
+        search: jest.fn().mockResolvedValue([123])
+      }));
+    });
+
+    afterEach(() => {
+      delete global.Zotero.Libraries;
+      delete global.Zotero.Collections;
+      delete global.Zotero.Searches;
+      delete global.Zotero.Search;
+    });
+
+    test('analyzes a collection in the collection\'s library', async () => {
+      const results = await analyzer.analyzeFullLibrary(null, null, {
+        scope: { type: 'collection', collectionId: 10 }
+      });
+
+      expect(searchConditions).toEqual([
+        ['libraryID', 'is', 2],
+        ['collection', 'is', 'COLL10']
+      ]);
+      expect(results.libraryID).toBe(2);
+      expect(results.scope).toMatchObject({ type: 'collection', label: 'Collection "Thesis"' });
+    });
+
+    test('includes subcollections when requested', async () => {
+      await analyzer.analyzeFullLibrary(null, null, {
+        libraryID: 2,
+        scope: { type: 'collection', collectionId: 'COLL10', includeSubcollections: true }
+      });
+
+      expect(global.Zotero.Collections.getByLibraryAndKey).toHaveBeenCalledWith(2, 'COLL10');
+      expect(searchConditions).toContainEqual(['recursive', 'true']);
+    });
+
+    test('analyzes a saved search', async () => {
+      const results = await analyzer.analyzeFullLibrary(null, null, {
+        scope: { type: 'savedSearch', savedSearchId: 20 }
+      });
+
+      expect(searchConditions).toContainEqual(['savedSearch', 'is', 'SRCH20']);
+      expect(results.scope.label).toBe('Saved search "Recent"');
+    });
+
+    test('analyzes items with a tag', async () => {
+      await analyzer.analyzeFullLibrary(null, null, { scope: { type: 'tag', tag: ' to-read ' } });
+
+      expect(searchConditions).toEqual([
+        ['libraryID', 'is', 1],
+        ['tag', 'is', 'to-read']
+      ]);
+    });
+
+    test('analyzes the selected items without searching', async () => {
+      const results = await analyzer.analyzeFullLibrary(null, null, {
+        scope: { type: 'selection', itemIds: [123] }
+      });
+
+      expect(global.Zotero.Search).not.toHaveBeenCalled();
+      expect(global.Zotero.Items.getAsync).toHaveBeenCalledWith([123]);
+      expect(results.scope).toMatchObject({ type: 'selection', itemIds: [123] });
+    });
+
+    test('analyzes selected items in their own library', async () => {
+      const libraries = { 123: 2, 124: 2, 125: 1 };
+      global.Zotero.Items.get = jest.fn((id) => (libraries[id] ? { id, libraryID: libraries[id] } : false));
+
+      try {
+        const results = await analyzer.analyzeFullLibrary(null, null, {
+          scope: { type: 'selection', itemIds: [123, 124] }
+        });
+        expect(results.libraryID).toBe(2);
+        expect(global.Zotero.Libraries.get).toHaveBeenCalledWith(2);
+
+        await expect(analyzer.analyzeFullLibrary(null, null, { scope: { type: 'selection', itemIds: [123, 125] } }))
+          .rejects.toThrow('more than one library');
+      } finally {
+        delete global.Zotero.Items.get;
+      }
+    });
+
+    test('rejects scopes that cannot be resolved', async () => {
+      await expect(analyzer.analyzeFullLibrary(null, null, { scope: { type: 'collection', collectionId: 99 } }))
+        .rejects.toThrow('Collection not found: 99');
+      await expect(analyzer.analyzeFullLibrary(null, null, { scope: { type: 'savedSearch', savedSearchId: 'NOPE' } }))
+        .rejects.toThrow('Saved search not found: NOPE');
+      await expect(analyzer.analyzeFullLibrary(null, null, { scope: { type: 'tag', tag: '  ' } }))
+        .rejects.toThrow('A tag is required');
+      await expect(analyzer.analyzeFullLibrary(null, null, { scope: { type: 'selection', itemIds: [] } }))
+        .rejects.toThrow('No items are selected');
+      await expect(analyzer.analyzeFullLibrary(null, null, { scope: { type: 'publication' } }))
+        .rejects.toThrow('Unknown analysis scope: publication');
+      expect(global.Zotero.Search).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('incremental analysis with the creator index', () => {
+    let items;
+    let stampRows;
+
+    const makeItem = (id, title, creators) => ({
+      id,
+      key: 'KEY' + id,
+      libraryID: 1,
+      itemType: 'journalArticle',
+      getField: jest.fn((field) => (field === 'title' ? title : field === 'date' ? '2020' : '')),
+      getCreators: jest.fn(() => creators)
+    });
+
+    const author = (firstName, lastName) => ({ firstName, lastName, creatorType: 'author' });
+
+    beforeEach(() => {
+      analyzer.creatorIndex.clear();
+      items = {
+        1: makeItem(1, 'First', [author('Harriet', 'Brown'), author('Jane', 'Doe')]),
+        2: makeItem(2, 'Second', [author('Harriet R.', 'Brown')]),
+        3: makeItem(3, 'Third', [author('Harriet', 'Brown')])
+      };
+      stampRows = [1, 2, 3].map(id => ({ itemID: id, version: 1, clientDateModified: '2024-01-01 00:00:00' }));
+
+      global.Zotero.DB.queryAsync = jest.fn(async () => stampRows);
+      global.Zotero.Libraries = {
+        userLibraryID: 1,
+        get: jest.fn(() => ({ libraryID: 1, name: 'My Library', editable: true }))
+      };
+      global.Zotero.Search = jest.fn().mockImplementation(() => ({
+        addCondition: jest.fn(),
+        search: jest.fn(async () => Object.keys(items).map(Number))
+      }));
+      global.Zotero.Items.getAsync.mockImplementation(async (ids) => ids.map(id => items[id]).filter(Boolean));
+    });
+
+    afterEach(() => {
+      analyzer.creatorIndex.clear();
+      delete global.Zotero.DB.queryAsync;
+      delete global.Zotero.Libraries;
+      delete global.Zotero.Search;
+    });
+
+    const loadedItemIDs = () => global.Zotero.Items.getAsync.mock.calls.flatMap(call => call[0]);
+
+    test('reuses indexed items when nothing changed', async () => {
+      const cold = await analyzer.analyzeFullLibrary();
+      global.Zotero.Items.getAsync.mockClear();
+
+      const warm = await analyzer.analyzeFullLibrary();
+
+      expect(loadedItemIDs()).toEqual([]);
+      expect(cold.suggestions.length).toBeGreaterThan(0);
+      expect(warm.suggestions).toEqual(cold.suggestions);
+      expect(warm.surnameFrequencies).toEqual(cold.surnameFrequencies);
+    });
+
+    test('reports when the creator index cannot be saved', async () => {
+      const saveIndex = jest.spyOn(analyzer.creatorIndex, 'saveIndex').mockImplementation(async () => {
+        analyzer.creatorIndex.lastSaveError = new Error('The quota has been exceeded.');
+        return false;
+      });
+
+      try {
+        const results = await analyzer.analyzeFullLibrary();
+        expect(results.suggestions.length).toBeGreaterThan(0);
+        expect(results.creatorIndexWarning).toContain('The quota has been exceeded.');
+      } finally {
+        saveIndex.mockRestore();
+        analyzer.creatorIndex.lastSaveError = null;
+      }
+
+      expect((await analyzer.analyzeFullLibrary()).creatorIndexWarning).toBeUndefined();
+    });
+
+    test('reloads only items whose version changed and matches a cold scan', async () => {
+      await analyzer.analyzeFullLibrary();
+      items[2] = makeItem(2, 'Second (revised)', [author('Scott', 'Brown')]);
+      stampRows[1] = { itemID: 2, version: 2, clientDateModified: '2024-02-01 00:00:00' };
+      global.Zotero.Items.getAsync.mockClear();
+
+      const incremental = await analyzer.analyzeFullLibrary();
+      expect(loadedItemIDs()).toEqual([2]);
+
+      const cold = await analyzer.analyzeFullLibrary(null, null, { fullScan: true });
+      expect(incremental.suggestions).toEqual(cold.suggestions);
+      expect(incremental.surnameFrequencies).toEqual(cold.surnameFrequencies);
+      expect(incremental.totalVariantGroups).toBe(cold.totalVariantGroups);
+    });
+
+    test('reloads items reported by the Notifier even when the stamp is unchanged', async () => {
+      await analyzer.analyzeFullLibrary();
+      items[3] = makeItem(3, 'Third', [author('Harriet R.', 'Brown')]);
+      analyzer.creatorIndex.notify('modify', 'item', [3]);
+      global.Zotero.Items.getAsync.mockClear();
+
+      const incremental = await analyzer.analyzeFullLibrary();
+      const cold = await analyzer.analyzeFullLibrary(null, null, { fullScan: true });
+
+      expect(loadedItemIDs().slice(0, 1)).toEqual([3]);
+      expect(incremental.suggestions).toEqual(cold.suggestions);
+    });
+
+    test('drops trashed items without reloading the rest', async () => {
+      await analyzer.analyzeFullLibrary();
+      delete items[2];
+      stampRows = stampRows.filter(row => row.itemID !== 2);
+      analyzer.creatorIndex.notify('trash', 'item', [2]);
+      global.Zotero.Items.getAsync.mockClear();
+
+      const incremental = await analyzer.analyzeFullLibrary();
+      expect(loadedItemIDs()).toEqual([]);
+
+      const cold = await analyzer.analyzeFullLibrary(null, null, { fullScan: true });
+      expect(incremental.suggestions).toEqual(cold.suggestions);
+      expect(incremental.surnameFrequencies).toEqual(cold.surnameFrequencies);
+    });
+
+    test('reads creators with SQL instead of loading items when the database can be queried', async () => {
+      const fromItems = await analyzer.analyzeFullLibrary(null, null, { fullScan: true });
+
+      global.Zotero.ItemFields = { getID: jest.fn(field => ({ title: 110, date: 14 })[field] || false) };
+      global.Zotero.ItemTypes = { getName: jest.fn(() => 'journalArticle') };
+      global.Zotero.DB.queryAsync = jest.fn(async (sql, params) => {
+        const ids = params.filter(id => items[id]);
+        if (sql.startsWith('SELECT itemID, version')) {
+          return stampRows;
+        }
+        if (sql.startsWith('SELECT itemID, itemTypeID')) {
+          return ids.map(id => ({ itemID: id, itemTypeID: 1, libraryID: 1, key: 'KEY' + id, version: 1 }));
+        }
+        if (sql.startsWith('SELECT itemID, firstName')) {
+          return ids.flatMap(id => items[id].getCreators().map(creator => ({ itemID: id, ...creator, fieldMode: 0 })));
+        }
+        if (sql.startsWith('SELECT itemID, collectionID')) {
+          return [];
+        }
+        return ids.flatMap(id => [
+          { itemID: id, fieldID: 110, value: items[id].getField('title') },
+          { itemID: id, fieldID: 14, value: '2020' }
+        ]);
+      });
+      global.Zotero.Items.getAsync.mockClear();
+
+      try {
+        const fromSQL = await analyzer.analyzeFullLibrary(null, null, { fullScan: true });
+
+        expect(global.Zotero.Items.getAsync).not.toHaveBeenCalled();
+        expect(fromSQL.suggestions).toEqual(fromItems.suggestions);
+        expect(fromSQL.surnameFrequencies).toEqual(fromItems.surnameFrequencies);
+      } finally {
+        delete global.Zotero.ItemFields;
+        delete global.Zotero.ItemTypes;
+      }
+    });
+  });
+
+  describe('spelling variant surnames', () => {
+    const makeCreator = (firstName, lastName, count, id) => ({
+      firstName,
+      lastName,
+      count,
+      items: [{ id, key: 'KEY' + id, title: lastName + ' ' + id }]
+    });
+
+    test('suggests typo variants of the same author tagged as spelling', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('Daniel C.', 'Dennett', 5, 1),
+        makeCreator('Daniel C.', 'Dennet', 1, 2),
+        makeCreator('Michael', 'Tomasello', 4, 3),
+        makeCreator('Michael', 'Tommasello', 1, 4)
+      ]);
+
+      const spelling = results.suggestions.filter(s => s.reason === 'spelling');
+      expect(spelling.map(s => s.primary)).toEqual(['Dennett', 'Tomasello']);
+      expect(spelling[0].variants.map(v => v.name)).toEqual(['Dennett', 'Dennet']);
+      expect(spelling[0].variants[1].items.map(item => item.id)).toEqual([2]);
+      expect(spelling[0].similarity).toBeGreaterThanOrEqual(0.92);
+    });
+
+    test('requires matching given names', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('Anna', 'Schmidt', 2, 1),
+        makeCreator('Peter', 'Schmitt', 2, 2),
+        makeCreator('', 'Dennett', 2, 3),
+        makeCreator('', 'Dennet', 1, 4)
+      ]);
+
+      expect(results.suggestions.filter(s => s.reason === 'spelling')).toEqual([]);
+
+      const sameAuthor = await analyzer.analyzeCreators([
+        makeCreator('Anna', 'Schmidt', 2, 1),
+        makeCreator('Anna', 'Schmitt', 1, 2)
+      ]);
+      expect(sameAuthor.suggestions).toMatchObject([{ primary: 'Schmidt', reason: 'spelling' }]);
+    });
+
+    test('suggests the same surname pair for each author who has it', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('Anna', 'Schmidt', 2, 1),
+        makeCreator('Anna', 'Schmitt', 1, 2),
+        makeCreator('Peter', 'Schmidt', 3, 3),
+        makeCreator('Peter', 'Schmitt', 1, 4)
+      ]);
+
+      const spelling = results.suggestions.filter(s => s.reason === 'spelling');
+      expect(spelling.map(s => s.authorInfo.firstName).sort()).toEqual(['Anna', 'Peter']);
+      expect(spelling.map(s => s.variants[1].items.map(item => item.id)).sort()).toEqual([[2], [4]]);
+    });
+
+    test('is gated by the similarity threshold and edit distance settings', async () => {
+      const creators = [
+        makeCreator('Anna', 'Schmidt', 2, 1),
+        makeCreator('Anna', 'Schmitt', 1, 2),
+        makeCreator('John', 'Smith', 2, 3),
+        makeCreator('John', 'Smyth', 1, 4)
+      ];
+
+      // Smith / Smyth scores just under the default threshold
+      const defaults = await analyzer.analyzeCreators(creators);
+      expect(defaults.suggestions.map(s => s.primary)).toEqual(['Schmidt']);
+
+      analyzer.learningEngine.settings.spellingVariantThreshold = 0.85;
+      const looser = await analyzer.analyzeCreators(creators);
+      expect(looser.suggestions.map(s => s.primary).sort()).toEqual(['Schmidt', 'Smith']);
+
+      analyzer.learningEngine.settings.spellingVariantMaxDistance = 0;
+      const exactOnly = await analyzer.analyzeCreators(creators);
+      expect(exactOnly.suggestions).toEqual([]);
+
+      analyzer.learningEngine.settings.spellingVariantMaxDistance = 2;
+      analyzer.learningEngine.settings.enableSpellingVariantDetection = false;
+      const disabled = await analyzer.analyzeCreators(creators);
+      expect(disabled.suggestions).toEqual([]);
+    });
+
+    test('leaves diacritic and case variants to the diacritic pass', () => {
+      const variants = analyzer.findSpellingVariantsByAuthor({
+        'jose|martin': { count: 2, firstName: 'José', lastName: 'Martin', originalLastName: 'Martin', normalizedFirst: 'jose', surnameVariants: {} },
+        'jose|martín': { count: 1, firstName: 'José', lastName: 'Martín', originalLastName: 'Martín', normalizedFirst: 'jose', surnameVariants: {} }
+      });
+
+      expect(variants).toEqual([]);
+    });
+  });
+
+  describe('sound-alike surnames', () => {
+    const makeCreator = (firstName, lastName, count, id) => ({
+      firstName,
+      lastName,
+      count,
+      items: [{ id, key: 'KEY' + id, title: lastName + ' ' + id }]
+    });
+    const creators = [
+      makeCreator('Lev', 'Wygotski', 3, 1),
+      makeCreator('Lev', 'Vygotsky', 5, 2),
+      makeCreator('Anna', 'Meier', 2, 3),
+      makeCreator('Anna', 'Mayer', 1, 4),
+      makeCreator('Peter', 'Meyer', 1, 5)
+    ];
+
+    test('is disabled by default', async () => {
+      const results = await analyzer.analyzeCreators(creators);
+
+      expect(results.suggestions.filter(s => s.reason === 'phonetic')).toEqual([]);
+    });
+
+    test('suggests transliteration variants of the same author as low-confidence groups', async () => {
+      analyzer.learningEngine.settings.enablePhoneticVariantDetection = true;
+      const results = await analyzer.analyzeCreators(creators);
+      const phonetic = results.suggestions.filter(s => s.reason === 'phonetic');
+
+      expect(phonetic.map(s => s.primary)).toEqual(['Vygotsky', 'Meier']);
+      expect(phonetic[0]).toMatchObject({
+        requiresConfirmation: true,
+        confidence: 'low',
+        phoneticAlgorithm: 'daitch-mokotoff'
+      });
+      expect(phonetic[0].variants.map(v => v.name)).toEqual(['Vygotsky', 'Wygotski']);
+      // Peter Meyer is a different author, so Meyer is not part of Anna Meier's group
+      expect(phonetic[1].variants.map(v => v.name)).toEqual(['Meier', 'Mayer']);
+    });
+
+    test('uses the algorithm of the configured language', () => {
+      analyzer.learningEngine.settings.enablePhoneticVariantDetection = true;
+      analyzer.learningEngine.settings.phoneticLanguage = 'de';
+      const variants = analyzer.findPhoneticVariantsByAuthor({
+        'anna|meier': { count: 2, firstName: 'Anna', lastName: 'Meier', originalLastName: 'Meier', normalizedFirst: 'anna', surnameVariants: {} },
+        'anna|mayer': { count: 1, firstName: 'Anna', lastName: 'Mayer', originalLastName: 'Mayer', normalizedFirst: 'anna', surnameVariants: {} }
+      });
+
+      expect(variants).toHaveLength(1);
+      expect(variants[0].phoneticAlgorithm).toBe('cologne');
+    });
+
+    test('is never applied without a manual confirmation', async () => {
+      const suggestion = {
+        type: 'surname',
+        primary: 'Smith',
+        variants: [{ name: 'Smyth', frequency: 2, items: [{ id: 123, key: 'ABC123' }] }],
+        similarity: 0.89,
+        reason: 'phonetic',
+        requiresConfirmation: true
+      };
+
+      const unconfirmed = await analyzer.applyNormalizationSuggestions([suggestion], true);
+      expect(unconfirmed.applied).toBe(0);
+      expect(unconfirmed.skipped).toBe(1);
+      expect(mockItem.setCreators).not.toHaveBeenCalled();
+
+      const confirmed = await analyzer.applyNormalizationSuggestions([
+        { ...suggestion, userSelection: { mode: 'primary', value: 'Smith', apply: true, confirmed: true } }
+      ], false);
+      expect(confirmed.applied).toBe(1);
+      expect(mockItem.setCreators).toHaveBeenCalled();
+    });
+  });
+
+  describe('analysis settings', () => {
+    afterEach(async () => {
+      analyzer.learningEngine.settings = analyzer.learningEngine.getDefaultSettings();
+      await analyzer.learningEngine.saveSettings();
+    });
+
+    test('reports the saved values, falling back to the defaults', () => {
+      analyzer.learningEngine.settings.phoneticLanguage = 'klingon';
+
+      expect(analyzer.getAnalysisSettings()).toMatchObject({
+        enablePhoneticVariantDetection: false,
+        phoneticLanguage: 'auto'
+      });
+    });
+
+    test('switches sound-alike detection on and picks its language', async () => {
+      const creators = [
+        { firstName: 'Anna', lastName: 'Meier', count: 2, items: [{ id: 1, key: 'KEY1', title: 'Meier 1' }] },
+        { firstName: 'Anna', lastName: 'Mayer', count: 1, items: [{ id: 2, key: 'KEY2', title: 'Mayer 2' }] }
+      ];
+
+      await analyzer.setAnalysisSetting('enablePhoneticVariantDetection', true);
+      await analyzer.setAnalysisSetting('phoneticLanguage', 'de');
+
+      const reloaded = new ZoteroDBAnalyzer();
+      expect(reloaded.getAnalysisSettings()).toMatchObject({ enablePhoneticVariantDetection: true, phoneticLanguage: 'de' });
+      const phonetic = (await reloaded.analyzeCreators(creators)).suggestions.filter(s => s.reason === 'phonetic');
+      expect(phonetic).toHaveLength(1);
+      expect(phonetic[0].phoneticAlgorithm).toBe('cologne');
+    });
+
+    test('switching to the original script flips the recommended transliteration form', async () => {
+      const creators = [
+        { firstName: 'Лев', lastName: 'Выготский', count: 2, items: [{ id: 1, key: 'KEY1', title: 'Выготский 1' }] },
+        { firstName: 'Lev', lastName: 'Vygotsky', count: 5, items: [{ id: 2, key: 'KEY2', title: 'Vygotsky 2' }] }
+      ];
+      const latin = (await analyzer.analyzeCreators(creators)).suggestions;
+      expect(latin).toMatchObject([{ primary: 'Vygotsky', targetScript: 'latin' }]);
+
+      await analyzer.setAnalysisSetting('transliterationPreferredScript', 'native');
+      await analyzer.setAnalysisSetting('transliterationSystem', 'loc');
+      expect(new ZoteroDBAnalyzer().getAnalysisSettings()).toMatchObject({
+        transliterationPreferredScript: 'native',
+        transliterationSystem: 'loc'
+      });
+
+      const native = (await analyzer.analyzeCreators(creators)).suggestions;
+      expect(native).toMatchObject([{ primary: 'Выготский', targetScript: 'cyrillic', targetGivenName: 'Лев' }]);
+    });
+
+    test('sets a library-wide particle policy and clears it again', async () => {
+      const creators = [
+        { firstName: 'J. D.', lastName: 'van der Waals', fieldMode: 0, count: 3, items: [{ id: 1, key: 'KEY1', title: 'Paper 1' }] },
+        { firstName: 'J. D.', lastName: 'Van der Waals', fieldMode: 0, count: 1, items: [{ id: 2, key: 'KEY2', title: 'Paper 2' }] }
+      ];
+      const particleGroup = async () => (await analyzer.analyzeCreators(creators)).suggestions.find(s => s.type === 'particle');
+
+      await analyzer.setAnalysisSetting('particlePolicy', 'capitalized');
+      expect(new ZoteroDBAnalyzer().getAnalysisSettings().particlePolicy).toBe('capitalized');
+      expect(await particleGroup()).toMatchObject({ particlePolicy: 'capitalized', primary: 'Van der Waals, J. D.' });
+
+      await analyzer.setAnalysisSetting('particlePolicy', null);
+      expect(analyzer.getAnalysisSettings().particlePolicy).toBeNull();
+      expect(await particleGroup()).toMatchObject({ particlePolicy: 'lowercase', primary: 'van der Waals, J. D.' });
+    });
+
+    test('sets where generational suffixes are stored', async () => {
+      const creators = [
+        { firstName: 'Martin Luther, Jr.', lastName: 'King', fieldMode: 0, count: 3, items: [{ id: 1, key: 'KEY1', title: 'Paper 1' }] },
+        { firstName: 'Martin Luther', lastName: 'King Jr.', fieldMode: 0, count: 1, items: [{ id: 2, key: 'KEY2', title: 'Paper 2' }] }
+      ];
+
+      await analyzer.setAnalysisSetting('suffixPosition', 'last-name');
+      expect(new ZoteroDBAnalyzer().getAnalysisSettings().suffixPosition).toBe('last-name');
+
+      const suffixes = (await analyzer.analyzeCreators(creators)).suggestions.filter(s => s.type === 'suffix');
+      expect(suffixes).toMatchObject([{ suffixPosition: 'last-name', primary: 'King Jr., Martin Luther' }]);
+    });
+
+    test('rejects unknown settings and values', async () => {
+      await expect(analyzer.setAnalysisSetting('phoneticLanguage', 'klingon')).rejects.toThrow('Unknown value');
+      await expect(analyzer.setAnalysisSetting('transliterationSystem', 'pinyin')).rejects.toThrow('Unknown value');
+      await expect(analyzer.setAnalysisSetting('suffixPosition', null)).rejects.toThrow('Unknown value');
+      await expect(analyzer.setAnalysisSetting('confidenceThreshold', 0.1)).rejects.toThrow('Unknown value');
+      expect(analyzer.learningEngine.settings.phoneticLanguage).toBe('auto');
+    });
+  });
+
+  describe('cross-script transliteration', () => {
+    const makeCreator = (firstName, lastName, count, id) => ({
+      firstName,
+      lastName,
+      count,
+      items: [{ id, key: 'KEY' + id, title: lastName + ' ' + id }]
+    });
+    const creators = [
+      makeCreator('Лев', 'Выготский', 2, 1),
+      makeCreator('Lev', 'Vygotsky', 5, 2),
+      makeCreator('Lev', 'Vygotskii', 1, 3),
+      makeCreator('Άννα', 'Παπαδοπούλου', 1, 4),
+      makeCreator('Anna', 'Papadopoulou', 1, 5),
+      makeCreator('Иван', 'Петров', 1, 6),
+      makeCreator('Pavel', 'Petrov', 1, 7)
+    ];
+
+    test('groups native-script and romanized forms of the same author', async () => {
+      const results = await analyzer.analyzeCreators(creators);
+      const groups = results.suggestions.filter(s => s.reason === 'transliteration');
+
+      expect(groups.map(s => s.primary)).toEqual(['Vygotsky', 'Papadopoulou']);
+      expect(groups[0].variants.map(v => v.name)).toEqual(['Vygotsky', 'Выготский', 'Vygotskii']);
+      expect(groups[0]).toMatchObject({ targetScript: 'latin', targetGivenName: 'Lev' });
+      // Иван Петров and Pavel Petrov have different given names
+      expect(results.suggestions.some(s => s.variants.some(v => v.name === 'Петров'))).toBe(false);
+    });
+
+    test('recommends the native-script form when configured', async () => {
+      analyzer.learningEngine.settings.transliterationPreferredScript = 'native';
+      const results = await analyzer.analyzeCreators(creators.slice(0, 2));
+
+      expect(results.suggestions).toMatchObject([{
+        primary: 'Выготский',
+        reason: 'transliteration',
+        targetScript: 'cyrillic',
+        targetGivenName: 'Лев'
+      }]);
+    });
+
+    test('transliterates a native-script group without a Latin form', async () => {
+      analyzer.learningEngine.settings.enableSpellingVariantDetection = false;
+      const results = await analyzer.analyzeCreators([
+        makeCreator('Лев', 'Выготский', 2, 1),
+        makeCreator('Лев', 'Выготськый', 1, 2)
+      ]);
+
+      expect(results.suggestions).toMatchObject([{ primary: 'Vygotskiy', reason: 'transliteration' }]);
+    });
+
+    test('converts given names to the target script when applied', () => {
+      const suggestion = {
+        type: 'surname',
+        primary: 'Vygotsky',
+        reason: 'transliteration',
+        targetScript: 'latin',
+        transliterationSystem: 'bgn',
+        targetGivenName: 'Lev',
+        variants: [{ name: 'Выготский', frequency: 1, items: [{ id: 1 }] }]
+      };
+
+      const { changes } = analyzer.normalizeItemCreators(
+        [{ firstName: 'Лев Семёнович', lastName: 'Выготский', creatorType: 'author' }],
+        { suggestion, variant: suggestion.variants[0], normalizedValue: 'Vygotsky', type: 'surname' }
+      );
+
+      expect(changes).toEqual([expect.objectContaining({ newFirstName: 'Lev Semënovich', newLastName: 'Vygotsky' })]);
+    });
+
+    test('can be disabled', async () => {
+      analyzer.learningEngine.settings.enableTransliterationGrouping = false;
+      const results = await analyzer.analyzeCreators(creators);
+
+      expect(results.suggestions.filter(s => s.reason === 'transliteration')).toEqual([]);
+    });
+  });
+
+  describe('family-name-first and CJK names', () => {
+    const makeCreator = (firstName, lastName, fieldMode = 0, count = 1) => ({
+      firstName,
+      lastName,
+      fieldMode,
+      count,
+      items: [],
+      parsedName: analyzer.parseName(`${firstName || ''} ${lastName || ''}`.trim(), { fieldMode })
+    });
+
+    test('does not read short romanized given names as initials', () => {
+      const groups = analyzer.groupCreatorsBySurnameForVariants([
+        makeCreator('William', 'Li'),
+        makeCreator('Wei', 'Li'),
+        makeCreator('W.', 'Li')
+      ]);
+
+      expect(groups['wei|li'].map(creator => creator.firstName)).toEqual(['Wei']);
+      expect(analyzer.normalizeFirstNameForGrouping('Wei', { cjk: true })).toBe('wei');
+      expect(analyzer.normalizeFirstNameForGrouping('Wei')).toBe('init:wei');
+      expect(analyzer.normalizeGivenName('Ng', { cjk: true })).toBe('ng');
+    });
+
+    test('groups single-field names by their parsed family and given name', () => {
+      const groups = analyzer.groupCreatorsBySurnameForVariants([
+        makeCreator('Wei', 'Li'),
+        makeCreator('', 'Li Wei', 1),
+        makeCreator('', 'Ng Wai Kit', 1)
+      ]);
+
+      expect(Object.keys(groups).sort()).toEqual(['wai|ng', 'wei|li']);
+      expect(groups['wei|li']).toHaveLength(2);
+    });
+
+    test('keeps the family name of a single-field creator out of given-name clustering', async () => {
+      const results = await analyzer.analyzeCreators([
+        { firstName: '', lastName: 'Ng Wai Kit', fieldMode: 1, count: 2, items: [] },
+        { firstName: 'Nathan', lastName: 'Kit', count: 1, items: [] }
+      ]);
+
+      expect(results.suggestions).toEqual([]);
+    });
+
+    test('does not offer a single-field name as a surname spelling of the two-field entry', async () => {
+      const results = await analyzer.analyzeCreators([
+        { firstName: '', lastName: 'Li Wei', fieldMode: 1, count: 1, items: [] },
+        { firstName: 'Wei', lastName: 'Li', count: 1, items: [] }
+      ]);
+
+      expect(results.suggestions.filter(s => s.type === 'surname')).toEqual([]);
+    });
+  });
+
+  describe('organization creators', () => {
+    const makeCreator = (firstName, lastName, fieldMode, count, id) => ({
+      firstName,
+      lastName,
+      fieldMode,
+      count,
+      items: [{ id, key: 'KEY' + id, title: 'Report ' + id }]
+    });
+    const creators = [
+      makeCreator('', 'World Health Organization', 1, 5, 1),
+      makeCreator('', 'WHO', 1, 2, 2),
+      makeCreator('', 'World Health Organisation', 1, 1, 3),
+      makeCreator('', 'The World Health Organization', 1, 1, 4),
+      makeCreator('World Health', 'Organization', 0, 1, 5),
+      makeCreator('', 'American Psychological Association', 1, 2, 6),
+      makeCreator('', 'American Psychiatric Association', 1, 1, 7),
+      makeCreator('', 'APA', 1, 1, 8),
+      makeCreator('John', 'Smith', 0, 1, 9),
+      makeCreator('Ann', 'Bank', 0, 1, 10)
+    ];
+
+    test('groups spellings, acronyms and mis-entered persons of one organization', async () => {
+      const results = await analyzer.analyzeCreators(creators);
+      const groups = results.suggestions.filter(s => s.type === 'organization');
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0]).toMatchObject({
+        primary: 'World Health Organization',
+        acronym: 'WHO',
+        convertsToSingleField: true
+      });
+      expect(groups[0].variants.map(v => v.name).sort()).toEqual([
+        'The World Health Organization',
+        'WHO',
+        'World Health Organisation',
+        'World Health Organization',
+        'World Health Organization'
+      ]);
+      // Organizations never reach the person-name passes
+      expect(results.suggestions.filter(s => s.type !== 'organization')).toEqual([]);
+    });
+
+    test('leaves an acronym that abbreviates several organizations alone', async () => {
+      const results = await analyzer.analyzeCreators(creators.slice(5));
+
+      expect(results.suggestions.some(s => s.variants.some(v => v.name === 'APA'))).toBe(false);
+    });
+
+    test('converts a mis-entered organization to a single-field creator', async () => {
+      const results = await analyzer.analyzeCreators([makeCreator('National Institute of', 'Mental Health', 0, 1, 11)]);
+      const [suggestion] = results.suggestions;
+      const plan = analyzer.buildSuggestionOperationPlan(suggestion);
+      const { normalizedCreators, changes } = analyzer.normalizeItemCreators(
+        [{ firstName: 'National Institute of', lastName: 'Mental Health', fieldMode: 0, creatorType: 'author' }],
+        { suggestion, variant: suggestion.variants[0], normalizedValue: suggestion.primary, type: 'organization' }
+      );
+
+      expect(suggestion).toMatchObject({ type: 'organization', primary: 'National Institute of Mental Health' });
+      expect(plan.operations.map(op => analyzer.describeOperation(op))).toEqual([
+        'National Institute of Mental Health → National Institute of Mental Health (single field)'
+      ]);
+      expect(normalizedCreators[0]).toEqual({
+        firstName: '',
+        lastName: 'National Institute of Mental Health',
+        fieldMode: 1,
+        creatorType: 'author'
+      });
+      expect(changes[0]).toMatchObject({ oldFieldMode: 0, newFieldMode: 1 });
+    });
+
+    test('can be turned off', async () => {
+      analyzer.learningEngine.settings.enableOrganizationDetection = false;
+      const results = await analyzer.analyzeCreators(creators.slice(0, 3));
+
+      expect(results.suggestions.some(s => s.type === 'organization')).toBe(false);
+    });
+  });
+
+  describe('particle policy', () => {
+    const makeCreator = (firstName, lastName, count, id) => ({
+      firstName,
+      lastName,
+      fieldMode: 0,
+      count,
+      items: [{ id, key: 'KEY' + id, title: 'Paper ' + id }]
+    });
+    const creators = [
+      makeCreator('J. D.', 'van der Waals', 3, 1),
+      makeCreator('J. D.', 'Van der Waals', 1, 2),
+      makeCreator('J. D. van der', 'Waals', 1, 3)
+    ];
+
+    test('groups the stored forms of a particle surname', async () => {
+      const results = await analyzer.analyzeCreators(creators);
+      const particles = results.suggestions.filter(s => s.type === 'particle');
+
+      expect(particles).toHaveLength(1);
+      expect(particles[0]).toMatchObject({
+        primary: 'van der Waals, J. D.',
+        particlePolicy: 'lowercase',
+        particleSurname: 'van der Waals'
+      });
+      expect(particles[0].variants.map(v => v.name)).toEqual([
+        'van der Waals, J. D.',
+        'Van der Waals, J. D.',
+        'Waals, J. D. van der'
+      ]);
+      // The particle group replaces a surname group of the same forms
+      expect(results.suggestions.some(s => s.type === 'surname')).toBe(false);
+    });
+
+    test('the selected policy drives the plan and the applied names', async () => {
+      const [suggestion] = analyzer.findParticleVariants(creators);
+      const chosen = { ...suggestion, userSelection: { particlePolicy: 'given-name' } };
+      const plan = analyzer.buildSuggestionOperationPlan(chosen);
+      const updates = analyzer.collectItemUpdates([chosen], [plan]);
+      const { normalizedCreators } = analyzer.normalizeItemCreators(
+        [{ firstName: 'J. D.', lastName: 'Van der Waals', creatorType: 'author' }],
+        updates.get(2)
+      );
+
+      expect(plan.operations.map(op => analyzer.describeOperation(op))).toEqual([
+        'van der Waals, J. D. → Waals, J. D. van der',
+        'Van der Waals, J. D. → Waals, J. D. van der'
+      ]);
+      expect(Array.from(updates.keys())).toEqual([1, 2]);
+      expect(normalizedCreators).toEqual([{ firstName: 'J. D. van der', lastName: 'Waals', creatorType: 'author' }]);
+    });
+
+    test('the particlePolicy setting shapes the surname that other suggestions write', () => {
+      analyzer.learningEngine.settings.particlePolicy = 'capitalized';
+      const suggestion = {
+        type: 'surname',
+        primary: 'van der Waals',
+        variants: [{ name: 'van der Wals', items: [{ id: 4 }] }]
+      };
+      const plan = analyzer.buildSuggestionOperationPlan(suggestion);
+      const { normalizedCreators } = analyzer.normalizeItemCreators(
+        [{ firstName: 'J. D.', lastName: 'van der Wals' }],
+        analyzer.collectItemUpdates([suggestion]).get(4)
+      );
+
+      expect(plan.normalizedValue).toBe('Van der Waals');
+      expect(normalizedCreators).toEqual([{ firstName: 'J. D.', lastName: 'Van der Waals' }]);
+    });
+
+    test('moves particles to the given name under the given-name policy', () => {
+      analyzer.learningEngine.settings.particlePolicy = 'given-name';
+      const suggestion = {
+        type: 'surname',
+        primary: 'van der Waals',
+        variants: [{ name: 'van der Wals', items: [{ id: 5 }] }]
+      };
+      const plan = analyzer.buildSuggestionOperationPlan(suggestion);
+      const { normalizedCreators } = analyzer.normalizeItemCreators(
+        [{ firstName: 'J. D.', lastName: 'van der Wals' }],
+        analyzer.collectItemUpdates([suggestion]).get(5)
+      );
+
+      expect(analyzer.describeOperation(plan.operations[0])).toBe('van der Wals → Waals (“van der” after the given name)');
+      expect(normalizedCreators).toEqual([{ firstName: 'J. D. van der', lastName: 'Waals' }]);
+    });
+  });
+
+  describe('person aliases', () => {
+    const makeCreator = (firstName, lastName, count, id) => ({
+      firstName,
+      lastName,
+      fieldMode: 0,
+      count,
+      items: [{ id, key: 'KEY' + id, title: 'Paper ' + id }]
+    });
+    const creators = [
+      makeCreator('Patricia', 'Churchland', 3, 1),
+      makeCreator('Patricia', 'Smith', 2, 2)
+    ];
+    const link = mode => ({
+      alias: { firstName: 'Patricia', lastName: 'Smith' },
+      preferred: { firstName: 'Patricia', lastName: 'Churchland' },
+      mode
+    });
+
+    beforeEach(() => {
+      analyzer.learningEngine.personAliases = new Map();
+    });
+
+    afterEach(async () => {
+      analyzer.learningEngine.personAliases = new Map();
+      await analyzer.learningEngine.savePersonAliases();
+    });
+
+    test('shows linked identities together in later analyses', async () => {
+      expect(await analyzer.recordPersonAliases([link('normalize')])).toBe(1);
+      const results = await analyzer.analyzeCreators(creators);
+      const aliases = results.suggestions.filter(s => s.type === 'alias');
+
+      expect(aliases).toHaveLength(1);
+      expect(aliases[0]).toMatchObject({ primary: 'Churchland, Patricia', annotateOnly: false });
+      expect(aliases[0].variants.map(v => v.name)).toEqual(['Churchland, Patricia', 'Smith, Patricia']);
+    });
+
+    test('rewrites the other name of the person only', async () => {
+      await analyzer.recordPersonAliases([link('normalize')]);
+      const [suggestion] = analyzer.findPersonAliasSuggestions(creators);
+      const plan = analyzer.buildSuggestionOperationPlan(suggestion);
+      const { normalizedCreators } = analyzer.normalizeItemCreators(
+        [{ firstName: 'Patricia', lastName: 'Smith' }, { firstName: 'Mary', lastName: 'Smith' }],
+        analyzer.collectItemUpdates([suggestion], [plan]).get(2)
+      );
+
+      expect(plan.operations.map(op => analyzer.describeOperation(op))).toEqual([
+        'Smith, Patricia → Churchland, Patricia (same person)'
+      ]);
+      expect(normalizedCreators).toEqual([
+        { firstName: 'Patricia', lastName: 'Churchland' },
+        { firstName: 'Mary', lastName: 'Smith' }
+      ]);
+    });
+
+    test('annotation-only links never rewrite and are not recorded as distinct names', async () => {
+      await analyzer.recordPersonAliases([link('annotate')]);
+      const [suggestion] = analyzer.findPersonAliasSuggestions(creators);
+
+      expect(suggestion.annotateOnly).toBe(true);
+      expect(analyzer.buildSuggestionOperationPlan(suggestion).operations).toEqual([]);
+      expect(analyzer.collectItemUpdates([suggestion]).size).toBe(0);
+      expect(await analyzer.recordDeclinedSuggestions([suggestion])).toBe(0);
+      expect(analyzer.learningEngine.recordDistinctPair).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('compound surnames', () => {
+    const makeCreator = (firstName, lastName, count, id) => ({
+      firstName,
+      lastName,
+      fieldMode: 0,
+      count,
+      items: [{ id, key: 'KEY' + id, title: 'Paper ' + id }]
+    });
+    const creators = [
+      makeCreator('Gabriel', 'García Márquez', 4, 1),
+      makeCreator('Gabriel', 'García-Márquez', 1, 2),
+      makeCreator('Gabriel', 'Garcia Marquez', 2, 3),
+      makeCreator('Gabriel', 'Márquez', 1, 4),
+      makeCreator('Juan', 'Márquez', 2, 5)
+    ];
+
+    test('links hyphen, accent and partial forms of one author and recommends the fullest form', async () => {
+      const results = await analyzer.analyzeCreators(creators);
+      const compound = results.suggestions.filter(s => s.reason === 'compound');
+
+      expect(compound).toHaveLength(1);
+      expect(compound[0].primary).toBe('García Márquez');
+      expect(compound[0].variants.map(v => v.name)).toEqual(['García Márquez', 'García-Márquez', 'Garcia Marquez', 'Márquez']);
+      expect(compound[0].partialSurnames).toEqual(['Márquez']);
+    });
+
+    test('leaves a partial form alone when it belongs to several compounds', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('Federico', 'García Lorca', 2, 6),
+        makeCreator('Federico', 'García Sánchez', 2, 7),
+        makeCreator('Federico', 'García', 1, 8)
+      ]);
+
+      expect(results.suggestions.filter(s => s.reason === 'compound')).toEqual([]);
+    });
+
+    test('only rewrites the partial surname of the same author', async () => {
+      const results = await analyzer.analyzeCreators(creators);
+      const compound = results.suggestions.find(s => s.reason === 'compound');
+      const updates = analyzer.collectItemUpdates([compound]);
+      const { normalizedCreators } = analyzer.normalizeItemCreators(
+        [{ firstName: 'Gabriel', lastName: 'Márquez' }, { firstName: 'Juan', lastName: 'Márquez' }],
+        updates.get(4)
+      );
+
+      expect(normalizedCreators).toEqual([
+        { firstName: 'Gabriel', lastName: 'García Márquez' },
+        { firstName: 'Juan', lastName: 'Márquez' }
+      ]);
+    });
+
+    test('is turned off by enableSpanishSurnameDetection', async () => {
+      analyzer.learningEngine.settings.enableSpanishSurnameDetection = false;
+      const results = await analyzer.analyzeCreators(creators);
+
+      expect(results.suggestions.some(s => s.reason === 'compound')).toBe(false);
+    });
+  });
+
+  describe('generational suffixes', () => {
+    const makeCreator = (firstName, lastName, count, id) => ({
+      firstName,
+      lastName,
+      fieldMode: 0,
+      count,
+      items: [{ id, key: 'KEY' + id, title: 'Paper ' + id }]
+    });
+    const creators = [
+      makeCreator('Martin Luther, Jr.', 'King', 3, 1),
+      makeCreator('Martin Luther', 'King Jr.', 1, 2),
+      makeCreator('Martin Luther King', 'Jr.', 1, 3),
+      makeCreator('Martin Luther', 'King', 2, 4)
+    ];
+
+    test('groups the placements of one suffix and keeps suffixed names out of given-name groups', async () => {
+      const results = await analyzer.analyzeCreators(creators);
+      const suffixes = results.suggestions.filter(s => s.type === 'suffix');
+
+      expect(suffixes).toHaveLength(1);
+      expect(suffixes[0]).toMatchObject({ primary: 'King, Martin Luther, Jr.', suffixPosition: 'given-name', suffixSurname: 'King' });
+      expect(suffixes[0].variants.map(v => v.suffixPlacement)).toEqual(['given-name', 'last-name', 'alone']);
+      // "Martin Luther" without the suffix may be the father
+      expect(results.suggestions.some(s => s.type === 'given-name' || s.type === 'surname')).toBe(false);
+    });
+
+    test('treats Portuguese suffixes as suffixes, not surnames', () => {
+      const [suggestion] = analyzer.findSuffixVariants([
+        makeCreator('João', 'Silva Filho', 2, 5),
+        makeCreator('João, Filho', 'Silva', 1, 6)
+      ]);
+
+      expect(suggestion).toMatchObject({ suffixSurname: 'Silva', primary: 'Silva, João, Filho' });
+    });
+
+    test('moves the suffix to the chosen position', () => {
+      const [suggestion] = analyzer.findSuffixVariants(creators);
+      const chosen = { ...suggestion, userSelection: { suffixPosition: 'last-name' } };
+      const plan = analyzer.buildSuggestionOperationPlan(chosen);
+      const updates = analyzer.collectItemUpdates([chosen], [plan]);
+      const { normalizedCreators } = analyzer.normalizeItemCreators(
+        [{ firstName: 'Martin Luther King', lastName: 'Jr.', creatorType: 'author' }],
+        updates.get(3)
+      );
+
+      expect(plan.operations.map(op => analyzer.describeOperation(op))).toEqual([
+        'King, Martin Luther, Jr. → King Jr., Martin Luther',
+        'Jr., Martin Luther King → King Jr., Martin Luther'
+      ]);
+      expect(Array.from(updates.keys())).toEqual([1, 3]);
+      expect(normalizedCreators).toEqual([{ firstName: 'Martin Luther', lastName: 'King Jr.', creatorType: 'author' }]);
+    });
+
+    test('follows the suffixPosition setting', () => {
+      analyzer.learningEngine.settings.suffixPosition = 'last-name';
+      const [suggestion] = analyzer.findSuffixVariants(creators);
+
+      expect(suggestion.primary).toBe('King Jr., Martin Luther');
+    });
+  });
+
+  describe('swapped name fields', () => {
+    const makeCreator = (firstName, lastName, count, id) => ({
+      firstName,
+      lastName,
+      fieldMode: 0,
+      count,
+      items: [{ id, key: 'KEY' + id, title: 'Paper ' + id }]
+    });
+
+    test('flags a swapped creator with a confidence score', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('Fodor', 'Jerry', 1, 1),
+        makeCreator('Jerry', 'Fodor', 4, 2),
+        makeCreator('Janet', 'Fodor', 2, 3),
+        makeCreator('Grant', 'Hugh', 1, 4)
+      ]);
+      const swaps = results.suggestions.filter(s => s.type === 'swap');
+
+      expect(swaps).toHaveLength(1);
+      expect(swaps[0]).toMatchObject({
+        primary: 'Fodor, Jerry',
+        firstName: 'Jerry',
+        lastName: 'Fodor',
+        variants: [{ name: 'Jerry, Fodor', firstName: 'Fodor', lastName: 'Jerry', frequency: 1 }]
+      });
+      expect(swaps[0].confidence).toBeGreaterThanOrEqual(0.9);
+      expect(swaps[0].evidence[0]).toContain('also appears with the fields in the usual order');
+    });
+
+    test('uses surname frequencies and the given-name dictionary without a correctly ordered twin', () => {
+      const [swap] = analyzer.findSwappedNameCandidates(
+        [makeCreator('Fodor', 'Jerry', 1, 1), makeCreator('Janet', 'Fodor', 2, 3)],
+        { jerry: 1, fodor: 2 }
+      );
+
+      expect(swap.confidence).toBe(0.5);
+      expect(swap.evidence).toEqual([
+        '“Fodor” is a surname 2 times in the library',
+        '“Jerry” is a known given name'
+      ]);
+    });
+
+    test('leaves ordinary, initialed and CJK names alone', () => {
+      const swaps = analyzer.findSwappedNameCandidates([
+        makeCreator('John', 'Smith', 1, 1),
+        makeCreator('J.', 'Fodor', 1, 2),
+        makeCreator('Wei', 'Li', 1, 3),
+        makeCreator('Li', 'Wei', 1, 4)
+      ], { smith: 1, fodor: 1, li: 1, wei: 1 });
+
+      expect(swaps).toEqual([]);
+    });
+
+    test('swaps the first occurrence only unless asked to swap them all', () => {
+      const suggestion = {
+        type: 'swap',
+        primary: 'Fodor, Jerry',
+        variants: [{
+          name: 'Jerry, Fodor',
+          firstName: 'Fodor',
+          lastName: 'Jerry',
+          frequency: 2,
+          items: [{ id: 1 }, { id: 2 }]
+        }]
+      };
+
+      expect(Array.from(analyzer.collectItemUpdates([suggestion]).keys())).toEqual([1]);
+      expect(analyzer.describeOperation(analyzer.buildSuggestionOperationPlan(suggestion).operations[0]))
+        .toBe('Jerry, Fodor → Fodor, Jerry (swap first and last name, 1 item)');
+
+      const applyToAll = { ...suggestion, userSelection: { mode: 'all', applyToAll: true } };
+      expect(Array.from(analyzer.collectItemUpdates([applyToAll]).keys())).toEqual([1, 2]);
+
+      const { normalizedCreators, changes } = analyzer.normalizeItemCreators(
+        [{ firstName: 'Fodor', lastName: 'Jerry', fieldMode: 0, creatorType: 'author' }],
+        analyzer.collectItemUpdates([suggestion]).get(1)
+      );
+      expect(normalizedCreators).toEqual([{ firstName: 'Jerry', lastName: 'Fodor', fieldMode: 0, creatorType: 'author' }]);
+      expect(changes[0]).toMatchObject({ oldFirstName: 'Fodor', newFirstName: 'Jerry', newLastName: 'Fodor' });
+    });
+
+    test('can be turned off', async () => {
+      analyzer.learningEngine.settings.enableSwapDetection = false;
+      const results = await analyzer.analyzeCreators([makeCreator('Fodor', 'Jerry', 1, 1), makeCreator('Jerry', 'Fodor', 4, 2)]);
+
+      expect(results.suggestions.some(s => s.type === 'swap')).toBe(false);
+    });
+  });
+
+  describe('case variants', () => {
+    const makeCreator = (firstName, lastName, count, id) => ({
+      firstName,
+      lastName,
+      fieldMode: 0,
+      count,
+      items: [{ id, key: 'KEY' + id, title: 'Paper ' + id }]
+    });
+
+    test('recapitalizes ALL-CAPS and lowercase creators', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('JOHN', 'MCDONALD', 2, 1),
+        makeCreator('Johannes', 'VAN DER WAALS', 1, 2),
+        makeCreator('maria', 'de la cruz', 1, 3),
+        makeCreator('Neil', 'deGrasse Tyson', 1, 4)
+      ]);
+      const cases = results.suggestions.filter(s => s.type === 'case');
+
+      expect(cases.map(s => [s.variants[0].name, s.primary])).toEqual([
+        ['MCDONALD, JOHN', 'McDonald, John'],
+        ['VAN DER WAALS, Johannes', 'van der Waals, Johannes'],
+        ['de la cruz, maria', 'de la Cruz, Maria']
+      ]);
+    });
+
+    test('applies the recapitalized names', () => {
+      const [suggestion] = analyzer.findCaseVariants([makeCreator('J.A.', 'O\'BRIEN', 1, 5)]);
+      const plan = analyzer.buildSuggestionOperationPlan(suggestion);
+      const { normalizedCreators } = analyzer.normalizeItemCreators(
+        [{ firstName: 'J.A.', lastName: 'O\'BRIEN', creatorType: 'author' }],
+        analyzer.collectItemUpdates([suggestion]).get(5)
+      );
+
+      expect(analyzer.describeOperation(plan.operations[0])).toBe('J.A. O\'BRIEN → J.A. O\'Brien');
+      expect(normalizedCreators).toEqual([{ firstName: 'J.A.', lastName: 'O\'Brien', creatorType: 'author' }]);
+    });
+
+    test('leaves spellings that a surname group already covers to that group', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('Jerry', 'Fodor', 5, 6),
+        makeCreator('Jerry', 'FODOR', 1, 7)
+      ]);
+
+      expect(results.suggestions.some(s => s.type === 'surname')).toBe(true);
+      expect(results.suggestions.some(s => s.type === 'case')).toBe(false);
+    });
+
+    test('can be turned off', async () => {
+      analyzer.learningEngine.settings.enableCaseNormalization = false;
+      const results = await analyzer.analyzeCreators([makeCreator('JOHN', 'MCDONALD', 1, 8)]);
+
+      expect(results.suggestions.some(s => s.type === 'case')).toBe(false);
+    });
+  });
+
+  describe('creator hygiene', () => {
+    const makeCreator = (firstName, lastName, fieldMode, count, id) => ({
+      firstName,
+      lastName,
+      fieldMode,
+      count,
+      items: [{ id, key: 'KEY' + id, title: 'Paper ' + id }]
+    });
+
+    test('flags malformed creators and proposes fixes', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('Jane', 'Doe jane.doe@example.org', 0, 1, 1),
+        makeCreator('', 'Smith, J. and Jones, K.', 1, 2, 2),
+        makeCreator('', 'et al.', 1, 3, 3),
+        makeCreator('John', 'Smith', 0, 1, 4)
+      ]);
+      const hygiene = results.suggestions.filter(s => s.type === 'hygiene');
+
+      expect(hygiene.map(s => [s.variants[0].name, s.primary, s.issues])).toEqual([
+        ['Jane Doe jane.doe@example.org', 'Doe, Jane', ['email']],
+        ['Smith, J. and Jones, K.', 'Smith, J.; Jones, K.', ['multiple-persons']],
+        ['et al.', 'Remove creator', ['et-al']]
+      ]);
+      expect(hygiene[0].email).toBe('jane.doe@example.org');
+    });
+
+    test('splits a packed creator into several creators when applied', () => {
+      const [suggestion] = analyzer.analyzeCreatorHygiene([makeCreator('', 'Smith, J. and Jones, K.', 1, 1, 5)]);
+      const plan = analyzer.buildSuggestionOperationPlan(suggestion);
+      const updateInfo = analyzer.collectItemUpdates([suggestion]).get(5);
+      const { normalizedCreators, changes } = analyzer.normalizeItemCreators([
+        { firstName: 'Ann', lastName: 'Lee', fieldMode: 0, creatorType: 'author' },
+        { firstName: '', lastName: 'Smith, J. and Jones, K.', fieldMode: 1, creatorType: 'author' }
+      ], updateInfo);
+
+      expect(plan.operations.map(op => analyzer.describeOperation(op))).toEqual([
+        'Smith, J. and Jones, K. → Smith, J.; Jones, K.'
+      ]);
+      expect(normalizedCreators).toEqual([
+        { firstName: 'Ann', lastName: 'Lee', fieldMode: 0, creatorType: 'author' },
+        { firstName: 'J.', lastName: 'Smith', fieldMode: 0, creatorType: 'author' },
+        { firstName: 'K.', lastName: 'Jones', fieldMode: 0, creatorType: 'author' }
+      ]);
+      expect(changes).toEqual([{
+        creatorIndex: 1,
+        oldFirstName: '',
+        oldLastName: 'Smith, J. and Jones, K.',
+        newFirstName: 'J.',
+        newLastName: 'Smith',
+        added: [{ firstName: 'K.', lastName: 'Jones' }]
+      }]);
+    });
+
+    test('removes a creator that holds only "et al."', () => {
+      const [suggestion] = analyzer.analyzeCreatorHygiene([makeCreator('', 'et al.', 1, 1, 6)]);
+      const { normalizedCreators, changes } = analyzer.normalizeItemCreators(
+        [{ firstName: 'Ann', lastName: 'Lee' }, { firstName: '', lastName: 'et al.', fieldMode: 1 }],
+        analyzer.collectItemUpdates([suggestion]).get(6)
+      );
+
+      expect(normalizedCreators).toEqual([{ firstName: 'Ann', lastName: 'Lee' }]);
+      expect(changes[0]).toMatchObject({ creatorIndex: 1, removed: true });
+    });
+
+    test('does not split organization names', () => {
+      const suggestions = analyzer.analyzeCreatorHygiene([
+        makeCreator('', 'Johnson & Johnson', 1, 1, 7),
+        makeCreator('', 'Department of Health and Human Services', 1, 1, 8),
+        makeCreator('Department of Health and', 'Human Services', 0, 1, 9)
+      ]);
+
+      expect(suggestions.filter(s => s.issues.includes('multiple-persons'))).toEqual([]);
+    });
+
+    test('stores no name mappings when a fix is applied', async () => {
+      const [suggestion] = analyzer.analyzeCreatorHygiene([makeCreator('Jane', 'Doe,', 0, 1, 10)]);
+      analyzer.learningEngine.storeMapping = jest.fn();
+
+      await analyzer.persistLearningForSuggestion(suggestion, analyzer.buildSuggestionOperationPlan(suggestion));
+
+      expect(analyzer.learningEngine.storeMapping).not.toHaveBeenCalled();
+    });
+
+    test('can be turned off', async () => {
+      analyzer.learningEngine.settings.enableCreatorHygiene = false;
+      const results = await analyzer.analyzeCreators([makeCreator('', 'et al.', 1, 1, 11)]);
+
+      expect(results.suggestions.some(s => s.type === 'hygiene')).toBe(false);
+    });
+  });
+
+  describe('ORCID iDs', () => {
+    const JOSIAH = '0000-0002-1825-0097';
+    const OTHER = '0000-0003-0000-1006';
+    const makeCreator = (firstName, lastName, count, id, orcid = null) => ({
+      firstName,
+      lastName,
+      fieldMode: 0,
+      count,
+      ...(orcid ? { orcids: [orcid] } : {}),
+      items: [{ id, key: 'KEY' + id, title: 'Paper ' + id, ...(orcid ? { orcid } : {}) }]
+    });
+
+    test('attaches iDs from the Extra field to the creators they name', () => {
+      const entry = analyzer.buildCreatorIndexEntry({
+        id: 1,
+        version: 1,
+        getCreators: () => [
+          { firstName: 'Josiah', lastName: 'Carberry', fieldMode: 0 },
+          { firstName: 'Jane', lastName: 'Doe', fieldMode: 0 }
+        ],
+        getField: field => (field === 'extra' ? `ORCID: Carberry, Josiah: https://orcid.org/${JOSIAH}` : '')
+      }, 'stamp');
+      const creatorsMap = {};
+      entry.creators.forEach(creator => analyzer.addCreatorOccurrence(creatorsMap, creator, null, analyzer.buildCreatorSummary(entry.summary, creator)));
+
+      expect(entry.creators).toEqual([
+        { firstName: 'Josiah', lastName: 'Carberry', fieldMode: 0, orcid: JOSIAH },
+        { firstName: 'Jane', lastName: 'Doe', fieldMode: 0 }
+      ]);
+      expect(creatorsMap['Josiah|Carberry|0']).toMatchObject({ orcids: [JOSIAH], items: [{ orcid: JOSIAH }] });
+      expect(creatorsMap['Jane|Doe|0'].orcids).toBeUndefined();
+    });
+
+    test('groups every spelling recorded with one iD as one person', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('Josiah', 'Carberry', 3, 1, JOSIAH),
+        makeCreator('J.', 'Karberry', 1, 2, JOSIAH),
+        makeCreator('JOSIAH', 'CARBERRY', 1, 3, JOSIAH)
+      ]);
+
+      expect(results.suggestions).toHaveLength(1);
+      expect(results.suggestions[0]).toMatchObject({ type: 'orcid', orcid: JOSIAH, primary: 'Carberry, Josiah' });
+      expect(results.suggestions[0].variants.map(v => v.name)).toEqual(['Carberry, Josiah', 'Karberry, J.', 'CARBERRY, JOSIAH']);
+    });
+
+    test('never suggests creators with different iDs as variants', async () => {
+      const creators = [
+        makeCreator('Gabriel', 'García Márquez', 3, 1, JOSIAH),
+        makeCreator('Gabriel', 'Garcia Marquez', 2, 2, OTHER)
+      ];
+      const results = await analyzer.analyzeCreators(creators);
+      const withoutIds = await analyzer.analyzeCreators([
+        makeCreator('Gabriel', 'García Márquez', 3, 1),
+        makeCreator('Gabriel', 'Garcia Marquez', 2, 2)
+      ]);
+
+      expect(withoutIds.suggestions.some(s => s.type === 'surname')).toBe(true);
+      expect(results.suggestions).toEqual([]);
+    });
+
+    test('compares iDs per occurrence, not by any overlap', async () => {
+      const THIRD = '0000-0001-5109-3700';
+      const results = await analyzer.analyzeCreators([
+        { ...makeCreator('Gabriel', 'García Márquez', 3, 1), items: [{ id: 1, orcid: JOSIAH }, { id: 3, orcid: OTHER }] },
+        { ...makeCreator('Gabriel', 'Garcia Marquez', 2, 2), items: [{ id: 2, orcid: OTHER }, { id: 4, orcid: THIRD }] }
+      ]);
+
+      expect(results.suggestions.some(s => s.type === 'surname')).toBe(false);
+      expect(analyzer.hasConflictingOrcids({
+        primary: 'García Márquez',
+        variants: [
+          { name: 'García Márquez', items: [{ id: 1, orcid: JOSIAH }, { id: 3 }] },
+          { name: 'Garcia Marquez', items: [{ id: 2, orcid: JOSIAH }, { id: 4 }] }
+        ]
+      })).toBe(false);
+    });
+
+    test('shows a shared iD as evidence on other suggestions', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('Gabriel', 'García Márquez', 3, 1, JOSIAH),
+        makeCreator('Gabriel', 'Garcia Marquez', 2, 2)
+      ]);
+
+      expect(results.suggestions).toHaveLength(1);
+      expect(results.suggestions[0]).toMatchObject({ type: 'surname', orcids: [JOSIAH] });
+    });
+
+    test('only rewrites the occurrences that carry the iD', () => {
+      const [suggestion] = analyzer.findOrcidVariants([
+        makeCreator('Josiah', 'Carberry', 3, 1, JOSIAH),
+        { ...makeCreator('J.', 'Carberry', 2, 2, JOSIAH), items: [{ id: 2, orcid: JOSIAH }, { id: 4 }] }
+      ]);
+      const plan = analyzer.buildSuggestionOperationPlan(suggestion);
+      const updates = analyzer.collectItemUpdates([suggestion], [plan]);
+      const { normalizedCreators } = analyzer.normalizeItemCreators([{ firstName: 'J.', lastName: 'Carberry' }], updates.get(2));
+
+      expect(plan.operations.map(op => analyzer.describeOperation(op))).toEqual([
+        `Carberry, J. → Carberry, Josiah (ORCID ${JOSIAH})`
+      ]);
+      expect(Array.from(updates.keys())).toEqual([2]);
+      expect(normalizedCreators).toEqual([{ firstName: 'Josiah', lastName: 'Carberry' }]);
+    });
+  });
+
+  describe('given-name equivalences', () => {
+    const ORCID = '0000-0002-1825-0097';
+    const makeCreator = (firstName, count, id, orcid = null) => ({
+      firstName,
+      lastName: 'Nowak',
+      fieldMode: 0,
+      count,
+      ...(orcid ? { orcids: [orcid] } : {}),
+      items: Array.from({ length: count }, (unused, index) => ({
+        id: id + index,
+        key: 'KEY' + (id + index),
+        title: 'Paper ' + (id + index),
+        ...(orcid ? { orcid } : {})
+      }))
+    });
+
+    beforeEach(() => {
+      analyzer.learningEngine.givenNameEquivalents = new Map();
+    });
+
+    afterEach(async () => {
+      analyzer.learningEngine.givenNameEquivalents = new Map();
+      await analyzer.learningEngine.saveGivenNameEquivalents();
+    });
+
+    test('groups Polish diminutives with the full given name', async () => {
+      const results = await analyzer.analyzeCreators([makeCreator('Wojtek', 1, 1), makeCreator('Wojciech', 3, 2)]);
+
+      expect(results.suggestions.map(s => [s.type, s.primary])).toEqual([['given-name', 'Wojciech Nowak']]);
+    });
+
+    test('recorded equivalences group names the built-in ones do not know', async () => {
+      const creators = [makeCreator('Bodzio', 1, 1), makeCreator('Bogdan', 3, 2)];
+      expect((await analyzer.analyzeCreators(creators)).suggestions).toEqual([]);
+
+      const results = await analyzer.applyNormalizationSuggestions([], false, {
+        givenNameEquivalents: [{ name: 'Bodzio', equivalent: 'Bogdan' }]
+      });
+      expect(results.equivalentsRecorded).toBe(1);
+      expect(analyzer.getGivenNameEquivalents()).toEqual([
+        expect.objectContaining({ name: 'Bodzio', equivalent: 'Bogdan' })
+      ]);
+
+      const suggestions = (await analyzer.analyzeCreators(creators)).suggestions;
+      expect(suggestions.map(s => [s.type, s.primary])).toEqual([['given-name', 'Bogdan Nowak']]);
+
+      expect(await analyzer.removeGivenNameEquivalent('Bogdan', 'Bodzio')).toBe(true);
+      expect((await analyzer.analyzeCreators(creators)).suggestions).toEqual([]);
+    });
+
+    test('offers unlinked given names of one ORCID iD as equivalence candidates', async () => {
+      const results = await analyzer.analyzeCreators([makeCreator('Bodzio', 1, 1, ORCID), makeCreator('Bogdan', 2, 3, ORCID)]);
+      const [suggestion] = results.suggestions;
+
+      expect(suggestion.type).toBe('orcid');
+      expect(suggestion.givenNameEquivalenceCandidates).toEqual([{ name: 'Bodzio', equivalent: 'Bogdan' }]);
+    });
+
+    test('offers no candidates for names already known to be equivalent', () => {
+      expect(analyzer.getGivenNameEquivalenceCandidates({
+        type: 'orcid',
+        firstName: 'Wojciech',
+        variants: [{ firstName: 'Wojciech' }, { firstName: 'Wojtek' }, { firstName: 'W.' }]
+      })).toEqual([]);
+    });
+  });
+
+  describe('canonical-form strategies', () => {
+    const martinItem = (id, lastName, year) => ({
+      id,
+      title: 'Paper ' + id,
+      authorFirstName: 'José',
+      authorLastName: lastName,
+      author: 'José ' + lastName,
+      year: String(year)
+    });
+    const martinCreators = () => [{
+      firstName: 'José',
+      lastName: 'Martin',
+      count: 4,
+      parsedName: analyzer.parseName('José Martin'),
+      items: [martinItem(1, 'Martin', 1990), martinItem(2, 'Martin', 1991), martinItem(3, 'Martin', 1992), martinItem(4, 'Martín', 2020)]
+    }];
+    const fredCreator = (firstName, count, id, year) => ({
+      firstName,
+      lastName: 'Smith',
+      count,
+      parsedName: analyzer.parseName(`${firstName} Smith`),
+      items: [{ id, title: 'Paper ' + id, authorFirstName: firstName, authorLastName: 'Smith', year: String(year) }]
+    });
+    const fredCreators = () => [fredCreator('F. R.', 3, 1, 2022), fredCreator('Fred', 5, 2, 1990), fredCreator('Fred R.', 1, 3, 2000)];
+
+    afterEach(async () => {
+      analyzer.learningEngine.settings.canonicalFormStrategies = {};
+      analyzer.learningEngine.settings.canonicalAuthorityNames = [];
+      await analyzer.learningEngine.saveSettings();
+    });
+
+    test('records the built-in rule without a strategy', async () => {
+      const [suggestion] = (await analyzer.analyzeCreators(martinCreators())).suggestions;
+
+      expect(suggestion.primary).toBe('Martin');
+      expect(suggestion.canonicalRule).toEqual({ strategy: null, label: 'Built-in rule', explanation: 'most frequent spelling' });
+    });
+
+    test('surname strategies pick the diacritic or most recent spelling', async () => {
+      await analyzer.setCanonicalFormStrategy('surname', 'diacritics');
+      expect((await analyzer.analyzeCreators(martinCreators())).suggestions[0]).toMatchObject({
+        primary: 'Martín',
+        canonicalRule: { strategy: 'diacritics', explanation: 'keeps the diacritics' }
+      });
+
+      await analyzer.setCanonicalFormStrategy('surname', 'recent');
+      expect((await analyzer.analyzeCreators(martinCreators())).suggestions[0].canonicalRule.explanation)
+        .toBe('used on the most recent publication (2020)');
+    });
+
+    test('strategies are set per suggestion type', async () => {
+      await analyzer.setCanonicalFormStrategy('given-name', 'fullest');
+      const suggestions = (await analyzer.analyzeCreators([...martinCreators(), ...fredCreators()])).suggestions;
+
+      expect(suggestions.find(s => s.type === 'surname').primary).toBe('Martin');
+      expect(suggestions.find(s => s.type === 'given-name')).toMatchObject({
+        primary: 'Fred R. Smith',
+        recommendedFirstName: 'Fred R.',
+        recommendedFullName: 'Fred R. Smith'
+      });
+    });
+
+    test('the authority rule prefers listed names and the built-in form can be restored', async () => {
+      analyzer.learningEngine.settings.canonicalAuthorityNames = ['Smith, Fred R.'];
+      await analyzer.setCanonicalFormStrategy('given-name', 'authority');
+      const suggestion = (await analyzer.analyzeCreators(fredCreators())).suggestions.find(s => s.type === 'given-name');
+
+      expect(suggestion.recommendedFullName).toBe('Fred R. Smith');
+      expect(suggestion.canonicalRule.explanation).toBe('on the authority list');
+      expect(analyzer.getCanonicalRecommendation(suggestion, null).fields).toMatchObject({
+        primary: 'Fred Smith',
+        recommendedFullName: 'Fred Smith'
+      });
+    });
+
+    test('saves strategies with the settings and rejects unknown ones', async () => {
+      analyzer.learningEngine.saveSettings = jest.fn().mockResolvedValue();
+      await analyzer.setCanonicalFormStrategy('organization', 'frequency');
+
+      expect(analyzer.getCanonicalFormStrategy('organization')).toBe('frequency');
+      expect(analyzer.learningEngine.saveSettings).toHaveBeenCalled();
+      await analyzer.setCanonicalFormStrategy('organization', null);
+      expect(analyzer.getCanonicalFormStrategy('organization')).toBeNull();
+      await expect(analyzer.setCanonicalFormStrategy('case', 'frequency')).rejects.toThrow('Unknown canonical-form strategy');
+      await expect(analyzer.setCanonicalFormStrategy('surname', 'longest')).rejects.toThrow('Unknown canonical-form strategy');
+    });
+  });
+
+  describe('author disambiguation', () => {
+    const item = (id, coAuthors, publicationTitle, year) => ({
+      id,
+      key: 'KEY' + id,
+      title: 'Paper ' + id,
+      creatorLastNames: ['Smith', ...coAuthors],
+      publicationTitle,
+      year: String(year),
+      collections: []
+    });
+    const makeCreator = (firstName, items) => ({
+      firstName,
+      lastName: 'Smith',
+      fieldMode: 0,
+      count: items.length,
+      items,
+      parsedName: analyzer.parseName(`${firstName} Smith`)
+    });
+
+    test('splits an initial that fits two full names per item', () => {
+      const groups = analyzer.groupCreatorsBySurnameForVariants([
+        makeCreator('John', [item(1, ['Doe'], 'Nature', 2010)]),
+        makeCreator('James', [item(2, ['Roe'], 'Cell', 1960)]),
+        makeCreator('J. A.', [item(3, ['Doe'], 'Nature', 2011), item(4, ['Roe'], 'Cell', 1962), item(5, [], '', 1990)])
+      ]);
+      const initialItems = key => groups[key].filter(creator => creator.firstName === 'J. A.')
+        .flatMap(creator => creator.items.map(entry => entry.id));
+
+      expect(initialItems('john|smith')).toEqual([3]);
+      expect(initialItems('james|smith')).toEqual([4]);
+      // No evidence for either name: left unmerged
+      expect(Object.keys(groups).filter(key => initialItems(key).includes(5))).toHaveLength(1);
+      expect(initialItems('john|smith')).not.toContain(5);
+      expect(initialItems('james|smith')).not.toContain(5);
+    });
+
+    test('raises the confidence of merges with shared co-authors and journals', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('John', [item(1, ['Doe'], 'Nature', 2010)]),
+        makeCreator('J. A.', [item(2, ['Doe'], 'Nature', 2011)])
+      ]);
+      const [suggestion] = results.suggestions.filter(s => s.type === 'given-name');
+
+      expect(suggestion.confidence).toBe(0.95);
+      expect(suggestion.evidence).toEqual(['shared co-authors: Doe', 'same journal: Nature', 'published within 1 year']);
+      expect(suggestion.requiresConfirmation).toBeUndefined();
+    });
+
+    test('requires confirmation when the evidence argues against the merge', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('John', [item(1, ['Doe'], 'Nature', 2010)]),
+        makeCreator('J. A.', [item(2, ['Roe'], 'Cell', 1950)])
+      ]);
+      const [suggestion] = results.suggestions.filter(s => s.type === 'given-name');
+
+      expect(suggestion).toMatchObject({ confidence: 0.1, requiresConfirmation: true });
+      expect(suggestion.variants.find(v => v.items.some(entry => entry.id === 2)))
+        .toMatchObject({ confidence: 0.1, evidence: ['no shared co-authors', 'published 60 years apart'] });
+      expect(await analyzer.shouldApplySuggestion(suggestion, true)).toBe(false);
+    });
+
+    test('lets single items of a split initial move to another name or stay unchanged', async () => {
+      const results = await analyzer.analyzeCreators([
+        makeCreator('John', [item(1, ['Doe'], 'Nature', 2010)]),
+        makeCreator('James', [item(2, ['Roe'], 'Cell', 1960)]),
+        makeCreator('J. A.', [item(3, ['Doe'], 'Nature', 2011), item(4, ['Doe'], 'Nature', 2012), item(5, ['Doe'], 'Nature', 2013)])
+      ]);
+      const suggestion = results.suggestions.find(s => s.type === 'given-name' && s.primary === 'John Smith');
+      const initial = suggestion.variants.find(v => v.items.some(entry => entry.id === 3));
+
+      expect(initial.spellings).toEqual(['J. A.']);
+      expect(initial.alternatives).toEqual([{ firstName: 'John', lastName: 'Smith' }, { firstName: 'James', lastName: 'Smith' }]);
+
+      suggestion.userSelection = {
+        itemTargets: { 4: { firstName: 'James', lastName: 'Smith' }, 5: { exclude: true } }
+      };
+      const updates = analyzer.collectItemUpdates([suggestion]);
+      expect(Array.from(updates.keys()).sort()).toEqual([3, 4]);
+
+      const creators = [{ firstName: 'J. A.', lastName: 'Smith', creatorType: 'author' }];
+      expect(analyzer.normalizeItemCreators(creators, updates.get(3)).normalizedCreators)
+        .toEqual([{ firstName: 'John', lastName: 'Smith', creatorType: 'author' }]);
+      expect(analyzer.normalizeItemCreators(creators, updates.get(4)).normalizedCreators)
+        .toEqual([{ firstName: 'James', lastName: 'Smith', creatorType: 'author' }]);
+    });
+
+    test('applies per-item targets item by item and learns no mapping for split variants', async () => {
+      const makeItem = id => ({
+        id,
+        key: 'KEY' + id,
+        getCreators: jest.fn().mockReturnValue([{ firstName: 'J.', lastName: 'Smith', creatorType: 'author' }]),
+        setCreators: jest.fn(),
+        saveTx: jest.fn().mockResolvedValue(true),
+        getField: jest.fn().mockReturnValue('Paper ' + id)
+      });
+      const items = [makeItem(1), makeItem(2)];
+      global.Zotero.Items.getAsync.mockResolvedValue(items);
+      const suggestion = {
+        type: 'given-name',
+        surname: 'Smith',
+        primary: 'John Smith',
+        variants: [
+          { firstName: 'J.', lastName: 'Smith', name: 'J. Smith', frequency: 2, items: [{ id: 1 }, { id: 2 }] },
+          { firstName: 'John', lastName: 'Smith', name: 'John Smith', frequency: 3, items: [{ id: 9 }] }
+        ],
+        userSelection: { itemTargets: { 2: { firstName: 'James', lastName: 'Smith' } } }
+      };
+
+      const preview = await analyzer.applyDatabaseNormalizations([suggestion], { dryRun: true });
+      expect(preview.diff.map(entry => entry.operation)).toEqual(['J. Smith → John Smith', 'J. Smith → James Smith (this item)']);
+
+      await analyzer.applyDatabaseNormalizations([suggestion]);
+      expect(items[0].setCreators).toHaveBeenCalledWith([{ firstName: 'John', lastName: 'Smith', creatorType: 'author' }]);
+      expect(items[1].setCreators).toHaveBeenCalledWith([{ firstName: 'James', lastName: 'Smith', creatorType: 'author' }]);
+
+      const storeMapping = jest.fn();
+      analyzer.learningEngine = { storeMapping };
+      await analyzer.persistLearningForSuggestion(suggestion, analyzer.buildSuggestionOperationPlan(suggestion));
+      expect(storeMapping).not.toHaveBeenCalled();
+    });
+  });
+});
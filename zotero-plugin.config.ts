@@ -5,14 +5,16 @@ import fs from "fs";
 
 const projectRoot = path.resolve(__dirname);
 
-// Custom post-build hook to copy bundled script to source directory for development
+// Custom post-build hook to copy bundled scripts to source directory for development
 function setupDevEnvironment() {
-  const sourceBundledPath = path.join(projectRoot, 'content', 'scripts', 'zotero-ner-bundled.js');
-  const buildBundledPath = path.join(projectRoot, 'build', 'addon', 'content', 'scripts', 'zotero-ner-bundled.js');
-  
-  if (fs.existsSync(buildBundledPath)) {
-    fs.copyFileSync(buildBundledPath, sourceBundledPath);
-    console.log('Copied bundled script to content/scripts for development');
+  for (const bundle of ['zotero-ner-bundled.js', 'analysis-worker-bundled.js']) {
+    const sourceBundledPath = path.join(projectRoot, 'content', 'scripts', bundle);
+    const buildBundledPath = path.join(projectRoot, 'build', 'addon', 'content', 'scripts', bundle);
+
+    if (fs.existsSync(buildBundledPath)) {
+      fs.copyFileSync(buildBundledPath, sourceBundledPath);
+      console.log('Copied ' + bundle + ' to content/scripts for development');
+    }
   }
 }
 
@@ -84,6 +86,14 @@ if (ZoteroNameNormalizerRef) {
 `,
         },
       },
+      {
+        // Analysis worker: runs the pure analysis steps off the UI thread (see src/worker)
+        entryPoints: ["src/worker/analysis-worker.js"],
+        bundle: true,
+        format: "iife",
+        target: "firefox115",
+        outfile: "addon/content/scripts/analysis-worker-bundled.js",
+      },
     ],
     async onAfterBuild() {
       setupDevEnvironment();